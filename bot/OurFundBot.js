@@ -0,0 +1,210 @@
+/** REFERENCE ARBITRAGE BOT FOR THE OURT FUND */
+
+const { toBn, applySlippage } = require('../sdk/utils');
+
+/** BN js lib */
+const BN = require("bn.js");
+
+const BPS = new BN(10000);
+const ONE_OURT = new BN(10).pow(new BN(18));
+
+/**
+ * BOT_PARAMS keys and their defaults, amounts are in wei and may be given as strings
+ *  - maxTradeOURT: largest amount of fund OURT sold in a single trade
+ *  - minTradeOURT: trade sizes are halved down to this amount before giving up
+ *  - minPremium: basis points the sale must get above the reference price
+ *  - twapWindow: seconds of the pool TWAP used as reference price, 0 disables it
+ *  - minPriceETH: ETH per OURT (wei for 1e18 OURT) the sale must at least get, null disables it
+ *  - slippage: basis points the sale may move from its quote before reverting
+ *  - pollInterval: milliseconds in between two polls of the pool events
+**/
+const DEFAULT_PARAMS = {
+    maxTradeOURT: '1000000000000000000000',
+    minTradeOURT: '1000000000000000000',
+    minPremium: 50,
+    twapWindow: 600,
+    minPriceETH: null,
+    slippage: 50,
+    pollInterval: 5000
+};
+
+/** pool events that may open an arbitrage */
+const WATCHED_EVENTS = ['Sync', 'Swap'];
+
+/** parses the JSON configuration governance stored in the fund BOT_PARAMS */
+const parseBotParams = (json) => {
+    let raw = {};
+    if (json && json.trim() !== '') {
+        try {
+            raw = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`OurFundBot: BOT_PARAMS is not valid JSON (${error.message})`);
+        }
+        if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('OurFundBot: BOT_PARAMS must be a JSON object');
+    }
+    const unknown = Object.keys(raw).filter(key => !(key in DEFAULT_PARAMS));
+    if (unknown.length > 0) throw new Error(`OurFundBot: unknown BOT_PARAMS ${unknown.join(', ')}`);
+
+    const params = { ...DEFAULT_PARAMS, ...raw };
+    for (const key of ['minPremium', 'twapWindow', 'slippage', 'pollInterval']) {
+        if (!Number.isInteger(params[key]) || params[key] < 0) throw new Error(`OurFundBot: BOT_PARAMS ${key} must be a non-negative integer`);
+    }
+    if (params.twapWindow === 0 && params.minPriceETH === null) throw new Error('OurFundBot: BOT_PARAMS needs a twapWindow or a minPriceETH');
+
+    params.maxTradeOURT = toBn(params.maxTradeOURT);
+    params.minTradeOURT = toBn(params.minTradeOURT);
+    if (params.minTradeOURT.isZero() || params.minTradeOURT.gt(params.maxTradeOURT)) throw new Error('OurFundBot: BOT_PARAMS trade sizes must satisfy 0 < minTradeOURT <= maxTradeOURT');
+    if (params.minPriceETH !== null) params.minPriceETH = toBn(params.minPriceETH);
+    return params;
+}
+
+class OurFundBot {
+
+    /**
+     * @param {object} options
+     * @param {Web3} options.web3 connected web3 instance
+     * @param {OurFund} options.fund fund wrapper
+     * @param {OurDEX} options.dex ETH/OURT pool wrapper the fund trades on
+     * @param {string} options.account bot account, must hold the fund BOT_ROLE
+     * @param {boolean} [options.dryRun] only log the trades the bot would make
+     * @param {object} [options.logger] console-like logger
+    **/
+    constructor({ web3, fund, dex, account, dryRun = false, logger = console }) {
+        this.web3 = web3;
+        this.fund = fund;
+        this.dex = dex;
+        this.account = account;
+        this.dryRun = dryRun;
+        this.logger = logger;
+        this.fromBlock = null;
+        this.timer = null;
+    }
+
+    /** (re)loads the configuration from the fund BOT_PARAMS */
+    async loadParams() {
+        this.params = parseBotParams(await this.fund.getBotParams());
+        return this.params;
+    }
+
+    /**
+     * ETH the fund should at least get for `amountOURT`: the TWAP value and/or the configured
+     * floor (the higher of both), null when neither is available
+    **/
+    async referenceETH(amountOURT) {
+        let reference = null;
+        if (this.params.twapWindow > 0) {
+            try {
+                reference = await this.dex.consultETH(amountOURT, this.params.twapWindow);
+            } catch (error) {
+                // not enough price history yet
+                this.logger.warn(`OurFundBot: TWAP unavailable (${error.message})`);
+            }
+        }
+        if (this.params.minPriceETH !== null) {
+            const floor = amountOURT.mul(this.params.minPriceETH).div(ONE_OURT);
+            if (reference === null || floor.gt(reference)) reference = floor;
+        }
+        return reference;
+    }
+
+    /**
+     * Looks for a profitable sale of fund OURT, halving the size from maxTradeOURT (or the fund
+     * OURT reserve, or what its trade limits allow) down to minTradeOURT. A sale is profitable
+     * when its quote beats the reference price by minPremium.
+     * @returns {Promise<{profitable: boolean, amountOURT?: BN, quoteETH?: BN, referenceETH?: BN, reason?: string}>}
+    **/
+    async evaluate() {
+        if (!this.params) await this.loadParams();
+        const { reserveToken } = await this.fund.getReserves();
+        const { maxTradeToken, remainingToday } = await this.fund.getTradeLimits();
+        let amountOURT = BN.min(BN.min(this.params.maxTradeOURT, reserveToken), BN.min(maxTradeToken, remainingToday));
+        if (amountOURT.lt(this.params.minTradeOURT)) return { profitable: false, reason: 'fund OURT or trade limits below minTradeOURT' };
+
+        let last = null;
+        while (amountOURT.gte(this.params.minTradeOURT)) {
+            const quoteETH = await this.dex.getQuoteForETH(amountOURT);
+            const referenceETH = await this.referenceETH(amountOURT);
+            if (referenceETH === null) return { profitable: false, reason: 'no reference price' };
+
+            last = { amountOURT, quoteETH, referenceETH };
+            if (quoteETH.mul(BPS).gte(referenceETH.mul(BPS.addn(this.params.minPremium)))) {
+                return { profitable: true, ...last };
+            }
+            amountOURT = amountOURT.divn(2);
+        }
+        return { profitable: false, reason: 'quote below reference', ...last };
+    }
+
+    /**
+     * Has the fund sell `amountOURT` on the pool for at least `quoteETH` minus the slippage,
+     * the fund records the trade in the same transaction
+     * @returns {Promise<{spentOURT: BN, boughtETH: BN, receipt}>}
+    **/
+    async execute(amountOURT, quoteETH) {
+        const [minETH] = applySlippage(quoteETH, this.params.slippage);
+        const receipt = await this.fund.executeTrade(amountOURT, minETH, { from: this.account });
+        const boughtETH = toBn(receipt.events.RegisteredTrade.returnValues.boughtETH);
+        this.logger.info(`OurFundBot: sold ${amountOURT} OURT for ${boughtETH} ETH wei`);
+        return { spentOURT: amountOURT, boughtETH, receipt };
+    }
+
+    /**
+     * Reads the pool events since the last poll and trades when one of them opened a profitable sale.
+     * The first poll only sets the starting block.
+     * @returns {Promise<object|null>} the decision taken, null when no pool event was seen
+    **/
+    async poll() {
+        const latest = Number(await this.web3.eth.getBlockNumber());
+        if (this.fromBlock === null) {
+            this.fromBlock = latest + 1;
+            return null;
+        }
+        if (latest < this.fromBlock) return null;
+
+        const events = await this.dex.contract.getPastEvents('allEvents', { fromBlock: this.fromBlock, toBlock: latest });
+        this.fromBlock = latest + 1;
+        if (!events.some(event => WATCHED_EVENTS.includes(event.event))) return null;
+
+        await this.loadParams();
+        const decision = await this.evaluate();
+        if (!decision.profitable) {
+            this.logger.info(`OurFundBot: no trade, ${decision.reason}`);
+            return decision;
+        }
+        if (this.dryRun) {
+            this.logger.info(`OurFundBot: [dry-run] would sell ${decision.amountOURT} OURT for ${decision.quoteETH} ETH wei (reference ${decision.referenceETH})`);
+            return { ...decision, dryRun: true };
+        }
+
+        const trade = await this.execute(decision.amountOURT, decision.quoteETH);
+        // our own sale is not an opportunity
+        this.fromBlock = Number(await this.web3.eth.getBlockNumber()) + 1;
+        return { ...decision, ...trade };
+    }
+
+    /** polls the pool every pollInterval until stopped, failed polls are logged and retried */
+    async start() {
+        await this.loadParams();
+        await this.poll();
+        const loop = async () => {
+            try {
+                await this.poll();
+            } catch (error) {
+                this.logger.error(`OurFundBot: ${error.message}`);
+            }
+            if (this.timer !== null) this.timer = setTimeout(loop, this.params.pollInterval);
+        };
+        this.timer = setTimeout(loop, this.params.pollInterval);
+    }
+
+    stop() {
+        if (this.timer !== null) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    OurFundBot,
+    parseBotParams,
+    DEFAULT_PARAMS
+}
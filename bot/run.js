@@ -0,0 +1,35 @@
+/**
+ * Runs the fund arbitrage bot against the deployed protocol:
+ *   npm run bot -- --network development [--dry-run]
+ * The bot account defaults to the one the migration gave the BOT_ROLE (accounts[1]),
+ * BOT_ACCOUNT overrides it.
+**/
+
+const { OurDEX, OurFund } = require('../index');
+const { OurFundBot } = require('./OurFundBot');
+
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+
+module.exports = async function (callback) {
+    try {
+        const accounts = await web3.eth.getAccounts();
+        const account = process.env.BOT_ACCOUNT || accounts[1];
+        const dryRun = process.argv.includes('--dry-run');
+
+        const dex = new OurDEX(web3, (await OurDEXContract.deployed()).address, { abi: OurDEXContract.abi });
+        const fund = new OurFund(web3, (await OurFundContract.deployed()).address, { abi: OurFundContract.abi });
+
+        const bot = new OurFundBot({ web3, fund, dex, account, dryRun });
+        await bot.start();
+        console.log(`OurFundBot: watching ${dex.address} as ${account}${dryRun ? ' (dry-run)' : ''}`);
+
+        // runs until interrupted
+        process.on('SIGINT', () => {
+            bot.stop();
+            callback();
+        });
+    } catch (error) {
+        callback(error);
+    }
+};
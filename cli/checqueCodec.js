@@ -0,0 +1,152 @@
+/** SIGNING, ENCODING AND OFF-CHAIN VERIFICATION OF OURT CHECQUES, WITHOUT A WEB3 PROVIDER */
+
+/** ethers lib for EIP-712 hashing, signing and recovery */
+const ethers = require("ethers");
+
+const { PERMIT_TYPES } = require('../sdk/permit');
+
+const { BigNumber, utils } = ethers;
+
+/** name and version OurToken passes to the ERC20Permit constructor */
+const TOKEN_NAME = 'OurToken';
+const TOKEN_VERSION = '1';
+
+/** prefix of the QR-friendly strings, bumped if their fields ever change */
+const QR_PREFIX = 'OURT1';
+
+/** fields of a checque in their QR string order, after the prefix */
+const QR_FIELDS = ['chainId', 'token', 'owner', 'spender', 'value', 'nonce', 'deadline', 'signature'];
+
+/** EIP-712 domain of the token on `chainId` */
+const getDomain = (chainId, token) => ({
+    name: TOKEN_NAME,
+    version: TOKEN_VERSION,
+    chainId: Number(chainId),
+    verifyingContract: utils.getAddress(token)
+});
+
+/** the Permit message of a checque */
+const permitMessage = ({ owner, spender, value, nonce, deadline }) => ({ owner, spender, value, nonce, deadline });
+
+/** EIP-712 digest the issuer signs, from the token DOMAIN_SEPARATOR */
+const checqueDigest = (checque, domainSeparator) => {
+    const structHash = utils._TypedDataEncoder.from(PERMIT_TYPES).hash(permitMessage(checque));
+    return utils.keccak256(utils.concat(['0x1901', domainSeparator, structHash]));
+}
+
+/**
+ * Signs a checque: a permit of `value` OURT wei from the wallet to `spender`, cashed through cashChecques
+ * @param {ethers.Wallet} wallet the issuer
+ * @param {object} params
+ * @param {number} params.chainId
+ * @param {string} params.token OurToken address
+ * @returns {Promise<object>} the checque {chainId, token, owner, spender, value, nonce, deadline, v, r, s}
+**/
+const signChecque = async (wallet, { chainId, token, spender, value, nonce, deadline }) => {
+    const domain = getDomain(chainId, token);
+    const message = {
+        owner: wallet.address,
+        spender: utils.getAddress(spender),
+        value: BigNumber.from(value).toString(),
+        nonce: BigNumber.from(nonce).toString(),
+        deadline: BigNumber.from(deadline).toString()
+    };
+    const { v, r, s } = utils.splitSignature(await wallet._signTypedData(domain, PERMIT_TYPES, message));
+    return { chainId: domain.chainId, token: domain.verifyingContract, ...message, v, r, s };
+}
+
+/**
+ * Encodes a checque as a single upper-case string of the QR alphanumeric charset (0-9, A-Z, $%*+-./:)
+ * so it fits in a smaller QR code than its JSON
+**/
+const encodeQr = (checque) => {
+    const values = {
+        ...checque,
+        chainId: String(checque.chainId),
+        signature: utils.joinSignature({ v: checque.v, r: checque.r, s: checque.s })
+    };
+    return [QR_PREFIX, ...QR_FIELDS.map(field => values[field])].join(':').toUpperCase().replace(/:0X/g, ':');
+}
+
+/** decodes a string produced by encodeQr */
+const decodeQr = (text) => {
+    const parts = text.trim().split(':');
+    if (parts[0].toUpperCase() !== QR_PREFIX || parts.length !== QR_FIELDS.length + 1) throw new Error('checqueCodec: not a checque string');
+    const raw = Object.fromEntries(QR_FIELDS.map((field, i) => [field, parts[i + 1]]));
+    const { v, r, s } = utils.splitSignature('0x' + raw.signature.toLowerCase());
+    return normalize({ ...raw, token: '0x' + raw.token, owner: '0x' + raw.owner, spender: '0x' + raw.spender, v, r, s });
+}
+
+/** validates a checque read from JSON and checksums its addresses */
+const normalize = (checque) => {
+    for (const field of ['chainId', 'token', 'owner', 'spender', 'value', 'nonce', 'deadline', 'v', 'r', 's']) {
+        if (checque[field] === undefined || checque[field] === null) throw new Error(`checqueCodec: checque without ${field}`);
+    }
+    return {
+        chainId: Number(checque.chainId),
+        token: utils.getAddress(checque.token),
+        owner: utils.getAddress(checque.owner),
+        spender: utils.getAddress(checque.spender),
+        value: BigNumber.from(checque.value).toString(),
+        nonce: BigNumber.from(checque.nonce).toString(),
+        deadline: BigNumber.from(checque.deadline).toString(),
+        v: Number(checque.v),
+        r: utils.hexlify(checque.r),
+        s: utils.hexlify(checque.s)
+    };
+}
+
+/**
+ * Parses checques from a JSON object or array, or from QR strings one per line
+ * @returns {Array<object>}
+**/
+const parseChecques = (text) => {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return [].concat(JSON.parse(trimmed)).map(normalize);
+    return trimmed.split(/\s+/).filter(line => line !== '').map(decodeQr);
+}
+
+/**
+ * Verifies a checque against the token state read on-chain, without sending anything
+ * @param {object} checque
+ * @param {object} state
+ * @param {number} state.chainId chain the token is deployed on
+ * @param {string} state.token OurToken address
+ * @param {string} state.domainSeparator OurToken.DOMAIN_SEPARATOR
+ * @param {BigNumber} state.nonce OurToken.nonces of the issuer
+ * @param {BigNumber} state.feesPerThousand OurToken.getChecquesFees
+ * @param {BigNumber} state.balance OURT balance of the issuer
+ * @param {number} state.timestamp latest block timestamp
+ * @returns {{valid: boolean, errors: string[], pending: number, fee: BigNumber, net: BigNumber}} `pending` checques
+ * of the issuer must be cashed before this one
+**/
+const verifyChecque = (checque, { chainId, token, domainSeparator, nonce, feesPerThousand, balance, timestamp }) => {
+    const errors = [];
+    if (checque.chainId !== Number(chainId)) errors.push(`signed for chain ${checque.chainId}, not ${chainId}`);
+    if (checque.token.toLowerCase() !== token.toLowerCase()) errors.push(`signed for token ${checque.token}, not ${token}`);
+    if (utils._TypedDataEncoder.hashDomain(getDomain(checque.chainId, checque.token)) !== domainSeparator) errors.push('domain does not match the token DOMAIN_SEPARATOR');
+
+    const signer = utils.recoverAddress(checqueDigest(checque, domainSeparator), { v: checque.v, r: checque.r, s: checque.s });
+    if (signer !== checque.owner) errors.push(`signed by ${signer}, not the issuer`);
+
+    const value = BigNumber.from(checque.value);
+    const pending = BigNumber.from(checque.nonce).sub(nonce);
+    if (pending.lt(0)) errors.push(`nonce ${checque.nonce} already used, the issuer is at ${nonce}`);
+    if (BigNumber.from(checque.deadline).lt(timestamp)) errors.push(`expired at ${checque.deadline}`);
+    if (BigNumber.from(balance).lt(value)) errors.push(`issuer balance ${balance} below the checque value`);
+
+    const fee = value.mul(feesPerThousand).div(1000);
+    return { valid: errors.length === 0, errors, pending: pending.lt(0) ? 0 : Number(pending.toString()), fee, net: value.sub(fee) };
+}
+
+module.exports = {
+    TOKEN_NAME,
+    QR_PREFIX,
+    getDomain,
+    checqueDigest,
+    signChecque,
+    encodeQr,
+    decodeQr,
+    parseChecques,
+    verifyChecque
+}
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Signs, verifies and cashes OURT checques from the command line:
+ *   npm run checques -- sign --to <beneficiary> --amount <OURT> [--amount <OURT>...] [--format json|qr] [--out <file>]
+ *   npm run checques -- verify <file|checque string>...
+ *   npm run checques -- cash <file|checque string>...
+ * The signing account comes from a keystore (--keystore <file>, password in CHECQUE_PASSWORD or --password-file)
+ * or a mnemonic (CHECQUE_MNEMONIC or --mnemonic-file, --index for the account, 0 by default).
+ * --rpc (CHECQUE_RPC, http://127.0.0.1:8545) and --token (CHECQUE_TOKEN) select the chain and OurToken.
+ * sign reads the issuer nonce on-chain unless --nonce and --chain-id are given, --expires-in sets the
+ * validity in seconds (7 days) or --deadline a unix timestamp. Several amounts sign checques of following nonces.
+**/
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+/** ethers lib for the wallets and the chain access */
+const ethers = require("ethers");
+
+const codec = require('./checqueCodec');
+
+/** OurToken functions used by the CLI */
+const TOKEN_ABI = [
+    'function nonces(address owner) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function getChecquesFees() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function cashChecques(address spender, address[] owners, uint256[] values, uint256[] deadlines, uint8[] vs, bytes32[] rs, bytes32[] ss)'
+];
+
+const OPTIONS = {
+    rpc: { type: 'string' },
+    token: { type: 'string' },
+    keystore: { type: 'string' },
+    'password-file': { type: 'string' },
+    'mnemonic-file': { type: 'string' },
+    index: { type: 'string', default: '0' },
+    to: { type: 'string' },
+    amount: { type: 'string', multiple: true },
+    nonce: { type: 'string' },
+    'chain-id': { type: 'string' },
+    deadline: { type: 'string' },
+    'expires-in': { type: 'string', default: String(7 * 24 * 60 * 60) },
+    format: { type: 'string', default: 'json' },
+    out: { type: 'string' }
+};
+
+/** an option or its environment variable, required unless a fallback is given */
+const setting = (values, env, name, fallback) => {
+    const value = values[name] !== undefined ? values[name] : process.env[env];
+    if (value !== undefined && value !== '') return value;
+    if (fallback !== undefined) return fallback;
+    throw new Error(`--${name} or ${env} is required`);
+}
+
+/** the signing account, from a keystore or a mnemonic */
+const loadWallet = async (values, provider) => {
+    let wallet;
+    if (values.keystore) {
+        const password = values['password-file'] ? fs.readFileSync(values['password-file'], 'utf8').trim() : setting(values, 'CHECQUE_PASSWORD', 'password-file');
+        wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(values.keystore, 'utf8'), password);
+    } else {
+        const mnemonic = values['mnemonic-file'] ? fs.readFileSync(values['mnemonic-file'], 'utf8').trim() : process.env.CHECQUE_MNEMONIC;
+        if (!mnemonic) throw new Error('--keystore, --mnemonic-file or CHECQUE_MNEMONIC is required');
+        wallet = ethers.Wallet.fromMnemonic(mnemonic, `m/44'/60'/0'/0/${Number(values.index)}`);
+    }
+    return provider ? wallet.connect(provider) : wallet;
+}
+
+/** the checques of the arguments, files or QR strings */
+const readChecques = (args) => {
+    if (args.length === 0) throw new Error('no checques given');
+    return args.flatMap(arg => codec.parseChecques(arg.toUpperCase().startsWith(codec.QR_PREFIX + ':') ? arg : fs.readFileSync(arg, 'utf8')));
+}
+
+/** reads the token state the checques are verified against, per issuer */
+const readState = async (token, provider, owners) => {
+    const [network, block, domainSeparator, feesPerThousand] = await Promise.all([
+        provider.getNetwork(), provider.getBlock('latest'), token.DOMAIN_SEPARATOR(), token.getChecquesFees()
+    ]);
+    const issuers = {};
+    for (const owner of new Set(owners)) {
+        issuers[owner] = { nonce: await token.nonces(owner), balance: await token.balanceOf(owner) };
+    }
+    return { chainId: network.chainId, token: token.address, domainSeparator, feesPerThousand, timestamp: block.timestamp, issuers };
+}
+
+/** verifies the checques, the pending value of an issuer counts against its balance */
+const verifyAll = (checques, state) => {
+    const spent = {};
+    return checques.map(checque => {
+        const issuer = state.issuers[checque.owner];
+        const before = spent[checque.owner] || ethers.constants.Zero;
+        spent[checque.owner] = before.add(checque.value);
+        return codec.verifyChecque(checque, { ...state, nonce: issuer.nonce, balance: issuer.balance.sub(before) });
+    });
+}
+
+const COMMANDS = {
+
+    /** signs checques of following nonces for each --amount */
+    async sign(values, positionals, { out }) {
+        if (!values.to) throw new Error('--to is required');
+        if (!values.amount || values.amount.length === 0) throw new Error('--amount is required');
+        if (!['json', 'qr'].includes(values.format)) throw new Error('--format must be json or qr');
+
+        const offline = values.nonce !== undefined && values['chain-id'] !== undefined;
+        const provider = offline ? null : new ethers.providers.JsonRpcProvider(setting(values, 'CHECQUE_RPC', 'rpc', 'http://127.0.0.1:8545'));
+        const wallet = await loadWallet(values, null);
+        const tokenAddress = setting(values, 'CHECQUE_TOKEN', 'token');
+        const chainId = offline ? Number(values['chain-id']) : (await provider.getNetwork()).chainId;
+        let nonce = ethers.BigNumber.from(offline ? values.nonce : await new ethers.Contract(tokenAddress, TOKEN_ABI, provider).nonces(wallet.address));
+        const deadline = values.deadline !== undefined ? values.deadline : Math.floor(Date.now() / 1000) + Number(values['expires-in']);
+
+        const checques = [];
+        for (const amount of values.amount) {
+            checques.push(await codec.signChecque(wallet, { chainId, token: tokenAddress, spender: values.to, value: ethers.utils.parseEther(amount), nonce, deadline }));
+            nonce = nonce.add(1);
+        }
+        const text = values.format === 'qr' ? checques.map(codec.encodeQr).join('\n') : JSON.stringify(checques.length === 1 ? checques[0] : checques, null, 2);
+        if (values.out) fs.writeFileSync(values.out, text + '\n');
+        else out(text);
+        return checques;
+    },
+
+    /** verifies checques against the chain, fails when any of them can't be cashed */
+    async verify(values, positionals, { out }) {
+        const checques = readChecques(positionals);
+        const provider = new ethers.providers.JsonRpcProvider(setting(values, 'CHECQUE_RPC', 'rpc', 'http://127.0.0.1:8545'));
+        const token = new ethers.Contract(setting(values, 'CHECQUE_TOKEN', 'token', checques[0].token), TOKEN_ABI, provider);
+        const results = verifyAll(checques, await readState(token, provider, checques.map(c => c.owner)));
+
+        results.forEach((result, i) => {
+            const { owner, spender, value, nonce } = checques[i];
+            const head = `#${i + 1} ${owner} -> ${spender} ${ethers.utils.formatEther(value)} OURT (nonce ${nonce})`;
+            if (!result.valid) return out(`${head}: INVALID, ${result.errors.join(', ')}`);
+            const order = result.pending > 0 ? `, after ${result.pending} pending checques of the issuer` : '';
+            out(`${head}: OK, ${ethers.utils.formatEther(result.net)} OURT net of a ${ethers.utils.formatEther(result.fee)} OURT fee${order}`);
+        });
+        if (results.some(result => !result.valid)) throw new Error('some checques can not be cashed');
+        return results;
+    },
+
+    /** cashes checques addressed to the signing account in a single cashChecques transaction */
+    async cash(values, positionals, { out }) {
+        const checques = readChecques(positionals);
+        const provider = new ethers.providers.JsonRpcProvider(setting(values, 'CHECQUE_RPC', 'rpc', 'http://127.0.0.1:8545'));
+        const wallet = await loadWallet(values, provider);
+        if (checques.some(c => c.spender !== wallet.address)) throw new Error(`every checque must be addressed to ${wallet.address}`);
+
+        // the nonces of each issuer are used in order
+        checques.sort((a, b) => a.owner !== b.owner ? a.owner.localeCompare(b.owner) : ethers.BigNumber.from(a.nonce).lt(b.nonce) ? -1 : 1);
+        const token = new ethers.Contract(setting(values, 'CHECQUE_TOKEN', 'token', checques[0].token), TOKEN_ABI, wallet);
+        const results = verifyAll(checques, await readState(token, provider, checques.map(c => c.owner)));
+        const cashed = {};
+        checques.forEach((checque, i) => {
+            const before = cashed[checque.owner] || 0;
+            cashed[checque.owner] = before + 1;
+            const { valid, errors, pending } = results[i];
+            if (!valid || pending !== before) {
+                throw new Error(`checque of ${checque.owner} with nonce ${checque.nonce} can not be cashed: ${errors.join(', ') || 'checques of lower nonces are missing'}`);
+            }
+        });
+
+        const tx = await token.cashChecques(
+            wallet.address,
+            checques.map(c => c.owner),
+            checques.map(c => c.value),
+            checques.map(c => c.deadline),
+            checques.map(c => c.v),
+            checques.map(c => c.r),
+            checques.map(c => c.s)
+        );
+        const receipt = await tx.wait();
+        const net = results.reduce((total, result) => total.add(result.net), ethers.constants.Zero);
+        out(`cashed ${checques.length} checques for ${ethers.utils.formatEther(net)} OURT in ${receipt.transactionHash}`);
+        return receipt;
+    }
+};
+
+/**
+ * Runs a CLI command
+ * @param {string[]} argv arguments after the script name
+ * @param {object} [io]
+ * @param {function} [io.out] receives the output lines, console.log by default
+ * @returns {Promise<*>} the command result
+**/
+const main = async (argv, { out = console.log } = {}) => {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+    if (!COMMANDS[command]) throw new Error(`unknown command ${command || ''}, expected ${Object.keys(COMMANDS).join(', ')}`);
+    return COMMANDS[command](values, args, { out });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`checques: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    main,
+    TOKEN_ABI
+}
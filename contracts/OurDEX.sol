@@ -2,10 +2,13 @@
 pragma solidity >=0.4.22 <0.9.0;
 
 import "./../node_modules/@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "./../node_modules/@openzeppelin/contracts/utils/math/Math.sol";
+import "./../node_modules/@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "./../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
 import './OurDEXToken.sol';
 import './lib/SafeSqrt.sol';
+import './lib/OurDEXLibrary.sol';
+import './lib/OurOracleLibrary.sol';
+import './OurDEXCalleeInterface.sol';
 
 contract OurDEX is OurDEXToken {
 
@@ -14,18 +17,14 @@ contract OurDEX is OurDEXToken {
     // Math-specific libraries for safely handling larger numbers=
     using SafeMath  for uint;
 
-    /** Struct representing liquidity history entry*/
+    /** Struct representing liquidity history entry, OURX transfers are valued at the pool when they happen */
     struct liquidityRec {
         uint stamp;
-        bool isdeposit; // true == deposit, false == withdraw
+        bool isdeposit; // true == deposit or OURX received, false == withdraw or OURX sent
+        address counterparty; // the other account of a transfer, zero for deposits and withdrawals
         uint amountETH;
         uint amountOURT;
-    }
-
-    /** Struct representing swap reports to be published when SWAP event is emitted */
-    struct swapReport {
-        address currency;
-        uint amount;
+        uint amountOURX;
     }
 
     /** CONSTANTS */
@@ -36,23 +35,34 @@ contract OurDEX is OurDEXToken {
     /** PUBLIC */
 
     /**
-     * It seems most DEX are adding this requirement where there should always be a minimum liquidity in the pool
-     * in this scenario is might be important specially since we don't want the pool to dry up however this also
-     * means possible impermanent loss for liquidity providers.
-     * A sacrifice to the gods of DEX...
-     * During Localnet alpha-phase, this number should be adjusted.
-     * but this also needs to be checked on swaps in a small pool as an arbitrage swap could
-     * maybe break it? more testing needed.
-     * MAXI liquidity var is also added to control the price of OURX in other pools
+     * The first MINIMUM_LIQUIDITY OURX minted by a pool are permanently locked at LOCKED_LIQUIDITY_HOLDER.
+     * Without them the first LP could hold a handful of shares, pump their value with donations and
+     * steal from the next depositors through rounding (share-price inflation), with them such an attack
+     * costs the attacker MINIMUM_LIQUIDITY times what it steals. It also means the pool can never be emptied.
+     * The lock is a constant so it can't be turned off before the first deposit.
     */
-    uint public MINIMUM_LIQUIDITY;
+    uint public constant MINIMUM_LIQUIDITY = 10**3;
+    // bound on the reserves product (K) a deposit can reach, added to control the price of OURX in other pools
     uint public MAXIMUM_LIQUIDITY;
+    // OpenZeppelin's ERC20 refuses to mint to address(0), the lock goes to a keyless address instead
+    address public constant LOCKED_LIQUIDITY_HOLDER = 0x000000000000000000000000000000000000dEaD;
 
     /**
-     * A record of price history where the sensitivity is non-linear (or rather, per-block instead of per-timeframe).
-     * Might not be best for historical data but it will serve as a reference for arbitrage bots in the future.
+     * Liquidity provider fee in basis points of the amounts swapped in (30 == 0.3%), bounded by MAX_SWAP_FEE.
+     * Quotes and the K check of `_swap` take off the same fee, see OurDEXLibrary.
     */
-    mapping (uint32 => uint) public priceHistory;
+    uint public constant MAX_SWAP_FEE = OurDEXLibrary.MAX_SWAP_FEE;
+    uint public swapFee;
+
+    /**
+     * Protocol fee switch: when a treasury is set and the share is above zero, `protocolFeeShare` per thousand
+     * of the liquidity growth earned by LPs from swap fees is minted as OURX to the treasury on every mint and burn.
+     * kLast is the reserves product right after the latest mint/burn while the fee is on, zero otherwise.
+    */
+    uint public constant MAX_PROTOCOL_FEE_SHARE = 500;
+    address public treasury;
+    uint public protocolFeeShare;
+    uint public kLast;
 
     /** PRIVATE */
 
@@ -61,8 +71,9 @@ contract OurDEX is OurDEXToken {
     uint private reserveETH;
     uint32  private blockTimestampLast;
 
-    // declare var for fee factor
-    uint private feeFactor;
+
+    // price accumulators & observations ring buffer, ETH is token0 and OURT token1
+    OurOracleLibrary.Oracle private oracle;
 
     /**
      * A record of liquidity provision history
@@ -74,44 +85,60 @@ contract OurDEX is OurDEXToken {
     */
     address private ourToken;
 
-    /**
-     * It seems in uniswap, when the fees are on, the fees are calculated by delta K therefore last K is
-     * It might be benificial to save the account liquidity history or just saving the initial liquidity value
-     * and recalculating the OURX tokens' value from the current pool to show the difference to the user
-    */
-    /** uint112 public kLast; */
-
     /** MODIFIERS */
 
     // Locking mechanism modifier for specific lock-requiring actions
     uint8 private unlocked;
     modifier lock() {
-        require(unlocked == 1, 'OurDEX: LOCKED');
-        unlocked = 0;
+        _lock();
         _;
         unlocked = 1;
     }
 
     // Deadline insurance modifier: Stops execution if dealine timestamp reached
     modifier ensure(uint32 deadline) {
-        require(deadline >= block.timestamp, 'OurDEX: EXPIRED'); /* solium-disable-line */
+        _ensure(deadline);
         _;
     }
 
+    // modifiers are inlined where they are used, their checks are functions so that they are deployed once
+    function _lock() private {
+        require(unlocked == 1, 'OurDEX: LOCKED');
+        unlocked = 0;
+    }
+
+    function _ensure(uint32 deadline) private view {
+        require(deadline >= block.timestamp, 'OurDEX: EXPIRED'); /* solium-disable-line */
+    }
+
+    function _checkSlippage(uint amountOut, uint maxOut, uint minOut) private pure {
+        require(maxOut >= amountOut && amountOut >= minOut, 'OurDEX: SLIPPAGE_RATE_EXCEEDED');
+    }
+
     /** EVENT DEFINITIONS */
 
-    // Definition of events that are emitted by the contract
-    // Emitted on minting of OURX (aka liquidity deposit)
-    event Mint(address indexed sender, uint amountETH, uint amountOURT, uint mintedOURX);
-    // Emitted on burning of OURX (aka liquidity withdrawal)
-    event Burn(address indexed sender, uint redeemedETH, uint redeemedOURT, uint burnedOURX);
+    // Definition of events that are emitted by the contract, all of them flat so any ABI decoder reads them
+    // Emitted on minting of OURX (aka liquidity deposit) to `to`
+    event Mint(address indexed sender, address indexed to, uint amountETH, uint amountOURT, uint mintedOURX);
+    // Emitted on burning of OURX (aka liquidity withdrawal), the ETH and OURT are sent to `to`
+    event Burn(address indexed sender, address indexed to, uint redeemedETH, uint redeemedOURT, uint burnedOURX);
+    // Emitted on swapping, with the amounts of each currency that went in and out of the pool
     event Swap(
         address indexed sender,
-        swapReport swapin,
-        swapReport swapout,
+        uint amountETHIn,
+        uint amountOURTIn,
+        uint amountETHOut,
+        uint amountOURTOut,
         address indexed to
-    ); // Emitted on swapping
+    );
     event Sync(uint reserveETH, uint reserveOURT); // Emitted when the contract matches the balances and the reserves
+    event ProtocolFeeMinted(address indexed treasury, uint mintedOURX); // Emitted when the protocol fee is minted to the treasury
+    event ObservationCardinalityIncreased(uint16 previous, uint16 next); // Emitted when the oracle ring buffer is grown
+    event FeeChanged(uint previousFee, uint newFee); // Emitted when governance changes the swap fee
+    event GovernanceChanged(address indexed previousGovernance, address indexed newGovernance); // Emitted when the pool is handed over to a new governance
+    event MaxLiquidityChanged(uint previousMax, uint newMax); // Emitted when governance changes the bound on the reserves product
+    event TreasuryChanged(address indexed previousTreasury, address indexed newTreasury); // Emitted when governance changes the protocol fee receiver
+    event ProtocolFeeShareChanged(uint previousShare, uint newShare); // Emitted when governance changes the protocol fee share
 
     /** INIT */
 
@@ -127,12 +154,19 @@ contract OurDEX is OurDEXToken {
 
     constructor(address _token, uint fee) OurDEXToken("OurDEX", "OURX", _msgSender()){
         ourToken = _token;
-        feeFactor = fee;
-        MINIMUM_LIQUIDITY = 10**3*10**18;
+        require(fee <= MAX_SWAP_FEE, 'OurDEX: INVALID_FEE');
+        swapFee = fee;
         MAXIMUM_LIQUIDITY = 10**32*10**18;
         unlocked = 1;
     }
 
+    /** PAYABLE */
+
+    // ETH can only be paid back to the pool from within a flash swap callback, the pool is locked then
+    receive() external payable {
+        require(unlocked == 0, 'OurDEX: UNEXPECTED_ETH_SENT');
+    }
+
     /** PUBLIC VIEWS */
 
     /**
@@ -154,32 +188,40 @@ contract OurDEX is OurDEXToken {
      * Given a deposited liquidity of ETH, how much OURT liquidity is required to match it's value based on the ratio in the pool
     */
     function calcLiquidityRequirementETH(uint todepETH) public view returns (uint _reqETH, uint _reqOURT, uint _mintedOURX) {
-        // get reserves and total supply
+        // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
-        uint totalSupply = totalSupply();
 
-        // get quote from AmountOut
-        _reqOURT = _getAmountMatch(todepETH, _reserveETH, _reserveOURT);
+        // get quote from AmountOut, an empty pool has no price yet: the first deposit sets it, see calcMintedOURX
+        if (_reserveETH > 0) _reqOURT = OurDEXLibrary.getAmountMatch(todepETH, _reserveETH, _reserveOURT);
         _reqETH = todepETH;
 
         // calculate aprox minted shares as OURX
-        _mintedOURX = _calculateOURXMintable(totalSupply, _reqETH, _reserveETH, _reqOURT, _reserveOURT);
+        _mintedOURX = calcMintedOURX(_reqETH, _reqOURT);
     }
 
     /**
      * Given a deposited liquidity of OURT, how much ETH liquidity is required to match it's value based on the ratio in the pool
     */
     function calcLiquidityRequirementOURT(uint todepOURT) public view returns (uint _reqETH, uint _reqOURT, uint _mintedOURX) {
-        // get reserves and total supply
+        // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
-        uint totalSupply = totalSupply();
 
-        // get quote from AmountOut
-        _reqETH = _getAmountMatch(todepOURT, _reserveOURT, _reserveETH);
+        // get quote from AmountOut, an empty pool has no price yet: the first deposit sets it, see calcMintedOURX
+        if (_reserveOURT > 0) _reqETH = OurDEXLibrary.getAmountMatch(todepOURT, _reserveOURT, _reserveETH);
         _reqOURT = todepOURT;
 
         // calculate aprox minted shares as OURX
-        _mintedOURX = _calculateOURXMintable(totalSupply, _reqETH, _reserveETH, _reqOURT, _reserveOURT);
+        _mintedOURX = calcMintedOURX(_reqETH, _reqOURT);
+    }
+
+    /**
+     * OURX minted for a deposit of both amounts at the current reserves, the protocol fee is minted before
+     * depositing. On the first deposit of the pool the MINIMUM_LIQUIDITY locked shares are taken off
+    */
+    function calcMintedOURX(uint amountETH, uint amountOURT) public view returns (uint) {
+        uint supply = totalSupply().add(getAccruedProtocolFee());
+        if (supply == 0) return OurDEXLibrary.calculateInitialMintable(amountETH, amountOURT, MINIMUM_LIQUIDITY);
+        return OurDEXLibrary.calculateMintable(supply, amountETH, reserveETH, amountOURT, reserveOURT);
     }
 
     /**
@@ -189,17 +231,75 @@ contract OurDEX is OurDEXToken {
         // get reserves
         (uint _resETH, uint _resOURT, ) = getReserves();
 
-        // get values from calcForBurn
-        return _calcForBurn(amountOURX, _resETH, _resOURT, totalSupply());
+        // get values from calcForBurn, the protocol fee is minted before burning
+        return OurDEXLibrary.calcForBurn(amountOURX, _resETH, _resOURT, totalSupply().add(getAccruedProtocolFee()));
+    }
+
+    /** Returns the OURX the treasury would be minted by the next mint or burn */
+    function getAccruedProtocolFee() public view returns (uint) {
+        if (treasury == address(0)) return 0;
+        return OurDEXLibrary.calcProtocolFee(totalSupply(), reserveETH, reserveOURT, kLast, protocolFeeShare);
+    }
+
+    /**
+     * A record of price history where the sensitivity is non-linear (or rather, per-block instead of per-timeframe).
+     * Returns the ETH price of one OURT as UQ112x112 (multiplied by 2**112) held up to the block at `timestamp`,
+     * read from the oracle observations: zero for blocks without a trade or older than the ring buffer.
+     * Use consult for a TWAP.
+    */
+    function priceHistory(uint32 timestamp) public view returns (uint) {
+        ( , uint priceOURT) = OurOracleLibrary.priceAt(oracle, timestamp);
+        return priceOURT;
+    }
+
+    /** Returns the accumulated UQ112x112 prices: OURT per ETH and ETH per OURT */
+    function getCumulativePrices() public view returns (uint priceETHCumulative, uint priceOURTCumulative) {
+        return OurOracleLibrary.latest(oracle);
+    }
+
+    /** Returns the ring buffer state: latest position, observations written, current and target sizes */
+    function getOracleState() public view returns (uint16 index, uint16 count, uint16 cardinality, uint16 cardinalityNext) {
+        return (oracle.index, oracle.count, oracle.cardinality, oracle.cardinalityNext);
+    }
+
+    /**
+     * Returns the accumulated prices as they were `secondsAgo` seconds ago, reverts if the window is
+     * older than the oldest observation kept
+    */
+    function observe(uint32 secondsAgo) public view returns (uint priceETHCumulative, uint priceOURTCumulative) {
+        return OurOracleLibrary.observe(oracle, reserveETH, reserveOURT, blockTimestampLast, secondsAgo);
+    }
+
+    /**
+     * Returns the time-weighted average prices over the last `window` seconds as UQ112x112:
+     * priceETHAverage is the OURT price of one ETH, priceOURTAverage the ETH price of one OURT
+    */
+    function consult(uint32 window) public view returns (uint priceETHAverage, uint priceOURTAverage) {
+        return OurOracleLibrary.consult(oracle, reserveETH, reserveOURT, blockTimestampLast, window);
+    }
+
+    /** Value of `amountETH` in OURT at the average price of the last `window` seconds */
+    function consultOURT(uint amountETH, uint32 window) external view returns (uint amountOURT) {
+        (uint priceETHAverage, ) = consult(window);
+        amountOURT = amountETH.mul(priceETHAverage) / OurOracleLibrary.Q112;
+    }
+
+    /** Value of `amountOURT` in ETH at the average price of the last `window` seconds */
+    function consultETH(uint amountOURT, uint32 window) external view returns (uint amountETH) {
+        ( , uint priceOURTAverage) = consult(window);
+        amountETH = amountOURT.mul(priceOURTAverage) / OurOracleLibrary.Q112;
     }
 
     /**
-     * Given an address, returns the liquidity history (when was liquidity added and what's its status)
+     * Given an address, returns the entry `index` of its liquidity history (when was liquidity added and
+     * what's its status) and the number of entries, OURX received or sent are part of it
     */
-    function getAccountLiquidityHistory(address foracc) public view returns (liquidityRec[] memory) {
+    function getAccountLiquidityHistory(address foracc, uint index) public view returns (liquidityRec memory record, uint total) {
         // Check that account requesting history only for itself
         require(foracc == _msgSender(), 'OurDEX: ACCESS_REJECTED_INVALID_ADDRESS');
-        return liquidtyRecords[foracc];
+        liquidityRec[] storage records = liquidtyRecords[foracc];
+        total = records.length;
+        if (index < total) record = records[index];
     }
 
     /** PUBLIC ACTIONS */
@@ -212,41 +312,65 @@ contract OurDEX is OurDEXToken {
     */
     function changeGovernance(address governance) public onlyOwner(){
         require(_msgSender() != governance, 'OurDEX: SAME_GOVERNANCE_ADDRESS');
+        emit GovernanceChanged(owner(), governance);
         grantRole(DEFAULT_ADMIN_ROLE, governance);
         revokeRole(DEFAULT_ADMIN_ROLE, msg.sender);
         transferOwnership(governance);
     }
 
-    /** Changes Maximum allowed pool liquidity */
+    /** Changes the bound on the reserves product (K) a deposit can reach */
     function changeMaxLiquidity(uint newMax) public onlyOwner(){
+        emit MaxLiquidityChanged(MAXIMUM_LIQUIDITY, newMax);
         MAXIMUM_LIQUIDITY = newMax;
     }
 
-    /** Changes Minimum allowed pool liquidity */
-    function changeMinLiquidity(uint newMin) public onlyOwner(){
-        MINIMUM_LIQUIDITY = newMin;
+    /** Changes the liquidity provider swap fee, in basis points */
+    function changeSwapFee(uint newFee) public onlyOwner(){
+        require(newFee <= MAX_SWAP_FEE, 'OurDEX: INVALID_FEE');
+        emit FeeChanged(swapFee, newFee);
+        swapFee = newFee;
     }
 
-    /** Changes liquidity provider swap fees */
-    function changeSwapFee(uint newFee) public onlyOwner(){
-        feeFactor = newFee;
+    /** Changes the address receiving the protocol fee, the zero address turns the fee off */
+    function changeTreasury(address newTreasury) public onlyOwner(){
+        _mintFee(reserveETH, reserveOURT); // settle the fee accrued under the current settings
+        emit TreasuryChanged(treasury, newTreasury);
+        treasury = newTreasury;
+        _resetKLast();
+    }
+
+    /** Changes the per thousand share of the LP growth minted to the treasury, zero turns the fee off */
+    function changeProtocolFeeShare(uint newShare) public onlyOwner(){
+        require(newShare <= MAX_PROTOCOL_FEE_SHARE, 'OurDEX: INVALID_PROTOCOL_FEE');
+        _mintFee(reserveETH, reserveOURT); // settle the fee accrued under the current settings
+        emit ProtocolFeeShareChanged(protocolFeeShare, newShare);
+        protocolFeeShare = newShare;
+        _resetKLast();
     }
 
     /** /Governance */
 
+    /**
+     * Grows the oracle ring buffer to `cardinalityNext` observations, the caller pays for the storage.
+     * Integrations needing long TWAP windows should size it to the window over the expected block time.
+    */
+    function increaseObservationCardinality(uint16 cardinalityNext) external {
+        uint16 previous = OurOracleLibrary.grow(oracle, cardinalityNext);
+        if (cardinalityNext > previous) emit ObservationCardinalityIncreased(previous, cardinalityNext);
+    }
+
     /**
      * Public payable function to call when Account wants to deposit liquidity
      * ideally, calcLiquidityRequirementETH is called beforehand to show the
      * end-user what they are expected to send as tokens
     */
-    function addLiquidity(uint amountOURT, uint maxOURT, uint minOURT, uint32 deadline) external payable ensure(deadline){
+    function addLiquidity(uint amountOURT, uint maxOURT, uint minOURT, uint32 deadline) public payable ensure(deadline){
         // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
-        // get liquidity bounds
-        (, uint maxLiq) = getLiquidityBounds();
+        // get the bound on the reserves product
+        uint maxLiq = MAXIMUM_LIQUIDITY;
         // assign addresses
         address from = _msgSender();
-        require(from != address(0), 'OurDEX: ZERO_ADDRESS_SENDER');
         // get ETH amount sent
         require(msg.value > 0, 'OurDEX: NO_ETHER_SENT');
         uint amountETH = msg.value;
@@ -270,30 +394,44 @@ contract OurDEX is OurDEXToken {
         __mint(from, _reserveETH, _reserveOURT);
     }
 
+    /**
+     * Same as addLiquidity, approving the OURT with the sender's EIP-2612 permit for `maxOURT`
+     * signed with the same deadline, so that depositing takes a single transaction
+    */
+    function addLiquidityWithPermit(uint amountOURT, uint maxOURT, uint minOURT, uint32 deadline, uint8 v, bytes32 r, bytes32 s) external payable{
+        _permitOURT(maxOURT, deadline, v, r, s);
+        addLiquidity(amountOURT, maxOURT, minOURT, deadline);
+    }
+
     function removeLiquidity(uint redeemedOURX, uint32 deadline) external ensure(deadline) {
+        _removeLiquidity(_msgSender(), redeemedOURX);
+    }
+
+    /**
+     * Removes the `provider` liquidity with its OURX permit for `redeemedOURX` to this pool, signed with the same deadline.
+     * Anyone holding the signature can submit it (e.g. a relayer), the ETH and OURT are always sent to `provider`.
+     * The allowance is used up by the removal
+    */
+    function removeLiquidityWithPermit(address provider, uint redeemedOURX, uint32 deadline, uint8 v, bytes32 r, bytes32 s) external ensure(deadline) {
+        permit(provider, address(this), redeemedOURX, deadline, v, r, s);
+        _approve(provider, address(this), 0);
+        _removeLiquidity(provider, redeemedOURX);
+    }
+
+    function _removeLiquidity(address to, uint redeemedOURX) private {
         // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
         // getting balances for token and ETH
         uint balanceETH = address(this).balance;
         uint balanceOURT = IERC20(ourToken).balanceOf(address(this));
-        // total OURX supply
-        uint _totalSupply = totalSupply();
-        // get liquidity bounds
-        (uint minLiq, ) = getLiquidityBounds();
-        // assign addresses
-        address to = _msgSender();
         // getting total OURX account is holding
         uint balanceOURX = balanceOf(to);
         //Check OURX total is > than OURX redeemed
-        require(balanceOf(to) >= redeemedOURX, "OurDEX: INSUFFICIENT_OURX_TOKENS");
-        // Check liquidity in reserves
+        require(balanceOURX >= redeemedOURX, "OurDEX: INSUFFICIENT_OURX_TOKENS");
+        // Check liquidity in reserves, the locked minimum liquidity keeps them from being emptied
         require(_reserveETH > 0 && _reserveOURT > 0, "OurDEX: INSUFFICIENT_RESERVE_LIQUIDITY");
-        // using balances ensures pro-rata distribution
-        (uint amountETH, uint amountOURT) = _calcForBurn(redeemedOURX, balanceETH, balanceOURT, _totalSupply);
-        // check minimum liquidity
-        require(_reserveETH.sub(amountETH).mul(_reserveOURT.sub(amountOURT)) >= minLiq, 'OurDEX: MINIMUM_POOL_LIQUIDITY');
         // Call burn to complete transfers and update reserves
-        __burn(to, redeemedOURX, balanceOURX, balanceETH, balanceOURT, _totalSupply);
+        __burn(to, redeemedOURX, balanceOURX, balanceETH, balanceOURT);
 
     }
 
@@ -302,7 +440,7 @@ contract OurDEX is OurDEXToken {
         // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
         // get quote
-        amountOURT = _getAmountOut(amountETH, _reserveETH, _reserveOURT, feeFactor);
+        amountOURT = OurDEXLibrary.getAmountOut(amountETH, _reserveETH, _reserveOURT, swapFee);
     }
 
     // Gets an estimated quote for swapper ETH->OURT given the amount of OURT required out
@@ -310,7 +448,7 @@ contract OurDEX is OurDEXToken {
         // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
         // get quote
-        amountETH = _getAmountIn(amountOURT, _reserveETH, _reserveOURT, feeFactor);
+        amountETH = OurDEXLibrary.getAmountIn(amountOURT, _reserveETH, _reserveOURT, swapFee);
     }
 
     // Gets an estimated quote for swaping OURT->ETH
@@ -318,7 +456,7 @@ contract OurDEX is OurDEXToken {
         // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
         // get quote
-        amountETH = _getAmountOut(amountOURT, _reserveOURT, _reserveETH, feeFactor);
+        amountETH = OurDEXLibrary.getAmountOut(amountOURT, _reserveOURT, _reserveETH, swapFee);
     }
 
     // Gets an estimated quote for swaping OURT->ETH given the amount of ETH required out
@@ -326,7 +464,7 @@ contract OurDEX is OurDEXToken {
         // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
         // get quote
-        amountOURT = _getAmountIn(amountETH, _reserveOURT, _reserveETH, feeFactor);
+        amountOURT = OurDEXLibrary.getAmountIn(amountETH, _reserveOURT, _reserveETH, swapFee);
     }
 
     // Swap ETH to OURT
@@ -339,15 +477,15 @@ contract OurDEX is OurDEXToken {
         require(spentETH > 0, 'OurDEX: ZERO_ETH_SENT');
 
         // calculate OURT bought
-        uint boughtOURT = _getAmountOut(spentETH, _reserveETH, _reserveOURT, feeFactor);
-        require(maxOURT >= boughtOURT && boughtOURT >= minOURT, 'OurDEX: SLIPPAGE_RATE_EXCEEDED');
+        uint boughtOURT = OurDEXLibrary.getAmountOut(spentETH, _reserveETH, _reserveOURT, swapFee);
+        _checkSlippage(boughtOURT, maxOURT, minOURT);
 
         //initiate swap
-        _swap(0, boughtOURT, _msgSender());
+        _swap(0, boughtOURT, _msgSender(), "");
     }
 
-    // Swap ETH to OURT
-    function sellOURT(uint amountOURT, uint maxETH, uint minETH, uint32 deadline) external ensure(deadline){
+    // Swap OURT to ETH
+    function sellOURT(uint amountOURT, uint maxETH, uint minETH, uint32 deadline) public ensure(deadline){
         // get reserves
         (uint _reserveETH, uint _reserveOURT, ) = getReserves();
         // get sender
@@ -358,24 +496,35 @@ contract OurDEX is OurDEXToken {
         require(spentOURT > 0, 'OurDEX: ZERO_OURT_SENT');
 
         // calculate OURT bought
-        uint boughtETH = _getAmountOut(spentOURT, _reserveOURT, _reserveETH, feeFactor);
-        require(maxETH >= boughtETH && boughtETH >= minETH, 'OurDEX: SLIPPAGE_RATE_EXCEEDED');
+        uint boughtETH = OurDEXLibrary.getAmountOut(spentOURT, _reserveOURT, _reserveETH, swapFee);
+        _checkSlippage(boughtETH, maxETH, minETH);
 
         // transfer token from user
         _safeTransferFromOURT(sender, address(this), amountOURT);
 
         //initiate swap
-        _swap(boughtETH, 0, sender);
+        _swap(boughtETH, 0, sender, "");
     }
 
-    /** PRIVATE FUNCTIONS -- THESE FUNCTIONS SHOULD BE CALLED FROM OTHER FUNCTIONS WITH PROPER CHECKS */
+    // Swap OURT to ETH, approving the OURT with the sender's EIP-2612 permit for `amountOURT` signed with the same deadline
+    function sellOURTWithPermit(uint amountOURT, uint maxETH, uint minETH, uint32 deadline, uint8 v, bytes32 r, bytes32 s) external{
+        _permitOURT(amountOURT, deadline, v, r, s);
+        sellOURT(amountOURT, maxETH, minETH, deadline);
+    }
 
-    // Calculates the amount of OURX to be minted given parameters
-    function _calculateOURXMintable(uint totalSupply, uint reqETH, uint resvETH, uint reqOURT, uint resvOURT)
-        private pure returns (uint mintable){
-        mintable = Math.min(uint(reqETH).mul(totalSupply) / resvETH, uint(reqOURT).mul(totalSupply) / resvOURT);
+    /**
+     * Flash swap: sends `outETH` and/or `outOURT` to `to` then calls `ourDEXCall` on it with `data`,
+     * `to` must pay the pool back in ETH, OURT or both before returning. Whatever is paid back is charged
+     * the LP fee by the K check, so borrowing and returning the same asset costs the fee, which stays with LPs.
+     * The quote functions above give the amounts to pay back, computed on the reserves before the flash swap.
+    */
+    function flashSwap(uint outETH, uint outOURT, address to, bytes calldata data) external {
+        require(data.length > 0, 'OurDEX: INVALID_DATA');
+        _swap(outETH, outOURT, to, data);
     }
 
+    /** PRIVATE FUNCTIONS -- THESE FUNCTIONS SHOULD BE CALLED FROM OTHER FUNCTIONS WITH PROPER CHECKS */
+
     // transfers OURT token from OurDEX to supplied address
     function _safeTransferOURT(address to, uint value) private {
         bool success = IERC20(ourToken).transfer(to, value);
@@ -394,28 +543,60 @@ contract OurDEX is OurDEXToken {
         require(success, 'OurDEX: OURT_TRANSFER_FAILED');
     }
 
-    function _updateLiquidityRecords (address to, uint amountETH, uint amountOURT, bool status) private {
+    // approves this pool to spend `value` OURT of the sender with its EIP-2612 permit
+    function _permitOURT(uint value, uint32 deadline, uint8 v, bytes32 r, bytes32 s) private {
+        IERC20Permit(ourToken).permit(_msgSender(), address(this), value, deadline, v, r, s);
+    }
+
+    function _updateLiquidityRecords (address to, address counterparty, uint amountETH, uint amountOURT, uint amountOURX, bool status) private {
         // add liquidity record to mapping
-        liquidtyRecords[to].push(liquidityRec(block.timestamp, status, amountETH, amountOURT)); /* solium-disable-line */
+        liquidtyRecords[to].push(liquidityRec(block.timestamp, status, counterparty, amountETH, amountOURT, amountOURX)); /* solium-disable-line */
+    }
+
+    /**
+     * OURX transfers are recorded for both accounts, mints and burns are recorded by __mint and __burn.
+     * Empty transfers would let anyone grow the history of any account, they are not recorded and neither
+     * are the transfers of the locked shares
+    */
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._afterTokenTransfer(from, to, amount);
+        if (from == address(0) || to == address(0) || amount == 0) return;
+        if (from == LOCKED_LIQUIDITY_HOLDER || to == LOCKED_LIQUIDITY_HOLDER) return;
+
+        (uint amountETH, uint amountOURT) = calculateOnBurnValue(amount);
+        _updateLiquidityRecords(from, to, amountETH, amountOURT, amount, false);
+        _updateLiquidityRecords(to, from, amountETH, amountOURT, amount, true);
+    }
+
+
+    // mints the accrued protocol fee to the treasury, returns whether the fee is on
+    function _mintFee(uint _reserveETH, uint _reserveOURT) private returns (bool feeOn) {
+        feeOn = treasury != address(0) && protocolFeeShare > 0;
+        if (feeOn) {
+            uint liquidity = OurDEXLibrary.calcProtocolFee(totalSupply(), _reserveETH, _reserveOURT, kLast, protocolFeeShare);
+            if (liquidity > 0) {
+                _mint(treasury, liquidity);
+                emit ProtocolFeeMinted(treasury, liquidity);
+            }
+        } else if (kLast != 0) {
+            kLast = 0;
+        }
     }
 
-    // Calculates per rata returned ETH and OURT from OURX burn
-    function _calcForBurn(uint amountOURX, uint balanceETH, uint balanceOURT, uint _totalSupply)
-        private pure returns (uint amountETH, uint amountOURT){
-        amountETH = uint(amountOURX).mul(balanceETH) / _totalSupply;
-        amountOURT = uint(amountOURX).mul(balanceOURT) / _totalSupply;
+    // growth is only accounted from the moment the fee is turned on
+    function _resetKLast() private {
+        kLast = treasury != address(0) && protocolFeeShare > 0 ? reserveETH.mul(reserveOURT) : 0;
     }
 
-    // update reserves and, on the first call per block, pushes to price history
+    // update reserves and, on the first call per block, accumulates prices and records an observation
     function _update(uint balanceETH, uint balanceOURT, uint _reserveETH, uint _reserveOURT) private {
         require(balanceETH <= type(uint).max && balanceOURT <= type(uint).max, 'OurDEX: OVERFLOW'); // check for potential UINT overflow
 
         uint32 blockTimestamp = uint32(block.timestamp % 2**32); /* solium-disable-line */ // getting current block timestamp and casting to proper format
         uint32 timeElapsed = blockTimestamp - blockTimestampLast; // timeElapsed > 0 means new block
 
-        if (timeElapsed > 0 && _reserveETH != 0 && _reserveOURT != 0) {
-            priceHistory[blockTimestamp] = uint(_reserveETH / _reserveOURT); // add to history map
-        }
+        // accumulate the prices held since the last block and record an observation
+        OurOracleLibrary.update(oracle, _reserveETH, _reserveOURT, timeElapsed, blockTimestamp);
 
         reserveETH = uint(balanceETH); // update ETH reserves
         reserveOURT = uint(balanceOURT); // update OURT reserves
@@ -426,6 +607,7 @@ contract OurDEX is OurDEXToken {
 
     // this low-level function should be called from a public function which performs important safety checks
     function __mint(address to, uint _reserveETH, uint _reserveOURT) internal lock{
+        bool feeOn = _mintFee(_reserveETH, _reserveOURT); // must be minted before totalSupply is read
         uint totalSupply = totalSupply();
         uint mintedOURX = 0;
 
@@ -437,26 +619,14 @@ contract OurDEX is OurDEXToken {
 
         // Calculating OURX to mint
         if (totalSupply == 0) {
-            // initial liquidity provision OURX share calculation
-
-            /**
-             * I've temporarily disable minimum liquidity, eventhough i believe it is VERY important
-             * to maintain initial liquidity but at this stage (testing) and before we can play around
-             * with these numbers, minimum liquidity is not important.
-             * once minimum liquidity is to be set there are 2 problems to solve
-             * 1- Investor fund locked in pool forever, ROI?
-             * 2- Tokens in ERC20 cannot be minted to address 0 so they must be minted to supplied address
-             *    and then burned.
-             *
-             * After further thought and the introduction of governance, this is being checked at the
-             * "addLiquidity" and "removeLiquidity" actions
-            */
-
-            mintedOURX = SafeSqrt.sqrt(amountETH.mul(amountOURT));//.sub(MINIMUM_LIQUIDITY);
-           // _mint(address(0), MINIMUM_LIQUIDITY); // permanently lock the first MINIMUM_LIQUIDITY tokens
+            // initial liquidity provision OURX share calculation, the first MINIMUM_LIQUIDITY shares are locked forever
+            uint liquidity = SafeSqrt.sqrt(amountETH.mul(amountOURT));
+            require(liquidity > MINIMUM_LIQUIDITY, 'OurDEX: MINIMUM_POOL_LIQUIDITY');
+            mintedOURX = liquidity - MINIMUM_LIQUIDITY;
+            _mint(LOCKED_LIQUIDITY_HOLDER, MINIMUM_LIQUIDITY);
         } else {
             // liquidity provision OURX share calculation
-            mintedOURX = _calculateOURXMintable(totalSupply, amountETH, _reserveETH, amountOURT, _reserveOURT);
+            mintedOURX = OurDEXLibrary.calculateMintable(totalSupply, amountETH, _reserveETH, amountOURT, _reserveOURT);
         }
 
         // Checking to-mint acount and minting
@@ -468,28 +638,26 @@ contract OurDEX is OurDEXToken {
         _update(balanceETH, balanceOURT, _reserveETH, _reserveOURT);
 
         // Update liquidity records
-        _updateLiquidityRecords(to, amountETH, amountOURT, true);
+        _updateLiquidityRecords(to, address(0), amountETH, amountOURT, mintedOURX, true);
 
-        /**
-         * It seems in uniswap, when the fees are on, the fees are calculated by delta K therefore last K is
-         * It might be benificial to save the account liquidity history or just saving the initial liquidity value
-         * and recalculating the OURX tokens' value from the current pool to show the difference to the user
-        */
-        /** kLast = uint112(reserveETH).mul(reserverOURT);  */
+        // reserves are up to date, protocol fees accrue from here on
+        if (feeOn) kLast = reserveETH.mul(reserveOURT);
 
-        emit Mint(msg.sender, amountETH, amountOURT, mintedOURX);
+        emit Mint(msg.sender, to, amountETH, amountOURT, mintedOURX);
     }
 
     // this low-level function should be called from a public function which performs important safety checks
-    function __burn(address to, uint amountOURX, uint balanceOURX, uint balanceETH, uint balanceOURT, uint __totalSupply) internal lock{
+    function __burn(address to, uint amountOURX, uint balanceOURX, uint balanceETH, uint balanceOURT) internal lock{
         (uint _reserveETH, uint _reserveOURT, ) = getReserves(); // gas savings
+        bool feeOn = _mintFee(_reserveETH, _reserveOURT); // must be minted before totalSupply is read
+        uint __totalSupply = totalSupply();
 
         // check that tokens to burn are less than or equal to total OURX held by account
         require(amountOURX <= balanceOURX, 'OurDEX: INSUFFICIENT_LIQUIDITY_BURNED');
 
         // calculate the amount that should be returned to the account of both token and ETH
         // using balances ensures pro-rata distribution
-        (uint amountETH, uint amountOURT) = _calcForBurn(amountOURX, balanceETH, balanceOURT, __totalSupply);
+        (uint amountETH, uint amountOURT) = OurDEXLibrary.calcForBurn(amountOURX, balanceETH, balanceOURT, __totalSupply);
 
         // check amounts
         require(amountETH > 0 && amountOURT > 0, 'OurDEX: INSUFFICIENT_LIQUIDITY_BURNED');
@@ -503,15 +671,16 @@ contract OurDEX is OurDEXToken {
 
         // update balances and reserves
         _update(address(this).balance, IERC20(ourToken).balanceOf(address(this)), _reserveETH, _reserveOURT);
+        if (feeOn) kLast = reserveETH.mul(reserveOURT);
 
         // Update liquidity records
-        _updateLiquidityRecords(to, amountETH, amountOURT, false);
+        _updateLiquidityRecords(to, address(0), amountETH, amountOURT, amountOURX, false);
 
-        emit Burn(msg.sender, amountETH, amountOURT, amountOURX);
+        emit Burn(msg.sender, to, amountETH, amountOURT, amountOURX);
     }
 
     // this low-level function should be called from a public function which performs important safety checks
-    function _swap(uint outETH, uint outOURT, address to) internal lock{
+    function _swap(uint outETH, uint outOURT, address to, bytes memory data) internal lock{
         require(outETH > 0 || outOURT > 0, 'OurDEX: INSUFFICIENT_OUTPUT_AMOUNT');
 
         (uint _reserveETH, uint _reserveOURT,) = getReserves(); // gas savings
@@ -533,6 +702,7 @@ contract OurDEX is OurDEXToken {
         // trigger the appropriate transfer function when value of out > 0
         if (outETH > 0) _safeTransferETH(payable(to), outETH); // optimistically transfer ETH
         if (outOURT > 0) _safeTransferOURT(to, outOURT); // optimistically transfer tokens
+        if (data.length > 0) OurDEXCalleeInterface(to).ourDEXCall(_msgSender(), outETH, outOURT, data); // flash swap callback
 
         // get new balances
         balanceETH = address(this).balance;
@@ -543,48 +713,12 @@ contract OurDEX is OurDEXToken {
         uint amountOURTIn = balanceOURT > _reserveOURT - outOURT ? balanceOURT - (_reserveOURT - outOURT) : 0;
         require(amountETHIn > 0 || amountOURTIn > 0, 'OurDEX: INSUFFICIENT_INPUT_AMOUNT');
 
-        /**
-         * I'm not entirely sure why the amounts in are being multiplied by 3 here.
-         * on paper, doing the calculations, this seems valid as after a swap the
-         * left hand term "balance0Adjusted.mul(balance1Adjusted)" will always be
-         * smaller than the right hand term "uint112(_reserve0).mul(_reserve1).mul(1000**2)"
-         * Even though on paper this works, more research needs to be made into this to
-         * see if there are better -more understandable- approaches.
-        */
-
-        uint balanceETHAdjusted = balanceETH.mul(1000).sub(amountETHIn.mul(3));
-        uint balanceOURTAdjusted = balanceOURT.mul(1000).sub(amountOURTIn.mul(3));
-        require(balanceETHAdjusted.mul(balanceOURTAdjusted) >= _reserveETH.mul(_reserveOURT).mul(1000**2), 'OurDEX: K');
+        // K must hold once the liquidity provider fee is taken off the amounts in
+        require(OurDEXLibrary.checkK(balanceETH, balanceOURT, amountETHIn, amountOURTIn, _reserveETH, _reserveOURT, swapFee), 'OurDEX: K');
 
         // Syncing reserves and balances
         _update(balanceETH, balanceOURT, _reserveETH, _reserveOURT);
 
-        // create swap reports for event
-        swapReport memory _in = swapReport(outETH > 0 ? ourToken : address(0), outETH > 0 ? amountOURTIn : amountETHIn);
-        swapReport memory _out = swapReport(outETH > 0 ?  address(0) : ourToken, outETH > 0 ? outETH : outOURT);
-
-        emit Swap(msg.sender, _in, _out, to);
-    }
-
-    // given an input amount of an asset and pair reserves, returns the maximum output amount of the other asset
-    function _getAmountOut(uint amountIn, uint reserveIn, uint reserveOut, uint feeFac) internal pure returns (uint amountOut) {
-        require(amountIn > 0, 'OurDEX: INSUFFICIENT_INPUT_AMOUNT');
-        require(reserveIn > 0 && reserveOut > 0, 'OurDEX: INSUFFICIENT_LIQUIDITY');
-        uint amountInWithoutFee = amountIn.mul(feeFac); // 0.4% liquidity provider fee
-        amountOut = amountInWithoutFee.mul(reserveOut) / reserveIn.mul(1000).add(amountInWithoutFee);
-    }
-
-    // given an output amount of an asset and pair reserves, returns a required input amount of the other asset
-    function _getAmountIn(uint amountOut, uint reserveIn, uint reserveOut, uint feeFac) internal pure returns (uint amountIn) {
-        require(amountOut > 0, 'OurDEX: INSUFFICIENT_OUTPUT_AMOUNT');
-        require(reserveIn > 0 && reserveOut > 0, 'OurDEX: INSUFFICIENT_LIQUIDITY');
-        amountIn = reserveIn.mul(amountOut).mul(1000) / reserveOut.sub(amountOut).mul(feeFac); // 0.4% liquidity provider fee
-    }
-
-    // given an input amount of an asset and pair reserves, returns a required input amount of the other asset for liquidity provision
-    function _getAmountMatch(uint amountIn, uint reserveIn, uint reserveOut) internal pure returns (uint amountReq) {
-        require(amountIn > 0, 'OurDEX: INSUFFICIENT_INPUT_AMOUNT');
-        require(reserveIn > 0 && reserveOut > 0, 'OurDEX: INSUFFICIENT_LIQUIDITY');
-        amountReq = (reserveOut.mul(amountIn) / reserveIn);
+        emit Swap(msg.sender, amountETHIn, amountOURTIn, outETH, outOURT, to);
     }
 }
\ No newline at end of file
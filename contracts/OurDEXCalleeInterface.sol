@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+/**
+ * Implemented by contracts receiving OurDEX flash swaps.
+ * The pool transfers `amountETH` and/or `amountOURT` to the receiver then calls `ourDEXCall`,
+ * by the time it returns the receiver must have paid the pool back (ETH can only be sent to
+ * the pool during this call), the K invariant is checked afterwards with the LP fee taken
+ * off the amounts paid back.
+*/
+interface OurDEXCalleeInterface {
+    function ourDEXCall(address sender, uint amountETH, uint amountOURT, bytes calldata data) external;
+}
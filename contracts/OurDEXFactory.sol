@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../node_modules/@openzeppelin/contracts/access/Ownable.sol";
+import './OurDEX.sol';
+import './lib/OurDEXDeployer.sol';
+import './lib/OurPairDeployer.sol';
+
+/**
+ * Deploys and registers liquidity pools.
+ * ETH/token pools are OurDEX instances, token/token pools are OurPair instances. Every pool
+ * is handed over to the factory owner (the governance timelock) on creation.
+*/
+contract OurDEXFactory is Ownable {
+
+    /** CONSTANTS */
+
+    // ETH is represented by the zero address in the registry
+    address public constant ETH = address(0);
+
+    /** PUBLIC */
+
+    // swap fee given to newly created pools, in basis points
+    uint public defaultFee;
+
+    // registry of pools by token pair, filled in both directions
+    mapping (address => mapping (address => address)) public getPair;
+
+    // every registered pool
+    address[] public allPairs;
+
+    /** EVENT DEFINITIONS */
+
+    // Emitted when a pool is created or registered, token0 is ETH for OurDEX pools
+    event PairCreated(address indexed token0, address indexed token1, address pair, uint index);
+    // Emitted when governance changes the swap fee given to newly created pools
+    event FeeChanged(uint previousFee, uint newFee);
+
+    /** INIT */
+
+    /**
+     * `pool` is an ETH/`token` OurDEX deployed before the factory (ie: the original ETH/OURT pool), it is
+     * registered on deployment so no one can create that pair first, the zero address registers none
+    */
+    constructor(uint fee, address token, address pool) Ownable() {
+        require(fee <= OurDEXLibrary.MAX_SWAP_FEE, 'OurDEXFactory: INVALID_FEE');
+        defaultFee = fee;
+        if (pool != address(0)) {
+            (address token0, address token1) = sortTokens(ETH, token);
+            _register(token0, token1, pool);
+        }
+    }
+
+    /** PUBLIC VIEWS */
+
+    function allPairsLength() external view returns (uint) {
+        return allPairs.length;
+    }
+
+    // sorts a token pair by address, ETH (address(0)) always comes first
+    function sortTokens(address tokenA, address tokenB) public pure returns (address token0, address token1) {
+        require(tokenA != tokenB, 'OurDEXFactory: IDENTICAL_ADDRESSES');
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+
+    /** PUBLIC ACTIONS */
+
+    /** Governance */
+
+    /** Changes the swap fee given to newly created pools, existing pools keep theirs */
+    function changeDefaultFee(uint newFee) public onlyOwner(){
+        require(newFee <= OurDEXLibrary.MAX_SWAP_FEE, 'OurDEXFactory: INVALID_FEE');
+        emit FeeChanged(defaultFee, newFee);
+        defaultFee = newFee;
+    }
+
+    /** Registers a pool deployed outside of the factory (ie: the original ETH/OURT OurDEX) */
+    function registerPair(address tokenA, address tokenB, address pair) public onlyOwner(){
+        (address token0, address token1) = sortTokens(tokenA, tokenB);
+        require(pair != address(0), 'OurDEXFactory: ZERO_ADDRESS_PAIR');
+        _register(token0, token1, pair);
+    }
+
+    /** /Governance */
+
+    /**
+     * Deploys a pool for the supplied tokens, pass ETH (address(0)) as one of the
+     * tokens to create an ETH/token pool
+    */
+    function createPair(address tokenA, address tokenB) external returns (address pair) {
+        (address token0, address token1) = sortTokens(tokenA, tokenB);
+
+        if (token0 == ETH) {
+            pair = OurDEXDeployer.deploy(token1, defaultFee);
+            // OurDEX is owned by its deployer, hand it over to governance
+            OurDEX(payable(pair)).changeGovernance(owner());
+        } else {
+            pair = OurPairDeployer.deploy(token0, token1, defaultFee, owner());
+        }
+
+        _register(token0, token1, pair);
+    }
+
+    /** PRIVATE FUNCTIONS */
+
+    function _register(address token0, address token1, address pair) private {
+        require(getPair[token0][token1] == address(0), 'OurDEXFactory: PAIR_EXISTS');
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+        emit PairCreated(token0, token1, pair, allPairs.length - 1);
+    }
+}
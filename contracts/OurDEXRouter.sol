@@ -0,0 +1,237 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../node_modules/@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
+
+/**
+ * Routes swaps through the pools registered in OurDEXFactory.
+ * A path is a list of token addresses where ETH is address(0), every consecutive couple
+ * must have a registered pool. Exact-input swaps spend a fixed amount for at least `amountOutMin`,
+ * exact-output swaps deliver at least `amountOut` for at most `amountInMax`.
+*/
+contract OurDEXRouter {
+
+    /** DEFINITIONS */
+
+    // Math-specific libraries for safely handling larger numbers
+    using SafeMath for uint;
+
+    /** CONSTANTS */
+
+    // ETH is represented by the zero address in paths
+    address public constant ETH = address(0);
+
+    /** PUBLIC */
+
+    // the pool registry
+    OurDEXFactoryInterface public factory;
+
+    /** MODIFIERS */
+
+    // Locking mechanism modifier for specific lock-requiring actions
+    uint8 private unlocked;
+    modifier lock() {
+        require(unlocked == 1, 'OurDEXRouter: LOCKED');
+        unlocked = 0;
+        _;
+        unlocked = 1;
+    }
+
+    // Deadline insurance modifier: Stops execution if dealine timestamp reached
+    modifier ensure(uint32 deadline) {
+        require(deadline >= block.timestamp, 'OurDEXRouter: EXPIRED'); /* solium-disable-line */
+        _;
+    }
+
+    /** EVENT DEFINITIONS */
+
+    // Emitted once a routed swap is complete
+    event RoutedSwap(address indexed sender, address[] path, uint amountIn, uint amountOut, address indexed to);
+
+    /** INIT */
+
+    constructor(address _factory) {
+        factory = OurDEXFactoryInterface(_factory);
+        unlocked = 1;
+    }
+
+    /** PAYABLE */
+
+    /** ETH pools pay out through a gas limited transfer in the middle of a hop, the router is locked then */
+    receive() external payable {
+        require(unlocked == 0, 'OurDEXRouter: UNEXPECTED_ETH_SENT');
+    }
+
+    /** PUBLIC VIEWS */
+
+    /** Amounts received at every step of `path` when spending `amountIn` */
+    function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts) {
+        require(path.length >= 2, 'OurDEXRouter: INVALID_PATH');
+        amounts = new uint[](path.length);
+        amounts[0] = amountIn;
+        for (uint i = 0; i < path.length - 1; i++) {
+            amounts[i + 1] = _quote(path[i], path[i + 1], amounts[i]);
+        }
+    }
+
+    /** Amounts required at every step of `path` to receive `amountOut` */
+    function getAmountsIn(uint amountOut, address[] memory path) public view returns (uint[] memory amounts) {
+        require(path.length >= 2, 'OurDEXRouter: INVALID_PATH');
+        amounts = new uint[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+        for (uint i = path.length - 1; i > 0; i--) {
+            amounts[i - 1] = _reverseQuote(path[i - 1], path[i], amounts[i]);
+        }
+    }
+
+    /** PUBLIC ACTIONS */
+
+    /**
+     * Spends exactly `amountIn` of path[0] (sent as msg.value for ETH, which must match it) and sends
+     * at least `amountOutMin` of the last token of the path to `to`
+    */
+    function swapExactIn(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint32 deadline)
+        external payable lock ensure(deadline) returns (uint amountOut)
+    {
+        require(path.length >= 2, 'OurDEXRouter: INVALID_PATH');
+        // ETH above the input would be stuck in the router
+        require(path[0] != ETH || msg.value <= amountIn, 'OurDEXRouter: UNEXPECTED_ETH_SENT');
+        _pullInput(path[0], amountIn, msg.value);
+
+        amountOut = _swapPath(amountIn, path);
+        require(amountOut >= amountOutMin, 'OurDEXRouter: SLIPPAGE_RATE_EXCEEDED');
+
+        _pushOutput(path[path.length - 1], to, amountOut);
+        emit RoutedSwap(msg.sender, path, amountIn, amountOut, to);
+    }
+
+    /**
+     * Sends at least `amountOut` of the last token of the path to `to` spending at most `amountInMax`
+     * of path[0]. When paying in ETH, any msg.value above the required input is refunded.
+    */
+    function swapExactOut(uint amountOut, uint amountInMax, address[] calldata path, address to, uint32 deadline)
+        external payable lock ensure(deadline) returns (uint amountIn)
+    {
+        amountIn = getAmountsIn(amountOut, path)[0];
+        require(amountIn <= amountInMax, 'OurDEXRouter: SLIPPAGE_RATE_EXCEEDED');
+        _pullInput(path[0], amountIn, path[0] == ETH ? msg.value : 0);
+
+        uint received = _swapPath(amountIn, path);
+        require(received >= amountOut, 'OurDEXRouter: INSUFFICIENT_OUTPUT_AMOUNT');
+
+        _pushOutput(path[path.length - 1], to, received);
+        // refund the ETH sent above the required input
+        if (path[0] == ETH && msg.value > amountIn) _safeTransferETH(payable(msg.sender), msg.value - amountIn);
+
+        emit RoutedSwap(msg.sender, path, amountIn, received, to);
+    }
+
+    /** PRIVATE FUNCTIONS */
+
+    // gets the pool for a couple of tokens
+    function _pool(address tokenIn, address tokenOut) private view returns (address pool) {
+        pool = factory.getPair(tokenIn, tokenOut);
+        require(pool != address(0), 'OurDEXRouter: PAIR_NOT_FOUND');
+    }
+
+    // output amount for a single hop
+    function _quote(address tokenIn, address tokenOut, uint amountIn) private view returns (uint) {
+        address pool = _pool(tokenIn, tokenOut);
+        if (tokenIn == ETH) return OurDEXInterface(pool).getQuoteForOURT(amountIn);
+        if (tokenOut == ETH) return OurDEXInterface(pool).getQuoteForETH(amountIn);
+        return OurPairInterface(pool).getQuote(tokenIn, amountIn);
+    }
+
+    // input amount for a single hop
+    function _reverseQuote(address tokenIn, address tokenOut, uint amountOut) private view returns (uint) {
+        address pool = _pool(tokenIn, tokenOut);
+        if (tokenIn == ETH) return OurDEXInterface(pool).getReverseQuoteForOURT(amountOut);
+        if (tokenOut == ETH) return OurDEXInterface(pool).getReverseQuoteForETH(amountOut);
+        return OurPairInterface(pool).getReverseQuote(tokenIn, amountOut);
+    }
+
+    // swaps along the path, feeding every hop with what the previous one actually delivered
+    function _swapPath(uint amountIn, address[] calldata path) private returns (uint amountOut) {
+        amountOut = amountIn;
+        for (uint i = 0; i < path.length - 1; i++) {
+            amountOut = _swapHop(path[i], path[i + 1], amountOut);
+        }
+    }
+
+    // swaps `amountIn` through a single pool, the router holds both sides in between hops
+    function _swapHop(address tokenIn, address tokenOut, uint amountIn) private returns (uint amountOut) {
+        address pool = _pool(tokenIn, tokenOut);
+        uint quote = _quote(tokenIn, tokenOut, amountIn);
+        uint balanceBefore = _balanceOf(tokenOut);
+        uint32 deadline = uint32(block.timestamp); /* solium-disable-line */
+
+        if (tokenIn == ETH) {
+            OurDEXInterface(pool).buyOURT{value: amountIn}(quote, quote, deadline);
+        } else if (tokenOut == ETH) {
+            _safeApprove(tokenIn, pool, amountIn);
+            OurDEXInterface(pool).sellOURT(amountIn, quote, quote, deadline);
+        } else {
+            _safeApprove(tokenIn, pool, amountIn);
+            OurPairInterface(pool).swap(tokenIn, amountIn, quote, quote, deadline);
+        }
+
+        amountOut = _balanceOf(tokenOut).sub(balanceBefore);
+    }
+
+    // receives the input of a swap from the sender
+    function _pullInput(address tokenIn, uint amountIn, uint value) private {
+        require(amountIn > 0, 'OurDEXRouter: INSUFFICIENT_INPUT_AMOUNT');
+        if (tokenIn == ETH) {
+            require(value >= amountIn, 'OurDEXRouter: INSUFFICIENT_ETH_SENT');
+        } else {
+            require(msg.value == 0, 'OurDEXRouter: UNEXPECTED_ETH_SENT');
+            bool success = IERC20(tokenIn).transferFrom(msg.sender, address(this), amountIn);
+            require(success, 'OurDEXRouter: TOKEN_TRANSFER_FAILED');
+        }
+    }
+
+    // sends the output of a swap to its recipient
+    function _pushOutput(address tokenOut, address to, uint amountOut) private {
+        if (tokenOut == ETH) {
+            _safeTransferETH(payable(to), amountOut);
+        } else {
+            bool success = IERC20(tokenOut).transfer(to, amountOut);
+            require(success, 'OurDEXRouter: TOKEN_TRANSFER_FAILED');
+        }
+    }
+
+    function _balanceOf(address token) private view returns (uint) {
+        return token == ETH ? address(this).balance : IERC20(token).balanceOf(address(this));
+    }
+
+    function _safeApprove(address token, address spender, uint value) private {
+        bool success = IERC20(token).approve(spender, value);
+        require(success, 'OurDEXRouter: APPROVE_FAILED');
+    }
+
+    // the recipient may be a contract, forward all the gas instead of a 2300 gas stipend
+    function _safeTransferETH(address payable to, uint value) private {
+        (bool success, ) = to.call{value: value}("");
+        require(success, 'OurDEXRouter: ETH_TRANSFER_FAILED');
+    }
+}
+
+interface OurDEXFactoryInterface {
+    function getPair(address tokenA, address tokenB) external view returns (address);
+}
+
+interface OurDEXInterface {
+    function getQuoteForOURT(uint amountETH) external view returns (uint);
+    function getReverseQuoteForOURT(uint amountOURT) external view returns (uint);
+    function getQuoteForETH(uint amountOURT) external view returns (uint);
+    function getReverseQuoteForETH(uint amountETH) external view returns (uint);
+    function buyOURT(uint maxOURT, uint minOURT, uint32 deadline) external payable;
+    function sellOURT(uint amountOURT, uint maxETH, uint minETH, uint32 deadline) external;
+}
+
+interface OurPairInterface {
+    function getQuote(address tokenIn, uint amountIn) external view returns (uint);
+    function getReverseQuote(address tokenIn, uint amountOut) external view returns (uint);
+    function swap(address tokenIn, uint amountIn, uint maxOut, uint minOut, uint32 deadline) external;
+}
@@ -4,6 +4,7 @@ pragma solidity >=0.4.22 <0.9.0;
 import "./../node_modules/@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "./../node_modules/@openzeppelin/contracts/token/ERC20/extensions/ERC20Snapshot.sol";
 import "./../node_modules/@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
+import "./../node_modules/@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
 import "./../node_modules/@openzeppelin/contracts/access/Ownable.sol";
 import "./../node_modules/@openzeppelin/contracts/access/AccessControl.sol";
 import "./../node_modules/@openzeppelin/contracts/proxy/utils/Initializable.sol";
@@ -14,9 +15,10 @@ contract OurDEXToken is
             ERC20Snapshot,
             ERC20Pausable,
             Ownable,
-            AccessControl
+            AccessControl,
+            ERC20Permit
 {
-    constructor(string memory name_, string memory symbol_, address _governance) ERC20(name_, symbol_) Ownable(){
+    constructor(string memory name_, string memory symbol_, address _governance) ERC20(name_, symbol_) ERC20Permit(name_) Ownable(){
         _setupRole(DEFAULT_ADMIN_ROLE, _governance);
         transferOwnership(_governance);
     }
@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../node_modules/@openzeppelin/contracts/access/Ownable.sol";
+import "./../node_modules/@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
+import './OurDEXCalleeInterface.sol';
+
+/**
+ * Example flash swap receiver arbitraging two ETH/OURT pools without pre-funding.
+ * It borrows one asset from the pool where it is cheap, sells it in the other pool and pays the first
+ * pool back in the other asset, keeping the difference. Nothing is held in between two arbitrages,
+ * the profit is sent to the owner, an unprofitable arbitrage reverts as a whole.
+*/
+contract OurFlashArbitrage is Ownable, OurDEXCalleeInterface {
+
+    /** DEFINITIONS */
+
+    // Math-specific libraries for safely handling larger numbers
+    using SafeMath for uint;
+
+    /** PUBLIC */
+
+    // OURT token traded by the pools
+    address public ourToken;
+
+    /** PRIVATE */
+
+    // pool of the flash swap in progress, the only one allowed to call back
+    address private pendingPool;
+
+    /** EVENT DEFINITIONS */
+
+    // Emitted once an arbitrage is complete, the profit is in ETH when OURT was borrowed and the other way around
+    event Arbitrage(address indexed poolBorrow, address indexed poolSwap, uint borrowedETH, uint borrowedOURT, uint profit);
+
+    /** INIT */
+
+    constructor(address _token) Ownable() {
+        ourToken = _token;
+    }
+
+    /** PAYABLE */
+
+    /** Pools pay out through a gas limited transfer, nothing runs here */
+    receive() external payable { }
+
+    /** PUBLIC ACTIONS */
+
+    /**
+     * Borrows either `amountETH` or `amountOURT` from `poolBorrow`, swaps it in `poolSwap`
+     * and sends at least `minProfit` of the other asset to the owner
+    */
+    function arbitrage(address poolBorrow, address poolSwap, uint amountETH, uint amountOURT, uint minProfit, uint32 deadline)
+        external onlyOwner() returns (uint profit)
+    {
+        require((amountETH > 0) != (amountOURT > 0), 'OurFlashArbitrage: INVALID_AMOUNTS');
+        require(poolBorrow != poolSwap, 'OurFlashArbitrage: SAME_POOL');
+        require(deadline >= block.timestamp, 'OurFlashArbitrage: EXPIRED'); /* solium-disable-line */
+
+        uint balanceBefore = amountOURT > 0 ? address(this).balance : IERC20(ourToken).balanceOf(address(this));
+
+        pendingPool = poolBorrow;
+        OurDEXFlashInterface(poolBorrow).flashSwap(amountETH, amountOURT, address(this), abi.encode(poolSwap, deadline));
+        pendingPool = address(0);
+
+        // send the profit to the owner
+        if (amountOURT > 0) {
+            profit = address(this).balance.sub(balanceBefore);
+            require(profit >= minProfit, 'OurFlashArbitrage: INSUFFICIENT_PROFIT');
+            (bool success, ) = payable(owner()).call{value: profit}("");
+            require(success, 'OurFlashArbitrage: ETH_TRANSFER_FAILED');
+        } else {
+            profit = IERC20(ourToken).balanceOf(address(this)).sub(balanceBefore);
+            require(profit >= minProfit, 'OurFlashArbitrage: INSUFFICIENT_PROFIT');
+            require(IERC20(ourToken).transfer(owner(), profit), 'OurFlashArbitrage: OURT_TRANSFER_FAILED');
+        }
+
+        emit Arbitrage(poolBorrow, poolSwap, amountETH, amountOURT, profit);
+    }
+
+    /** Flash swap callback: swaps what was borrowed in the other pool then pays the borrowing pool back */
+    function ourDEXCall(address sender, uint amountETH, uint amountOURT, bytes calldata data) external override {
+        require(msg.sender == pendingPool && sender == address(this), 'OurFlashArbitrage: UNAUTHORIZED');
+        (address poolSwap, uint32 deadline) = abi.decode(data, (address, uint32));
+        OurDEXFlashInterface pool = OurDEXFlashInterface(msg.sender);
+
+        if (amountOURT > 0) {
+            // OURT -> ETH in the other pool, paid back in ETH
+            uint boughtETH = OurDEXFlashInterface(poolSwap).getQuoteForETH(amountOURT);
+            uint owedETH = pool.getReverseQuoteForOURT(amountOURT);
+            require(boughtETH > owedETH, 'OurFlashArbitrage: UNPROFITABLE');
+            require(IERC20(ourToken).approve(poolSwap, amountOURT), 'OurFlashArbitrage: APPROVE_FAILED');
+            OurDEXFlashInterface(poolSwap).sellOURT(amountOURT, boughtETH, boughtETH, deadline);
+            (bool success, ) = msg.sender.call{value: owedETH}("");
+            require(success, 'OurFlashArbitrage: ETH_TRANSFER_FAILED');
+        } else {
+            // ETH -> OURT in the other pool, paid back in OURT
+            uint boughtOURT = OurDEXFlashInterface(poolSwap).getQuoteForOURT(amountETH);
+            uint owedOURT = pool.getReverseQuoteForETH(amountETH);
+            require(boughtOURT > owedOURT, 'OurFlashArbitrage: UNPROFITABLE');
+            OurDEXFlashInterface(poolSwap).buyOURT{value: amountETH}(boughtOURT, boughtOURT, deadline);
+            require(IERC20(ourToken).transfer(msg.sender, owedOURT), 'OurFlashArbitrage: OURT_TRANSFER_FAILED');
+        }
+    }
+}
+
+interface OurDEXFlashInterface {
+    function getQuoteForOURT(uint amountETH) external view returns (uint amountOURT);
+    function getReverseQuoteForOURT(uint amountOURT) external view returns (uint amountETH);
+    function getQuoteForETH(uint amountOURT) external view returns (uint amountETH);
+    function getReverseQuoteForETH(uint amountETH) external view returns (uint amountOURT);
+    function buyOURT(uint maxOURT, uint minOURT, uint32 deadline) external payable;
+    function sellOURT(uint amountOURT, uint maxETH, uint minETH, uint32 deadline) external;
+    function flashSwap(uint outETH, uint outOURT, address to, bytes calldata data) external;
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../node_modules/@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/**
+ * EIP-2771 forwarder trusted by OurToken: relayers submit requests signed by accounts holding no ETH,
+ * the target contract reads the signer as the sender. Requests can be submitted one by one through
+ * execute or in batches. A request whose call fails doesn't revert the rest of its batch, but a request
+ * asking for more gas than the batch has left still reverts all of it: relayers must bound the gas of
+ * the requests they accept and leave out those reverting a batch.
+*/
+contract OurForwarder is MinimalForwarder {
+
+    /** EVENT DEFINITIONS */
+
+    event Executed(address indexed from, uint nonce, bool success); // Emitted for every request of a batch
+    event Skipped(address indexed from, uint nonce); // Emitted for the requests of a batch that don't match their signature
+
+    /** PUBLIC ACTIONS */
+
+    /**
+     * Executes a batch of signed requests, requests whose signature or nonce doesn't match are skipped.
+     * Returns whether each request was executed and its call succeeded
+    */
+    function executeBatch(ForwardRequest[] calldata reqs, bytes[] calldata signatures) external returns (bool[] memory successes) {
+        require(reqs.length == signatures.length, 'OurForwarder: ARITY_MISMATCH');
+        successes = new bool[](reqs.length);
+        for (uint i = 0; i < reqs.length; i++) {
+            if (reqs[i].value > 0 || !verify(reqs[i], signatures[i])) {
+                emit Skipped(reqs[i].from, reqs[i].nonce);
+                continue;
+            }
+            (successes[i], ) = execute(reqs[i], signatures[i]);
+            emit Executed(reqs[i].from, reqs[i].nonce, successes[i]);
+        }
+    }
+}
@@ -2,10 +2,22 @@
 pragma solidity >=0.4.22 <0.9.0;
 
 import "./../node_modules/@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./../node_modules/@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "./../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "./../node_modules/@openzeppelin/contracts/utils/math/Math.sol";
 import './OurFundToken.sol';
-
-contract OurFund is OurFundToken 
+import './ERC4626Interface.sol';
+
+/**
+ * OURT arbitrage fund. Stakers deposit OURT for OURF shares minted 1:1, the bot trades the deposits
+ * for ETH and every trade makes the same share of every stake elligible for ETH redemption.
+ * The ERC-4626 surface covers the OURT side: non-elligible OURF are redeemed 1:1 for the OURT
+ * the fund still holds, elligible OURF are claims on the ETH reserve (withdrawETH).
+ * Deviation from ERC-4626: totalSupply() counts both kinds of OURF, so convertToAssets(totalSupply())
+ * exceeds totalAssets() once the bot has traded. The share supply of the vault is
+ * totalNonElligebleSupply(), convertToAssets(totalNonElligebleSupply()) == totalAssets().
+*/
+contract OurFund is OurFundToken, ERC4626Interface
 {
     /** DEFINITIONS */
 
@@ -16,10 +28,30 @@ contract OurFund is OurFundToken
     struct trade{
         uint spentToken; 
         uint boughtETH;
+        uint32 timestamp;
+        uint32 blockNumber;
+    }
+
+    // struct to store the non-elligible tokens of an account as of its last settlement
+    struct stake{
+        uint nonElligble;
+        uint product; // nonElligbleProduct at settlement
+        uint128 scale;
+        uint128 epoch;
     }
 
     /** CONSTANTS */
 
+    /**
+     * Every trade converts the same fraction of every account's non-elligible tokens into elligible ones,
+     * so instead of looping over the stakeholders the fund keeps the running product of the fractions left
+     * (nonElligbleProduct) and each account settles lazily: its non-elligible tokens are the ones it had at
+     * its last settlement times the product since then. The product is kept above SCALE_FACTOR by scaling
+     * it up (currentScale) and starts over (currentEpoch) when a trade converts every non-elligible token.
+    */
+    uint private constant PRECISION = 1e36;
+    uint private constant SCALE_FACTOR = 1e18;
+
     /** PUBLIC RECORD */
 
     // Bot role code
@@ -27,9 +59,6 @@ contract OurFund is OurFundToken
 
     string public BOT_PARAMS;
 
-    // a mapping of timestamp to trade for trade history retention
-    mapping (uint32 => trade) public tradeHistory;
-
     /** PRIVATE */
     
     // The address of the ERC20 token that this fund is holding in reserves
@@ -41,17 +70,40 @@ contract OurFund is OurFundToken
     // a mapping of addresses to amount of elligible tokens for ETH redemption
     mapping (address => uint) private elligbleTokens;
 
+    // non-elligible tokens of every account as of its last settlement
+    mapping (address => stake) private stakes;
+
     /**
      * @notice We usually require to know who are all the stakeholders.
      */
     address[] internal stakeholders;
 
+    // position + 1 of every stakeholder in the stakeholders array
+    mapping (address => uint) private stakeholderIndex;
+
+    // running product of the non-elligible fractions left by trades
+    uint private nonElligbleProduct;
+    uint128 private currentScale;
+    uint128 private currentEpoch;
+
     // Contract state variables
     uint private totalElligbleTokens;
     uint private reserveToken;       
     uint private reserveETH;
     uint32 private blockTimestampLast;   
 
+    // OURT the bots can spend per trade and per day, set by governance
+    uint private maxTradeToken;
+    uint private dailyTradeLimit;
+    // day (timestamp / 1 days) of the last trade and OURT spent on that day
+    uint32 private tradeDay;
+    uint private spentToday;
+
+    // append-only log of every recorded trade, and its running totals
+    trade[] private trades;
+    uint private totalSpentToken;
+    uint private totalBoughtETH;
+
     /** MODIFIERS */
     
     // Locking mechanism modifier for specific lock-requiring actions
@@ -75,7 +127,8 @@ contract OurFund is OurFundToken
     event Mint(address indexed sender, uint mintedADNS); // Emitted on minting of ADNS
     event Burn(address indexed sender, uint redeemedETH, uint redeemedToken, uint burnedADNS); // Emitted on burning of ADNS
     event Sync(string reservesUpdated, uint balance); // Emitted when the contract matches the balances and the reserves
-    event RegisteredTrade(uint spentToken, uint boughtETH ); // Emitted when the BOT Registers an executed trade
+    event RegisteredTrade(uint indexed tradeId, uint spentToken, uint boughtETH); // Emitted when the BOT Registers an executed trade, tradeId is its index in the trade log
+    event TradeLimitsChanged(uint maxTradeToken, uint dailyTradeLimit); // Emitted when governance changes the bot spend limits
 
     /** INIT */
 
@@ -85,6 +138,9 @@ contract OurFund is OurFundToken
         totalElligbleTokens = 0;
         reserveToken = 0;       
         reserveETH = 0;
+        nonElligbleProduct = PRECISION;
+        maxTradeToken = type(uint).max;
+        dailyTradeLimit = type(uint).max;
         unlocked = 1;
         dex = _dex;
         _setupRole(BOT_ROLE, _bot);
@@ -107,10 +163,9 @@ contract OurFund is OurFundToken
     */
     function isStakeholder(address _address) public view returns (bool, uint)
     {
-        for (uint s = 0; s < stakeholders.length; s += 1) {
-            if (_address == stakeholders[s]) return (true, s);
-        }
-        return (false, 0);
+        uint index = stakeholderIndex[_address];
+        if (index == 0) return (false, 0);
+        return (true, index - 1);
     }
 
     function isAllowedBot(address _bot) public view returns (bool){
@@ -125,8 +180,123 @@ contract OurFund is OurFundToken
         return totalElligbleTokens;
     }
 
+    // OURF backed by the OURT reserve, the share supply of the ERC-4626 surface
+    function totalNonElligebleSupply() public view returns(uint){
+        return totalSupply().sub(totalElligbleTokens);
+    }
+
     function accountElligebleToken(address account) public view returns(uint){
-        return elligbleTokens[account];
+        stake memory accountStake = stakes[account];
+        return elligbleTokens[account].add(accountStake.nonElligble - _compoundedNonElligble(accountStake));
+    }
+
+    function accountNonElligebleToken(address account) public view returns(uint){
+        return _compoundedNonElligble(stakes[account]);
+    }
+
+    /** ERC-4626 VIEWS */
+
+    function asset() public view override returns (address){
+        return token;
+    }
+
+    // OURT held by the fund, backing the non-elligible OURF (totalNonElligebleSupply) one to one
+    function totalAssets() public view override returns (uint){
+        return reserveToken;
+    }
+
+    function convertToShares(uint assets) public pure override returns (uint){
+        return assets;
+    }
+
+    function convertToAssets(uint shares) public pure override returns (uint){
+        return shares;
+    }
+
+    function maxDeposit(address) public view override returns (uint){
+        return paused() ? 0 : type(uint).max;
+    }
+
+    function previewDeposit(uint assets) public pure override returns (uint){
+        return convertToShares(assets);
+    }
+
+    function maxMint(address) public view override returns (uint){
+        return paused() ? 0 : type(uint).max;
+    }
+
+    function previewMint(uint shares) public pure override returns (uint){
+        return convertToAssets(shares);
+    }
+
+    // elligible OURF are only redeemed for ETH
+    function maxWithdraw(address _owner) public view override returns (uint){
+        return paused() ? 0 : accountNonElligebleToken(_owner);
+    }
+
+    function previewWithdraw(uint assets) public pure override returns (uint){
+        return convertToShares(assets);
+    }
+
+    function maxRedeem(address _owner) public view override returns (uint){
+        return paused() ? 0 : accountNonElligebleToken(_owner);
+    }
+
+    function previewRedeem(uint shares) public pure override returns (uint){
+        return convertToAssets(shares);
+    }
+
+    /** OURT the bots can spend per trade, per day, and already spent today */
+    function getTradeLimits() public view returns (uint _maxTradeToken, uint _dailyTradeLimit, uint _spentToday) {
+        _maxTradeToken = maxTradeToken;
+        _dailyTradeLimit = dailyTradeLimit;
+        _spentToday = tradeDay == uint32(block.timestamp / 1 days) ? spentToday : 0;
+    }
+
+    function getStakeholders() public view returns(address[] memory){
+        return stakeholders;
+    }
+
+    /** TRADE HISTORY */
+
+    function tradesCount() public view returns (uint){
+        return trades.length;
+    }
+
+    function getTrade(uint tradeId) public view returns (trade memory){
+        require(tradeId < trades.length, 'OurFund: TRADE_NOT_FOUND');
+        return trades[tradeId];
+    }
+
+    // at most `limit` trades of the log starting at `offset`, oldest first
+    function getTrades(uint offset, uint limit) public view returns (trade[] memory page){
+        if (offset >= trades.length) return page;
+        uint end = offset.add(limit) < trades.length ? offset + limit : trades.length;
+        page = new trade[](end - offset);
+        for (uint i = offset; i < end; i++) {
+            page[i - offset] = trades[i];
+        }
+    }
+
+    /**
+     * Totals of the trade log, the average price is the ETH bought for 1e18 OURT sold
+     * across all trades, 0 before the first one
+    */
+    function getTradeStats() public view returns (uint _tradesCount, uint _totalSpentToken, uint _totalBoughtETH, uint _averagePrice){
+        _tradesCount = trades.length;
+        _totalSpentToken = totalSpentToken;
+        _totalBoughtETH = totalBoughtETH;
+        if (_totalSpentToken > 0) _averagePrice = _totalBoughtETH.mul(1e18) / _totalSpentToken;
+    }
+
+    /**
+     * ETH paid out for burning `amountBurned` elligible OURF: the same share of the ETH reserve,
+     * rounded down. Rounding dust can leave the last elligible tokens slightly above the total,
+     * they take whatever is left.
+    */
+    function previewWithdrawETH(uint amountBurned) public view returns(uint){
+        if (amountBurned >= totalElligbleTokens) return reserveETH;
+        return reserveETH.mul(amountBurned) / totalElligbleTokens;
     }
 
 
@@ -135,6 +305,9 @@ contract OurFund is OurFundToken
     /** Governance */
     function changeGovernance(address governance) public onlyOwner(){
         require(_msgSender() != governance, 'OurFund: SAME_GOVERNANCE_ADDRESS');
+        // the admin role follows ownership so the new governance can manage bot roles
+        grantRole(DEFAULT_ADMIN_ROLE, governance);
+        revokeRole(DEFAULT_ADMIN_ROLE, _msgSender());
         transferOwnership(governance);
     }
 
@@ -150,84 +323,103 @@ contract OurFund is OurFundToken
         BOT_PARAMS = _bot_params;
     }
 
+    // a single trade can't be allowed more than a day of trading
+    function changeTradeLimits(uint _maxTradeToken, uint _dailyTradeLimit) public onlyOwner(){
+        require(_maxTradeToken <= _dailyTradeLimit, 'OurFund: INVALID_TRADE_LIMITS');
+        maxTradeToken = _maxTradeToken;
+        dailyTradeLimit = _dailyTradeLimit;
+        emit TradeLimitsChanged(_maxTradeToken, _dailyTradeLimit);
+    }
+
     /** /Governance */
 
     // Stakers can send their OURT tokens to AdonisArbitrage and receive the ADNS tokens in return.
     function addToFund(uint amount, uint32 deadline) public ensure(deadline) {
-        
-        // Assign addresses
-        address from = _msgSender();
-
-        // from cannot be address(0)
-        require(from != address(0), 'OurFund: ZERO_ADDRESS_MINTING');
-        
-        // Check the amount sent is greater than 0
-        require(amount > 0 , 'OurFund: INSUFFICIENT_ADNS_MINTED');
-
-        // Calling Transfer From Token Function
-        _safeTransferFromToken(from, address(this), amount);
-
-        // Add StakeHolder In Case Doesn't Exsist's
-        _addStakeholder(from);
+        _deposit(_msgSender(), _msgSender(), amount);
+    }
 
-        // Mint 1:1 ADNS tokens
-        __mint(from, amount);
+    // Same as addToFund, approving the OURT with the staker's EIP-2612 permit for `amount` signed with the same deadline
+    function addToFundWithPermit(uint amount, uint32 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        IERC20Permit(token).permit(_msgSender(), address(this), amount, deadline, v, r, s);
+        addToFund(amount, deadline);
     }
 
     // Stakers can WithDraw their OURT tokens by burning non-elligible ADNS.
     function withdrawFromFund(uint amountBurned, uint32 deadline) public ensure(deadline){
-        // Check that the amount requested to burn is > 0
-        require(amountBurned > 0, 'OurFund: INSUFFICIENT_AMOUNT_BURNED');
+        _withdraw(_msgSender(), _msgSender(), _msgSender(), amountBurned);
+    }
 
-        address to = _msgSender();
-        require(to != address(0), 'OurFund: ZERO_ADDRESS_WITHDRAWAL');
+    /** ERC-4626 ACTIONS */
 
-        // get non-elligible tokens for account
-        uint nonelig = balanceOf(to).sub(elligbleTokens[to]);
+    function deposit(uint assets, address receiver) public override returns (uint shares){
+        shares = previewDeposit(assets);
+        _deposit(_msgSender(), receiver, assets);
+    }
 
-        // check non-elligible tokens >= amount burned
-        require(nonelig >= amountBurned, 'OurFund: ELLIGBLE_TOKEN_BURN_ON_NONELIG');
+    function mint(uint shares, address receiver) public override returns (uint assets){
+        assets = previewMint(shares);
+        _deposit(_msgSender(), receiver, assets);
+    }
 
-        // Calling Transfer From Token Function to transfer token to user
-        _safeTransferToken(to, amountBurned);
+    function withdraw(uint assets, address receiver, address _owner) public override returns (uint shares){
+        shares = previewWithdraw(assets);
+        _withdraw(_msgSender(), receiver, _owner, shares);
+    }
 
-        // after successful transfer, burn ADNS tokens.
-        __burn(to, amountBurned, 0, amountBurned);
+    function redeem(uint shares, address receiver, address _owner) public override returns (uint assets){
+        assets = previewRedeem(shares);
+        _withdraw(_msgSender(), receiver, _owner, shares);
     }
 
-    // Stakers can WithDraw their ADNS tokens to ETH (taking into consideration the elligble amount (Allowed Amount) ).
+    // Stakers can WithDraw their elligible ADNS tokens for their share of the ETH reserve.
     function withdrawETH(uint amountBurned) public{
+        // Check that the amount requested to burn is > 0
+        require(amountBurned > 0, 'OurFund: INSUFFICIENT_AMOUNT_BURNED');
 
         // Assign addresses
         address to = _msgSender();
-        address from = address(this);
-
-        // getting account elligble token
-        uint eligToken = elligbleTokens[to];
 
         // Checking if amountBurned <= elligbleTokens
-        require(amountBurned <= eligToken, 'OurFund: NON_ELLIGBLE_TOKENS');
-
-        // Get Eth Reserve
-        uint ethReserve = from.balance;
+        require(amountBurned <= accountElligebleToken(to), 'OurFund: NON_ELLIGBLE_TOKENS');
 
         // Get Eth To Send
-        uint ethToSend = ethReserve.mul(amountBurned / totalElligbleTokens);
+        uint ethToSend = previewWithdrawETH(amountBurned);
+        require(ethToSend > 0, 'OurFund: INSUFFICIENT_ETH_OUT');
 
-        // Checking if ethToSend <= ethReserve
-        require(ethToSend <= ethReserve, 'OurFund: Tokens were not transfered successfully');
+        // burn ADNS tokens and update the reserves before the transfer
+        __burn(to, amountBurned, 0, ethToSend);
 
         _safeTransferETH(payable(to), ethToSend);
-
-        // Burn ADNS
-        __burn(to, amountBurned, ethToSend, 0);
     }
 
-    // approves funds for bot usage
+    // approves funds for bot usage, approvals count as spent against the trade limits
     function approveBotFunds(uint amount) public onlyRole(BOT_ROLE){
+        _spendTradeLimits(amount);
         IERC20(token).approve(_msgSender(), amount);
     }
 
+    /**
+     * Sells `amountToken` OURT of the fund on the DEX for at least `minETH` and records the trade,
+     * the bot never holds the fund assets
+    */
+    function executeTrade(uint amountToken, uint minETH, uint32 deadline) public onlyRole(BOT_ROLE) ensure(deadline) lock {
+        require(amountToken > 0, 'OurFund: SPENT_TOKENS_ZERO');
+        _spendTradeLimits(amountToken);
+
+        uint balanceETH = address(this).balance;
+        uint balanceToken = IERC20(token).balanceOf(address(this));
+
+        // sell at the current quote, the DEX pays the fund through receive()
+        uint quote = OurFundDEXInterface(dex).getQuoteForETH(amountToken);
+        require(IERC20(token).approve(dex, amountToken), 'OurFund: APPROVE_FAILED');
+        OurFundDEXInterface(dex).sellOURT(amountToken, quote, minETH, deadline);
+
+        uint boughtETH = address(this).balance.sub(balanceETH);
+        require(balanceToken.sub(IERC20(token).balanceOf(address(this))) == amountToken, 'OurFund: TOKEN_AMOUNT_MISMATCH');
+
+        _recordTrade(amountToken, boughtETH);
+    }
+
     // Bot Will Register Trade After Executing Trade Function
     function registerTrade(uint _spentToken, uint _boughtETH) public onlyRole(BOT_ROLE) {
         // get reserves
@@ -245,24 +437,94 @@ contract OurFund is OurFundToken
         require(amountETHIn == _boughtETH, "OurFund: ETH_AMOUNT_MISMATCH");
         require(amountTokenOut == _spentToken, "OurFund: TOKEN_AMOUNT_MISMATCH");
 
+        _recordTrade(_spentToken, _boughtETH);
+    }
+
+    /** PRIVATE FUNCTIONS */
+
+    // moves the reserves by the amounts traded and makes the spent stakes elligible
+    function _recordTrade(uint spentToken, uint boughtETH) private {
+        // update reserves so that the next trade is measured from here
+        _updateETHReserves(reserveETH.add(boughtETH));
+        _updateTokenReserves(reserveToken.sub(spentToken));
+
         // Add Information To Trade History
-        tradeHistory[blockTimestampLast] = trade(_spentToken , _boughtETH);
+        trades.push(trade(spentToken, boughtETH, uint32(block.timestamp), uint32(block.number)));
+        totalSpentToken = totalSpentToken.add(spentToken);
+        totalBoughtETH = totalBoughtETH.add(boughtETH);
 
         // Calculate and assign Elligble Tokens
-        _assignElligbleTokens(_spentToken);
+        _assignElligbleTokens(spentToken);
 
-        emit RegisteredTrade(_spentToken, _boughtETH);
+        emit RegisteredTrade(trades.length - 1, spentToken, boughtETH);
     }
 
-    /** PRIVATE FUNCTIONS */
+    // counts `amount` OURT against the per trade and per day limits
+    function _spendTradeLimits(uint amount) private {
+        require(amount <= maxTradeToken, 'OurFund: TRADE_LIMIT_EXCEEDED');
+        uint32 today = uint32(block.timestamp / 1 days);
+        if (tradeDay != today) {
+            tradeDay = today;
+            spentToday = 0;
+        }
+        spentToday = spentToday.add(amount);
+        require(spentToday <= dailyTradeLimit, 'OurFund: DAILY_LIMIT_EXCEEDED');
+    }
+
+    // pulls `amount` OURT from `caller` and mints as many ADNS to `receiver`
+    function _deposit(address caller, address receiver, uint amount) private {
+        // receiver cannot be address(0)
+        require(receiver != address(0), 'OurFund: ZERO_ADDRESS_MINTING');
+
+        // Check the amount sent is greater than 0
+        require(amount > 0 , 'OurFund: INSUFFICIENT_ADNS_MINTED');
+
+        // Calling Transfer From Token Function
+        _safeTransferFromToken(caller, address(this), amount);
+
+        // Add StakeHolder In Case Doesn't Exsist's
+        _addStakeholder(receiver);
+
+        // Mint 1:1 ADNS tokens
+        __mint(receiver, amount);
+
+        emit Deposit(caller, receiver, amount, amount);
+    }
+
+    // burns `amountBurned` non-elligible ADNS of `_owner` and sends as many OURT to `receiver`
+    function _withdraw(address caller, address receiver, address _owner, uint amountBurned) private {
+        // Check that the amount requested to burn is > 0
+        require(amountBurned > 0, 'OurFund: INSUFFICIENT_AMOUNT_BURNED');
+        require(receiver != address(0), 'OurFund: ZERO_ADDRESS_WITHDRAWAL');
+
+        // withdrawing on behalf of the owner spends its allowance
+        if (caller != _owner) {
+            uint currentAllowance = allowance(_owner, caller);
+            require(currentAllowance >= amountBurned, 'OurFund: INSUFFICIENT_ALLOWANCE');
+            _approve(_owner, caller, currentAllowance - amountBurned);
+        }
+
+        // check non-elligible tokens >= amount burned
+        require(accountNonElligebleToken(_owner) >= amountBurned, 'OurFund: ELLIGBLE_TOKEN_BURN_ON_NONELIG');
+
+        // burn ADNS tokens before the transfer
+        __burn(_owner, amountBurned, amountBurned, 0);
+
+        // Calling Transfer From Token Function to transfer token to user
+        _safeTransferToken(receiver, amountBurned);
+
+        emit Withdraw(caller, receiver, _owner, amountBurned, amountBurned);
+    }
 
     /**
     * @notice A method to add a stakeholder.
     * @param _stakeholder The stakeholder to add.
     */
     function _addStakeholder(address _stakeholder) private {
-        (bool _isStakeholder, ) = isStakeholder(_stakeholder);
-        if(!_isStakeholder) stakeholders.push(_stakeholder);
+        if(stakeholderIndex[_stakeholder] == 0) {
+            stakeholders.push(_stakeholder);
+            stakeholderIndex[_stakeholder] = stakeholders.length;
+        }
     }
 
     /**
@@ -272,8 +534,11 @@ contract OurFund is OurFundToken
     function _removeStakeholder(address _stakeholder) private {
         (bool _isStakeholder, uint s) = isStakeholder(_stakeholder);
         require(_isStakeholder, "OurFund: ACCOUNT_NOT_STAKEHOLDER");
-        stakeholders[s] = stakeholders[stakeholders.length - 1];
+        address last = stakeholders[stakeholders.length - 1];
+        stakeholders[s] = last;
+        stakeholderIndex[last] = s + 1;
         stakeholders.pop();
+        delete stakeholderIndex[_stakeholder];
     }
 
     // Calculate Elligle Token Will be A Private Function That Will be triggered After Trades
@@ -281,22 +546,48 @@ contract OurFund is OurFundToken
         // Checking If spentToken is 0
         require(spentToken > 0 , 'OurFund: SPENT_TOKENS_ZERO');
 
-        // Get Total ADNS
+        // Get Total non-elligible ADNS
         uint totalNonElligbleADNS = totalSupply().sub(totalElligbleTokens);
-
-        // Checking If StackHolders exists
-        require(stakeholders.length > 0, 'OurFund: No StakeHolders Found!');
-
-        for (uint s = 0; s < stakeholders.length ; s+=1) {
-            // Calculate Elligble 
-            if(elligbleTokens[stakeholders[s]] > 0){
-                elligbleTokens[stakeholders[s]] += spentToken.mul( balanceOf(stakeholders[s]).sub(elligbleTokens[stakeholders[s]]) / totalNonElligbleADNS);
-            } else {
-                elligbleTokens[stakeholders[s]] = spentToken.mul( balanceOf(stakeholders[s]) / totalNonElligbleADNS);
+        require(spentToken <= totalNonElligbleADNS, 'OurFund: SPENT_TOKENS_EXCEED_STAKES');
+
+        if (spentToken == totalNonElligbleADNS) {
+            // every non-elligible token is converted, accounts settled before this epoch have none left
+            currentEpoch += 1;
+            currentScale = 0;
+            nonElligbleProduct = PRECISION;
+        } else {
+            // rounded down: accounts are never credited more non-elligible tokens than the fund holds
+            uint product = nonElligbleProduct.mul(totalNonElligbleADNS - spentToken);
+            if (product / totalNonElligbleADNS < SCALE_FACTOR) {
+                product = product.mul(SCALE_FACTOR);
+                currentScale += 1;
             }
+            nonElligbleProduct = product / totalNonElligbleADNS;
         }
 
-        totalElligbleTokens += spentToken;
+        totalElligbleTokens = totalElligbleTokens.add(spentToken);
+    }
+
+    // non-elligible tokens of an account given the trades since its last settlement
+    function _compoundedNonElligble(stake memory accountStake) private view returns (uint) {
+        if (accountStake.nonElligble == 0 || accountStake.epoch < currentEpoch) return 0;
+        uint scaleDiff = currentScale - accountStake.scale;
+        if (scaleDiff == 0) return accountStake.nonElligble.mul(nonElligbleProduct) / accountStake.product;
+        // the product was scaled up by SCALE_FACTOR since the settlement
+        if (scaleDiff == 1) return accountStake.nonElligble.mul(nonElligbleProduct) / accountStake.product / SCALE_FACTOR;
+        // shrunk by more than SCALE_FACTOR ** 2 since the settlement
+        return 0;
+    }
+
+    // moves the tokens converted since the last settlement of an account to its elligible tokens
+    function _settle(address account) private {
+        stake storage accountStake = stakes[account];
+        uint compounded = _compoundedNonElligble(accountStake);
+        elligbleTokens[account] = elligbleTokens[account].add(accountStake.nonElligble - compounded);
+        accountStake.nonElligble = compounded;
+        accountStake.product = nonElligbleProduct;
+        accountStake.scale = currentScale;
+        accountStake.epoch = currentEpoch;
     }
 
     // Update Elligble Token for burning account
@@ -304,13 +595,38 @@ contract OurFund is OurFundToken
         // check valid stakeholder
         (bool _isStakeholder, ) = isStakeholder(from);
         require(_isStakeholder, 'OurFund: STAKEHOLDER_NOT_VALID');
+        _settle(from);
 
         // Check If There Is Elligblity To Burn Tokens
         require(elligbleTokens[from] >= burnedAmount, 'OurFund: ELLIGBLE_TOKEN_BURN_ON_NONELIG');
 
-        // update state values
+        // update state values, rounding dust may credit accounts slightly more than the total
         elligbleTokens[from] -= burnedAmount;
-        totalElligbleTokens -= burnedAmount;
+        totalElligbleTokens = totalElligbleTokens > burnedAmount ? totalElligbleTokens - burnedAmount : 0;
+    }
+
+    // Update non-elligible Token for minting and burning account
+    function _updateAccountNonElligbleTokens(address account, uint mintedAmount, uint burnedAmount) private {
+        _settle(account);
+        require(stakes[account].nonElligble.add(mintedAmount) >= burnedAmount, 'OurFund: ELLIGBLE_TOKEN_BURN_ON_NONELIG');
+        stakes[account].nonElligble = stakes[account].nonElligble.add(mintedAmount) - burnedAmount;
+    }
+
+    // OURF transfers carry the sender's non-elligible tokens first, then its elligible ones
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._afterTokenTransfer(from, to, amount);
+        // mints and burns are accounted for in __mint and __burn
+        if (from == address(0) || to == address(0)) return;
+
+        _settle(from);
+        _settle(to);
+        uint movedNonElligble = Math.min(amount, stakes[from].nonElligble);
+        uint movedElligble = amount - movedNonElligble;
+        stakes[from].nonElligble -= movedNonElligble;
+        stakes[to].nonElligble = stakes[to].nonElligble.add(movedNonElligble);
+        elligbleTokens[from] = elligbleTokens[from].sub(movedElligble);
+        elligbleTokens[to] = elligbleTokens[to].add(movedElligble);
+        _addStakeholder(to);
     }
 
     // transfers OURT token from ADNS to supplied address
@@ -343,6 +659,7 @@ contract OurFund is OurFundToken
 
         // Mint requested tokens
         _mint(from, amount);
+        _updateAccountNonElligbleTokens(from, amount, 0);
 
         // Update reserves with new balances
         _updateTokenReserves(balanceToken);
@@ -358,17 +675,17 @@ contract OurFund is OurFundToken
         // call burn on 'to' address for requested burn amount
         _burn(from, amount);
 
+        // reserves are updated ahead of the transfers out
         if(amountETHOut > 0){
-            uint balanceETH = address(this).balance;
-            require(_reserveETH.add(amountETHOut) == balanceETH, 'OurFund: INSUFFICIENT_AMOUNT_OUT');
-            _updateETHReserves(balanceETH);
+            require(amountETHOut <= _reserveETH, 'OurFund: INSUFFICIENT_AMOUNT_OUT');
+            _updateETHReserves(_reserveETH - amountETHOut);
             _updateAccountElligbleTokens(from, amount);
         }
 
         if(amountTokenOut > 0){
-            uint balanceToken = IERC20(token).balanceOf(address(this));
-            require(_reserveToken.add(amountTokenOut) == balanceToken, 'OurFund: INSUFFICIENT_AMOUNT_OUT');
-            _updateTokenReserves(balanceToken);
+            require(amountTokenOut <= _reserveToken, 'OurFund: INSUFFICIENT_AMOUNT_OUT');
+            _updateTokenReserves(_reserveToken - amountTokenOut);
+            _updateAccountNonElligbleTokens(from, 0, amount);
         }
 
         emit Burn(from, amountETHOut, amountTokenOut, amount);
@@ -391,4 +708,9 @@ contract OurFund is OurFundToken
         blockTimestampLast = blockTimestamp;
         emit Sync('ETH', reserveETH);
     }
-}
\ No newline at end of file
+}
+
+interface OurFundDEXInterface {
+    function getQuoteForETH(uint amountOURT) external view returns (uint amountETH);
+    function sellOURT(uint amountOURT, uint maxETH, uint minETH, uint32 deadline) external;
+}
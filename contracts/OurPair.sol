@@ -0,0 +1,503 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../node_modules/@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
+import './OurDEXToken.sol';
+import './lib/SafeSqrt.sol';
+import './lib/OurDEXLibrary.sol';
+import './lib/OurOracleLibrary.sol';
+
+/**
+ * Token/token liquidity pool deployed by OurDEXFactory.
+ * It is the ERC20-only counterpart of OurDEX: the same OURX shares, reserves, fee and
+ * liquidity history logic, with token0/token1 in place of ETH/OURT.
+*/
+contract OurPair is OurDEXToken {
+
+    /** DEFINITIONS */
+
+    // Math-specific libraries for safely handling larger numbers
+    using SafeMath  for uint;
+
+    /** Struct representing liquidity history entry, OURX transfers are valued at the pool when they happen */
+    struct liquidityRec {
+        uint stamp;
+        bool isdeposit; // true == deposit or OURX received, false == withdraw or OURX sent
+        address counterparty; // the other account of a transfer, zero for deposits and withdrawals
+        uint amount0;
+        uint amount1;
+        uint amountOURX;
+    }
+
+    /** PUBLIC */
+
+    // OURX permanently locked on the first deposit & bound on the reserves product, see OurDEX
+    uint public constant MINIMUM_LIQUIDITY = 10**3;
+    uint public MAXIMUM_LIQUIDITY;
+    address public constant LOCKED_LIQUIDITY_HOLDER = 0x000000000000000000000000000000000000dEaD;
+
+    // liquidity provider fee in basis points, see OurDEX
+    uint public constant MAX_SWAP_FEE = OurDEXLibrary.MAX_SWAP_FEE;
+    uint public swapFee;
+
+    // protocol fee switch, see OurDEX
+    uint public constant MAX_PROTOCOL_FEE_SHARE = 500;
+    address public treasury;
+    uint public protocolFeeShare;
+    uint public kLast;
+
+    // the factory that deployed the pair and the tokens it holds, sorted by address
+    address public factory;
+    address public token0;
+    address public token1;
+
+    /** PRIVATE */
+
+    // reserves & block timestamp to detect new blocks
+    uint private reserve0;
+    uint private reserve1;
+    uint32  private blockTimestampLast;
+
+
+    // price accumulators & observations ring buffer, see OurDEX
+    OurOracleLibrary.Oracle private oracle;
+
+    /**
+     * A record of liquidity provision history
+    */
+    mapping (address => liquidityRec[]) private liquidityRecords;
+
+    /** MODIFIERS */
+
+    // Locking mechanism modifier for specific lock-requiring actions
+    uint8 private unlocked;
+    modifier lock() {
+        require(unlocked == 1, 'OurPair: LOCKED');
+        unlocked = 0;
+        _;
+        unlocked = 1;
+    }
+
+    // Deadline insurance modifier: Stops execution if dealine timestamp reached
+    modifier ensure(uint32 deadline) {
+        require(deadline >= block.timestamp, 'OurPair: EXPIRED'); /* solium-disable-line */
+        _;
+    }
+
+    /** EVENT DEFINITIONS */
+
+    // Emitted on minting of OURX (aka liquidity deposit) to `to`
+    event Mint(address indexed sender, address indexed to, uint amount0, uint amount1, uint mintedOURX);
+    // Emitted on burning of OURX (aka liquidity withdrawal), the tokens are sent to `to`
+    event Burn(address indexed sender, address indexed to, uint redeemed0, uint redeemed1, uint burnedOURX);
+    // Emitted on swapping, with the amounts of each token that went in and out of the pair
+    event Swap(
+        address indexed sender,
+        uint amount0In,
+        uint amount1In,
+        uint amount0Out,
+        uint amount1Out,
+        address indexed to
+    );
+    event Sync(uint reserve0, uint reserve1); // Emitted when the contract matches the balances and the reserves
+    event ProtocolFeeMinted(address indexed treasury, uint mintedOURX); // Emitted when the protocol fee is minted to the treasury
+    event ObservationCardinalityIncreased(uint16 previous, uint16 next); // Emitted when the oracle ring buffer is grown
+    event FeeChanged(uint previousFee, uint newFee); // Emitted when governance changes the swap fee
+    event GovernanceChanged(address indexed previousGovernance, address indexed newGovernance); // Emitted when the pair is handed over to a new governance
+    event MaxLiquidityChanged(uint previousMax, uint newMax); // Emitted when governance changes the bound on the reserves product
+    event TreasuryChanged(address indexed previousTreasury, address indexed newTreasury); // Emitted when governance changes the protocol fee receiver
+    event ProtocolFeeShareChanged(uint previousShare, uint newShare); // Emitted when governance changes the protocol fee share
+
+    /** INIT */
+
+    /**
+     * Pairs are deployed by the factory which sorts the tokens and hands the
+     * pair's ownership to the protocol governance.
+    */
+    constructor(address _token0, address _token1, uint fee, address _governance) OurDEXToken("OurDEX", "OURX", _governance){
+        factory = _msgSender();
+        token0 = _token0;
+        token1 = _token1;
+        require(fee <= MAX_SWAP_FEE, 'OurPair: INVALID_FEE');
+        swapFee = fee;
+        MAXIMUM_LIQUIDITY = 10**32*10**18;
+        unlocked = 1;
+    }
+
+    /** PUBLIC VIEWS */
+
+    /** Returns the reserves held in the contract, see OurDEX.getReserves */
+    function getReserves() public view returns (uint, uint, uint32) {
+        return (reserve0, reserve1, blockTimestampLast);
+    }
+
+    /** Retreives the min and max liquidity */
+    function getLiquidityBounds() public view returns (uint, uint) {
+        return (MINIMUM_LIQUIDITY, MAXIMUM_LIQUIDITY);
+    }
+
+    /**
+     * Given a deposited liquidity of token0, how much token1 liquidity is required to match it's value based on the ratio in the pool
+    */
+    function calcLiquidityRequirement0(uint todep0) public view returns (uint _req0, uint _req1, uint _mintedOURX) {
+        (uint _reserve0, uint _reserve1, ) = getReserves();
+
+        // an empty pool has no price yet: the first deposit sets it, see calcMintedOURX
+        if (_reserve0 > 0) _req1 = OurDEXLibrary.getAmountMatch(todep0, _reserve0, _reserve1);
+        _req0 = todep0;
+
+        _mintedOURX = calcMintedOURX(_req0, _req1);
+    }
+
+    /**
+     * Given a deposited liquidity of token1, how much token0 liquidity is required to match it's value based on the ratio in the pool
+    */
+    function calcLiquidityRequirement1(uint todep1) public view returns (uint _req0, uint _req1, uint _mintedOURX) {
+        (uint _reserve0, uint _reserve1, ) = getReserves();
+
+        // an empty pool has no price yet: the first deposit sets it, see calcMintedOURX
+        if (_reserve1 > 0) _req0 = OurDEXLibrary.getAmountMatch(todep1, _reserve1, _reserve0);
+        _req1 = todep1;
+
+        _mintedOURX = calcMintedOURX(_req0, _req1);
+    }
+
+    /** OURX minted for a deposit of both amounts, see OurDEX.calcMintedOURX */
+    function calcMintedOURX(uint amount0, uint amount1) public view returns (uint) {
+        uint supply = totalSupply().add(getAccruedProtocolFee());
+        if (supply == 0) return OurDEXLibrary.calculateInitialMintable(amount0, amount1, MINIMUM_LIQUIDITY);
+        return OurDEXLibrary.calculateMintable(supply, amount0, reserve0, amount1, reserve1);
+    }
+
+    /**
+     * Given an amount of OURX, returns the total amount of token0-token1 that the account can withdraw (+fees)
+    */
+    function calculateOnBurnValue(uint amountOURX) public view returns (uint amount0, uint amount1){
+        (uint _res0, uint _res1, ) = getReserves();
+        return OurDEXLibrary.calcForBurn(amountOURX, _res0, _res1, totalSupply().add(getAccruedProtocolFee()));
+    }
+
+    /** Returns the OURX the treasury would be minted by the next mint or burn */
+    function getAccruedProtocolFee() public view returns (uint) {
+        if (treasury == address(0)) return 0;
+        return OurDEXLibrary.calcProtocolFee(totalSupply(), reserve0, reserve1, kLast, protocolFeeShare);
+    }
+
+    /** Per-block record of price history as UQ112x112 token0 prices of one token1, see OurDEX */
+    function priceHistory(uint32 timestamp) public view returns (uint) {
+        ( , uint price1) = OurOracleLibrary.priceAt(oracle, timestamp);
+        return price1;
+    }
+
+    /** Returns the accumulated UQ112x112 prices: token1 per token0 and token0 per token1 */
+    function getCumulativePrices() public view returns (uint price0Cumulative, uint price1Cumulative) {
+        return OurOracleLibrary.latest(oracle);
+    }
+
+    /** Returns the ring buffer state: latest position, observations written, current and target sizes */
+    function getOracleState() public view returns (uint16 index, uint16 count, uint16 cardinality, uint16 cardinalityNext) {
+        return (oracle.index, oracle.count, oracle.cardinality, oracle.cardinalityNext);
+    }
+
+    /** Returns the accumulated prices as they were `secondsAgo` seconds ago, see OurDEX.observe */
+    function observe(uint32 secondsAgo) public view returns (uint price0Cumulative, uint price1Cumulative) {
+        return OurOracleLibrary.observe(oracle, reserve0, reserve1, blockTimestampLast, secondsAgo);
+    }
+
+    /** Returns the UQ112x112 time-weighted average prices over the last `window` seconds, see OurDEX.consult */
+    function consult(uint32 window) public view returns (uint price0Average, uint price1Average) {
+        return OurOracleLibrary.consult(oracle, reserve0, reserve1, blockTimestampLast, window);
+    }
+
+    /** Value of `amountIn` of `tokenIn` in the other token at the average price of the last `window` seconds */
+    function consultAmount(address tokenIn, uint amountIn, uint32 window) external view returns (uint amountOut) {
+        require(tokenIn == token0 || tokenIn == token1, 'OurPair: INVALID_TOKEN');
+        (uint price0Average, uint price1Average) = consult(window);
+        amountOut = amountIn.mul(tokenIn == token0 ? price0Average : price1Average) / OurOracleLibrary.Q112;
+    }
+
+    /**
+     * Given an address, returns the entry `index` of its liquidity history and the number of entries,
+     * see OurDEX.getAccountLiquidityHistory
+    */
+    function getAccountLiquidityHistory(address foracc, uint index) public view returns (liquidityRec memory record, uint total) {
+        require(foracc == _msgSender(), 'OurPair: ACCESS_REJECTED_INVALID_ADDRESS');
+        total = liquidityRecords[foracc].length;
+        if (index < total) record = liquidityRecords[foracc][index];
+    }
+
+    // Gets an estimated quote for swapping `amountIn` of `tokenIn` for the other token
+    function getQuote(address tokenIn, uint amountIn) external view returns (uint amountOut) {
+        (uint _reserveIn, uint _reserveOut) = _sortedReserves(tokenIn);
+        amountOut = OurDEXLibrary.getAmountOut(amountIn, _reserveIn, _reserveOut, swapFee);
+    }
+
+    // Gets an estimated quote for the amount of `tokenIn` required to get `amountOut` of the other token
+    function getReverseQuote(address tokenIn, uint amountOut) external view returns (uint amountIn) {
+        (uint _reserveIn, uint _reserveOut) = _sortedReserves(tokenIn);
+        amountIn = OurDEXLibrary.getAmountIn(amountOut, _reserveIn, _reserveOut, swapFee);
+    }
+
+    /** PUBLIC ACTIONS */
+
+    /** Governance */
+
+    /** Hands the pair over to a new governance address, see OurDEX.changeGovernance */
+    function changeGovernance(address governance) public onlyOwner(){
+        require(_msgSender() != governance, 'OurPair: SAME_GOVERNANCE_ADDRESS');
+        emit GovernanceChanged(owner(), governance);
+        grantRole(DEFAULT_ADMIN_ROLE, governance);
+        revokeRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        transferOwnership(governance);
+    }
+
+    /** Changes the bound on the reserves product (K) a deposit can reach */
+    function changeMaxLiquidity(uint newMax) public onlyOwner(){
+        emit MaxLiquidityChanged(MAXIMUM_LIQUIDITY, newMax);
+        MAXIMUM_LIQUIDITY = newMax;
+    }
+
+    /** Changes the liquidity provider swap fee, in basis points */
+    function changeSwapFee(uint newFee) public onlyOwner(){
+        require(newFee <= MAX_SWAP_FEE, 'OurPair: INVALID_FEE');
+        emit FeeChanged(swapFee, newFee);
+        swapFee = newFee;
+    }
+
+    /** Changes the address receiving the protocol fee, see OurDEX.changeTreasury */
+    function changeTreasury(address newTreasury) public onlyOwner(){
+        _mintFee(reserve0, reserve1);
+        emit TreasuryChanged(treasury, newTreasury);
+        treasury = newTreasury;
+        _resetKLast();
+    }
+
+    /** Changes the per thousand share of the LP growth minted to the treasury, see OurDEX.changeProtocolFeeShare */
+    function changeProtocolFeeShare(uint newShare) public onlyOwner(){
+        require(newShare <= MAX_PROTOCOL_FEE_SHARE, 'OurPair: INVALID_PROTOCOL_FEE');
+        _mintFee(reserve0, reserve1);
+        emit ProtocolFeeShareChanged(protocolFeeShare, newShare);
+        protocolFeeShare = newShare;
+        _resetKLast();
+    }
+
+    /** /Governance */
+
+    /**
+     * Grows the oracle ring buffer to `cardinalityNext` observations, the caller pays for the storage.
+     * Integrations needing long TWAP windows should size it to the window over the expected block time.
+    */
+    function increaseObservationCardinality(uint16 cardinalityNext) external {
+        uint16 previous = OurOracleLibrary.grow(oracle, cardinalityNext);
+        if (cardinalityNext > previous) emit ObservationCardinalityIncreased(previous, cardinalityNext);
+    }
+
+    /**
+     * Deposits liquidity: `amount0` of token0 and the matching amount of token1.
+     * On initial liquidity `amount1` is deposited as is and sets the pool price, afterwards
+     * the matching amount is computed from the reserves and must be within [min1, max1]
+    */
+    function addLiquidity(uint amount0, uint amount1, uint max1, uint min1, uint32 deadline) external ensure(deadline){
+        (uint _reserve0, uint _reserve1, ) = getReserves();
+        uint maxLiq = MAXIMUM_LIQUIDITY;
+        address from = _msgSender();
+        require(from != address(0), 'OurPair: ZERO_ADDRESS_SENDER');
+        require(amount0 > 0, 'OurPair: NO_TOKEN0_SENT');
+        { // scoping to avoid stack too deep error
+            uint _amount1 = amount1;
+            // on initial liquidity: skips this conditional code
+            if(_reserve0 > 0 && _reserve1 > 0){
+                (, _amount1, ) = calcLiquidityRequirement0(amount0);
+            }
+            // check liquidity out-of-bounds (calculating K-next)
+            require(_reserve0.add(amount0).mul(_reserve1.add(_amount1)) <= maxLiq, 'OurPair: MAXIMUM_POOL_LIQUIDITY');
+            // check that liquidity requested to add matches the expected amount
+            require(_amount1 >= min1 && _amount1 <= max1, "OurPair: INVALID_LIQUIDITY_TOKEN1");
+            // transfer tokens from user
+            _safeTransferFrom(token0, from, address(this), amount0);
+            _safeTransferFrom(token1, from, address(this), _amount1);
+        }
+        // calculating and minting OURX tokens as shares
+        __mint(from, _reserve0, _reserve1);
+    }
+
+    function removeLiquidity(uint redeemedOURX, uint32 deadline) external ensure(deadline) {
+        (uint _reserve0, uint _reserve1, ) = getReserves();
+        uint balance0 = IERC20(token0).balanceOf(address(this));
+        uint balance1 = IERC20(token1).balanceOf(address(this));
+        address to = _msgSender();
+        uint balanceOURX = balanceOf(to);
+        require(balanceOURX >= redeemedOURX, "OurPair: INSUFFICIENT_OURX_TOKENS");
+        require(_reserve0 > 0 && _reserve1 > 0, "OurPair: INSUFFICIENT_RESERVE_LIQUIDITY");
+        __burn(to, redeemedOURX, balanceOURX, balance0, balance1);
+    }
+
+    // Swaps `amountIn` of `tokenIn` for the other token
+    function swap(address tokenIn, uint amountIn, uint maxOut, uint minOut, uint32 deadline) external ensure(deadline){
+        (uint _reserveIn, uint _reserveOut) = _sortedReserves(tokenIn);
+        address sender = _msgSender();
+        require(amountIn > 0, 'OurPair: ZERO_AMOUNT_SENT');
+
+        uint amountOut = OurDEXLibrary.getAmountOut(amountIn, _reserveIn, _reserveOut, swapFee);
+        require(maxOut >= amountOut && amountOut >= minOut, 'OurPair: SLIPPAGE_RATE_EXCEEDED');
+
+        _safeTransferFrom(tokenIn, sender, address(this), amountIn);
+
+        (uint out0, uint out1) = tokenIn == token0 ? (uint(0), amountOut) : (amountOut, uint(0));
+        _swap(out0, out1, sender);
+    }
+
+    /** PRIVATE FUNCTIONS -- THESE FUNCTIONS SHOULD BE CALLED FROM OTHER FUNCTIONS WITH PROPER CHECKS */
+
+    // returns the reserves ordered as (in, out) for the supplied input token
+    function _sortedReserves(address tokenIn) private view returns (uint _reserveIn, uint _reserveOut) {
+        require(tokenIn == token0 || tokenIn == token1, 'OurPair: INVALID_TOKEN');
+        (uint _reserve0, uint _reserve1, ) = getReserves();
+        (_reserveIn, _reserveOut) = tokenIn == token0 ? (_reserve0, _reserve1) : (_reserve1, _reserve0);
+    }
+
+    // transfers token from the pair to supplied address
+    function _safeTransfer(address token, address to, uint value) private {
+        bool success = IERC20(token).transfer(to, value);
+        require(success, 'OurPair: TOKEN_TRANSFER_FAILED');
+    }
+
+    // transfers token from supplied address to supplied address
+    function _safeTransferFrom(address token, address from, address to, uint value) private {
+        bool success = IERC20(token).transferFrom(from, to, value);
+        require(success, 'OurPair: TOKEN_TRANSFER_FAILED');
+    }
+
+    function _updateLiquidityRecords (address to, address counterparty, uint amount0, uint amount1, uint amountOURX, bool status) private {
+        liquidityRecords[to].push(liquidityRec(block.timestamp, status, counterparty, amount0, amount1, amountOURX)); /* solium-disable-line */
+    }
+
+    // OURX transfers are recorded for both accounts, see OurDEX._afterTokenTransfer
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._afterTokenTransfer(from, to, amount);
+        if (from == address(0) || to == address(0) || amount == 0) return;
+        if (from == LOCKED_LIQUIDITY_HOLDER || to == LOCKED_LIQUIDITY_HOLDER) return;
+
+        (uint amount0, uint amount1) = calculateOnBurnValue(amount);
+        _updateLiquidityRecords(from, to, amount0, amount1, amount, false);
+        _updateLiquidityRecords(to, from, amount0, amount1, amount, true);
+    }
+
+    // mints the accrued protocol fee to the treasury, returns whether the fee is on
+    function _mintFee(uint _reserve0, uint _reserve1) private returns (bool feeOn) {
+        feeOn = treasury != address(0) && protocolFeeShare > 0;
+        if (feeOn) {
+            uint liquidity = OurDEXLibrary.calcProtocolFee(totalSupply(), _reserve0, _reserve1, kLast, protocolFeeShare);
+            if (liquidity > 0) {
+                _mint(treasury, liquidity);
+                emit ProtocolFeeMinted(treasury, liquidity);
+            }
+        } else if (kLast != 0) {
+            kLast = 0;
+        }
+    }
+
+    // growth is only accounted from the moment the fee is turned on
+    function _resetKLast() private {
+        kLast = treasury != address(0) && protocolFeeShare > 0 ? reserve0.mul(reserve1) : 0;
+    }
+
+    // update reserves and, on the first call per block, accumulates prices and records an observation
+    function _update(uint balance0, uint balance1, uint _reserve0, uint _reserve1) private {
+        uint32 blockTimestamp = uint32(block.timestamp % 2**32); /* solium-disable-line */
+        uint32 timeElapsed = blockTimestamp - blockTimestampLast; // timeElapsed > 0 means new block
+
+        // accumulate the prices held since the last block and record an observation
+        OurOracleLibrary.update(oracle, _reserve0, _reserve1, timeElapsed, blockTimestamp);
+
+        reserve0 = balance0;
+        reserve1 = balance1;
+        blockTimestampLast = blockTimestamp;
+
+        emit Sync(reserve0, reserve1);
+    }
+
+    // this low-level function should be called from a public function which performs important safety checks
+    function __mint(address to, uint _reserve0, uint _reserve1) internal lock{
+        bool feeOn = _mintFee(_reserve0, _reserve1); // must be minted before totalSupply is read
+        uint totalSupply = totalSupply();
+        uint mintedOURX = 0;
+
+        uint balance0 = IERC20(token0).balanceOf(address(this));
+        uint balance1 = IERC20(token1).balanceOf(address(this));
+        uint amount0 = balance0.sub(_reserve0);
+        uint amount1 = balance1.sub(_reserve1);
+
+        if (totalSupply == 0) {
+            // initial liquidity provision OURX share calculation, the first MINIMUM_LIQUIDITY shares are locked forever
+            uint liquidity = SafeSqrt.sqrt(amount0.mul(amount1));
+            require(liquidity > MINIMUM_LIQUIDITY, 'OurPair: MINIMUM_POOL_LIQUIDITY');
+            mintedOURX = liquidity - MINIMUM_LIQUIDITY;
+            _mint(LOCKED_LIQUIDITY_HOLDER, MINIMUM_LIQUIDITY);
+        } else {
+            mintedOURX = OurDEXLibrary.calculateMintable(totalSupply, amount0, _reserve0, amount1, _reserve1);
+        }
+
+        require(mintedOURX > 0, 'OurPair: INSUFFICIENT_LIQUIDITY_MINTED');
+        require(to != address(0), 'OurPair: ZERO_ADDRESS_MINTING');
+        _mint(to, mintedOURX);
+
+        _update(balance0, balance1, _reserve0, _reserve1);
+        if (feeOn) kLast = reserve0.mul(reserve1);
+        _updateLiquidityRecords(to, address(0), amount0, amount1, mintedOURX, true);
+
+        emit Mint(msg.sender, to, amount0, amount1, mintedOURX);
+    }
+
+    // this low-level function should be called from a public function which performs important safety checks
+    function __burn(address to, uint amountOURX, uint balanceOURX, uint balance0, uint balance1) internal lock{
+        (uint _reserve0, uint _reserve1, ) = getReserves(); // gas savings
+        bool feeOn = _mintFee(_reserve0, _reserve1); // must be minted before totalSupply is read
+        uint __totalSupply = totalSupply();
+
+        require(amountOURX <= balanceOURX, 'OurPair: INSUFFICIENT_LIQUIDITY_BURNED');
+
+        // using balances ensures pro-rata distribution
+        (uint amount0, uint amount1) = OurDEXLibrary.calcForBurn(amountOURX, balance0, balance1, __totalSupply);
+        require(amount0 > 0 && amount1 > 0, 'OurPair: INSUFFICIENT_LIQUIDITY_BURNED');
+
+        _burn(to, amountOURX);
+
+        _safeTransfer(token0, to, amount0);
+        _safeTransfer(token1, to, amount1);
+
+        _update(IERC20(token0).balanceOf(address(this)), IERC20(token1).balanceOf(address(this)), _reserve0, _reserve1);
+        if (feeOn) kLast = reserve0.mul(reserve1);
+        _updateLiquidityRecords(to, address(0), amount0, amount1, amountOURX, false);
+
+        emit Burn(msg.sender, to, amount0, amount1, amountOURX);
+    }
+
+    // this low-level function should be called from a public function which performs important safety checks
+    function _swap(uint out0, uint out1, address to) internal lock{
+        require(out0 > 0 || out1 > 0, 'OurPair: INSUFFICIENT_OUTPUT_AMOUNT');
+
+        (uint _reserve0, uint _reserve1,) = getReserves(); // gas savings
+        require(out0 < _reserve0 && out1 < _reserve1, 'OurPair: INSUFFICIENT_LIQUIDITY');
+        require(to != token0 && to != token1, 'OurPair: INVALID_TO');
+
+        // optimistically transfer tokens
+        if (out0 > 0) _safeTransfer(token0, to, out0);
+        if (out1 > 0) _safeTransfer(token1, to, out1);
+
+        uint balance0 = IERC20(token0).balanceOf(address(this));
+        uint balance1 = IERC20(token1).balanceOf(address(this));
+
+        uint amount0In = balance0 > _reserve0 - out0 ? balance0 - (_reserve0 - out0) : 0;
+        uint amount1In = balance1 > _reserve1 - out1 ? balance1 - (_reserve1 - out1) : 0;
+        require(amount0In > 0 || amount1In > 0, 'OurPair: INSUFFICIENT_INPUT_AMOUNT');
+
+        // K must hold once the liquidity provider fee is taken off the amounts in
+        require(OurDEXLibrary.checkK(balance0, balance1, amount0In, amount1In, _reserve0, _reserve1, swapFee), 'OurPair: K');
+
+        _update(balance0, balance1, _reserve0, _reserve1);
+
+        emit Swap(msg.sender, amount0In, amount1In, out0, out1, to);
+    }
+}
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
+
+contract OurTimelock {
+
+    /// @notice Math-specific libraries for safely handling larger numbers
+    using SafeMath for uint;
+
+    /// @notice The duration a queued transaction stays executable once its eta is reached
+    uint public constant GRACE_PERIOD = 14 days;
+
+    /// @notice The lower bound of the delay between queuing and executing a transaction
+    uint public constant MINIMUM_DELAY = 2 days;
+
+    /// @notice The upper bound of the delay between queuing and executing a transaction
+    uint public constant MAXIMUM_DELAY = 30 days;
+
+    /// @notice The address allowed to queue, cancel and execute transactions (the governance contract)
+    address public admin;
+
+    /// @notice The address that will become admin once it calls acceptAdmin
+    address public pendingAdmin;
+
+    /// @notice The delay between queuing and executing a transaction
+    uint public delay;
+
+    /// @notice Flag allowing the deployer to set the first pending admin without going through the timelock
+    bool public admin_initialized;
+
+    /// @notice The record of queued transactions by their hash
+    mapping (bytes32 => bool) public queuedTransactions;
+
+    /// @notice An event emitted when the admin accepts the role
+    event NewAdmin(address indexed newAdmin);
+
+    /// @notice An event emitted when a pending admin is set
+    event NewPendingAdmin(address indexed newPendingAdmin);
+
+    /// @notice An event emitted when the delay is changed
+    event NewDelay(uint indexed newDelay);
+
+    /// @notice An event emitted when a queued transaction is canceled
+    event CancelTransaction(bytes32 indexed txHash, address indexed target, uint value, string signature, bytes data, uint eta);
+
+    /// @notice An event emitted when a queued transaction is executed
+    event ExecuteTransaction(bytes32 indexed txHash, address indexed target, uint value, string signature, bytes data, uint eta);
+
+    /// @notice An event emitted when a transaction is queued
+    event QueueTransaction(bytes32 indexed txHash, address indexed target, uint value, string signature, bytes data, uint eta);
+
+    /**
+     * @notice Construct a new timelock
+     * @param admin_ The initial admin, handed over to the governance contract after deployment
+     * @param delay_ The delay between queuing and executing a transaction
+     */
+    constructor(address admin_, uint delay_) {
+        require(delay_ >= MINIMUM_DELAY, "OurTimelock::constructor: Delay must exceed minimum delay.");
+        require(delay_ <= MAXIMUM_DELAY, "OurTimelock::constructor: Delay must not exceed maximum delay.");
+
+        admin = admin_;
+        delay = delay_;
+        admin_initialized = false;
+    }
+
+    /// @notice The timelock can hold and forward ETH for proposals with a value
+    receive() external payable { }
+
+    /**
+     * @notice Changes the delay, can only be called by the timelock itself (through a proposal)
+     * @param delay_ The new delay
+     */
+    function setDelay(uint delay_) public {
+        require(msg.sender == address(this), "OurTimelock::setDelay: Call must come from OurTimelock.");
+        require(delay_ >= MINIMUM_DELAY, "OurTimelock::setDelay: Delay must exceed minimum delay.");
+        require(delay_ <= MAXIMUM_DELAY, "OurTimelock::setDelay: Delay must not exceed maximum delay.");
+        delay = delay_;
+
+        emit NewDelay(delay);
+    }
+
+    /// @notice Completes the admin handover, called by the pending admin
+    function acceptAdmin() public {
+        require(msg.sender == pendingAdmin, "OurTimelock::acceptAdmin: Call must come from pendingAdmin.");
+        admin = msg.sender;
+        pendingAdmin = address(0);
+
+        emit NewAdmin(admin);
+    }
+
+    /**
+     * @notice Starts the admin handover
+     * @dev The first call can be made by the admin directly so that the deployer can hand the
+     *  timelock over to governance, every subsequent call must come through the timelock itself
+     * @param pendingAdmin_ The address that will become admin once it accepts
+     */
+    function setPendingAdmin(address pendingAdmin_) public {
+        if (admin_initialized) {
+            require(msg.sender == address(this), "OurTimelock::setPendingAdmin: Call must come from OurTimelock.");
+        } else {
+            require(msg.sender == admin, "OurTimelock::setPendingAdmin: First call must come from admin.");
+            admin_initialized = true;
+        }
+        pendingAdmin = pendingAdmin_;
+
+        emit NewPendingAdmin(pendingAdmin);
+    }
+
+    /**
+     * @notice Queues a transaction to be executed once `eta` is reached
+     * @param target The address of the contract to call
+     * @param value The ETH value sent with the call
+     * @param signature The function signature, the selector is prepended to `data` when not empty
+     * @param data The abi encoded call arguments
+     * @param eta The timestamp from which the transaction can be executed
+     * @return The hash identifying the queued transaction
+     */
+    function queueTransaction(address target, uint value, string memory signature, bytes memory data, uint eta) public returns (bytes32) {
+        require(msg.sender == admin, "OurTimelock::queueTransaction: Call must come from admin.");
+        require(eta >= getBlockTimestamp().add(delay), "OurTimelock::queueTransaction: Estimated execution block must satisfy delay.");
+
+        bytes32 txHash = keccak256(abi.encode(target, value, signature, data, eta));
+        queuedTransactions[txHash] = true;
+
+        emit QueueTransaction(txHash, target, value, signature, data, eta);
+        return txHash;
+    }
+
+    /**
+     * @notice Cancels a queued transaction
+     * @param target The address of the contract to call
+     * @param value The ETH value sent with the call
+     * @param signature The function signature
+     * @param data The abi encoded call arguments
+     * @param eta The timestamp the transaction was queued for
+     */
+    function cancelTransaction(address target, uint value, string memory signature, bytes memory data, uint eta) public {
+        require(msg.sender == admin, "OurTimelock::cancelTransaction: Call must come from admin.");
+
+        bytes32 txHash = keccak256(abi.encode(target, value, signature, data, eta));
+        queuedTransactions[txHash] = false;
+
+        emit CancelTransaction(txHash, target, value, signature, data, eta);
+    }
+
+    /**
+     * @notice Executes a queued transaction once its eta is reached and before the grace period is over
+     * @param target The address of the contract to call
+     * @param value The ETH value sent with the call
+     * @param signature The function signature
+     * @param data The abi encoded call arguments
+     * @param eta The timestamp the transaction was queued for
+     * @return The data returned by the call
+     */
+    function executeTransaction(address target, uint value, string memory signature, bytes memory data, uint eta) public payable returns (bytes memory) {
+        require(msg.sender == admin, "OurTimelock::executeTransaction: Call must come from admin.");
+
+        bytes32 txHash = keccak256(abi.encode(target, value, signature, data, eta));
+        require(queuedTransactions[txHash], "OurTimelock::executeTransaction: Transaction hasn't been queued.");
+        require(getBlockTimestamp() >= eta, "OurTimelock::executeTransaction: Transaction hasn't surpassed time lock.");
+        require(getBlockTimestamp() <= eta.add(GRACE_PERIOD), "OurTimelock::executeTransaction: Transaction is stale.");
+
+        queuedTransactions[txHash] = false;
+
+        bytes memory callData;
+
+        if (bytes(signature).length == 0) {
+            callData = data;
+        } else {
+            callData = abi.encodePacked(bytes4(keccak256(bytes(signature))), data);
+        }
+
+        // solium-disable-next-line security/no-call-value
+        (bool success, bytes memory returnData) = target.call{value: value}(callData);
+        require(success, "OurTimelock::executeTransaction: Transaction execution reverted.");
+
+        emit ExecuteTransaction(txHash, target, value, signature, data, eta);
+
+        return returnData;
+    }
+
+    function getBlockTimestamp() internal view returns (uint) {
+        // solium-disable-next-line security/no-block-members
+        return block.timestamp;
+    }
+}
@@ -36,9 +36,73 @@ contract OurToken is
   bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
   bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
 
+  /// @notice the supply the cap starts at, governance can only lower it from there
+  uint256 public constant MAX_SUPPLY_CAP = 10 ** 14 * 10 ** 18;
+
+  /// @notice the hard cap of the total supply, mints beyond it revert
+  uint256 private supplyCap;
+
+  /// @notice emitted when the owner lowers the supply cap
+  event SupplyCapLowered(uint256 previousCap, uint256 newCap);
+
   /// @notice the fees as per-thousand from checques transactions
   uint private checquesFeesPerThousand;
 
+  /// @notice the highest checques fee-rate per-thousand governance can set
+  uint public constant MAX_CHECQUES_FEES = 50;
+
+  /// @notice the account receiving the checques fees that are not burnt, the zero address burns them all
+  address private checquesTreasury;
+
+  /// @notice the percentage of the checques fees burnt, the rest goes to the treasury
+  uint private checquesBurnShare;
+
+  /// @notice emitted when the owner changes the checques fee-rate
+  event ChecquesFeesChanged(uint previousFees, uint newFees);
+
+  /// @notice emitted when the owner changes the checques fees treasury
+  event ChecquesTreasuryChanged(address indexed previousTreasury, address indexed newTreasury);
+
+  /// @notice emitted when the owner changes the share of the checques fees burnt
+  event ChecquesBurnShareChanged(uint previousShare, uint newShare);
+
+  /// @notice emitted for every checque cashed, amount is the gross amount the fee was taken out of
+  event ChecqueCashed(address indexed issuer, address indexed beneficiary, uint256 amount, uint256 fee);
+
+  /// @notice EIP-2771 forwarder relaying calls on behalf of accounts, the zero address disables relaying
+  address private trustedForwarder;
+
+  /// @notice emitted when the owner changes the trusted forwarder
+  event TrustedForwarderChanged(address indexed previousForwarder, address indexed newForwarder);
+
+  /// @notice a checque signed by the issuer as EIP-712 typed data, the salt identifies it among the issuer checques
+  struct Checque {
+    address issuer;
+    address beneficiary;
+    uint256 amount;
+    bytes32 salt;
+    uint256 deadline;
+  }
+
+  /// @notice state of an issuer salt: the checque it was first cashed for, the amount cashed so far and the revocation
+  struct ChecqueState {
+    bytes32 checqueHash;
+    uint256 cashed;
+    bool revoked;
+  }
+
+  /// @notice status of a typed checque as returned by checqueStatus
+  enum ChecqueStatus { Open, PartiallyCashed, Cashed, Revoked, Expired, SaltUsed }
+
+  bytes32 private constant _CHECQUE_TYPEHASH =
+    keccak256("Checque(address issuer,address beneficiary,uint256 amount,bytes32 salt,uint256 deadline)");
+
+  /// @notice typed checques state per issuer and salt
+  mapping(address => mapping(bytes32 => ChecqueState)) private checques;
+
+  /// @notice emitted when an issuer revokes the checque of a salt
+  event ChecqueRevoked(address indexed issuer, bytes32 indexed salt);
+
   /**
     * @notice constructor
   **/
@@ -47,8 +111,10 @@ contract OurToken is
     _setupRole(SNAPSHOT_ROLE, _msgSender());
     _setupRole(PAUSER_ROLE, _msgSender());
     _setupRole(MINTER_ROLE, _msgSender());
+    supplyCap = MAX_SUPPLY_CAP;
     _mint(_msgSender(), 1000 * 10 ** decimals());
     checquesFeesPerThousand = 5;
+    checquesBurnShare = 100;
     _version = "1";
   }
 
@@ -57,6 +123,24 @@ contract OurToken is
     return _version;
   }
 
+  /**
+    * @notice gets the hard cap of the total supply
+    * @return uint256 supply cap
+  **/
+  function cap() external view returns (uint256){
+    return supplyCap;
+  }
+
+  /**
+    * @notice lowers the hard cap of the total supply, it can never be raised again
+    * @param newCap the new cap, between the current total supply and the current cap
+  **/
+  function lowerSupplyCap(uint256 newCap) external onlyOwner(){
+    require(newCap < supplyCap && newCap >= totalSupply(), 'OurToken:lowerSupplyCap:: INVALID_SUPPLY_CAP');
+    emit SupplyCapLowered(supplyCap, newCap);
+    supplyCap = newCap;
+  }
+
   /**
     * @notice gets the checques fee rate per-thousand
     * @return uint checques fee-rate per-thousand
@@ -67,12 +151,60 @@ contract OurToken is
 
   /**
     * @notice changes the fees collected on checques transfers
-    * @param newFees the fee-rate per-thousand
+    * @param newFees the fee-rate per-thousand, MAX_CHECQUES_FEES at most
   **/
   function changeChecquesFees(uint newFees) external onlyOwner(){
+    require(newFees <= MAX_CHECQUES_FEES, 'OurToken:changeChecquesFees:: FEES_ABOVE_MAXIMUM');
+    emit ChecquesFeesChanged(checquesFeesPerThousand, newFees);
     checquesFeesPerThousand = newFees;
   }
 
+  /**
+    * @notice gets where the checques fees go
+    * @return treasury the account receiving the fees that are not burnt
+    * @return burnShare the percentage of the fees burnt, all of them when there is no treasury
+  **/
+  function getChecquesFeesRouting() external view returns (address treasury, uint burnShare){
+    return (checquesTreasury, checquesBurnShare);
+  }
+
+  /**
+    * @notice changes the account receiving the checques fees that are not burnt
+    * @param newTreasury the treasury, the zero address burns all the fees
+  **/
+  function changeChecquesTreasury(address newTreasury) external onlyOwner(){
+    emit ChecquesTreasuryChanged(checquesTreasury, newTreasury);
+    checquesTreasury = newTreasury;
+  }
+
+  /**
+    * @notice changes the share of the checques fees burnt, the rest goes to the treasury
+    * @param newShare the percentage burnt, from 0 to 100
+  **/
+  function changeChecquesBurnShare(uint newShare) external onlyOwner(){
+    require(newShare <= 100, 'OurToken:changeChecquesBurnShare:: INVALID_BURN_SHARE');
+    emit ChecquesBurnShareChanged(checquesBurnShare, newShare);
+    checquesBurnShare = newShare;
+  }
+
+  /**
+    * @notice checks if the address is the EIP-2771 forwarder trusted to relay calls
+    * @param forwarder address
+    * @return bool true when calls from the forwarder carry the original sender
+  **/
+  function isTrustedForwarder(address forwarder) public view returns (bool){
+    return forwarder != address(0) && forwarder == trustedForwarder;
+  }
+
+  /**
+    * @notice changes the EIP-2771 forwarder trusted to relay calls, it can act on behalf of any account
+    * @param newForwarder address of the forwarder, the zero address disables relaying
+  **/
+  function changeTrustedForwarder(address newForwarder) external onlyOwner(){
+    emit TrustedForwarderChanged(trustedForwarder, newForwarder);
+    trustedForwarder = newForwarder;
+  }
+
   /**
     * @notice grants the minter role to the specified address
     * @param minter address
@@ -188,6 +320,51 @@ contract OurToken is
     bytes32[] memory rs,
     bytes32[] memory ss
   ) external {
+    _cashChecques(spender, owners, values, deadlines, vs, rs, ss);
+  }
+
+  /**
+    * @notice cashes a list of checques like cashChecques then pays the relayer that submitted them,
+    * meant to be called through the trusted forwarder by a beneficiary holding no ETH
+    * @param spender address of beneficiary
+    * @param owners address list of checques signatories
+    * @param values the values transfered through the checques
+    * @param deadlines the deadline for cashing in the checques
+    * @param vs signatures
+    * @param rs signatures
+    * @param ss signatures
+    * @param relayer address receiving the relayer fee
+    * @param relayerFee the amount of tokens paid by the beneficiary to the relayer
+  */
+  function cashChecquesWithRelayerFee(
+    address spender,
+    address[] memory owners,
+    uint256[] memory values,
+    uint256[] memory deadlines,
+    uint8[] memory vs,
+    bytes32[] memory rs,
+    bytes32[] memory ss,
+    address relayer,
+    uint256 relayerFee
+  ) external {
+    /// @notice the fee is paid out of the beneficiary balance, only the beneficiary cashing checques can pay it
+    require(spender == _msgSender(), 'OurToken:cashChecquesWithRelayerFee:: INVALID_SPENDER_ADDRESS');
+    require(owners.length > 0, 'OurToken:cashChecquesWithRelayerFee:: NO_CHECQUES');
+
+    _cashChecques(spender, owners, values, deadlines, vs, rs, ss);
+    _transfer(spender, relayer, relayerFee);
+  }
+
+  /// @notice checks the checques lists arity and cashes them one by one
+  function _cashChecques(
+    address spender,
+    address[] memory owners,
+    uint256[] memory values,
+    uint256[] memory deadlines,
+    uint8[] memory vs,
+    bytes32[] memory rs,
+    bytes32[] memory ss
+  ) private {
     /// @notice information arity match check
     require(
       owners.length == values.length /* solium-disable-line */
@@ -232,8 +409,143 @@ contract OurToken is
       permit(owner, spender, value, deadline, v, r, s);
       transferFrom(owner, spender, value.sub(fee));
 
-      /// @notice burn contract fee tokens
-      _burn(owner, fee);
+      /// @notice take the fee out of the permit so the beneficiary can't pull it later
+      _approve(owner, spender, allowance(owner, spender).sub(fee));
+      _takeChecqueFee(owner, fee);
+      emit ChecqueCashed(owner, spender, value, fee);
+  }
+
+  /**
+    * @notice burns the burn share of a checque fee and sends the rest to the treasury, burns it all without treasury
+    * @param issuer address the fee is taken from
+    * @param fee the checque fee
+  **/
+  function _takeChecqueFee(address issuer, uint fee) private {
+    uint burnt = checquesTreasury == address(0) ? fee : fee.mul(checquesBurnShare)/100;
+    if (burnt > 0) {
+      _burn(issuer, burnt);
+    }
+    if (fee > burnt) {
+      _transfer(issuer, checquesTreasury, fee.sub(burnt));
+    }
+  }
+
+  /**
+    * @notice gets the EIP-712 digest the issuer signs for a typed checque
+    * @param checque the checque
+    * @return bytes32 digest
+  **/
+  function checqueDigest(Checque calldata checque) public view returns (bytes32){
+    return _hashTypedDataV4(keccak256(abi.encode(
+      _CHECQUE_TYPEHASH,
+      checque.issuer,
+      checque.beneficiary,
+      checque.amount,
+      checque.salt,
+      checque.deadline
+    )));
+  }
+
+  /**
+    * @notice gets the status of a typed checque and the amounts cashed and left to cash
+    * @param checque the checque
+    * @return status SaltUsed when the issuer salt was cashed for another checque
+    * @return cashed the amount already cashed
+    * @return remaining the amount the beneficiary can still cash
+  **/
+  function checqueStatus(Checque calldata checque) external view returns (ChecqueStatus status, uint256 cashed, uint256 remaining){
+    ChecqueState storage state = checques[checque.issuer][checque.salt];
+    cashed = state.cashed;
+    if (state.revoked) {
+      status = ChecqueStatus.Revoked;
+    } else if (state.checqueHash != bytes32(0) && state.checqueHash != checqueDigest(checque)) {
+      return (ChecqueStatus.SaltUsed, 0, 0);
+    } else if (cashed >= checque.amount) {
+      status = ChecqueStatus.Cashed;
+    } else if (block.timestamp > checque.deadline) {
+      status = ChecqueStatus.Expired;
+    } else {
+      status = cashed > 0 ? ChecqueStatus.PartiallyCashed : ChecqueStatus.Open;
+      remaining = checque.amount.sub(cashed);
+    }
+  }
+
+  /**
+    * @notice cashes part or all of a typed checque for its beneficiary, the checque can be cashed until its
+    * amount is reached, it expires or the issuer revokes it. Typed checques don't use the permit nonces
+    * so they can be cashed in any order.
+    * @param checque the checque
+    * @param value the amount cashed, the fee is taken out of it
+    * @param v signature
+    * @param r signature
+    * @param s signature
+  **/
+  function cashTypedChecque(Checque calldata checque, uint256 value, uint8 v, bytes32 r, bytes32 s) external {
+    require(checque.beneficiary == _msgSender(), 'OurToken:cashTypedChecque:: INVALID_SPENDER_ADDRESS');
+    require(block.timestamp <= checque.deadline, 'OurToken:cashTypedChecque:: EXPIRED');
+
+    bytes32 digest = checqueDigest(checque);
+    require(ECDSA.recover(digest, v, r, s) == checque.issuer, 'OurToken:cashTypedChecque:: INVALID_SIGNATURE');
+
+    ChecqueState storage state = checques[checque.issuer][checque.salt];
+    require(!state.revoked, 'OurToken:cashTypedChecque:: CHECQUE_REVOKED');
+    if (state.checqueHash == bytes32(0)) {
+      state.checqueHash = digest;
+    } else {
+      require(state.checqueHash == digest, 'OurToken:cashTypedChecque:: SALT_ALREADY_USED');
+    }
+    require(value > 0 && state.cashed.add(value) <= checque.amount, 'OurToken:cashTypedChecque:: INSUFFICIENT_CHECQUE_AMOUNT');
+    state.cashed = state.cashed.add(value);
+
+    /// @notice calculate contract fee from the cashed amount, transfer the rest and route the fee
+    uint fee = value.mul(checquesFeesPerThousand)/1000;
+    _transfer(checque.issuer, checque.beneficiary, value.sub(fee));
+    _takeChecqueFee(checque.issuer, fee);
+    emit ChecqueCashed(checque.issuer, checque.beneficiary, value, fee);
+  }
+
+  /**
+    * @notice revokes the typed checque of a salt, what was not cashed yet can no longer be
+    * @param salt the checque salt
+  **/
+  function revokeChecque(bytes32 salt) external {
+    ChecqueState storage state = checques[_msgSender()][salt];
+    require(!state.revoked, 'OurToken:revokeChecque:: CHECQUE_REVOKED');
+    state.revoked = true;
+    emit ChecqueRevoked(_msgSender(), salt);
+  }
+
+  /**
+    * @notice the account calling, the original sender when the call is relayed by the trusted forwarder
+    * which appends it to the calldata (EIP-2771)
+  **/
+  function _msgSender() internal view override returns (address sender) {
+    if (isTrustedForwarder(msg.sender)) {
+      assembly {
+        sender := shr(96, calldataload(sub(calldatasize(), 20)))
+      }
+    } else {
+      return super._msgSender();
+    }
+  }
+
+  /// @notice the calldata, without the original sender appended by the trusted forwarder
+  function _msgData() internal view override returns (bytes calldata) {
+    if (isTrustedForwarder(msg.sender)) {
+      return msg.data[:msg.data.length - 20];
+    } else {
+      return super._msgData();
+    }
+  }
+
+  /**
+    * @notice mints within the supply cap
+    * @param account address receiving the tokens
+    * @param amount amount of tokens minted
+  **/
+  function _mint(address account, uint256 amount) internal override {
+    require(totalSupply().add(amount) <= supplyCap, 'OurToken:mint:: SUPPLY_CAP_EXCEEDED');
+    super._mint(account, amount);
   }
 
   /**
@@ -0,0 +1,171 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../node_modules/@openzeppelin/contracts/access/Ownable.sol";
+import "./../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
+import './OurToken.sol';
+
+/**
+ * OURT vesting of the team and investor allocations. The admin (owner) creates schedules that mint their
+ * allocation within the OURT supply cap, nothing vests before the cliff then the allocation vests linearly
+ * until the end of the schedule. Anyone can release the vested tokens to the beneficiary and the admin can
+ * revoke a revocable schedule: what vested is kept for the beneficiary and the rest is burnt.
+ * The vesting contract must hold the OURT MINTER_ROLE.
+*/
+contract OurVesting is Ownable
+{
+    /** DEFINITIONS */
+
+    // Math-specific libraries for safely handling larger numbers
+    using SafeMath for uint;
+
+    // a vesting schedule, cliff and duration are counted from start
+    struct schedule{
+        address beneficiary;
+        uint amount;
+        uint released;
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+        bool revocable;
+        bool revoked;
+    }
+
+    /** PUBLIC RECORD */
+
+    // the vested token
+    OurToken public immutable token;
+
+    // tokens held for the schedules, minted and not yet released or burnt
+    uint public totalLocked;
+
+    /** PRIVATE */
+
+    // schedules by id
+    schedule[] private schedules;
+
+    // schedule ids of every beneficiary
+    mapping (address => uint[]) private beneficiarySchedules;
+
+    /** EVENT DEFINITIONS */
+
+    event ScheduleCreated(uint indexed id, address indexed beneficiary, uint amount, uint64 start, uint64 cliff, uint64 duration, bool revocable); // Emitted when the admin creates a schedule
+    event Released(uint indexed id, address indexed beneficiary, uint amount); // Emitted when vested tokens are released to the beneficiary
+    event ScheduleRevoked(uint indexed id, address indexed beneficiary, uint vested, uint burnt); // Emitted when the admin revokes a schedule
+
+    /** CONSTRUCTOR */
+
+    constructor(address _token) Ownable() {
+        token = OurToken(_token);
+    }
+
+    /** PUBLIC VIEWS */
+
+    // number of schedules created
+    function schedulesCount() external view returns (uint) {
+        return schedules.length;
+    }
+
+    // schedule ids of a beneficiary
+    function schedulesOf(address beneficiary) external view returns (uint[] memory) {
+        return beneficiarySchedules[beneficiary];
+    }
+
+    function getSchedule(uint id) external view returns (
+        address beneficiary,
+        uint amount,
+        uint released,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration,
+        bool revocable,
+        bool revoked
+    ) {
+        schedule storage s = _schedule(id);
+        return (s.beneficiary, s.amount, s.released, s.start, s.cliff, s.duration, s.revocable, s.revoked);
+    }
+
+    // tokens of a schedule vested so far, released or not
+    function vestedAmount(uint id) public view returns (uint) {
+        schedule storage s = _schedule(id);
+        // a revoked schedule amount is what had vested when it was revoked
+        if (s.revoked || block.timestamp >= uint(s.start).add(s.duration)) return s.amount;
+        if (block.timestamp < uint(s.start).add(s.cliff)) return 0;
+        return s.amount.mul(block.timestamp.sub(s.start)) / s.duration;
+    }
+
+    // tokens of a schedule that can be released now
+    function releasableAmount(uint id) public view returns (uint) {
+        return vestedAmount(id).sub(_schedule(id).released);
+    }
+
+    /** PUBLIC ACTIONS */
+
+    // releases the vested tokens of a schedule to its beneficiary
+    function release(uint id) external returns (uint amount) {
+        amount = releasableAmount(id);
+        require(amount > 0, 'OurVesting: NOTHING_TO_RELEASE');
+        _release(id, amount);
+    }
+
+    /** ADMIN ACTIONS */
+
+    /**
+     * Creates a schedule vesting `amount` to `beneficiary` and mints it, nothing vests before start + cliff
+     * and everything has vested at start + duration. Returns the schedule id
+    */
+    function createSchedule(
+        address beneficiary,
+        uint amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration,
+        bool revocable
+    ) external onlyOwner() returns (uint id) {
+        require(beneficiary != address(0), 'OurVesting: ZERO_ADDRESS_BENEFICIARY');
+        require(amount > 0, 'OurVesting: ZERO_AMOUNT');
+        require(duration > 0 && cliff <= duration, 'OurVesting: INVALID_DURATION');
+
+        id = schedules.length;
+        schedules.push(schedule(beneficiary, amount, 0, start, cliff, duration, revocable, false));
+        beneficiarySchedules[beneficiary].push(id);
+        totalLocked = totalLocked.add(amount);
+        token.mint(address(this), amount);
+
+        emit ScheduleCreated(id, beneficiary, amount, start, cliff, duration, revocable);
+    }
+
+    /**
+     * Revokes a revocable schedule: the tokens vested so far stay releasable to the beneficiary,
+     * the rest is burnt and frees room under the supply cap
+    */
+    function revoke(uint id) external onlyOwner() {
+        schedule storage s = _schedule(id);
+        require(s.revocable, 'OurVesting: NOT_REVOCABLE');
+        require(!s.revoked, 'OurVesting: ALREADY_REVOKED');
+
+        uint vested = vestedAmount(id);
+        uint burnt = s.amount.sub(vested);
+        s.amount = vested;
+        s.revoked = true;
+        totalLocked = totalLocked.sub(burnt);
+        if (burnt > 0) token.burn(burnt);
+
+        emit ScheduleRevoked(id, s.beneficiary, vested, burnt);
+    }
+
+    /** INTERNAL */
+
+    function _schedule(uint id) private view returns (schedule storage) {
+        require(id < schedules.length, 'OurVesting: SCHEDULE_NOT_FOUND');
+        return schedules[id];
+    }
+
+    function _release(uint id, uint amount) private {
+        schedule storage s = schedules[id];
+        s.released = s.released.add(amount);
+        totalLocked = totalLocked.sub(amount);
+        require(token.transfer(s.beneficiary, amount), 'OurVesting: OURT_TRANSFER_FAILED');
+        emit Released(id, s.beneficiary, amount);
+    }
+}
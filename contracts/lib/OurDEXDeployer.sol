@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import './../OurDEX.sol';
+
+/**
+ * Holds the OurDEX creation code on behalf of OurDEXFactory.
+ * Linked libraries run in the caller's context, so the pool is created by the factory
+ * while the factory bytecode stays under the contract size limit.
+*/
+library OurDEXDeployer {
+    function deploy(address token, uint fee) external returns (address pool) {
+        pool = address(new OurDEX(token, fee));
+    }
+}
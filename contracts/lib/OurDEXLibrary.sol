@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import "./../../node_modules/@openzeppelin/contracts/utils/math/Math.sol";
+import "./../../node_modules/@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "./SafeSqrt.sol";
+
+/**
+ * Pool math shared by OurDEX (ETH/token) and OurPair (token/token) so that every pool
+ * quotes, mints and burns the exact same way.
+*/
+library OurDEXLibrary {
+
+    // Math-specific libraries for safely handling larger numbers
+    using SafeMath for uint;
+
+    /**
+     * Swap fees are expressed in basis points of the amount in and kept by the pool for its LPs,
+     * quotes and the K invariant check of every swap take the very same fee off the amounts in
+    */
+    uint internal constant FEE_DENOMINATOR = 10000;
+    uint internal constant MAX_SWAP_FEE = 100; // 1%
+
+    // given an input amount of an asset and pair reserves, returns the maximum output amount of the other asset
+    function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut, uint fee) internal pure returns (uint amountOut) {
+        require(amountIn > 0, 'OurDEX: INSUFFICIENT_INPUT_AMOUNT');
+        require(reserveIn > 0 && reserveOut > 0, 'OurDEX: INSUFFICIENT_LIQUIDITY');
+        uint amountInWithoutFee = amountIn.mul(FEE_DENOMINATOR.sub(fee)); // liquidity provider fee
+        amountOut = amountInWithoutFee.mul(reserveOut) / reserveIn.mul(FEE_DENOMINATOR).add(amountInWithoutFee);
+    }
+
+    // given an output amount of an asset and pair reserves, returns a required input amount of the other asset
+    // rounded up so that swapping the returned input always yields at least `amountOut`
+    function getAmountIn(uint amountOut, uint reserveIn, uint reserveOut, uint fee) internal pure returns (uint amountIn) {
+        require(amountOut > 0, 'OurDEX: INSUFFICIENT_OUTPUT_AMOUNT');
+        require(reserveIn > 0 && reserveOut > amountOut, 'OurDEX: INSUFFICIENT_LIQUIDITY');
+        amountIn = (reserveIn.mul(amountOut).mul(FEE_DENOMINATOR) / reserveOut.sub(amountOut).mul(FEE_DENOMINATOR.sub(fee))).add(1); // liquidity provider fee
+    }
+
+    // whether the balances after a swap keep K once the liquidity provider fee is taken off the amounts in
+    function checkK(uint balance0, uint balance1, uint amount0In, uint amount1In, uint reserve0, uint reserve1, uint fee)
+        internal pure returns (bool){
+        uint balance0Adjusted = balance0.mul(FEE_DENOMINATOR).sub(amount0In.mul(fee));
+        uint balance1Adjusted = balance1.mul(FEE_DENOMINATOR).sub(amount1In.mul(fee));
+        return balance0Adjusted.mul(balance1Adjusted) >= reserve0.mul(reserve1).mul(FEE_DENOMINATOR**2);
+    }
+
+    // given an input amount of an asset and pair reserves, returns a required input amount of the other asset for liquidity provision
+    function getAmountMatch(uint amountIn, uint reserveIn, uint reserveOut) internal pure returns (uint amountReq) {
+        require(amountIn > 0, 'OurDEX: INSUFFICIENT_INPUT_AMOUNT');
+        require(reserveIn > 0 && reserveOut > 0, 'OurDEX: INSUFFICIENT_LIQUIDITY');
+        amountReq = (reserveOut.mul(amountIn) / reserveIn);
+    }
+
+    // Calculates the amount of OURX to be minted given parameters
+    function calculateMintable(uint totalSupply, uint req0, uint resv0, uint req1, uint resv1)
+        internal pure returns (uint mintable){
+        mintable = Math.min(uint(req0).mul(totalSupply) / resv0, uint(req1).mul(totalSupply) / resv1);
+    }
+
+    // Calculates the OURX minted by the first deposit of a pool, `locked` shares are taken off for the permanent lock
+    function calculateInitialMintable(uint amount0, uint amount1, uint locked) internal pure returns (uint mintable){
+        uint liquidity = SafeSqrt.sqrt(amount0.mul(amount1));
+        mintable = liquidity > locked ? liquidity - locked : 0;
+    }
+
+    // Calculates the OURX to mint to the treasury for `share` per thousand of the liquidity growth (delta-sqrtK) since `kLast`
+    function calcProtocolFee(uint totalSupply, uint reserve0, uint reserve1, uint kLast, uint share)
+        internal pure returns (uint liquidity){
+        if (kLast == 0 || share == 0) return 0;
+        uint rootK = SafeSqrt.sqrt(reserve0.mul(reserve1));
+        uint rootKLast = SafeSqrt.sqrt(kLast);
+        if (rootK <= rootKLast) return 0;
+        // minted / (totalSupply + minted) == share * (rootK - rootKLast) / (1000 * rootK)
+        uint numerator = totalSupply.mul(rootK.sub(rootKLast)).mul(share);
+        uint denominator = rootK.mul(uint(1000).sub(share)).add(rootKLast.mul(share));
+        liquidity = numerator / denominator;
+    }
+
+    // Calculates per rata returned reserves from OURX burn
+    function calcForBurn(uint amountOURX, uint balance0, uint balance1, uint _totalSupply)
+        internal pure returns (uint amount0, uint amount1){
+        amount0 = uint(amountOURX).mul(balance0) / _totalSupply;
+        amount1 = uint(amountOURX).mul(balance1) / _totalSupply;
+    }
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+/**
+ * Time-weighted average price oracle shared by OurDEX and OurPair.
+ * Prices are UQ112x112 fixed-point numbers (the price times 2**112) accumulated per second
+ * on the first reserve update of every block, before the reserves change, so a price can only
+ * weigh in the average once it survived the end of a block. Every such update is written to
+ * a ring buffer of observations, a TWAP can be computed over any window the buffer still covers.
+ *
+ * The buffer holds a single observation until someone pays to grow it with `grow`, slots are
+ * prefilled so that recording an observation always costs the same gas (a la Uniswap v3).
+ * Accumulators are meant to overflow, only their differences are meaningful.
+*/
+library OurOracleLibrary {
+
+    // fixed-point resolution of the prices
+    uint internal constant Q112 = 2**112;
+
+    /** Struct representing the accumulators at a given timestamp, packed in two slots */
+    struct Observation {
+        uint32 timestamp;
+        uint224 price0Cumulative; // price of token0 in token1, accumulated
+        uint224 price1Cumulative; // price of token1 in token0, accumulated
+        bool initialized; // keeps the second slot non-zero even while price1Cumulative is zero
+    }
+
+    /** Struct holding the ring buffer of a pool */
+    struct Oracle {
+        uint16 index; // position of the latest observation
+        uint16 count; // number of observations written, up to cardinality
+        uint16 cardinality; // size of the ring buffer
+        uint16 cardinalityNext; // size the buffer grows to once the latest observation reaches its end
+        Observation[65535] observations;
+    }
+
+    // encodes numerator / denominator as a UQ112x112
+    function encode(uint numerator, uint denominator) internal pure returns (uint224) {
+        return uint224(numerator * Q112 / denominator);
+    }
+
+    // latest accumulated prices
+    function latest(Oracle storage self) internal view returns (uint224 price0Cumulative, uint224 price1Cumulative) {
+        Observation storage last = self.observations[self.index];
+        return (last.price0Cumulative, last.price1Cumulative);
+    }
+
+    /**
+     * Accumulates the prices of the reserves held since the last update and, on a new block,
+     * records an observation. Must be called before the reserves are overwritten.
+    */
+    function update(Oracle storage self, uint reserve0, uint reserve1, uint32 timeElapsed, uint32 blockTimestamp) internal {
+        if (timeElapsed == 0) return;
+
+        // the very first observation opens the buffer
+        if (self.cardinality == 0) {
+            self.cardinality = 1;
+            if (self.cardinalityNext == 0) self.cardinalityNext = 1;
+            self.observations[0] = Observation(blockTimestamp, 0, 0, true);
+            self.count = 1;
+            return;
+        }
+
+        (uint224 price0Cumulative, uint224 price1Cumulative) = latest(self);
+        if (reserve0 != 0 && reserve1 != 0) {
+            unchecked {
+                price0Cumulative += encode(reserve1, reserve0) * timeElapsed;
+                price1Cumulative += encode(reserve0, reserve1) * timeElapsed;
+            }
+        }
+
+        // the buffer only grows once the latest observation is at its end so that it stays ordered
+        if (self.index == self.cardinality - 1 && self.cardinalityNext > self.cardinality) {
+            self.cardinality = self.cardinalityNext;
+        }
+        uint16 next = uint16((uint(self.index) + 1) % self.cardinality);
+        self.observations[next] = Observation(blockTimestamp, price0Cumulative, price1Cumulative, true);
+        self.index = next;
+        if (self.count < self.cardinality) self.count++;
+    }
+
+    /** Prefills the buffer up to `next` observations, returns the previous target size */
+    function grow(Oracle storage self, uint16 next) internal returns (uint16 previous) {
+        previous = self.cardinalityNext == 0 ? 1 : self.cardinalityNext;
+        if (next <= previous) return previous;
+        // non-zero values so that recording an observation never pays for a fresh slot
+        for (uint16 i = previous; i < next; i++) {
+            self.observations[i].timestamp = 1;
+            self.observations[i].initialized = true;
+        }
+        self.cardinalityNext = next;
+    }
+
+    /**
+     * Returns the accumulators as they were `secondsAgo` seconds ago.
+     * `reserve0`, `reserve1` and `blockTimestampLast` are the current pool values.
+    */
+    function observe(Oracle storage self, uint reserve0, uint reserve1, uint32 blockTimestampLast, uint32 secondsAgo)
+        internal view returns (uint224 price0Cumulative, uint224 price1Cumulative)
+    {
+        require(self.count > 0, 'OurDEX: NO_OBSERVATIONS');
+        uint32 target = uint32(block.timestamp) - secondsAgo; /* solium-disable-line */
+
+        // after the last update the current reserves held the price
+        if (target >= blockTimestampLast) {
+            uint32 elapsed = target - blockTimestampLast;
+            (price0Cumulative, price1Cumulative) = latest(self);
+            if (elapsed > 0 && reserve0 != 0 && reserve1 != 0) {
+                unchecked {
+                    price0Cumulative += encode(reserve1, reserve0) * elapsed;
+                    price1Cumulative += encode(reserve0, reserve1) * elapsed;
+                }
+            }
+            return (price0Cumulative, price1Cumulative);
+        }
+
+        // otherwise interpolate between the surrounding observations
+        (uint oldest, uint position) = _search(self, target);
+        Observation memory before = _at(self, oldest, position);
+        if (target == before.timestamp) return (before.price0Cumulative, before.price1Cumulative);
+        Observation memory next = _at(self, oldest, position + 1);
+        uint32 span = next.timestamp - before.timestamp;
+        uint32 offset = target - before.timestamp;
+        unchecked {
+            // the price is constant in between two observations: the per-second increment divides exactly
+            price0Cumulative = before.price0Cumulative + (next.price0Cumulative - before.price0Cumulative) / span * offset;
+            price1Cumulative = before.price1Cumulative + (next.price1Cumulative - before.price1Cumulative) / span * offset;
+        }
+    }
+
+    /**
+     * Returns the UQ112x112 prices held up to the observation recorded at `timestamp`,
+     * zero when no such observation is kept or when it is the oldest one
+    */
+    function priceAt(Oracle storage self, uint32 timestamp) internal view returns (uint price0, uint price1) {
+        if (self.count < 2) return (0, 0);
+        uint cardinality = self.cardinality;
+        uint oldest = self.count < cardinality ? 0 : (uint(self.index) + 1) % cardinality;
+        if (self.observations[oldest].timestamp >= timestamp || self.observations[self.index].timestamp < timestamp) return (0, 0);
+
+        (, uint position) = _search(self, timestamp);
+        Observation memory observation = _at(self, oldest, position);
+        if (observation.timestamp != timestamp) return (0, 0);
+        Observation memory previous = _at(self, oldest, position - 1);
+        uint32 span = observation.timestamp - previous.timestamp;
+        unchecked {
+            price0 = (observation.price0Cumulative - previous.price0Cumulative) / span;
+            price1 = (observation.price1Cumulative - previous.price1Cumulative) / span;
+        }
+    }
+
+    /** Returns the UQ112x112 average prices over the last `window` seconds */
+    function consult(Oracle storage self, uint reserve0, uint reserve1, uint32 blockTimestampLast, uint32 window)
+        internal view returns (uint price0Average, uint price1Average)
+    {
+        require(window > 0, 'OurDEX: INVALID_WINDOW');
+        (uint224 price0Now, uint224 price1Now) = observe(self, reserve0, reserve1, blockTimestampLast, 0);
+        (uint224 price0Ago, uint224 price1Ago) = observe(self, reserve0, reserve1, blockTimestampLast, window);
+        unchecked {
+            price0Average = (price0Now - price0Ago) / window;
+            price1Average = (price1Now - price1Ago) / window;
+        }
+    }
+
+    // binary search of the latest observation at or before `target`, positions are counted from the oldest one
+    function _search(Oracle storage self, uint32 target) private view returns (uint oldest, uint position) {
+        uint cardinality = self.cardinality;
+        uint count = self.count;
+        oldest = count < cardinality ? 0 : (uint(self.index) + 1) % cardinality;
+        require(self.observations[oldest].timestamp <= target, 'OurDEX: OLD_OBSERVATION');
+
+        uint high = count - 1;
+        while (position < high) {
+            uint mid = (position + high + 1) / 2;
+            if (self.observations[(oldest + mid) % cardinality].timestamp <= target) position = mid;
+            else high = mid - 1;
+        }
+    }
+
+    // observation at `position` counted from the oldest one
+    function _at(Oracle storage self, uint oldest, uint position) private view returns (Observation memory) {
+        return self.observations[(oldest + position) % self.cardinality];
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.4.22 <0.9.0;
+
+import './../OurPair.sol';
+
+/**
+ * Holds the OurPair creation code on behalf of OurDEXFactory, see OurDEXDeployer.
+*/
+library OurPairDeployer {
+    function deploy(address token0, address token1, uint fee, address governance) external returns (address pair) {
+        pair = address(new OurPair(token0, token1, fee, governance));
+    }
+}
@@ -1,3 +1,33 @@
-console.log("DeFi blockend devenv!");
-console.log("RUN npm run launch-[network] OR npm run deploy-[network]");
-console.log("Check package.json for more.")
\ No newline at end of file
+/**
+ * DeFi Bootcamp SDK
+ * JS wrappers around the protocol contracts, see package.json for the devnet scripts.
+ * The wrappers read their ABI from the truffle build output (build/contracts), so the contracts
+ * must be compiled first (truffle compile) unless an ABI is passed in the wrapper options (options.abi).
+**/
+
+const OurDEX = require('./sdk/OurDEX');
+const OurDEXRouter = require('./sdk/OurDEXRouter');
+const OurFund = require('./sdk/OurFund');
+const OurForwarder = require('./sdk/OurForwarder');
+const OurToken = require('./sdk/OurToken');
+const OurVesting = require('./sdk/OurVesting');
+const errors = require('./sdk/errors');
+const utils = require('./sdk/utils');
+const pathFinder = require('./sdk/pathFinder');
+const fundReport = require('./sdk/fundReport');
+const liquidityAnalytics = require('./sdk/liquidityAnalytics');
+
+module.exports = {
+    OurDEX,
+    OurDEXRouter,
+    OurFund,
+    OurForwarder,
+    OurToken,
+    OurVesting,
+    errors,
+    utils,
+    pathFinder,
+    fundReport,
+    liquidityAnalytics,
+    ...errors
+}
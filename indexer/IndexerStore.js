@@ -0,0 +1,118 @@
+/** SQLITE STORE OF THE INDEXED PROTOCOL EVENTS */
+
+const Database = require('better-sqlite3');
+
+/**
+ * Event values are kept as JSON with amounts as decimal strings: they overflow SQLite integers,
+ * sums are computed with BN by the queries. Blocks holds the hash of every block with indexed events
+ * and of every batch head, which is what reorganizations are detected against.
+**/
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        name TEXT NOT NULL,
+        blockNumber INTEGER NOT NULL,
+        logIndex INTEGER NOT NULL,
+        transactionHash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        args TEXT NOT NULL,
+        UNIQUE (transactionHash, logIndex)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_name ON events (source, name, blockNumber, logIndex);
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+class IndexerStore {
+
+    /** @param {string} [path] SQLite file, in memory by default */
+    constructor(path = ':memory:') {
+        this.db = new Database(path);
+        this.db.exec(SCHEMA);
+        this.statements = {
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+            deleteMeta: this.db.prepare('DELETE FROM meta WHERE key = ?'),
+            insertBlock: this.db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)'),
+            getBlock: this.db.prepare('SELECT number, hash, timestamp FROM blocks WHERE number = ?'),
+            getBlocks: this.db.prepare('SELECT number, hash, timestamp FROM blocks ORDER BY number DESC'),
+            insertEvent: this.db.prepare(`
+                INSERT OR IGNORE INTO events (source, name, blockNumber, logIndex, transactionHash, timestamp, args)
+                VALUES (@source, @name, @blockNumber, @logIndex, @transactionHash, @timestamp, @args)
+            `),
+            getEvents: this.db.prepare(`
+                SELECT * FROM events WHERE source = @source AND name = @name AND timestamp >= @from AND timestamp <= @to
+                ORDER BY blockNumber, logIndex
+            `),
+            countEvents: this.db.prepare('SELECT COUNT(*) AS count FROM events'),
+            deleteEvents: this.db.prepare('DELETE FROM events WHERE blockNumber > ?'),
+            deleteBlocks: this.db.prepare('DELETE FROM blocks WHERE number > ?')
+        };
+    }
+
+    /** last indexed block, null before the first sync */
+    getHead() {
+        const row = this.statements.getMeta.get('head');
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    /** indexed blocks, latest first */
+    getBlocks() {
+        return this.statements.getBlocks.all();
+    }
+
+    /**
+     * Stores the blocks and events of a batch and moves the head, all or nothing
+     * @param {Array<{number, hash, timestamp}>} blocks
+     * @param {Array<{source, name, blockNumber, logIndex, transactionHash, timestamp, args: object}>} events
+     * @param {{number, hash, timestamp}} head
+    **/
+    commit(blocks, events, head) {
+        this.db.transaction(() => {
+            for (const block of blocks) this.statements.insertBlock.run(block);
+            for (const event of events) this.statements.insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+            this.statements.insertBlock.run(head);
+            this.statements.setMeta.run('head', JSON.stringify(head));
+        })();
+    }
+
+    /** drops everything indexed after block `number`, which becomes the head */
+    rollback(number) {
+        this.db.transaction(() => {
+            this.statements.deleteEvents.run(number);
+            this.statements.deleteBlocks.run(number);
+            const head = this.statements.getBlock.get(number);
+            if (head) {
+                this.statements.setMeta.run('head', JSON.stringify(head));
+            } else {
+                this.statements.deleteMeta.run('head');
+            }
+        })();
+    }
+
+    /**
+     * Events of `source` named `name` in between two timestamps, oldest first
+     * @returns {Array<{source, name, blockNumber, logIndex, transactionHash, timestamp, args: object}>}
+    **/
+    getEvents(source, name, { from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+        return this.statements.getEvents.all({ source, name, from, to }).map(row => ({ ...row, args: JSON.parse(row.args) }));
+    }
+
+    countEvents() {
+        return this.statements.countEvents.get().count;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = IndexerStore;
@@ -0,0 +1,158 @@
+/** EVENT INDEXER FOR THE PROTOCOL CONTRACTS */
+
+/** events indexed per contract, OURX transfers keep the LP positions exact */
+const INDEXED_EVENTS = {
+    dex: ['Mint', 'Burn', 'Swap', 'Sync', 'Transfer'],
+    fund: ['Mint', 'Burn', 'RegisteredTrade'],
+    governance: ['ProposalCreated', 'VoteCast', 'ProposalCanceled', 'ProposalQueued', 'ProposalExecuted']
+};
+
+/**
+ * Indexer options and their defaults
+ *  - startBlock: first block indexed, usually the deployment block of the contracts
+ *  - confirmations: blocks left behind the latest one, 0 indexes up to it and relies on reorg handling
+ *  - batchSize: blocks read per getPastEvents call
+ *  - pollInterval: milliseconds in between two syncs once started
+**/
+const DEFAULT_OPTIONS = {
+    startBlock: 0,
+    confirmations: 0,
+    batchSize: 2000,
+    pollInterval: 5000
+};
+
+/** keeps the named values of decoded event values, uints stay decimal strings */
+const toPlain = (value) => {
+    if (value === null || typeof value !== 'object') return value;
+    const named = Object.keys(value).filter(key => isNaN(key) && key !== '__length__');
+    if (named.length === 0) return Array.from(value, toPlain);
+    return Object.fromEntries(named.map(key => [key, toPlain(value[key])]));
+}
+
+class OurIndexer {
+
+    /**
+     * @param {object} options see DEFAULT_OPTIONS
+     * @param {Web3} options.web3 connected web3 instance
+     * @param {IndexerStore} options.store
+     * @param {{dex?: Contract, fund?: Contract, governance?: Contract}} options.contracts web3 contracts of the sources to index
+     * @param {object} [options.logger] console-like logger
+    **/
+    constructor({ web3, store, contracts, logger = console, ...options }) {
+        this.web3 = web3;
+        this.store = store;
+        this.contracts = contracts;
+        this.logger = logger;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.timer = null;
+    }
+
+    /**
+     * Indexes every block since the head up to the latest one (minus the confirmations),
+     * after rolling back the blocks that are no longer part of the chain
+     * @returns {Promise<{number, hash, timestamp}|null>} the new head
+    **/
+    async sync() {
+        await this.handleReorg();
+        const latest = Number(await this.web3.eth.getBlockNumber()) - this.options.confirmations;
+        const head = this.store.getHead();
+        let from = head ? head.number + 1 : this.options.startBlock;
+        while (from <= latest) {
+            const to = Math.min(from + this.options.batchSize - 1, latest);
+            // the chain moved under the batch, the next sync starts over from the head
+            if (!await this.indexRange(from, to)) break;
+            from = to + 1;
+        }
+        return this.store.getHead();
+    }
+
+    /**
+     * Walks the indexed blocks back until one is still part of the chain and drops everything after it
+     * @returns {Promise<number|null>} the block rolled back to, null when the head is still valid
+    **/
+    async handleReorg() {
+        const head = this.store.getHead();
+        if (head === null) return null;
+        for (const block of this.store.getBlocks()) {
+            const onChain = await this.web3.eth.getBlock(block.number);
+            if (onChain && onChain.hash === block.hash) {
+                if (block.number === head.number) return null;
+                this.store.rollback(block.number);
+                this.logger.warn(`OurIndexer: reorganization, rolled back to block ${block.number}`);
+                return block.number;
+            }
+        }
+        const start = this.options.startBlock - 1;
+        this.store.rollback(start);
+        this.logger.warn(`OurIndexer: reorganization deeper than the indexed blocks, reindexing from block ${this.options.startBlock}`);
+        return start;
+    }
+
+    /**
+     * Reads and stores the indexed events of blocks `from` to `to`
+     * @returns {Promise<boolean>} false when a block changed while it was read, nothing is stored then
+    **/
+    async indexRange(from, to) {
+        const logs = [];
+        for (const [source, contract] of Object.entries(this.contracts)) {
+            if (!contract) continue;
+            const events = await contract.getPastEvents('allEvents', { fromBlock: from, toBlock: to });
+            for (const event of events) {
+                if (INDEXED_EVENTS[source].includes(event.event)) logs.push({ source, event });
+            }
+        }
+
+        const blocks = new Map();
+        const readBlock = async (number) => {
+            if (!blocks.has(number)) {
+                const block = await this.web3.eth.getBlock(number);
+                blocks.set(number, block && { number, hash: block.hash, timestamp: Number(block.timestamp) });
+            }
+            return blocks.get(number);
+        };
+        const head = await readBlock(to);
+        if (!head) return false;
+
+        const rows = [];
+        for (const { source, event } of logs) {
+            const block = await readBlock(Number(event.blockNumber));
+            if (!block || block.hash !== event.blockHash) return false;
+            rows.push({
+                source,
+                name: event.event,
+                blockNumber: block.number,
+                logIndex: Number(event.logIndex),
+                transactionHash: event.transactionHash,
+                timestamp: block.timestamp,
+                args: toPlain(event.returnValues)
+            });
+        }
+        this.store.commit([...blocks.values()], rows, head);
+        return true;
+    }
+
+    /** syncs every pollInterval until stopped, failed syncs are logged and retried */
+    async start() {
+        await this.sync();
+        const loop = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                this.logger.error(`OurIndexer: ${error.message}`);
+            }
+            if (this.timer !== null) this.timer = setTimeout(loop, this.options.pollInterval);
+        };
+        this.timer = setTimeout(loop, this.options.pollInterval);
+    }
+
+    stop() {
+        if (this.timer !== null) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    OurIndexer,
+    INDEXED_EVENTS,
+    DEFAULT_OPTIONS
+}
@@ -0,0 +1,84 @@
+/** HTTP/JSON API OVER THE INDEXER STORE */
+
+const http = require('http');
+const queries = require('./queries');
+
+/** candle intervals accepted by /pool/candles, in seconds */
+const CANDLE_INTERVALS = [60, 300, 900, 3600, 14400, 86400];
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/** optional non-negative integer query parameter */
+const integerParam = (params, name, fallback) => {
+    if (!params.has(name)) return fallback;
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < 0) throw new ApiError(400, `${name} must be a non-negative integer`);
+    return value;
+}
+
+/** from & to timestamps bounding the events */
+const rangeParams = (params) => ({ from: integerParam(params, 'from', 0), to: integerParam(params, 'to', Number.MAX_SAFE_INTEGER) });
+
+/**
+ * Routes as [method, path pattern, handler(store, match, params, options)]:
+ *  - GET /status: indexed head and number of events
+ *  - GET /pool/volume?from&to: swaps and ETH/OURT volumes
+ *  - GET /pool/candles?interval&from&to: OHLC candles of the OURT price, interval in seconds (default 3600)
+ *  - GET /lp/positions, GET /lp/positions/:account: OURX holders and their deposits/withdrawals
+ *  - GET /governance/proposals, GET /governance/proposals/:id: proposals and their state
+**/
+const ROUTES = [
+    ['GET', /^\/status$/, (store) => ({ head: store.getHead(), events: store.countEvents() })],
+    ['GET', /^\/pool\/volume$/, (store, match, params) => queries.poolVolume(store, rangeParams(params))],
+    ['GET', /^\/pool\/candles$/, (store, match, params) => {
+        const interval = integerParam(params, 'interval', 3600);
+        if (!CANDLE_INTERVALS.includes(interval)) throw new ApiError(400, `interval must be one of ${CANDLE_INTERVALS.join(', ')}`);
+        return queries.candles(store, { interval, ...rangeParams(params) });
+    }],
+    ['GET', /^\/lp\/positions$/, (store) => queries.lpPositions(store)],
+    ['GET', /^\/lp\/positions\/(0x[0-9a-fA-F]{40})$/, (store, match) => {
+        const position = queries.lpPositions(store).find(lp => lp.account.toLowerCase() === match[1].toLowerCase());
+        if (!position) throw new ApiError(404, `no position for ${match[1]}`);
+        return position;
+    }],
+    ['GET', /^\/governance\/proposals$/, (store, match, params, options) => queries.proposals(store, options)],
+    ['GET', /^\/governance\/proposals\/(\d+)$/, (store, match, params, options) => {
+        const proposal = queries.proposals(store, options).find(p => p.id === match[1]);
+        if (!proposal) throw new ApiError(404, `no proposal ${match[1]}`);
+        return proposal;
+    }]
+];
+
+/**
+ * Creates the API server, call listen() to serve it
+ * @param {IndexerStore} store
+ * @param {object} options
+ * @param {BN|string} options.quorumVotes OurGovernance.quorumVotes, for the proposal states
+ * @param {number} options.gracePeriod OurTimelock.GRACE_PERIOD in seconds, for the proposal states
+ * @returns {http.Server}
+**/
+const createApi = (store, options) => http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let body;
+    try {
+        const route = ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+        if (!route) throw new ApiError(404, `no route for ${req.method} ${url.pathname}`);
+        body = route[2](store, url.pathname.match(route[1]), url.searchParams, options);
+    } catch (error) {
+        status = error.status || 500;
+        body = { error: error.message };
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+});
+
+module.exports = {
+    createApi,
+    CANDLE_INTERVALS
+}
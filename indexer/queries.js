@@ -0,0 +1,183 @@
+/** QUERIES OVER THE INDEXED EVENTS, AMOUNTS ARE RETURNED AS DECIMAL STRINGS */
+
+/** BN js lib */
+const BN = require("bn.js");
+
+const ONE = new BN(10).pow(new BN(18));
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const sum = (values) => values.reduce((total, value) => total.add(new BN(value)), new BN(0));
+
+/** ETH and OURT amounts of a swap, whichever way it went */
+const swapAmounts = ({ amountETHIn, amountOURTIn, amountETHOut, amountOURTOut }) => ({
+    amountETH: new BN(amountETHIn).add(new BN(amountETHOut)),
+    amountOURT: new BN(amountOURTIn).add(new BN(amountOURTOut))
+})
+
+/**
+ * Swaps and volumes of the ETH/OURT pool in between two timestamps, each swap counts its ETH leg
+ * in the ETH volume and its OURT leg in the OURT volume
+**/
+const poolVolume = (store, { from, to } = {}) => {
+    const swaps = store.getEvents('dex', 'Swap', { from, to }).map(event => swapAmounts(event.args));
+    return {
+        swaps: swaps.length,
+        volumeETH: sum(swaps.map(swap => swap.amountETH)).toString(),
+        volumeOURT: sum(swaps.map(swap => swap.amountOURT)).toString()
+    };
+}
+
+/**
+ * OHLC candles of the OURT price (wei of ETH for 1e18 OURT) over `interval` seconds, from the reserves
+ * of every Sync. Intervals without a Sync have no candle.
+**/
+const candles = (store, { interval, from, to }) => {
+    const volumes = new Map();
+    for (const swap of store.getEvents('dex', 'Swap', { from, to })) {
+        const time = swap.timestamp - (swap.timestamp % interval);
+        volumes.set(time, (volumes.get(time) || new BN(0)).add(swapAmounts(swap.args).amountETH));
+    }
+
+    const result = [];
+    let candle = null;
+    for (const sync of store.getEvents('dex', 'Sync', { from, to })) {
+        const reserveOURT = new BN(sync.args.reserveOURT);
+        if (reserveOURT.isZero()) continue;
+        const price = new BN(sync.args.reserveETH).mul(ONE).div(reserveOURT);
+        const time = sync.timestamp - (sync.timestamp % interval);
+        if (candle === null || candle.time !== time) {
+            candle = { time, open: price, high: price, low: price, close: price };
+            result.push(candle);
+        }
+        candle.high = BN.max(candle.high, price);
+        candle.low = BN.min(candle.low, price);
+        candle.close = price;
+    }
+    return result.map(({ time, open, high, low, close }) => ({
+        time,
+        open: open.toString(),
+        high: high.toString(),
+        low: low.toString(),
+        close: close.toString(),
+        volumeETH: (volumes.get(time) || new BN(0)).toString()
+    }));
+}
+
+/**
+ * OURX held by every account from the pool transfers, with what it deposited and withdrew
+ * and what its OURX is worth at the last reserves (the accrued protocol fee left out)
+**/
+const lpPositions = (store) => {
+    const positions = new Map();
+    const position = (account) => {
+        if (!positions.has(account)) {
+            positions.set(account, { account, balanceOURX: new BN(0), depositedETH: new BN(0), depositedOURT: new BN(0), withdrawnETH: new BN(0), withdrawnOURT: new BN(0) });
+        }
+        return positions.get(account);
+    };
+
+    let totalSupply = new BN(0);
+    for (const { args } of store.getEvents('dex', 'Transfer')) {
+        const value = new BN(args.value);
+        if (args.from === ZERO_ADDRESS) totalSupply = totalSupply.add(value);
+        else position(args.from).balanceOURX = position(args.from).balanceOURX.sub(value);
+        if (args.to === ZERO_ADDRESS) totalSupply = totalSupply.sub(value);
+        else position(args.to).balanceOURX = position(args.to).balanceOURX.add(value);
+    }
+    for (const { args } of store.getEvents('dex', 'Mint')) {
+        const lp = position(args.to);
+        lp.depositedETH = lp.depositedETH.add(new BN(args.amountETH));
+        lp.depositedOURT = lp.depositedOURT.add(new BN(args.amountOURT));
+    }
+    for (const { args } of store.getEvents('dex', 'Burn')) {
+        const lp = position(args.to);
+        lp.withdrawnETH = lp.withdrawnETH.add(new BN(args.redeemedETH));
+        lp.withdrawnOURT = lp.withdrawnOURT.add(new BN(args.redeemedOURT));
+    }
+
+    const syncs = store.getEvents('dex', 'Sync');
+    const reserves = syncs.length > 0 ? syncs[syncs.length - 1].args : { reserveETH: '0', reserveOURT: '0' };
+    return [...positions.values()]
+        .sort((a, b) => b.balanceOURX.cmp(a.balanceOURX))
+        .map(lp => {
+            const share = (reserve) => totalSupply.isZero() ? '0' : lp.balanceOURX.mul(new BN(reserve)).div(totalSupply).toString();
+            return {
+                ...Object.fromEntries(Object.entries(lp).map(([key, value]) => [key, value.toString()])),
+                valueETH: share(reserves.reserveETH),
+                valueOURT: share(reserves.reserveOURT)
+            };
+        });
+}
+
+/**
+ * Proposals with their votes and their state as of the indexed head, following OurGovernance.state
+ * @param {object} params
+ * @param {BN|string} params.quorumVotes OurGovernance.quorumVotes
+ * @param {number} params.gracePeriod OurTimelock.GRACE_PERIOD in seconds
+**/
+const proposals = (store, { quorumVotes, gracePeriod }) => {
+    const head = store.getHead() || { number: 0, timestamp: 0 };
+    const quorum = new BN(quorumVotes.toString());
+
+    const byId = new Map();
+    for (const { args, blockNumber } of store.getEvents('governance', 'ProposalCreated')) {
+        byId.set(args.id, {
+            id: args.id,
+            proposer: args.proposer,
+            targets: args.targets,
+            values: args.values,
+            signatures: args.signatures,
+            calldatas: args.calldatas,
+            description: args.description,
+            createdBlock: blockNumber,
+            startBlock: Number(args.startBlock),
+            endBlock: Number(args.endBlock),
+            forVotes: new BN(0),
+            againstVotes: new BN(0),
+            voters: 0,
+            eta: 0,
+            canceled: false,
+            executed: false
+        });
+    }
+    for (const { args } of store.getEvents('governance', 'VoteCast')) {
+        const proposal = byId.get(args.proposalId);
+        if (!proposal) continue;
+        if (args.support) proposal.forVotes = proposal.forVotes.add(new BN(args.votes));
+        else proposal.againstVotes = proposal.againstVotes.add(new BN(args.votes));
+        proposal.voters++;
+    }
+    const flag = (name, update) => {
+        for (const { args } of store.getEvents('governance', name)) {
+            if (byId.has(args.id)) update(byId.get(args.id), args);
+        }
+    };
+    flag('ProposalCanceled', (proposal) => { proposal.canceled = true; });
+    flag('ProposalQueued', (proposal, args) => { proposal.eta = Number(args.eta); });
+    flag('ProposalExecuted', (proposal) => { proposal.executed = true; });
+
+    const state = (proposal) => {
+        if (proposal.canceled) return 'Canceled';
+        if (head.number <= proposal.startBlock) return 'Pending';
+        if (head.number <= proposal.endBlock) return 'Active';
+        if (proposal.forVotes.lte(proposal.againstVotes) || proposal.forVotes.lt(quorum)) return 'Defeated';
+        if (proposal.eta === 0) return 'Succeeded';
+        if (proposal.executed) return 'Executed';
+        if (head.timestamp >= proposal.eta + gracePeriod) return 'Expired';
+        return 'Queued';
+    };
+    return [...byId.values()].map(proposal => ({
+        ...proposal,
+        forVotes: proposal.forVotes.toString(),
+        againstVotes: proposal.againstVotes.toString(),
+        state: state(proposal)
+    }));
+}
+
+module.exports = {
+    poolVolume,
+    candles,
+    lpPositions,
+    proposals
+}
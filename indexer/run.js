@@ -0,0 +1,50 @@
+/**
+ * Indexes the deployed protocol events into SQLite and serves the query API:
+ *   npm run indexer -- --network development
+ * INDEXER_DB sets the database file (indexer.db), INDEXER_PORT the API port (4000)
+ * and INDEXER_START_BLOCK the first block indexed (0).
+**/
+
+const IndexerStore = require('./IndexerStore');
+const { OurIndexer } = require('./OurIndexer');
+const { createApi } = require('./api');
+
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+const OurGovernanceContract = artifacts.require('OurGovernance');
+const OurTimelockContract = artifacts.require('OurTimelock');
+
+module.exports = async function (callback) {
+    try {
+        const dex = await OurDEXContract.deployed();
+        const fund = await OurFundContract.deployed();
+        const governance = await OurGovernanceContract.deployed();
+        const timelock = await OurTimelockContract.deployed();
+
+        const store = new IndexerStore(process.env.INDEXER_DB || 'indexer.db');
+        const indexer = new OurIndexer({
+            web3,
+            store,
+            contracts: { dex: dex.contract, fund: fund.contract, governance: governance.contract },
+            startBlock: Number(process.env.INDEXER_START_BLOCK || 0)
+        });
+        await indexer.start();
+
+        const api = createApi(store, {
+            quorumVotes: (await governance.quorumVotes()).toString(),
+            gracePeriod: (await timelock.GRACE_PERIOD()).toNumber()
+        });
+        const port = Number(process.env.INDEXER_PORT || 4000);
+        api.listen(port, () => console.log(`OurIndexer: serving block ${store.getHead().number} on port ${port}`));
+
+        // runs until interrupted
+        process.on('SIGINT', () => {
+            indexer.stop();
+            api.close();
+            store.close();
+            callback();
+        });
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -1,9 +1,67 @@
 const OurToken = artifacts.require("OurToken");
+const OurGovernanceToken = artifacts.require("OurGovernanceToken");
+const OurTimelock = artifacts.require("OurTimelock");
+const OurGovernance = artifacts.require("OurGovernance");
 const OurDEX = artifacts.require("OurDEX");
 const OurFund = artifacts.require("OurFund");
+const OurDEXFactory = artifacts.require("OurDEXFactory");
+const OurDEXDeployer = artifacts.require("OurDEXDeployer");
+const OurPairDeployer = artifacts.require("OurPairDeployer");
+const OurDEXRouter = artifacts.require("OurDEXRouter");
+const OurForwarder = artifacts.require("OurForwarder");
+const OurVesting = artifacts.require("OurVesting");
 
-module.exports = function (deployer, _, accounts) {
-  const token = await deployer.deploy(OurToken);
-  const dex = await deployer.deploy(OurDEX, token, 3);
-  await deployer.deploy(OurFund, dex, token, accounts[0], accounts[1]);
+// delay between a proposal being queued and executed (OurTimelock.MINIMUM_DELAY)
+const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+// liquidity provider fee of the pools, in basis points (0.3%)
+const SWAP_FEE = 30;
+
+// TWAP observations kept by the ETH/OURT pool, one per block with a trade
+const ORACLE_CARDINALITY = 64;
+
+module.exports = async function (deployer, _, accounts) {
+  const [admin, bot] = accounts;
+
+  // tokens
+  await deployer.deploy(OurToken);
+  const token = await OurToken.deployed();
+
+  // checques relayed for accounts holding no ETH go through the forwarder
+  await deployer.deploy(OurForwarder);
+  await token.changeTrustedForwarder((await OurForwarder.deployed()).address, { from: admin });
+
+  // team and investor allocations are minted by their vesting schedules, within the supply cap
+  await deployer.deploy(OurVesting, token.address);
+  await token.grantMinter((await OurVesting.deployed()).address, { from: admin });
+
+  await deployer.deploy(OurGovernanceToken, admin);
+  const governanceToken = await OurGovernanceToken.deployed();
+
+  // governance chain: the timelock is deployed with the deployer as admin then handed over to governance
+  await deployer.deploy(OurTimelock, admin, TIMELOCK_DELAY);
+  const timelock = await OurTimelock.deployed();
+  await deployer.deploy(OurGovernance, timelock.address, governanceToken.address, admin);
+  const governance = await OurGovernance.deployed();
+  await timelock.setPendingAdmin(governance.address, { from: admin });
+  await governance.__acceptAdmin({ from: admin });
+
+  // protocol: owned by the timelock so parameter changes can only go through proposals
+  await deployer.deploy(OurDEX, token.address, SWAP_FEE);
+  const dex = await OurDEX.deployed();
+  await dex.changeGovernance(timelock.address, { from: admin });
+  await dex.increaseObservationCardinality(ORACLE_CARDINALITY, { from: admin });
+  await deployer.deploy(OurFund, dex.address, token.address, bot, timelock.address);
+
+  // pool factory: the ETH/OURT pool is registered on deployment so no one can create that pair first
+  await deployer.deploy(OurDEXDeployer);
+  await deployer.deploy(OurPairDeployer);
+  await deployer.link(OurDEXDeployer, OurDEXFactory);
+  await deployer.link(OurPairDeployer, OurDEXFactory);
+  await deployer.deploy(OurDEXFactory, SWAP_FEE, token.address, dex.address);
+  const factory = await OurDEXFactory.deployed();
+  await factory.transferOwnership(timelock.address, { from: admin });
+
+  // router: stateless, swaps through the pools of the factory registry
+  await deployer.deploy(OurDEXRouter, factory.address);
 };
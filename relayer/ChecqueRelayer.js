@@ -0,0 +1,236 @@
+/** META-TRANSACTION RELAYER CASHING OURT CHECQUES FOR BENEFICIARIES WITHOUT ETH */
+
+const { toBn } = require('../sdk/utils');
+
+/** BN js lib */
+const BN = require("bn.js");
+
+/**
+ * Relayer options and their defaults, amounts are in wei and may be given as strings
+ *  - minRelayerFee: OURT the relayer must be paid per request, 0 relays cashChecques without fee
+ *  - maxChecques: checques a single request may cash
+ *  - maxRequestGas: gas a single request may forward, the forwarder reverts the whole batch when it can't provide it
+ *  - batchSize: queued requests that trigger a submission
+ *  - batchInterval: milliseconds a partial batch waits in the queue before being submitted
+**/
+const DEFAULT_OPTIONS = {
+    minRelayerFee: '0',
+    maxChecques: 20,
+    maxRequestGas: 2000000,
+    batchSize: 10,
+    batchInterval: 30000
+};
+
+/**
+ * request status: waiting in the queue, then executed, reverted inside the batch or skipped by the forwarder,
+ * or dropped when it made its batch revert
+**/
+const STATUS = {
+    QUEUED: 'queued',
+    EXECUTED: 'executed',
+    REVERTED: 'reverted',
+    SKIPPED: 'skipped',
+    DROPPED: 'dropped'
+};
+
+/** the request was refused before being queued */
+class RelayError extends Error {}
+
+class ChecqueRelayer {
+
+    /**
+     * @param {object} options see DEFAULT_OPTIONS
+     * @param {Web3} options.web3 connected web3 instance
+     * @param {OurToken} options.token OURT wrapper, the token must trust the forwarder
+     * @param {OurForwarder} options.forwarder forwarder wrapper
+     * @param {string} options.account relayer account, pays the gas and receives the fees
+     * @param {object} [options.logger] console-like logger
+    **/
+    constructor({ web3, token, forwarder, account, logger = console, ...options }) {
+        this.web3 = web3;
+        this.token = token;
+        this.forwarder = forwarder;
+        this.account = account;
+        this.logger = logger;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.options.minRelayerFee = toBn(this.options.minRelayerFee);
+        this.requests = [];
+        this.queue = [];
+        this.flushing = null;
+        this.timer = null;
+    }
+
+    /** decodes the checques cashing call of a request, null when it calls anything else */
+    decodeCall(data) {
+        const selector = (data || '').slice(0, 10).toLowerCase();
+        const method = this.token.contract.options.jsonInterface.find(item =>
+            item.type === 'function' && ['cashChecques', 'cashChecquesWithRelayerFee'].includes(item.name) && item.signature === selector);
+        if (!method) return null;
+        const args = this.web3.eth.abi.decodeParameters(method.inputs, '0x' + data.slice(10));
+        return {
+            method: method.name,
+            beneficiary: args.spender,
+            checques: args.owners.length,
+            relayer: args.relayer || null,
+            relayerFee: toBn(args.relayerFee || 0)
+        };
+    }
+
+    /**
+     * Checks a signed request pays the relayer and would cash its checques, then queues it.
+     * A beneficiary may queue several requests, signed with the nonces following each other.
+     * The checques are simulated against the current state, not on top of the requests already queued.
+     * @param {{request, signature}} signed as returned by OurToken.signRelayedChecques
+     * @returns {Promise<object>} the queued entry
+    **/
+    async submit({ request, signature }) {
+        if (!request || typeof signature !== 'string') throw new RelayError('a request and its signature are required');
+        if (!request.to || request.to.toLowerCase() !== this.token.address.toLowerCase()) throw new RelayError('only OurToken calls are relayed');
+        if (!toBn(request.value || 0).isZero()) throw new RelayError('requests can not carry ETH');
+        const gas = toBn(request.gas || 0);
+        if (gas.isZero() || gas.gtn(this.options.maxRequestGas)) throw new RelayError(`a request must forward 1 to ${this.options.maxRequestGas} gas`);
+
+        const call = this.decodeCall(request.data);
+        if (!call) throw new RelayError('only cashChecques calls are relayed');
+        if (call.beneficiary.toLowerCase() !== request.from.toLowerCase()) throw new RelayError('the request signer must be the checques beneficiary');
+        if (call.checques === 0 || call.checques > this.options.maxChecques) throw new RelayError(`a request must cash 1 to ${this.options.maxChecques} checques`);
+        if (this.options.minRelayerFee.gtn(0)) {
+            if (call.relayer === null || call.relayer.toLowerCase() !== this.account.toLowerCase()) throw new RelayError(`the relayer fee must be paid to ${this.account}`);
+            if (call.relayerFee.lt(this.options.minRelayerFee)) throw new RelayError(`the relayer fee must be at least ${this.options.minRelayerFee}`);
+        }
+
+        let signer;
+        try {
+            signer = await this.forwarder.recoverSigner(request, signature);
+        } catch (error) {
+            throw new RelayError(`invalid signature (${error.message})`);
+        }
+        if (signer.toLowerCase() !== request.from.toLowerCase()) throw new RelayError('the signature does not match the request');
+        const pending = this.queue.filter(entry => entry.request.from.toLowerCase() === request.from.toLowerCase()).length;
+        const nonce = (await this.forwarder.getNonce(request.from)).addn(pending);
+        if (!toBn(request.nonce).eq(nonce)) throw new RelayError(`the request nonce must be ${nonce}`);
+
+        // the token call as the forwarder will make it, the beneficiary appended to the calldata
+        try {
+            await this.web3.eth.call({ from: this.forwarder.address, to: request.to, data: request.data + request.from.slice(2).toLowerCase(), gas: request.gas });
+        } catch (error) {
+            throw new RelayError(`the checques can not be cashed (${error.message})`);
+        }
+
+        const entry = { id: this.requests.length + 1, status: STATUS.QUEUED, request, signature, ...call, queuedAt: Date.now() };
+        this.requests.push(entry);
+        this.queue.push(entry);
+        this.logger.info(`ChecqueRelayer: queued request ${entry.id} cashing ${call.checques} checques for ${call.beneficiary}`);
+        if (this.queue.length >= this.options.batchSize) {
+            // the request stays queued when the batch fails, it is retried on the next flush
+            await this.flush().catch(error => this.logger.error(`ChecqueRelayer: ${error.message}`));
+        }
+        return this.view(entry);
+    }
+
+    /** a request and its outcome, without its signature */
+    view(entry) {
+        const { signature, request, relayerFee, ...rest } = entry;
+        return { ...rest, from: request.from, nonce: request.nonce, relayerFee: relayerFee.toString() };
+    }
+
+    /** the request with id `id`, undefined when unknown */
+    get(id) {
+        const entry = this.requests.find(request => request.id === Number(id));
+        return entry && this.view(entry);
+    }
+
+    /**
+     * Submits up to batchSize queued requests in a single executeBatch transaction and records their outcome.
+     * Concurrent calls wait for the batch in flight.
+     * @returns {Promise<object|null>} the receipt, null when the queue is empty
+    **/
+    async flush() {
+        while (this.flushing) await this.flushing.catch(() => null);
+        if (this.queue.length === 0) return null;
+        const batch = this.queue.splice(0, this.options.batchSize);
+        this.flushing = this._submitBatch(batch);
+        try {
+            return await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    async _submitBatch(batch) {
+        let receipt;
+        try {
+            receipt = await this.forwarder.executeBatch(batch, { from: this.account });
+        } catch (error) {
+            // back in the queue for the next flush, without the requests reverting the batch on their own
+            this.queue.unshift(...await this._isolate(batch));
+            throw error;
+        }
+
+        const outcomes = new Map();
+        for (const name of ['Executed', 'Skipped']) {
+            for (const event of [].concat(receipt.events[name] || [])) {
+                outcomes.set(`${event.returnValues.from.toLowerCase()}:${event.returnValues.nonce}`, name === 'Skipped' ? STATUS.SKIPPED : event.returnValues.success ? STATUS.EXECUTED : STATUS.REVERTED);
+            }
+        }
+        let fees = new BN(0);
+        for (const entry of batch) {
+            entry.status = outcomes.get(`${entry.request.from.toLowerCase()}:${entry.request.nonce}`) || STATUS.SKIPPED;
+            entry.transactionHash = receipt.transactionHash;
+            if (entry.status === STATUS.EXECUTED) fees = fees.add(entry.relayerFee);
+        }
+        this.logger.info(`ChecqueRelayer: submitted ${batch.length} requests in ${receipt.transactionHash}, earned ${fees} OURT wei`);
+        return receipt;
+    }
+
+    /**
+     * Simulates every request of a failed batch on its own and drops those that still revert the batch,
+     * a request whose checques got cashed or revoked meanwhile would otherwise stall the queue.
+     * Nothing is dropped when the node can't be reached.
+     * @returns {Promise<object[]>} the requests to retry
+    **/
+    async _isolate(batch) {
+        try {
+            await this.web3.eth.getBlockNumber();
+        } catch (error) {
+            return batch;
+        }
+        const retried = [];
+        for (const entry of batch) {
+            try {
+                await this.forwarder.contract.methods.executeBatch([entry.request], [entry.signature]).call({ from: this.account });
+                retried.push(entry);
+            } catch (error) {
+                entry.status = STATUS.DROPPED;
+                entry.error = error.message;
+                this.logger.warn(`ChecqueRelayer: dropped request ${entry.id} reverting its batch (${error.message})`);
+            }
+        }
+        return retried;
+    }
+
+    /** submits a partial batch once its oldest request waited batchInterval, until stopped */
+    start() {
+        const loop = async () => {
+            try {
+                if (this.queue.length > 0 && Date.now() - this.queue[0].queuedAt >= this.options.batchInterval) await this.flush();
+            } catch (error) {
+                this.logger.error(`ChecqueRelayer: ${error.message}`);
+            }
+            if (this.timer !== null) this.timer = setTimeout(loop, Math.min(this.options.batchInterval, 1000));
+        };
+        this.timer = setTimeout(loop, Math.min(this.options.batchInterval, 1000));
+    }
+
+    stop() {
+        if (this.timer !== null) clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    ChecqueRelayer,
+    RelayError,
+    STATUS,
+    DEFAULT_OPTIONS
+}
@@ -0,0 +1,97 @@
+/** HTTP/JSON API OF THE CHECQUE RELAYER */
+
+const http = require('http');
+const { RelayError } = require('./ChecqueRelayer');
+
+/** largest request body accepted, in bytes */
+const MAX_BODY_SIZE = 64 * 1024;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/** reads and parses the JSON body of a request */
+const readJson = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    const onData = (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+            // stop reading, the connection is closed once the error is answered
+            req.off('data', onData);
+            req.pause();
+            body = '';
+            reject(new ApiError(413, 'request body too large'));
+        }
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(body));
+        } catch (error) {
+            reject(new ApiError(400, 'request body must be JSON'));
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * Routes as [method, path pattern, handler(relayer, match, req)], handlers may be async:
+ *  - GET /info: relayer account, contracts, fee and batching parameters, queued requests
+ *  - POST /checques: queues a signed forward request {request, signature} cashing checques
+ *  - GET /checques/:id: a queued request and its outcome once submitted
+**/
+const ROUTES = [
+    ['GET', /^\/info$/, (relayer) => ({
+        relayer: relayer.account,
+        token: relayer.token.address,
+        forwarder: relayer.forwarder.address,
+        minRelayerFee: relayer.options.minRelayerFee.toString(),
+        maxChecques: relayer.options.maxChecques,
+        maxRequestGas: relayer.options.maxRequestGas,
+        batchSize: relayer.options.batchSize,
+        batchInterval: relayer.options.batchInterval,
+        queued: relayer.queue.length
+    })],
+    ['POST', /^\/checques$/, async (relayer, match, req) => {
+        try {
+            return await relayer.submit(await readJson(req));
+        } catch (error) {
+            if (error instanceof RelayError) throw new ApiError(400, error.message);
+            throw error;
+        }
+    }],
+    ['GET', /^\/checques\/(\d+)$/, (relayer, match) => {
+        const request = relayer.get(match[1]);
+        if (!request) throw new ApiError(404, `no request ${match[1]}`);
+        return request;
+    }]
+];
+
+/**
+ * Creates the API server, call listen() to serve it
+ * @param {ChecqueRelayer} relayer
+ * @returns {http.Server}
+**/
+const createApi = (relayer) => http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let body;
+    try {
+        const route = ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+        if (!route) throw new ApiError(404, `no route for ${req.method} ${url.pathname}`);
+        body = await route[2](relayer, url.pathname.match(route[1]), req);
+    } catch (error) {
+        status = error.status || 500;
+        body = { error: error.message };
+    }
+    // the rest of a body too large is not drained, the connection is closed instead
+    res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 413 ? { 'Connection': 'close' } : {}) });
+    res.end(JSON.stringify(body));
+});
+
+module.exports = {
+    createApi
+}
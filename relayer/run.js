@@ -0,0 +1,53 @@
+/**
+ * Runs the checque relayer against the deployed protocol and serves its API:
+ *   npm run relayer -- --network development
+ * The relayer account defaults to accounts[2], RELAYER_ACCOUNT overrides it. RELAYER_PORT sets
+ * the API port (4100), RELAYER_MIN_FEE the OURT wei charged per request (0), RELAYER_BATCH_SIZE
+ * and RELAYER_BATCH_INTERVAL (milliseconds) when the queued requests are submitted.
+**/
+
+const { OurToken, OurForwarder } = require('../index');
+const { ChecqueRelayer, DEFAULT_OPTIONS } = require('./ChecqueRelayer');
+const { createApi } = require('./api');
+
+const OurTokenContract = artifacts.require('OurToken');
+const OurForwarderContract = artifacts.require('OurForwarder');
+
+module.exports = async function (callback) {
+    try {
+        const accounts = await web3.eth.getAccounts();
+        const account = process.env.RELAYER_ACCOUNT || accounts[2];
+
+        const token = new OurToken(web3, (await OurTokenContract.deployed()).address, { abi: OurTokenContract.abi });
+        const forwarder = new OurForwarder(web3, (await OurForwarderContract.deployed()).address, { abi: OurForwarderContract.abi });
+
+        const relayer = new ChecqueRelayer({
+            web3,
+            token,
+            forwarder,
+            account,
+            minRelayerFee: process.env.RELAYER_MIN_FEE || DEFAULT_OPTIONS.minRelayerFee,
+            batchSize: Number(process.env.RELAYER_BATCH_SIZE || DEFAULT_OPTIONS.batchSize),
+            batchInterval: Number(process.env.RELAYER_BATCH_INTERVAL || DEFAULT_OPTIONS.batchInterval)
+        });
+        relayer.start();
+
+        const api = createApi(relayer);
+        const port = Number(process.env.RELAYER_PORT || 4100);
+        api.listen(port, () => console.log(`ChecqueRelayer: relaying to ${forwarder.address} as ${account} on port ${port}`));
+
+        // runs until interrupted, the queued requests are submitted first
+        process.on('SIGINT', async () => {
+            relayer.stop();
+            api.close();
+            try {
+                while (relayer.queue.length > 0) await relayer.flush();
+            } catch (error) {
+                console.error(`ChecqueRelayer: ${relayer.queue.length} requests left unsubmitted (${error.message})`);
+            }
+            callback();
+        });
+    } catch (error) {
+        callback(error);
+    }
+};
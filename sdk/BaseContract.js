@@ -0,0 +1,73 @@
+/** BASE WRAPPER SHARED BY THE CONTRACT CLASSES OF THE SDK */
+
+const { decodeError } = require('./errors');
+const { getDeadline, loadAbi, DEFAULT_SLIPPAGE, DEFAULT_DEADLINE_OFFSET } = require('./utils');
+
+/**
+ * margin applied on top of gas estimates: estimates run against the latest block while
+ * the first pool update of a new block also records a price observation
+**/
+const GAS_MARGIN = 1.5;
+
+class BaseContract {
+
+    /**
+     * @param {Web3} web3 connected web3 instance
+     * @param {string} contractName name of the truffle artifact holding the ABI
+     * @param {string} address deployed contract address
+     * @param {object} [options]
+     * @param {string} [options.from] default account sending the transactions
+     * @param {Array} [options.abi] ABI override, defaults to build/contracts/<contractName>.json
+     * @param {number} [options.slippage] default slippage in basis points
+     * @param {number} [options.deadlineOffset] default deadline offset in seconds
+    **/
+    constructor(web3, contractName, address, options = {}) {
+        this.web3 = web3;
+        this.address = address;
+        this.from = options.from;
+        this.slippage = options.slippage !== undefined ? options.slippage : DEFAULT_SLIPPAGE;
+        this.deadlineOffset = options.deadlineOffset !== undefined ? options.deadlineOffset : DEFAULT_DEADLINE_OFFSET;
+        this.contract = new web3.eth.Contract(options.abi || loadAbi(contractName), address);
+    }
+
+    /** resolves the deadline to use for a transaction */
+    async deadline(opts = {}) {
+        return opts.deadline !== undefined ? opts.deadline : getDeadline(this.web3, this.deadlineOffset);
+    }
+
+    /** calls a view function, decoding reverts into typed errors */
+    async call(method, ...args) {
+        try {
+            return await this.contract.methods[method](...args).call();
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    /**
+     * sends a transaction, decoding reverts into typed errors
+     * @param {string} method contract function name
+     * @param {Array} args contract function arguments
+     * @param {object} [opts] web3 send options (from, value, gas...)
+    **/
+    async send(method, args, opts = {}) {
+        // deadline, slippage & permit signing are SDK options, not web3 ones
+        const sendOpts = { ...opts };
+        delete sendOpts.deadline;
+        delete sendOpts.slippage;
+        delete sendOpts.permit;
+        delete sendOpts.privateKey;
+        const from = sendOpts.from || this.from;
+        if (!from) throw new Error(`${this.constructor.name}: no sender account supplied`);
+        const tx = this.contract.methods[method](...args);
+        try {
+            // estimates are padded as storage refunds make them fall short of the gas actually needed
+            const gas = sendOpts.gas || Math.ceil(await tx.estimateGas({ ...sendOpts, from }) * GAS_MARGIN);
+            return await tx.send({ ...sendOpts, from, gas });
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+}
+
+module.exports = BaseContract;
@@ -0,0 +1,259 @@
+/** SDK WRAPPER FOR THE ETH/OURT POOL */
+
+const BaseContract = require('./BaseContract');
+const { toBn, applySlippage } = require('./utils');
+const { getDomain, signPermit } = require('./permit');
+
+class OurDEX extends BaseContract {
+
+    /**
+     * @param {Web3} web3 connected web3 instance
+     * @param {string} address deployed OurDEX address
+     * @param {object} [options] see BaseContract
+     * @param {OurToken} [options.token] OURT wrapper, used to approve the pool before deposits and sells
+     * or to sign the OURT permits when `opts.permit` is set
+    **/
+    constructor(web3, address, options = {}) {
+        super(web3, 'OurDEX', address, options);
+        this.token = options.token;
+    }
+
+    /** VIEWS */
+
+    /** @returns {Promise<{reserveETH: BN, reserveOURT: BN, blockTimestampLast: number}>} */
+    async getReserves() {
+        const res = await this.call('getReserves');
+        return { reserveETH: toBn(res[0]), reserveOURT: toBn(res[1]), blockTimestampLast: Number(res[2]) };
+    }
+
+    /** OURX locked on the first deposit (min) and the bound on the reserves product (max) */
+    async getLiquidityBounds() {
+        const res = await this.call('getLiquidityBounds');
+        return { min: toBn(res[0]), max: toBn(res[1]) };
+    }
+
+    /** OURX minted for a deposit of `amountETH` and `amountOURT`, the locked shares are taken off the first deposit */
+    async calcMintedOURX(amountETH, amountOURT) {
+        return toBn(await this.call('calcMintedOURX', toBn(amountETH).toString(), toBn(amountOURT).toString()));
+    }
+
+    /** OURT received for `amountETH` */
+    async getQuoteForOURT(amountETH) {
+        return toBn(await this.call('getQuoteForOURT', toBn(amountETH).toString()));
+    }
+
+    /** ETH required to receive `amountOURT` */
+    async getReverseQuoteForOURT(amountOURT) {
+        return toBn(await this.call('getReverseQuoteForOURT', toBn(amountOURT).toString()));
+    }
+
+    /** ETH received for `amountOURT` */
+    async getQuoteForETH(amountOURT) {
+        return toBn(await this.call('getQuoteForETH', toBn(amountOURT).toString()));
+    }
+
+    /** OURT required to receive `amountETH` */
+    async getReverseQuoteForETH(amountETH) {
+        return toBn(await this.call('getReverseQuoteForETH', toBn(amountETH).toString()));
+    }
+
+    /** OURT required and OURX minted when depositing `amountETH` */
+    async calcLiquidityRequirementETH(amountETH) {
+        const res = await this.call('calcLiquidityRequirementETH', toBn(amountETH).toString());
+        return { reqETH: toBn(res._reqETH), reqOURT: toBn(res._reqOURT), mintedOURX: toBn(res._mintedOURX) };
+    }
+
+    /** ETH required and OURX minted when depositing `amountOURT` */
+    async calcLiquidityRequirementOURT(amountOURT) {
+        const res = await this.call('calcLiquidityRequirementOURT', toBn(amountOURT).toString());
+        return { reqETH: toBn(res._reqETH), reqOURT: toBn(res._reqOURT), mintedOURX: toBn(res._mintedOURX) };
+    }
+
+    /** ETH and OURT redeemed when burning `amountOURX` */
+    async calculateOnBurnValue(amountOURX) {
+        const res = await this.call('calculateOnBurnValue', toBn(amountOURX).toString());
+        return { amountETH: toBn(res.amountETH), amountOURT: toBn(res.amountOURT) };
+    }
+
+    /** liquidity provider fee taken off the amounts swapped in, in basis points: 30 == 0.3% */
+    async getSwapFee() {
+        return Number(await this.call('swapFee'));
+    }
+
+    /** OURX the treasury would be minted by the next deposit or withdrawal */
+    async getAccruedProtocolFee() {
+        return toBn(await this.call('getAccruedProtocolFee'));
+    }
+
+    /**
+     * Time-weighted average prices over the last `window` seconds as UQ112x112 (price * 2**112)
+     * @returns {Promise<{priceETHAverage: BN, priceOURTAverage: BN}>}
+    **/
+    async consult(window) {
+        const res = await this.call('consult', window);
+        return { priceETHAverage: toBn(res.priceETHAverage), priceOURTAverage: toBn(res.priceOURTAverage) };
+    }
+
+    /** value of `amountETH` in OURT at the average price of the last `window` seconds */
+    async consultOURT(amountETH, window) {
+        return toBn(await this.call('consultOURT', toBn(amountETH).toString(), window));
+    }
+
+    /** value of `amountOURT` in ETH at the average price of the last `window` seconds */
+    async consultETH(amountOURT, window) {
+        return toBn(await this.call('consultETH', toBn(amountOURT).toString(), window));
+    }
+
+    balanceOf(account) {
+        return this.call('balanceOf', account);
+    }
+
+    nonces(owner) {
+        return this.call('nonces', owner);
+    }
+
+    /** EIP-712 domain of the OURX permits */
+    async domain() {
+        if (!this._domain) this._domain = await getDomain(this);
+        return this._domain;
+    }
+
+    /** entry `index` of the liquidity history of `account` and the number of entries, only the account itself can read it */
+    getAccountLiquidityHistory(account, index = 0) {
+        return this.contract.methods.getAccountLiquidityHistory(account, index).call({ from: account });
+    }
+
+    /**
+     * Liquidity history of `account` with amounts as BN, counterparty is null for deposits and withdrawals.
+     * The pool returns one entry per call, they are read `pageSize` calls at a time
+     * @returns {Promise<Array<{stamp: number, isDeposit: boolean, counterparty: string|null, amountETH: BN, amountOURT: BN, amountOURX: BN}>>}
+    **/
+    async getLiquidityRecords(account, { pageSize = 50 } = {}) {
+        const { record: first, total } = await this.getAccountLiquidityHistory(account, 0);
+        const records = Number(total) > 0 ? [first] : [];
+        for (let index = 1; index < Number(total); index += pageSize) {
+            const page = [...Array(Math.min(pageSize, Number(total) - index)).keys()].map(i => this.getAccountLiquidityHistory(account, index + i));
+            records.push(...(await Promise.all(page)).map(res => res.record));
+        }
+        return records.map((record) => ({
+            stamp: Number(record.stamp),
+            isDeposit: record.isdeposit,
+            counterparty: /^0x0{40}$/.test(record.counterparty) ? null : record.counterparty,
+            amountETH: toBn(record.amountETH),
+            amountOURT: toBn(record.amountOURT),
+            amountOURX: toBn(record.amountOURX)
+        }));
+    }
+
+    /** ACTIONS */
+
+    /**
+     * Signs an OURX permit allowing `spender` to pull `value` from `owner`, see OurToken.signPermit
+     * @returns {Promise<{owner, spender, value, nonce, deadline, v, r, s}>}
+    **/
+    signPermit(params) {
+        return signPermit(this, params);
+    }
+
+    /**
+     * Deposits `amountETH` and the matching OURT. On an empty pool the price is set by
+     * the depositor and `opts.amountOURT` is required.
+     * With `opts.permit` the OURT is approved by a permit signed by the depositor (locally when
+     * `opts.privateKey` is supplied) instead of an approve transaction, the same goes for sellOURT.
+     * @param {BN|string} amountETH
+     * @param {object} [opts] { from, amountOURT, slippage, deadline, permit, privateKey }
+    **/
+    async addLiquidity(amountETH, opts = {}) {
+        const { reserveETH, reserveOURT } = await this.getReserves();
+        const slippage = opts.slippage !== undefined ? opts.slippage : this.slippage;
+
+        let amountOURT, minOURT, maxOURT;
+        if (reserveETH.isZero() || reserveOURT.isZero()) {
+            if (opts.amountOURT === undefined) throw new Error('OurDEX: amountOURT is required for the initial deposit');
+            amountOURT = minOURT = maxOURT = toBn(opts.amountOURT);
+        } else {
+            amountOURT = (await this.calcLiquidityRequirementETH(amountETH)).reqOURT;
+            [minOURT, maxOURT] = applySlippage(amountOURT, slippage);
+        }
+
+        const deadline = await this.deadline(opts);
+        const args = [amountOURT.toString(), maxOURT.toString(), minOURT.toString(), deadline];
+        const sendOpts = { ...opts, value: toBn(amountETH).toString() };
+        if (opts.permit) {
+            return this.send('addLiquidityWithPermit', args.concat(await this._permitOURT(maxOURT, deadline, opts)), sendOpts);
+        }
+        await this._approve(maxOURT, opts);
+        return this.send('addLiquidity', args, sendOpts);
+    }
+
+    /**
+     * burns `amountOURX` and withdraws the matching ETH and OURT, with `opts.permit` the withdrawal
+     * goes through an OURX permit signed by the sender
+    **/
+    async removeLiquidity(amountOURX, opts = {}) {
+        const deadline = await this.deadline(opts);
+        if (opts.permit) {
+            const owner = opts.from || this.from;
+            const { v, r, s } = await this.signPermit({ owner, spender: this.address, value: amountOURX, deadline, privateKey: opts.privateKey });
+            return this.removeLiquidityWithPermit(owner, amountOURX, { v, r, s, deadline }, opts);
+        }
+        return this.send('removeLiquidity', [toBn(amountOURX).toString(), deadline], opts);
+    }
+
+    /**
+     * withdraws the liquidity of `provider` with its signed OURX permit for `amountOURX` to the pool,
+     * any account can submit it and the ETH and OURT are sent to `provider`
+     * @param {object} signed { v, r, s, deadline } of the permit, see signPermit
+    **/
+    removeLiquidityWithPermit(provider, amountOURX, signed, opts = {}) {
+        const { v, r, s, deadline } = signed;
+        return this.send('removeLiquidityWithPermit', [provider, toBn(amountOURX).toString(), deadline, v, r, s], opts);
+    }
+
+    /** swaps `amountETH` for OURT, bounding the received amount by the quote +/- slippage */
+    async buyOURT(amountETH, opts = {}) {
+        const quote = await this.getQuoteForOURT(amountETH);
+        const [minOURT, maxOURT] = applySlippage(quote, opts.slippage !== undefined ? opts.slippage : this.slippage);
+        return this.send(
+            'buyOURT',
+            [maxOURT.toString(), minOURT.toString(), await this.deadline(opts)],
+            { ...opts, value: toBn(amountETH).toString() }
+        );
+    }
+
+    /** swaps `amountOURT` for ETH, bounding the received amount by the quote +/- slippage */
+    async sellOURT(amountOURT, opts = {}) {
+        const quote = await this.getQuoteForETH(amountOURT);
+        const [minETH, maxETH] = applySlippage(quote, opts.slippage !== undefined ? opts.slippage : this.slippage);
+        const deadline = await this.deadline(opts);
+        const args = [toBn(amountOURT).toString(), maxETH.toString(), minETH.toString(), deadline];
+        if (opts.permit) {
+            return this.send('sellOURTWithPermit', args.concat(await this._permitOURT(amountOURT, deadline, opts)), opts);
+        }
+        await this._approve(amountOURT, opts);
+        return this.send('sellOURT', args, opts);
+    }
+
+    /** PRIVATE */
+
+    // approves the pool to pull OURT when a token wrapper was supplied
+    _approve(amount, opts) {
+        if (!this.token) return null;
+        return this.token.ensureAllowance(this.address, amount, { from: opts.from || this.from });
+    }
+
+    // signs an OURT permit of `amount` to the pool, returns the v, r, s arguments of the *WithPermit functions
+    async _permitOURT(amount, deadline, opts) {
+        if (!this.token) throw new Error('OurDEX: an OURT wrapper is required to sign permits');
+        const { v, r, s } = await this.token.signPermit({
+            owner: opts.from || this.from,
+            spender: this.address,
+            value: amount,
+            deadline,
+            privateKey: opts.privateKey
+        });
+        return [v, r, s];
+    }
+}
+
+module.exports = OurDEX;
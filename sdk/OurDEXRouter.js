@@ -0,0 +1,145 @@
+/** SDK WRAPPER FOR THE MULTI-HOP ROUTER */
+
+const BaseContract = require('./BaseContract');
+const OurToken = require('./OurToken');
+const { toBn, applySlippage, loadAbi } = require('./utils');
+const { ETH, DEFAULT_MAX_HOPS, buildGraph, findPaths, pickBestRoute } = require('./pathFinder');
+
+class OurDEXRouter extends BaseContract {
+
+    /**
+     * @param {Web3} web3 connected web3 instance
+     * @param {string} address deployed OurDEXRouter address
+     * @param {object} [options] see BaseContract
+     * @param {Array} [options.factoryAbi] OurDEXFactory ABI override
+     * @param {Array} [options.tokenAbi] ERC20 ABI override used to approve the input tokens
+    **/
+    constructor(web3, address, options = {}) {
+        super(web3, 'OurDEXRouter', address, options);
+        this.factoryAbi = options.factoryAbi;
+        this.tokenAbi = options.tokenAbi;
+    }
+
+    /** VIEWS */
+
+    /** amounts received at every step of `path` when spending `amountIn` */
+    async getAmountsOut(amountIn, path) {
+        return (await this.call('getAmountsOut', toBn(amountIn).toString(), path)).map(toBn);
+    }
+
+    /** amounts required at every step of `path` to receive `amountOut` */
+    async getAmountsIn(amountOut, path) {
+        return (await this.call('getAmountsIn', toBn(amountOut).toString(), path)).map(toBn);
+    }
+
+    /** lists the pools registered in the factory as {token0, token1, pair} */
+    async getPairs() {
+        if (!this.factory) {
+            const address = await this.call('factory');
+            this.factory = new this.web3.eth.Contract(this.factoryAbi || loadAbi('OurDEXFactory'), address);
+        }
+        const events = await this.factory.getPastEvents('PairCreated', { fromBlock: 0, toBlock: 'latest' });
+        return events.map(({ returnValues }) => ({
+            token0: returnValues.token0,
+            token1: returnValues.token1,
+            pair: returnValues.pair
+        }));
+    }
+
+    /**
+     * Quotes every path between two tokens against the current pool reserves and returns the best one.
+     * ETH is the zero address (pathFinder.ETH).
+     * @param {string} tokenIn
+     * @param {string} tokenOut
+     * @param {BN|string} amount input amount, or output amount when `opts.exactOut` is set
+     * @param {object} [opts] { exactOut, maxHops }
+     * @returns {Promise<{path: string[], amounts: BN[]}|null>} null when no route can be quoted
+    **/
+    async findBestRoute(tokenIn, tokenOut, amount, opts = {}) {
+        const graph = buildGraph(await this.getPairs());
+        const paths = findPaths(graph, tokenIn, tokenOut, opts.maxHops || DEFAULT_MAX_HOPS);
+        const routes = [];
+        for (const path of paths) {
+            try {
+                const amounts = opts.exactOut ? await this.getAmountsIn(amount, path) : await this.getAmountsOut(amount, path);
+                routes.push({ path, amounts });
+            } catch (error) {
+                // empty or too shallow pools can't be quoted, skip the route
+                routes.push({ path, amounts: null });
+            }
+        }
+        return pickBestRoute(routes, opts.exactOut);
+    }
+
+    /** ACTIONS */
+
+    /**
+     * Spends exactly `amountIn` of tokenIn, the path defaults to the best route found.
+     * @param {BN|string} amountIn
+     * @param {object} opts { tokenIn, tokenOut | path, to, from, slippage, deadline, maxHops }
+    **/
+    async swapExactIn(amountIn, opts = {}) {
+        const { path, amounts } = await this._route(amountIn, opts, false);
+        const [amountOutMin] = applySlippage(amounts[amounts.length - 1], this._slippage(opts));
+        await this._approve(path[0], amountIn, opts);
+        return this.send(
+            'swapExactIn',
+            [toBn(amountIn).toString(), amountOutMin.toString(), path, this._recipient(opts), await this.deadline(opts)],
+            { ...this._txOpts(opts), value: path[0] === ETH ? toBn(amountIn).toString() : '0' }
+        );
+    }
+
+    /**
+     * Receives exactly `amountOut` of tokenOut, the path defaults to the best route found.
+     * When paying in ETH the slippage margin is sent along and refunded by the router.
+     * @param {BN|string} amountOut
+     * @param {object} opts { tokenIn, tokenOut | path, to, from, slippage, deadline, maxHops }
+    **/
+    async swapExactOut(amountOut, opts = {}) {
+        const { path, amounts } = await this._route(amountOut, opts, true);
+        const [, amountInMax] = applySlippage(amounts[0], this._slippage(opts));
+        await this._approve(path[0], amountInMax, opts);
+        return this.send(
+            'swapExactOut',
+            [toBn(amountOut).toString(), amountInMax.toString(), path, this._recipient(opts), await this.deadline(opts)],
+            { ...this._txOpts(opts), value: path[0] === ETH ? amountInMax.toString() : '0' }
+        );
+    }
+
+    /** PRIVATE */
+
+    // quotes the supplied path or finds the best one
+    async _route(amount, opts, exactOut) {
+        if (opts.path) {
+            const amounts = exactOut ? await this.getAmountsIn(amount, opts.path) : await this.getAmountsOut(amount, opts.path);
+            return { path: opts.path, amounts };
+        }
+        const route = await this.findBestRoute(opts.tokenIn, opts.tokenOut, amount, { exactOut, maxHops: opts.maxHops });
+        if (!route) throw new Error(`OurDEXRouter: no route from ${opts.tokenIn} to ${opts.tokenOut}`);
+        return route;
+    }
+
+    _slippage(opts) {
+        return opts.slippage !== undefined ? opts.slippage : this.slippage;
+    }
+
+    _recipient(opts) {
+        return opts.to || opts.from || this.from;
+    }
+
+    // router options are not web3 ones
+    _txOpts(opts) {
+        const txOpts = { ...opts };
+        for (const option of ['tokenIn', 'tokenOut', 'path', 'to', 'maxHops']) delete txOpts[option];
+        return txOpts;
+    }
+
+    // approves the router to pull the input token
+    _approve(token, amount, opts) {
+        if (token === ETH) return null;
+        const from = opts.from || this.from;
+        return new OurToken(this.web3, token, { from, abi: this.tokenAbi }).ensureAllowance(this.address, amount, { from });
+    }
+}
+
+module.exports = OurDEXRouter;
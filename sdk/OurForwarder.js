@@ -0,0 +1,108 @@
+/** SDK WRAPPER FOR THE EIP-2771 FORWARDER RELAYING OURT CALLS */
+
+/** ethers lib for EIP-712 hashing and signature recovery */
+const ethers = require("ethers");
+
+const BaseContract = require('./BaseContract');
+const { toBn } = require('./utils');
+const { signTypedMessage } = require('./permit');
+
+/** EIP-712 forward request type as defined by OpenZeppelin MinimalForwarder */
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+class OurForwarder extends BaseContract {
+
+    /**
+     * @param {Web3} web3 connected web3 instance
+     * @param {string} address deployed OurForwarder address
+     * @param {object} [options] see BaseContract
+    **/
+    constructor(web3, address, options = {}) {
+        super(web3, 'OurForwarder', address, options);
+    }
+
+    /** VIEWS */
+
+    /** the nonce the next request of `from` must carry */
+    async getNonce(from) {
+        return toBn(await this.call('getNonce', from));
+    }
+
+    /** whether the forwarder would execute the signed request now: signer and nonce match */
+    verify(request, signature) {
+        return this.call('verify', request, signature);
+    }
+
+    /** EIP-712 domain of the forwarder, as set by the MinimalForwarder constructor */
+    async domain() {
+        if (!this._domain) {
+            this._domain = {
+                name: 'MinimalForwarder',
+                version: '0.0.1',
+                chainId: Number(await this.web3.eth.getChainId()),
+                verifyingContract: this.address
+            };
+        }
+        return this._domain;
+    }
+
+    /** recovers the account that signed the request, without checking its nonce */
+    async recoverSigner(request, signature) {
+        return ethers.utils.verifyTypedData(await this.domain(), FORWARD_REQUEST_TYPES, request, signature);
+    }
+
+    /**
+     * Builds and signs a request having the forwarder call `to` with `data` on behalf of `from`.
+     * The request gas is estimated from the target call when not supplied and the nonce read from
+     * the forwarder, pass it explicitly when signing several requests before any is executed.
+     * @returns {Promise<{request, signature}>}
+    **/
+    async signRequest({ from, to, data, gas, nonce, privateKey }) {
+        if (gas === undefined) {
+            // the target reads the sender appended to the calldata by the forwarder
+            const estimate = await this.web3.eth.estimateGas({ from: this.address, to, data: data + from.slice(2).toLowerCase() });
+            gas = Math.ceil(Number(estimate) * 1.5);
+        }
+        const request = {
+            from,
+            to,
+            value: '0',
+            gas: toBn(gas).toString(),
+            nonce: toBn(nonce !== undefined ? nonce : await this.getNonce(from)).toString(),
+            data
+        };
+        const signature = await signTypedMessage(this.web3, {
+            signer: from,
+            domain: await this.domain(),
+            types: FORWARD_REQUEST_TYPES,
+            primaryType: 'ForwardRequest',
+            message: request,
+            privateKey
+        });
+        return { request, signature };
+    }
+
+    /** ACTIONS */
+
+    /** submits a single signed request, the relayer pays the gas */
+    execute(request, signature, opts = {}) {
+        return this.send('execute', [request, signature], opts);
+    }
+
+    /** submits a batch of signed requests, those that don't verify are skipped instead of reverting the batch */
+    executeBatch(signed, opts = {}) {
+        const list = [].concat(signed);
+        return this.send('executeBatch', [list.map((s) => s.request), list.map((s) => s.signature)], opts);
+    }
+}
+
+module.exports = OurForwarder;
@@ -0,0 +1,200 @@
+/** SDK WRAPPER FOR THE OURT ARBITRAGE FUND */
+
+const BaseContract = require('./BaseContract');
+const { toBn } = require('./utils');
+
+/** BN js lib */
+const BN = require("bn.js");
+
+/** trades read per call when walking the trade log */
+const TRADES_PAGE_SIZE = 100;
+
+class OurFund extends BaseContract {
+
+    /**
+     * @param {Web3} web3 connected web3 instance
+     * @param {string} address deployed OurFund address
+     * @param {object} [options] see BaseContract
+     * @param {OurToken} [options.token] OURT wrapper, used to approve the fund before deposits or to sign the OURT permits
+    **/
+    constructor(web3, address, options = {}) {
+        super(web3, 'OurFund', address, options);
+        this.token = options.token;
+    }
+
+    /** VIEWS */
+
+    /** @returns {Promise<{reserveETH: BN, reserveToken: BN, blockTimestampLast: number}>} */
+    async getReserves() {
+        const res = await this.call('getReserves');
+        return { reserveETH: toBn(res[0]), reserveToken: toBn(res[1]), blockTimestampLast: Number(res[2]) };
+    }
+
+    balanceOf(account) {
+        return this.call('balanceOf', account);
+    }
+
+    /** OURF of `account` that can be redeemed for ETH */
+    async accountElligebleToken(account) {
+        return toBn(await this.call('accountElligebleToken', account));
+    }
+
+    /** OURF of `account` that can still be withdrawn as OURT */
+    async accountNonElligebleToken(account) {
+        return toBn(await this.call('accountNonElligebleToken', account));
+    }
+
+    /** OURT the fund holds for the non-elligible OURF (ERC-4626 totalAssets) */
+    async totalAssets() {
+        return toBn(await this.call('totalAssets'));
+    }
+
+    async totalElligebleSupply() {
+        return toBn(await this.call('totalElligebleSupply'));
+    }
+
+    /** non-elligible OURF, the ERC-4626 share supply backed by totalAssets (totalSupply also counts the ETH claims) */
+    async totalNonElligebleSupply() {
+        return toBn(await this.call('totalNonElligebleSupply'));
+    }
+
+    async isStakeholder(account) {
+        return (await this.call('isStakeholder', account))[0];
+    }
+
+    /** ETH paid out for burning `amount` elligible OURF */
+    async previewWithdrawETH(amount) {
+        return toBn(await this.call('previewWithdrawETH', toBn(amount).toString()));
+    }
+
+    /** ETH `account` can claim by burning all of its elligible OURF */
+    async claimableETH(account) {
+        const elligble = await this.accountElligebleToken(account);
+        return elligble.isZero() ? elligble : this.previewWithdrawETH(elligble);
+    }
+
+    /**
+     * Claimable ETH of every stakeholder, each one computed as if it was the first to withdraw
+     * @returns {Promise<Array<{account: string, elligble: BN, claimableETH: BN}>>}
+    **/
+    async getClaims() {
+        const stakeholders = await this.call('getStakeholders');
+        return Promise.all(stakeholders.map(async (account) => {
+            const elligble = await this.accountElligebleToken(account);
+            return { account, elligble, claimableETH: elligble.isZero() ? elligble : await this.previewWithdrawETH(elligble) };
+        }));
+    }
+
+    /** OURT the bots can spend per trade, per day, and what is left of today's limit */
+    async getTradeLimits() {
+        const res = await this.call('getTradeLimits');
+        const limits = { maxTradeToken: toBn(res[0]), dailyTradeLimit: toBn(res[1]), spentToday: toBn(res[2]) };
+        return { ...limits, remainingToday: BN.max(limits.dailyTradeLimit.sub(limits.spentToday), new BN(0)) };
+    }
+
+    /** number of trades in the fund trade log */
+    async tradesCount() {
+        return Number(await this.call('tradesCount'));
+    }
+
+    /**
+     * At most `limit` trades of the log starting at `offset`, oldest first
+     * @returns {Promise<Array<{id: number, spentToken: BN, boughtETH: BN, timestamp: number, blockNumber: number}>>}
+    **/
+    async getTrades(offset = 0, limit = TRADES_PAGE_SIZE) {
+        const page = await this.call('getTrades', offset, limit);
+        return page.map((trade, i) => ({
+            id: offset + i,
+            spentToken: toBn(trade.spentToken),
+            boughtETH: toBn(trade.boughtETH),
+            timestamp: Number(trade.timestamp),
+            blockNumber: Number(trade.blockNumber)
+        }));
+    }
+
+    /** the whole trade log, read `pageSize` trades at a time */
+    async getAllTrades(pageSize = TRADES_PAGE_SIZE) {
+        const count = await this.tradesCount();
+        const trades = [];
+        for (let offset = 0; offset < count; offset += pageSize) {
+            trades.push(...await this.getTrades(offset, pageSize));
+        }
+        return trades;
+    }
+
+    /** totals of the trade log, averagePrice is the ETH bought for 1e18 OURT sold */
+    async getTradeStats() {
+        const res = await this.call('getTradeStats');
+        return { tradesCount: Number(res[0]), totalSpentToken: toBn(res[1]), totalBoughtETH: toBn(res[2]), averagePrice: toBn(res[3]) };
+    }
+
+    /** OURF supply, stakes of every stakeholder included */
+    async totalSupply() {
+        return toBn(await this.call('totalSupply'));
+    }
+
+    /** bot configuration set by governance, a JSON string */
+    getBotParams() {
+        return this.call('BOT_PARAMS');
+    }
+
+    /** ACTIONS */
+
+    /**
+     * deposits `amount` OURT and mints the same amount of OURF, with `opts.permit` the OURT is approved
+     * by a permit signed by the sender (locally when `opts.privateKey` is supplied)
+    **/
+    async addToFund(amount, opts = {}) {
+        const from = opts.from || this.from;
+        const deadline = await this.deadline(opts);
+        if (opts.permit) {
+            if (!this.token) throw new Error('OurFund: an OURT wrapper is required to sign permits');
+            const { v, r, s } = await this.token.signPermit({ owner: from, spender: this.address, value: amount, deadline, privateKey: opts.privateKey });
+            return this.send('addToFundWithPermit', [toBn(amount).toString(), deadline, v, r, s], opts);
+        }
+        if (this.token) await this.token.ensureAllowance(this.address, amount, { from });
+        return this.send('addToFund', [toBn(amount).toString(), deadline], opts);
+    }
+
+    /** ERC-4626 deposit: pulls `amount` OURT from the sender and mints the same amount of OURF to `receiver` */
+    async deposit(amount, receiver, opts = {}) {
+        const from = opts.from || this.from;
+        if (this.token) await this.token.ensureAllowance(this.address, amount, { from });
+        return this.send('deposit', [toBn(amount).toString(), receiver || from], opts);
+    }
+
+    /** ERC-4626 redeem: burns `shares` non-elligible OURF of `owner` and sends the same amount of OURT to `receiver` */
+    redeem(shares, receiver, owner, opts = {}) {
+        const from = opts.from || this.from;
+        return this.send('redeem', [toBn(shares).toString(), receiver || from, owner || from], opts);
+    }
+
+    /** burns `amount` non-elligible OURF and withdraws the same amount of OURT */
+    async withdrawFromFund(amount, opts = {}) {
+        return this.send('withdrawFromFund', [toBn(amount).toString(), await this.deadline(opts)], opts);
+    }
+
+    /** burns `amount` elligible OURF for its share of the fund's ETH */
+    withdrawETH(amount, opts = {}) {
+        return this.send('withdrawETH', [toBn(amount).toString()], opts);
+    }
+
+    /** BOT ACTIONS */
+
+    /** sells `amountToken` fund OURT on the DEX for at least `minETH` and records the trade */
+    async executeTrade(amountToken, minETH, opts = {}) {
+        return this.send('executeTrade', [toBn(amountToken).toString(), toBn(minETH).toString(), await this.deadline(opts)], opts);
+    }
+
+    /** approves the calling bot to pull `amount` OURT from the fund */
+    approveBotFunds(amount, opts = {}) {
+        return this.send('approveBotFunds', [toBn(amount).toString()], opts);
+    }
+
+    /** records a trade of `spentToken` OURT for `boughtETH` once the ETH was sent to the fund */
+    registerTrade(spentToken, boughtETH, opts = {}) {
+        return this.send('registerTrade', [toBn(spentToken).toString(), toBn(boughtETH).toString()], opts);
+    }
+}
+
+module.exports = OurFund;
@@ -0,0 +1,226 @@
+/** SDK WRAPPER FOR THE OURT TOKEN: ERC20, PERMITS & CHECQUES, DIRECT OR RELAYED */
+
+/** ethers lib for the checque salts */
+const ethers = require("ethers");
+
+const BaseContract = require('./BaseContract');
+const { toBn } = require('./utils');
+const { getDomain, signTypedMessage, signPermit } = require('./permit');
+
+/** EIP-712 type of the typed checques, as hashed by OurToken.checqueDigest */
+const CHECQUE_TYPES = {
+    Checque: [
+        { name: 'issuer', type: 'address' },
+        { name: 'beneficiary', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'salt', type: 'bytes32' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/** OurToken.ChecqueStatus values, by index */
+const CHECQUE_STATUS = ['Open', 'PartiallyCashed', 'Cashed', 'Revoked', 'Expired', 'SaltUsed'];
+
+class OurToken extends BaseContract {
+
+    /**
+     * @param {Web3} web3 connected web3 instance
+     * @param {string} address deployed OurToken address
+     * @param {object} [options] see BaseContract
+    **/
+    constructor(web3, address, options = {}) {
+        super(web3, 'OurToken', address, options);
+    }
+
+    /** VIEWS */
+
+    balanceOf(account) {
+        return this.call('balanceOf', account);
+    }
+
+    allowance(owner, spender) {
+        return this.call('allowance', owner, spender);
+    }
+
+    nonces(owner) {
+        return this.call('nonces', owner);
+    }
+
+    /** the checques fee rate, per-thousand */
+    getChecquesFees() {
+        return this.call('getChecquesFees');
+    }
+
+    /**
+     * where the checques fees go: the treasury and the percentage burnt
+     * @returns {Promise<{treasury: string, burnShare: number}>}
+    **/
+    async getChecquesFeesRouting() {
+        const res = await this.call('getChecquesFeesRouting');
+        return { treasury: res.treasury, burnShare: Number(res.burnShare) };
+    }
+
+    /**
+     * returns the amount the beneficiary receives and the fee taken when cashing a checque of `value`,
+     * split between the part burnt and the part sent to the treasury
+    **/
+    async previewChecque(value) {
+        const feeRate = toBn(await this.getChecquesFees());
+        const { treasury, burnShare } = await this.getChecquesFeesRouting();
+        const fee = toBn(value).mul(feeRate).divn(1000);
+        const burnt = /^0x0{40}$/.test(treasury) ? fee : fee.muln(burnShare).divn(100);
+        return { net: toBn(value).sub(fee), fee, burnt, toTreasury: fee.sub(burnt) };
+    }
+
+    /**
+     * status of a typed checque, SaltUsed when the issuer salt was cashed for another checque
+     * @returns {Promise<{status: string, cashed: BN, remaining: BN}>}
+    **/
+    async checqueStatus(checque) {
+        const res = await this.call('checqueStatus', this._checqueStruct(checque));
+        return { status: CHECQUE_STATUS[Number(res.status)], cashed: toBn(res.cashed), remaining: toBn(res.remaining) };
+    }
+
+    /** EIP-712 domain of the token, as set by the ERC20Permit constructor */
+    async domain() {
+        if (!this._domain) this._domain = await getDomain(this);
+        return this._domain;
+    }
+
+    /** ACTIONS */
+
+    approve(spender, amount, opts = {}) {
+        return this.send('approve', [spender, toBn(amount).toString()], opts);
+    }
+
+    transfer(to, amount, opts = {}) {
+        return this.send('transfer', [to, toBn(amount).toString()], opts);
+    }
+
+    transferFrom(from, to, amount, opts = {}) {
+        return this.send('transferFrom', [from, to, toBn(amount).toString()], opts);
+    }
+
+    /** approves `spender` only when the current allowance doesn't cover `amount` */
+    async ensureAllowance(spender, amount, opts = {}) {
+        const owner = opts.from || this.from;
+        const current = toBn(await this.allowance(owner, spender));
+        if (current.gte(toBn(amount))) return null;
+        return this.approve(spender, amount, opts);
+    }
+
+    /**
+     * Signs an EIP-712 permit allowing `spender` to pull `value` from `owner`.
+     * When `privateKey` is supplied the digest is signed locally, otherwise the
+     * provider is asked to sign through eth_signTypedData_v4.
+     * @returns {Promise<{owner, spender, value, nonce, deadline, v, r, s}>}
+    **/
+    signPermit(params) {
+        return signPermit(this, params);
+    }
+
+    /** submits a signed permit */
+    permit(signed, opts = {}) {
+        const { owner, spender, value, deadline, v, r, s } = signed;
+        return this.send('permit', [owner, spender, value, deadline, v, r, s], opts);
+    }
+
+    /**
+     * Signs a checque: a permit from the issuer to the beneficiary that the beneficiary cashes
+     * through cashChecques. Checques from the same issuer must be cashed in nonce order,
+     * pass `nonce` explicitly when signing several checques before any is cashed.
+    **/
+    signChecque({ issuer, beneficiary, value, deadline, nonce, privateKey }) {
+        return this.signPermit({ owner: issuer, spender: beneficiary, value, deadline, nonce, privateKey });
+    }
+
+    /**
+     * Signs a typed checque of `amount` from the issuer to the beneficiary. Typed checques don't use
+     * the permit nonces: they can be cashed in any order, partially, and revoked by the issuer.
+     * A random salt is drawn when none is supplied, an issuer salt can only be used for one checque.
+     * @returns {Promise<{issuer, beneficiary, amount, salt, deadline, v, r, s}>}
+    **/
+    async signTypedChecque({ issuer, beneficiary, amount, salt, deadline, privateKey }) {
+        const message = {
+            issuer,
+            beneficiary,
+            amount: toBn(amount).toString(),
+            salt: salt || ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+            deadline: toBn(deadline !== undefined ? deadline : await this.deadline()).toString()
+        };
+        const signature = await signTypedMessage(this.web3, { signer: issuer, domain: await this.domain(), types: CHECQUE_TYPES, primaryType: 'Checque', message, privateKey });
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+        return { ...message, v, r, s };
+    }
+
+    /** cashes `value` out of a typed checque, its whole amount when `value` is not supplied */
+    cashTypedChecque(checque, value, opts = {}) {
+        const { v, r, s } = checque;
+        const amount = toBn(value !== undefined ? value : checque.amount).toString();
+        return this.send('cashTypedChecque', [this._checqueStruct(checque), amount, v, r, s], { from: checque.beneficiary, ...opts });
+    }
+
+    /** revokes the typed checque the issuer signed with `salt` */
+    revokeChecque(salt, opts = {}) {
+        return this.send('revokeChecque', [salt], opts);
+    }
+
+    /** cashes a batch of signed checques, all addressed to `beneficiary` */
+    cashChecques(beneficiary, checques, opts = {}) {
+        return this.send('cashChecques', this._checquesArgs(beneficiary, checques), { from: beneficiary, ...opts });
+    }
+
+    /**
+     * Encodes the call cashing a batch of checques, cashChecquesWithRelayerFee when a `relayer`
+     * is paid `relayerFee` OURT out of the cashed amount
+     * @returns {string} the calldata
+    **/
+    encodeCashChecques(beneficiary, checques, { relayer, relayerFee } = {}) {
+        const args = this._checquesArgs(beneficiary, checques);
+        if (relayer === undefined) return this.contract.methods.cashChecques(...args).encodeABI();
+        return this.contract.methods.cashChecquesWithRelayerFee(...args, relayer, toBn(relayerFee || 0).toString()).encodeABI();
+    }
+
+    /**
+     * Signs a forward request having `forwarder` cash a batch of checques on behalf of the beneficiary,
+     * any relayer can then submit it and pay the gas. The token must trust the forwarder.
+     * @param {OurForwarder} forwarder
+     * @param {object} params
+     * @param {string} params.beneficiary the account cashing the checques and signing the request
+     * @param {Array} params.checques checques signed to the beneficiary
+     * @param {string} [params.relayer] account paid `relayerFee` OURT for submitting the request
+     * @param {BN|string} [params.relayerFee]
+     * @param {number} [params.gas] gas the forwarder gives the call, estimated when not supplied
+     * @param {BN|string} [params.nonce] forwarder nonce, read from the forwarder when not supplied
+     * @param {string} [params.privateKey] signs locally instead of through the provider
+     * @returns {Promise<{request, signature}>}
+    **/
+    signRelayedChecques(forwarder, { beneficiary, checques, relayer, relayerFee, gas, nonce, privateKey }) {
+        const data = this.encodeCashChecques(beneficiary, checques, { relayer, relayerFee });
+        return forwarder.signRequest({ from: beneficiary, to: this.address, data, gas, nonce, privateKey });
+    }
+
+    /** Checque struct argument of a typed checque */
+    _checqueStruct({ issuer, beneficiary, amount, salt, deadline }) {
+        return { issuer, beneficiary, amount: toBn(amount).toString(), salt, deadline: toBn(deadline).toString() };
+    }
+
+    /** cashChecques arguments of a batch of checques, all addressed to `beneficiary` */
+    _checquesArgs(beneficiary, checques) {
+        const list = [].concat(checques);
+        if (list.some((c) => c.spender !== undefined && c.spender.toLowerCase() !== beneficiary.toLowerCase())) {
+            throw new Error('OurToken: checque batch contains checques for another beneficiary');
+        }
+        return [
+            beneficiary,
+            list.map((c) => c.owner),
+            list.map((c) => c.value),
+            list.map((c) => c.deadline),
+            list.map((c) => c.v),
+            list.map((c) => c.r),
+            list.map((c) => c.s)
+        ];
+    }
+}
+
+module.exports = OurToken;
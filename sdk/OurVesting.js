@@ -0,0 +1,83 @@
+/** SDK WRAPPER FOR THE OURT VESTING OF THE TEAM AND INVESTOR ALLOCATIONS */
+
+const BaseContract = require('./BaseContract');
+const { toBn } = require('./utils');
+
+class OurVesting extends BaseContract {
+
+    /**
+     * @param {Web3} web3 connected web3 instance
+     * @param {string} address deployed OurVesting address
+     * @param {object} [options] see BaseContract
+    **/
+    constructor(web3, address, options = {}) {
+        super(web3, 'OurVesting', address, options);
+    }
+
+    /** VIEWS */
+
+    async schedulesCount() {
+        return Number(await this.call('schedulesCount'));
+    }
+
+    /** schedule ids of `beneficiary` */
+    async schedulesOf(beneficiary) {
+        return (await this.call('schedulesOf', beneficiary)).map(Number);
+    }
+
+    /**
+     * a schedule with its vested and releasable amounts, times are unix timestamps
+     * @returns {Promise<{id, beneficiary, amount: BN, released: BN, vested: BN, releasable: BN, start, cliffEnd, end, revocable, revoked}>}
+    **/
+    async getSchedule(id) {
+        const res = await this.call('getSchedule', id);
+        const start = Number(res.start);
+        return {
+            id: Number(id),
+            beneficiary: res.beneficiary,
+            amount: toBn(res.amount),
+            released: toBn(res.released),
+            vested: toBn(await this.call('vestedAmount', id)),
+            releasable: toBn(await this.call('releasableAmount', id)),
+            start,
+            cliffEnd: start + Number(res.cliff),
+            end: start + Number(res.duration),
+            revocable: res.revocable,
+            revoked: res.revoked
+        };
+    }
+
+    /** every schedule, or the schedules of `beneficiary` */
+    async getSchedules(beneficiary) {
+        const ids = beneficiary ? await this.schedulesOf(beneficiary) : [...Array(await this.schedulesCount()).keys()];
+        return Promise.all(ids.map(id => this.getSchedule(id)));
+    }
+
+    /** ACTIONS */
+
+    /**
+     * Creates a schedule minting `amount` OURT wei for `beneficiary`
+     * @param {object} params
+     * @param {number} params.start unix timestamp the schedule starts at
+     * @param {number} params.cliff seconds after start before anything vests
+     * @param {number} params.duration seconds after start when everything has vested
+     * @param {boolean} [params.revocable] whether the admin can revoke it, true by default
+     * @returns {Promise<{id: number, receipt}>}
+    **/
+    async createSchedule({ beneficiary, amount, start, cliff, duration, revocable = true }, opts = {}) {
+        const receipt = await this.send('createSchedule', [beneficiary, toBn(amount).toString(), start, cliff, duration, revocable], opts);
+        return { id: Number(receipt.events.ScheduleCreated.returnValues.id), receipt };
+    }
+
+    /** releases the vested tokens of schedule `id` to its beneficiary */
+    release(id, opts = {}) {
+        return this.send('release', [id], opts);
+    }
+
+    /** revokes schedule `id`, its unvested tokens are burnt */
+    revoke(id, opts = {}) {
+        return this.send('revoke', [id], opts);
+    }
+}
+
+module.exports = OurVesting;
@@ -0,0 +1,164 @@
+/** TYPED ERRORS FOR THE PROTOCOL SDK */
+
+/**
+ * Base error for every revert thrown by a protocol contract.
+ * `contract` is the prefix of the revert reason (ie: OurDEX), `code` is the
+ * upper-case reason code (ie: SLIPPAGE_RATE_EXCEEDED) and `reason` the raw string.
+**/
+class ProtocolError extends Error {
+    constructor(reason, contract, code, cause) {
+        super(reason);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.contract = contract;
+        this.code = code;
+        this.cause = cause;
+    }
+}
+
+/** the quoted amount moved outside of the min/max bounds before the transaction was mined */
+class SlippageError extends ProtocolError {}
+
+/** the transaction deadline was reached before the transaction was mined */
+class DeadlineExpiredError extends ProtocolError {}
+
+/** the pool (or fund) reserves can't cover the requested action */
+class InsufficientLiquidityError extends ProtocolError {}
+
+/** the action would push the pool liquidity outside of the governance bounds */
+class LiquidityBoundsError extends ProtocolError {}
+
+/** the supplied amounts don't match what the contract expects */
+class InvalidAmountError extends ProtocolError {}
+
+/** the caller is not allowed to perform the action */
+class AccessError extends ProtocolError {}
+
+/** a token or ETH transfer failed inside the contract */
+class TransferError extends ProtocolError {}
+
+/** a signed permit or checque was rejected */
+class SignatureError extends ProtocolError {}
+
+/** any other protocol revert that has no dedicated class */
+class UnknownProtocolError extends ProtocolError {}
+
+/** revert codes mapped to their error class */
+const ERROR_CODES = {
+    SLIPPAGE_RATE_EXCEEDED: SlippageError,
+    K: SlippageError,
+    EXPIRED: DeadlineExpiredError,
+    INSUFFICIENT_LIQUIDITY: InsufficientLiquidityError,
+    INSUFFICIENT_RESERVE_LIQUIDITY: InsufficientLiquidityError,
+    INSUFFICIENT_LIQUIDITY_MINTED: InsufficientLiquidityError,
+    INSUFFICIENT_LIQUIDITY_BURNED: InsufficientLiquidityError,
+    INSUFFICIENT_OUTPUT_AMOUNT: InsufficientLiquidityError,
+    MINIMUM_POOL_LIQUIDITY: LiquidityBoundsError,
+    MAXIMUM_POOL_LIQUIDITY: LiquidityBoundsError,
+    INSUFFICIENT_INPUT_AMOUNT: InvalidAmountError,
+    INVALID_LIQUIDITY_ETH: InvalidAmountError,
+    INVALID_LIQUIDITY_OURT: InvalidAmountError,
+    NO_ETHER_SENT: InvalidAmountError,
+    ZERO_ETH_SENT: InvalidAmountError,
+    ZERO_OURT_SENT: InvalidAmountError,
+    INSUFFICIENT_OURX_TOKENS: InvalidAmountError,
+    INSUFFICIENT_ADNS_MINTED: InvalidAmountError,
+    INSUFFICIENT_OURT_SENT: InvalidAmountError,
+    INSUFFICIENT_AMOUNT_BURNED: InvalidAmountError,
+    INSUFFICIENT_AMOUNT_OUT: InvalidAmountError,
+    INSUFFICIENT_SUPPLY_BURN: InvalidAmountError,
+    ELLIGBLE_TOKEN_BURN_ON_NONELIG: InvalidAmountError,
+    NON_ELLIGBLE_TOKENS: InvalidAmountError,
+    INFORMATION_ARITY_MISMATCH: InvalidAmountError,
+    NO_CHECQUES: InvalidAmountError,
+    INSUFFICIENT_CHECQUE_AMOUNT: InvalidAmountError,
+    FEES_ABOVE_MAXIMUM: InvalidAmountError,
+    INVALID_BURN_SHARE: InvalidAmountError,
+    SUPPLY_CAP_EXCEEDED: InvalidAmountError,
+    INVALID_SUPPLY_CAP: InvalidAmountError,
+    ZERO_AMOUNT: InvalidAmountError,
+    INVALID_DURATION: InvalidAmountError,
+    NOTHING_TO_RELEASE: InvalidAmountError,
+    SCHEDULE_NOT_FOUND: InvalidAmountError,
+    INSUFFICIENT_ETH_SENT: InvalidAmountError,
+    UNEXPECTED_ETH_SENT: InvalidAmountError,
+    INVALID_PATH: InvalidAmountError,
+    PAIR_NOT_FOUND: InsufficientLiquidityError,
+    ACCESS_REJECTED_INVALID_ADDRESS: AccessError,
+    INVALID_SPENDER_ADDRESS: AccessError,
+    STAKEHOLDER_NOT_VALID: AccessError,
+    CHECQUE_REVOKED: AccessError,
+    NOT_REVOCABLE: AccessError,
+    ALREADY_REVOKED: AccessError,
+    OURT_TRANSFER_FAILED: TransferError,
+    TOKEN_TRANSFER_FAILED: TransferError,
+    ETH_TRANSFER_FAILED: TransferError,
+    INVALID_SIGNATURE: SignatureError,
+    SALT_ALREADY_USED: SignatureError,
+};
+
+/** revert reasons thrown by OpenZeppelin base contracts mapped to their error class */
+const BASE_REASONS = [
+    [/ERC20Permit: expired deadline/, DeadlineExpiredError, 'EXPIRED'],
+    [/ERC20Permit: invalid signature/, SignatureError, 'INVALID_SIGNATURE'],
+    [/ERC20: (transfer|burn) amount exceeds (balance|allowance)/, InvalidAmountError, 'INSUFFICIENT_BALANCE'],
+    [/ERC20: insufficient allowance/, InvalidAmountError, 'INSUFFICIENT_ALLOWANCE'],
+    [/AccessControl: account .* is missing role/, AccessError, 'MISSING_ROLE'],
+    [/Ownable: caller is not the owner/, AccessError, 'NOT_OWNER'],
+    [/Pausable: paused/, AccessError, 'PAUSED'],
+];
+
+/** matches protocol reasons such as `OurDEX: EXPIRED` or `OurToken:cashChecque:: INVALID_SPENDER_ADDRESS` */
+const PROTOCOL_REASON = /(Our[A-Za-z]+)(?::[A-Za-z]*)?:{1,2}\s*([A-Z0-9_]+)/;
+
+/** extracts the revert reason string from the different error shapes web3 providers throw */
+const extractReason = (error) => {
+    if (!error) return '';
+    if (typeof error === 'string') return error;
+    if (error.reason) return error.reason;
+    if (error.data && typeof error.data === 'object') {
+        // ganache nests the reason under the transaction hash
+        for (const key of Object.keys(error.data)) {
+            if (error.data[key] && error.data[key].reason) return error.data[key].reason;
+        }
+        if (error.data.reason) return error.data.reason;
+    }
+    return error.message || '';
+}
+
+/**
+ * Decodes a contract revert into its typed error. Errors that are not contract
+ * reverts (network, wallet rejections...) are returned untouched.
+**/
+const decodeError = (error) => {
+    if (error instanceof ProtocolError) return error;
+    const reason = extractReason(error);
+
+    const match = reason.match(PROTOCOL_REASON);
+    if (match) {
+        const ErrorClass = ERROR_CODES[match[2]] || UnknownProtocolError;
+        return new ErrorClass(match[0], match[1], match[2], error);
+    }
+
+    for (const [pattern, ErrorClass, code] of BASE_REASONS) {
+        const found = reason.match(pattern);
+        if (found) return new ErrorClass(found[0], null, code, error);
+    }
+
+    return error;
+}
+
+module.exports = {
+    ProtocolError,
+    SlippageError,
+    DeadlineExpiredError,
+    InsufficientLiquidityError,
+    LiquidityBoundsError,
+    InvalidAmountError,
+    AccessError,
+    TransferError,
+    SignatureError,
+    UnknownProtocolError,
+    ERROR_CODES,
+    decodeError
+}
@@ -0,0 +1,158 @@
+/** PERFORMANCE REPORTING OVER THE FUND TRADE LOG */
+
+const { toBn } = require('./utils');
+
+/** BN js lib */
+const BN = require("bn.js");
+
+const ONE_OURT = new BN(10).pow(new BN(18));
+
+const DAY = 24 * 60 * 60;
+const YEAR = 365 * DAY;
+
+/** fixed length periods in seconds, months follow the UTC calendar */
+const PERIODS = {
+    day: DAY,
+    week: 7 * DAY
+};
+
+const CSV_COLUMNS = ['periodStart', 'periodEnd', 'trades', 'spentOURT', 'boughtETH', 'averagePrice', 'pnlETH', 'return', 'apy'];
+
+/** start of the period `timestamp` falls in, periods are 'day', 'week', 'month' or a length in seconds */
+const periodStart = (timestamp, period) => {
+    if (period === 'month') {
+        const date = new Date(timestamp * 1000);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+    }
+    const length = PERIODS[period] || period;
+    return timestamp - (timestamp % length);
+}
+
+const periodEnd = (start, period) => {
+    if (period === 'month') {
+        const date = new Date(start * 1000);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+    }
+    return start + (PERIODS[period] || period);
+}
+
+/** a / b as a number, null when b is zero */
+const ratio = (a, b) => b.isZero() ? null : Number(a.mul(ONE_OURT).div(b).toString()) / 1e18;
+
+/** compounds a return over `seconds` into a yearly one */
+const annualize = (rate, seconds) => {
+    if (rate === null) return null;
+    if (rate <= -1) return -1;
+    return Math.pow(1 + rate, YEAR / seconds) - 1;
+}
+
+/**
+ * Performance of the trades made in between `start` and `end`.
+ * P&L is the ETH bought minus what the OURT sold would be worth at the reference price, the return
+ * is that P&L over the staked capital valued at the same price, so it is the same for every stake.
+**/
+const summarize = (trades, start, end, referencePrice, capitalETH) => {
+    let spentOURT = new BN(0);
+    let boughtETH = new BN(0);
+    for (const trade of trades) {
+        spentOURT = spentOURT.add(trade.spentToken);
+        boughtETH = boughtETH.add(trade.boughtETH);
+    }
+    const pnlETH = boughtETH.sub(spentOURT.mul(referencePrice).div(ONE_OURT));
+    const rate = ratio(pnlETH, capitalETH);
+    return {
+        periodStart: start,
+        periodEnd: end,
+        trades: trades.length,
+        spentOURT,
+        boughtETH,
+        averagePrice: spentOURT.isZero() ? null : boughtETH.mul(ONE_OURT).div(spentOURT),
+        pnlETH,
+        return: rate,
+        apy: annualize(rate, end - start)
+    };
+}
+
+/**
+ * Builds the per-period P&L and APY of the fund from its trade log, empty periods in between trades included.
+ * @param {Array<{spentToken: BN, boughtETH: BN, timestamp: number}>} trades see OurFund.getAllTrades
+ * @param {object} options
+ * @param {BN|string} options.referencePrice ETH per OURT (wei for 1e18 OURT) the OURT sold is measured against
+ * @param {BN|string} options.capitalOURT OURT staked in the fund
+ * @param {string|number} [options.period] 'day', 'week', 'month' or a length in seconds
+ * @returns {{period, referencePrice: BN, capitalOURT: BN, periods: object[], total: object|null}}
+**/
+const buildReport = (trades, { referencePrice, capitalOURT, period = 'day' }) => {
+    if (period !== 'month' && !PERIODS[period] && !(Number.isInteger(period) && period > 0)) {
+        throw new Error(`fundReport: unknown period ${period}`);
+    }
+    referencePrice = toBn(referencePrice);
+    capitalOURT = toBn(capitalOURT);
+    const capitalETH = capitalOURT.mul(referencePrice).div(ONE_OURT);
+    const report = { period, referencePrice, capitalOURT, periods: [], total: null };
+    if (trades.length === 0) return report;
+
+    const sorted = [...trades].sort((a, b) => a.timestamp - b.timestamp);
+    const last = sorted[sorted.length - 1].timestamp;
+    let index = 0;
+    for (let start = periodStart(sorted[0].timestamp, period); start <= last; start = periodEnd(start, period)) {
+        const end = periodEnd(start, period);
+        const inPeriod = [];
+        while (index < sorted.length && sorted[index].timestamp < end) inPeriod.push(sorted[index++]);
+        report.periods.push(summarize(inPeriod, start, end, referencePrice, capitalETH));
+    }
+    report.total = summarize(sorted, report.periods[0].periodStart, report.periods[report.periods.length - 1].periodEnd, referencePrice, capitalETH);
+    return report;
+}
+
+/**
+ * Reads the whole trade log of `fund` and builds its report. The reference price defaults to what
+ * 1 OURT sells for on `dex`, the capital to the OURF supply.
+ * @param {OurFund} fund
+ * @param {object} [options] see buildReport
+ * @param {OurDEX} [options.dex] ETH/OURT pool used for the default reference price
+**/
+const generateReport = async (fund, { dex, referencePrice, capitalOURT, period } = {}) => {
+    if (referencePrice === undefined) {
+        if (!dex) throw new Error('fundReport: a referencePrice or a dex is required');
+        referencePrice = await dex.getQuoteForETH(ONE_OURT);
+    }
+    if (capitalOURT === undefined) capitalOURT = await fund.totalSupply();
+    return buildReport(await fund.getAllTrades(), { referencePrice, capitalOURT, period });
+}
+
+/** report row with amounts as decimal strings and periods as ISO dates */
+const serializeRow = (row) => ({
+    ...row,
+    periodStart: new Date(row.periodStart * 1000).toISOString(),
+    periodEnd: new Date(row.periodEnd * 1000).toISOString(),
+    spentOURT: row.spentOURT.toString(),
+    boughtETH: row.boughtETH.toString(),
+    averagePrice: row.averagePrice === null ? null : row.averagePrice.toString(),
+    pnlETH: row.pnlETH.toString()
+});
+
+const toJSON = (report) => JSON.stringify({
+    period: report.period,
+    referencePrice: report.referencePrice.toString(),
+    capitalOURT: report.capitalOURT.toString(),
+    periods: report.periods.map(serializeRow),
+    total: report.total === null ? null : serializeRow(report.total)
+}, null, 2);
+
+/** one line per period, amounts in wei, empty cells for undefined prices and returns */
+const toCSV = (report) => {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of report.periods.map(serializeRow)) {
+        lines.push(CSV_COLUMNS.map(column => row[column] === null ? '' : row[column]).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    buildReport,
+    generateReport,
+    toJSON,
+    toCSV,
+    PERIODS
+}
@@ -0,0 +1,134 @@
+/** LIQUIDITY POSITION ANALYTICS OVER THE OURDEX LIQUIDITY RECORDS */
+
+const { toBn } = require('./utils');
+
+/** BN js lib */
+const BN = require("bn.js");
+
+const ONE = new BN(10).pow(new BN(18));
+
+/** integer square root of a BN, rounded down */
+const sqrt = (value) => {
+    if (value.ltn(2)) return value.clone();
+    let x = value;
+    let y = value.addn(1).shrn(1);
+    while (y.lt(x)) {
+        x = y;
+        y = x.add(value.div(x)).shrn(1);
+    }
+    return x;
+}
+
+/** a / b as a number, null when b is zero */
+const ratio = (a, b) => b.isZero() ? null : Number(a.mul(ONE).div(b).toString()) / 1e18;
+
+/**
+ * Replays the liquidity records of an account into its open position, at average cost:
+ * deposits and OURX received add their ETH/OURT to the cost basis, withdrawals and OURX sent take
+ * off the same share of it as of the OURX they remove. OURX received is valued at the pool when it
+ * was transferred. `liquidity` is the sqrt(ETH * OURT) the position was opened with, the swap fees
+ * grow it while price moves do not.
+ * @param {Array<{isDeposit: boolean, counterparty: string|null, amountETH: BN, amountOURT: BN, amountOURX: BN}>} records see OurDEX.getLiquidityRecords
+**/
+const replayPosition = (records) => {
+    const position = {
+        amountOURX: new BN(0),
+        costETH: new BN(0),
+        costOURT: new BN(0),
+        liquidity: new BN(0),
+        depositedETH: new BN(0),
+        depositedOURT: new BN(0),
+        withdrawnETH: new BN(0),
+        withdrawnOURT: new BN(0),
+        receivedOURX: new BN(0),
+        sentOURX: new BN(0)
+    };
+    for (const record of records) {
+        if (record.isDeposit) {
+            position.amountOURX = position.amountOURX.add(record.amountOURX);
+            position.costETH = position.costETH.add(record.amountETH);
+            position.costOURT = position.costOURT.add(record.amountOURT);
+            position.liquidity = position.liquidity.add(sqrt(record.amountETH.mul(record.amountOURT)));
+            if (record.counterparty) {
+                position.receivedOURX = position.receivedOURX.add(record.amountOURX);
+            } else {
+                position.depositedETH = position.depositedETH.add(record.amountETH);
+                position.depositedOURT = position.depositedOURT.add(record.amountOURT);
+            }
+        } else {
+            const removed = BN.min(record.amountOURX, position.amountOURX);
+            if (!position.amountOURX.isZero()) {
+                for (const key of ['costETH', 'costOURT', 'liquidity']) {
+                    position[key] = position[key].sub(position[key].mul(removed).div(position.amountOURX));
+                }
+            }
+            position.amountOURX = position.amountOURX.sub(removed);
+            if (record.counterparty) {
+                position.sentOURX = position.sentOURX.add(record.amountOURX);
+            } else {
+                position.withdrawnETH = position.withdrawnETH.add(record.amountETH);
+                position.withdrawnOURT = position.withdrawnOURT.add(record.amountOURT);
+            }
+        }
+    }
+    return position;
+}
+
+/**
+ * Values an open position against holding its cost basis, everything in ETH at the pool price.
+ * The fees are the share of the current value the liquidity grew by since the position was opened,
+ * the impermanent loss is what is left of the difference with holding once the fees are taken off.
+ * @param {object} position see replayPosition
+ * @param {{amountETH: BN, amountOURT: BN}} current what burning the position OURX pays now, see OurDEX.calculateOnBurnValue
+ * @param {{reserveETH: BN, reserveOURT: BN}} reserves pool reserves setting the price
+**/
+const analyzePosition = (position, current, { reserveETH, reserveOURT }) => {
+    const valueInETH = (amountETH, amountOURT) => reserveOURT.isZero() ? amountETH : amountETH.add(amountOURT.mul(reserveETH).div(reserveOURT));
+
+    const valueETH = valueInETH(current.amountETH, current.amountOURT);
+    const holdValueETH = valueInETH(position.costETH, position.costOURT);
+    const currentLiquidity = sqrt(current.amountETH.mul(current.amountOURT));
+    const feesETH = currentLiquidity.gt(position.liquidity)
+        ? valueETH.mul(currentLiquidity.sub(position.liquidity)).div(currentLiquidity)
+        : new BN(0);
+    const impermanentLossETH = valueETH.sub(feesETH).sub(holdValueETH);
+    return {
+        currentETH: current.amountETH,
+        currentOURT: current.amountOURT,
+        valueETH,
+        holdValueETH,
+        feesETH,
+        impermanentLossETH,
+        impermanentLoss: ratio(impermanentLossETH, holdValueETH),
+        pnlETH: valueETH.sub(holdValueETH)
+    };
+}
+
+/**
+ * Cost basis, current value, fees earned and impermanent loss of the OURX position of `account`.
+ * OURX the account holds without a record (the protocol fee minted to the treasury) is reported as
+ * untrackedOURX and left out of the analytics.
+ * @param {OurDEX} dex
+ * @param {string} account
+**/
+const getPositionAnalytics = async (dex, account) => {
+    const position = replayPosition(await dex.getLiquidityRecords(account));
+    const balanceOURX = toBn(await dex.balanceOf(account));
+    const current = position.amountOURX.isZero()
+        ? { amountETH: new BN(0), amountOURT: new BN(0) }
+        : await dex.calculateOnBurnValue(position.amountOURX);
+    return {
+        account,
+        balanceOURX,
+        untrackedOURX: BN.max(balanceOURX.sub(position.amountOURX), new BN(0)),
+        ...position,
+        ...analyzePosition(position, current, await dex.getReserves())
+    };
+}
+
+module.exports = {
+    replayPosition,
+    analyzePosition,
+    getPositionAnalytics,
+    sqrt
+}
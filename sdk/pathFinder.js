@@ -0,0 +1,75 @@
+/** ROUTE DISCOVERY OVER THE FACTORY POOLS */
+
+/** ETH side of a pool, as registered in OurDEXFactory */
+const ETH = '0x0000000000000000000000000000000000000000';
+
+/** default maximum number of pools crossed by a route */
+const DEFAULT_MAX_HOPS = 3;
+
+const key = (address) => address.toLowerCase();
+
+/**
+ * Builds an adjacency map token => Set(tokens) from a list of pools.
+ * @param {Array<{token0: string, token1: string}>} pairs
+**/
+const buildGraph = (pairs) => {
+    const graph = new Map();
+    const link = (a, b) => {
+        if (!graph.has(a)) graph.set(a, new Set());
+        graph.get(a).add(b);
+    };
+    for (const { token0, token1 } of pairs) {
+        link(key(token0), key(token1));
+        link(key(token1), key(token0));
+    }
+    return graph;
+}
+
+/**
+ * Lists every path from `tokenIn` to `tokenOut` crossing at most `maxHops` pools,
+ * a token never appears twice in a path. Paths are returned shortest first.
+**/
+const findPaths = (graph, tokenIn, tokenOut, maxHops = DEFAULT_MAX_HOPS) => {
+    const from = key(tokenIn);
+    const to = key(tokenOut);
+    const paths = [];
+    const walk = (path) => {
+        const last = path[path.length - 1];
+        if (last === to) return paths.push(path);
+        if (path.length > maxHops) return null;
+        for (const next of graph.get(last) || []) {
+            if (!path.includes(next)) walk([...path, next]);
+        }
+        return null;
+    };
+    if (from !== to) walk([from]);
+    return paths.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Picks the best of the quoted routes: the largest output for exact-input swaps,
+ * the smallest input for exact-output swaps. Routes that could not be quoted are skipped.
+ * @param {Array<{path: string[], amounts: BN[]}>} routes
+ * @param {boolean} exactOut
+**/
+const pickBestRoute = (routes, exactOut = false) => {
+    let best = null;
+    for (const route of routes) {
+        if (!route.amounts) continue;
+        if (!best) {
+            best = route;
+        } else if (exactOut ? route.amounts[0].lt(best.amounts[0])
+            : route.amounts[route.amounts.length - 1].gt(best.amounts[best.amounts.length - 1])) {
+            best = route;
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    ETH,
+    DEFAULT_MAX_HOPS,
+    buildGraph,
+    findPaths,
+    pickBestRoute
+}
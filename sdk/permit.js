@@ -0,0 +1,91 @@
+/** EIP-2612 PERMITS OF THE ERC20Permit TOKENS: OURT AND OURX, AND THE EIP-712 SIGNING THEY SHARE */
+
+/** ethers lib for EIP-712 hashing and signing */
+const ethers = require("ethers");
+
+const { toBn } = require('./utils');
+
+/** EIP-712 permit type as defined by OpenZeppelin ERC20Permit */
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const DOMAIN_TYPE = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+];
+
+/** EIP-712 domain of a token wrapper, as set by the ERC20Permit constructor */
+const getDomain = async (token) => ({
+    name: await token.call('name'),
+    version: '1',
+    chainId: Number(await token.web3.eth.getChainId()),
+    verifyingContract: token.address
+});
+
+const rpc = (web3, method, params) => new Promise((resolve, reject) => {
+    web3.currentProvider.send({ jsonrpc: '2.0', id: Date.now(), method, params }, (error, response) => {
+        if (error) return reject(error);
+        if (response.error) return reject(new Error(response.error.message));
+        resolve(response.result);
+    });
+});
+
+/** MetaMask expects the typed data serialized while ganache expects an object, try both */
+const signTypedData = async (web3, signer, typedData) => {
+    try {
+        return await rpc(web3, 'eth_signTypedData_v4', [signer, JSON.stringify(typedData)]);
+    } catch (error) {
+        return rpc(web3, 'eth_signTypedData_v4', [signer, typedData]);
+    }
+}
+
+/**
+ * Signs an EIP-712 typed message of `signer`, locally when `privateKey` is supplied,
+ * otherwise through the provider eth_signTypedData_v4
+ * @returns {Promise<string>} the 65 bytes signature
+**/
+const signTypedMessage = async (web3, { signer, domain, types, primaryType, message, privateKey }) => {
+    if (privateKey) {
+        const digest = ethers.utils._TypedDataEncoder.hash(domain, types, message);
+        return ethers.utils.joinSignature(new ethers.utils.SigningKey(privateKey).signDigest(digest));
+    }
+    return signTypedData(web3, signer, { types: { EIP712Domain: DOMAIN_TYPE, ...types }, primaryType, domain, message });
+}
+
+/**
+ * Signs an EIP-712 permit of `token` allowing `spender` to pull `value` from `owner`.
+ * When `privateKey` is supplied the digest is signed locally, otherwise the
+ * provider is asked to sign through eth_signTypedData_v4.
+ * @param {BaseContract} token wrapper of an ERC20Permit contract, its domain() is used when it has one
+ * @returns {Promise<{owner, spender, value, nonce, deadline, v, r, s}>}
+**/
+const signPermit = async (token, { owner, spender, value, deadline, nonce, privateKey }) => {
+    const domain = token.domain ? await token.domain() : await getDomain(token);
+    const message = {
+        owner,
+        spender,
+        value: toBn(value).toString(),
+        nonce: (nonce !== undefined ? toBn(nonce) : toBn(await token.call('nonces', owner))).toString(),
+        deadline: toBn(deadline !== undefined ? deadline : await token.deadline()).toString()
+    };
+
+    const signature = await signTypedMessage(token.web3, { signer: owner, domain, types: PERMIT_TYPES, primaryType: 'Permit', message, privateKey });
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { ...message, v, r, s };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    getDomain,
+    signTypedMessage,
+    signPermit
+}
@@ -0,0 +1,55 @@
+/** SHARED HELPERS FOR THE PROTOCOL SDK */
+
+/** BN js lib */
+const BN = require("bn.js");
+
+/** slippage is expressed in basis points: 50 == 0.5% */
+const BPS = new BN(10000);
+const DEFAULT_SLIPPAGE = 50;
+
+/** default deadline offset in seconds, added to the latest block timestamp */
+const DEFAULT_DEADLINE_OFFSET = 500;
+
+/** converts numbers, strings and BN-likes to BN */
+const toBn = (value) => BN.isBN(value) ? value : new BN(value.toString());
+
+/**
+ * Gets the latest block timestamp plus an offset to use as a transaction deadline.
+ * A transaction that is still pending once the deadline is reached will revert with
+ * EXPIRED instead of executing on values the account didn't expect.
+**/
+const getDeadline = async (web3, offset = DEFAULT_DEADLINE_OFFSET) => {
+    const block = await web3.eth.getBlock("latest");
+    return Number(block.timestamp) + offset;
+}
+
+/** returns the [min, max] bounds around a quoted amount given a slippage in basis points */
+const applySlippage = (amount, slippage = DEFAULT_SLIPPAGE) => {
+    const quote = toBn(amount);
+    const tolerance = quote.mul(toBn(slippage)).div(BPS);
+    return [quote.sub(tolerance), quote.add(tolerance)];
+}
+
+/**
+ * Loads a contract ABI from the truffle build output.
+ * The contracts must be compiled (npm run deploy-[network]) before the SDK can use them
+ * unless an ABI is supplied in the wrapper options, a missing artifact throws saying so.
+**/
+const loadAbi = (contractName) => {
+    const artifact = `../build/contracts/${contractName}.json`;
+    try {
+        return require(artifact).abi;
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND' || !err.message.includes(artifact)) throw err;
+        throw new Error(`no ABI for ${contractName}: build/contracts/${contractName}.json is missing, compile the contracts first (truffle compile) or pass options.abi`);
+    }
+}
+
+module.exports = {
+    DEFAULT_SLIPPAGE,
+    DEFAULT_DEADLINE_OFFSET,
+    toBn,
+    getDeadline,
+    applySlippage,
+    loadAbi
+}
@@ -0,0 +1,154 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// node libs for the keystore & checque files
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ethers lib for the CLI wallets
+const ethers = require('ethers');
+
+// importing utils
+const { toTokens } = require('./utils/test-utils');
+
+// importing CLI
+const { main } = require('../cli/checques');
+const { decodeQr } = require('../cli/checqueCodec');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+
+// Checques CLI test spec
+contract('OurChecqueCli', ([owner]) => {
+    let token;
+    let dir;
+    let issuer;
+    let beneficiary;
+    let rpc;
+    let output;
+
+    // runs the CLI with the chain & token options, returns the command result
+    const cli = (...args) => {
+        output = [];
+        return main([...args, '--rpc', rpc, '--token', token.address], { out: line => output.push(line) });
+    }
+
+    // writes `content` to a file of the test directory
+    const file = (name, content) => {
+        fs.writeFileSync(path.join(dir, name), content);
+        return path.join(dir, name);
+    }
+
+    // issuer signing options
+    const issuerOpts = () => ['--mnemonic-file', path.join(dir, 'mnemonic')];
+
+    // beneficiary signing options
+    const beneficiaryOpts = () => ['--keystore', path.join(dir, 'keystore.json'), '--password-file', path.join(dir, 'password')];
+
+    // deploy fresh contracts and wallets for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        rpc = web3.currentProvider.host || 'http://127.0.0.1:8545';
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checques-'));
+
+        issuer = ethers.Wallet.createRandom();
+        file('mnemonic', issuer.mnemonic.phrase);
+        beneficiary = ethers.Wallet.createRandom();
+        file('keystore.json', await beneficiary.encrypt('secret', { scrypt: { N: 1024 } }));
+        file('password', 'secret\n');
+
+        await token.mint(issuer.address, toTokens('1000'), { from: owner });
+        await web3.eth.sendTransaction({ from: owner, to: beneficiary.address, value: toTokens('1') });
+    })
+
+    after(async () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    })
+
+    // Signing
+    describe('Signing', async () => {
+
+        // CLI should sign checques of following nonces from a mnemonic
+        it('CLI should sign checques of following nonces from a mnemonic', async () => {
+            let checques = await cli('sign', ...issuerOpts(), '--to', beneficiary.address, '--amount', '100', '--amount', '50', '--out', path.join(dir, 'batch.json'));
+            assert.deepEqual(checques.map(c => c.nonce), ['0', '1']);
+            assert.equal(checques[0].owner, issuer.address);
+            assert.equal(checques[1].value, toTokens('50'));
+            assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'batch.json'), 'utf8')), checques);
+        })
+
+        // QR strings should hold the same checques
+        it('QR strings should hold the same checques', async () => {
+            let [signed] = await cli('sign', ...issuerOpts(), '--to', beneficiary.address, '--amount', '5', '--format', 'qr', '--deadline', '9999999999');
+            assert.match(output[0], /^[0-9A-Z:]+$/);
+            assert.deepEqual(decodeQr(output[0]), signed);
+
+            // the same checque signed offline
+            let chainId = String(await web3.eth.getChainId());
+            let [offline] = await cli('sign', ...issuerOpts(), '--to', beneficiary.address, '--amount', '5', '--deadline', '9999999999', '--nonce', '0', '--chain-id', chainId);
+            assert.equal(offline.r, signed.r);
+        })
+    })
+
+    // Verification
+    describe('Verification', async () => {
+
+        // CLI should verify checques against the token nonces, domain and fees
+        it('CLI should verify checques against the token nonces, domain and fees', async () => {
+            await cli('verify', path.join(dir, 'batch.json'));
+            assert.match(output[0], /100\.0 OURT \(nonce 0\): OK, 99\.5 OURT net of a 0\.5 OURT fee$/);
+            assert.match(output[1], /after 1 pending checques of the issuer/);
+        })
+
+        // CLI should report the checques that can't be cashed
+        it('CLI should report the checques that can not be cashed', async () => {
+            let [checque] = JSON.parse(fs.readFileSync(path.join(dir, 'batch.json'), 'utf8'));
+            let forged = file('forged.json', JSON.stringify({ ...checque, value: toTokens('500') }));
+            await assert.isRejected(cli('verify', forged), /some checques can not be cashed/);
+            assert.match(output[0], /INVALID, signed by 0x[0-9a-fA-F]{40}, not the issuer/);
+
+            let [otherChain] = await cli('sign', ...issuerOpts(), '--to', beneficiary.address, '--amount', '1', '--nonce', '0', '--chain-id', '5');
+            await assert.isRejected(cli('verify', file('chain.json', JSON.stringify(otherChain))), /some checques can not be cashed/);
+            assert.match(output[0], /signed for chain 5, not \d+, domain does not match the token DOMAIN_SEPARATOR/);
+
+            let [tooLarge] = await cli('sign', ...issuerOpts(), '--to', beneficiary.address, '--amount', '5000', '--format', 'qr');
+            await assert.isRejected(cli('verify', output[0]), /some checques can not be cashed/);
+            assert.match(output[0], /issuer balance .* below the checque value/);
+            assert.equal(tooLarge.value, toTokens('5000'));
+        })
+    })
+
+    // Cashing
+    describe('Cashing', async () => {
+
+        // CLI should refuse batches with checques of another beneficiary or missing nonces
+        it('CLI should refuse batches with checques of another beneficiary or missing nonces', async () => {
+            let [later] = JSON.parse(fs.readFileSync(path.join(dir, 'batch.json'), 'utf8')).slice(1);
+            await assert.isRejected(cli('cash', ...beneficiaryOpts(), file('later.json', JSON.stringify(later))), /checques of lower nonces are missing/);
+            await assert.isRejected(cli('cash', ...issuerOpts(), path.join(dir, 'batch.json')), /every checque must be addressed to/);
+        })
+
+        // CLI should cash a batch from a keystore
+        it('CLI should cash a batch from a keystore', async () => {
+            let batch = JSON.parse(fs.readFileSync(path.join(dir, 'batch.json'), 'utf8'));
+            let reversed = file('reversed.json', JSON.stringify(batch.reverse()));
+            let receipt = await cli('cash', ...beneficiaryOpts(), reversed);
+
+            assert.equal(receipt.status, 1);
+            assert.match(output[0], /cashed 2 checques for 149\.25 OURT/);
+            assert.equal((await token.balanceOf(beneficiary.address)).toString(), toTokens('149.25'));
+            assert.equal((await token.nonces(issuer.address)).toString(), '2');
+
+            await assert.isRejected(cli('verify', reversed), /some checques can not be cashed/);
+            assert.match(output[0], /nonce 1 already used, the issuer is at 2/);
+        })
+    })
+})
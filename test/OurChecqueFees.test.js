@@ -0,0 +1,131 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent, getAccPrivate } = require('./utils/test-utils');
+
+// importing SDK
+const { OurToken } = require('../index');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Checque fees test spec
+contract('OurChecqueFees', ([owner, issuer, beneficiary, treasury, stranger]) => {
+    let token;
+    let sdkToken;
+    let deadline;
+
+    // issuer signs a permit checque of `value` tokens to the beneficiary
+    const checque = (value) => sdkToken.signChecque({ issuer, beneficiary, value: toTokens(value), deadline, privateKey: getAccPrivate(issuer) });
+
+    // cashes `checques` for the beneficiary, returns the truffle receipt
+    const cash = (checques) => token.cashChecques(
+        beneficiary,
+        checques.map(c => c.owner),
+        checques.map(c => c.value),
+        checques.map(c => c.deadline),
+        checques.map(c => c.v),
+        checques.map(c => c.r),
+        checques.map(c => c.s),
+        { from: beneficiary }
+    );
+
+    // deploy fresh contracts for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        await token.mint(issuer, toTokens('100000'), { from: owner });
+        sdkToken = new OurToken(web3, token.address, { abi: OurTokenContract.abi });
+        deadline = await getCurrentTime(100000);
+    })
+
+    // Governance
+    describe('Governance', async () => {
+
+        // Fee changes should be capped and reported
+        it('Fee changes should be capped and reported', async () => {
+            let max = await token.MAX_CHECQUES_FEES();
+            await assert.isRejected(token.changeChecquesFees(max.addn(1), { from: owner }), /FEES_ABOVE_MAXIMUM/);
+            await assert.isRejected(token.changeChecquesFees(10, { from: stranger }), /Ownable: caller is not the owner/);
+
+            expectEvent(await token.changeChecquesFees(max, { from: owner }), 'ChecquesFeesChanged', { previousFees: 5, newFees: max });
+            expectEvent(await token.changeChecquesFees(10, { from: owner }), 'ChecquesFeesChanged', { previousFees: max, newFees: 10 });
+        })
+
+        // Fee routing changes should be validated and reported
+        it('Fee routing changes should be validated and reported', async () => {
+            assert.deepEqual(await sdkToken.getChecquesFeesRouting(), { treasury: ZERO_ADDRESS, burnShare: 100 });
+            await assert.isRejected(token.changeChecquesBurnShare(101, { from: owner }), /INVALID_BURN_SHARE/);
+            await assert.isRejected(token.changeChecquesTreasury(treasury, { from: stranger }), /Ownable: caller is not the owner/);
+
+            expectEvent(await token.changeChecquesTreasury(treasury, { from: owner }), 'ChecquesTreasuryChanged', { previousTreasury: ZERO_ADDRESS, newTreasury: treasury });
+            expectEvent(await token.changeChecquesBurnShare(40, { from: owner }), 'ChecquesBurnShareChanged', { previousShare: 100, newShare: 40 });
+            assert.deepEqual(await sdkToken.getChecquesFeesRouting(), { treasury, burnShare: 40 });
+        })
+    })
+
+    // Cashing
+    describe('Cashing', async () => {
+
+        // Fees should be split between burn and treasury
+        it('Fees should be split between burn and treasury', async () => {
+            let supply = await token.totalSupply();
+            let preview = await sdkToken.previewChecque(toTokens('100'));
+            assert.equal(preview.fee.toString(), toTokens('1'));
+            assert.equal(preview.burnt.toString(), toTokens('0.4'));
+
+            let tx = await cash([await checque('100')]);
+            expectEvent(tx, 'ChecqueCashed', { issuer, beneficiary, amount: toTokens('100'), fee: toTokens('1') });
+            assert.equal((await token.balanceOf(beneficiary)).toString(), toTokens('99'));
+            assert.equal((await token.balanceOf(treasury)).toString(), toTokens('0.6'));
+            assert.equal(supply.sub(await token.totalSupply()).toString(), toTokens('0.4'));
+            assert.equal((await token.balanceOf(issuer)).toString(), toTokens('99900'));
+
+            // the fee is not left in the permit
+            assert.equal((await token.allowance(issuer, beneficiary)).toString(), '0');
+        })
+
+        // Every checque of a batch should be reported
+        it('Every checque of a batch should be reported', async () => {
+            let nonce = await token.nonces(issuer);
+            let checques = [await checque('10'), await sdkToken.signChecque({ issuer, beneficiary, value: toTokens('20'), deadline, nonce: nonce.addn(1), privateKey: getAccPrivate(issuer) })];
+            let tx = await cash(checques);
+            let events = tx.logs.filter(log => log.event === 'ChecqueCashed');
+            assert.deepEqual(events.map(e => e.args.amount.toString()), [toTokens('10'), toTokens('20')]);
+            assert.deepEqual(events.map(e => e.args.fee.toString()), [toTokens('0.1'), toTokens('0.2')]);
+        })
+
+        // Fees should all be burnt without treasury
+        it('Fees should all be burnt without treasury', async () => {
+            await token.changeChecquesTreasury(ZERO_ADDRESS, { from: owner });
+            let treasuryBalance = await token.balanceOf(treasury);
+            let supply = await token.totalSupply();
+
+            let tx = await cash([await checque('50')]);
+            expectEvent(tx, 'ChecqueCashed', { amount: toTokens('50'), fee: toTokens('0.5') });
+            assert.equal(supply.sub(await token.totalSupply()).toString(), toTokens('0.5'));
+            assert.equal((await token.balanceOf(treasury)).toString(), treasuryBalance.toString());
+        })
+
+        // Typed checques should route their fees the same way
+        it('Typed checques should route their fees the same way', async () => {
+            await token.changeChecquesTreasury(treasury, { from: owner });
+            await token.changeChecquesBurnShare(0, { from: owner });
+            let treasuryBalance = await token.balanceOf(treasury);
+
+            let typed = await sdkToken.signTypedChecque({ issuer, beneficiary, amount: toTokens('30'), deadline, privateKey: getAccPrivate(issuer) });
+            let receipt = await sdkToken.cashTypedChecque(typed, toTokens('10'));
+            assert.equal(receipt.events.ChecqueCashed.returnValues.fee, toTokens('0.1'));
+            assert.equal((await token.balanceOf(treasury)).sub(treasuryBalance).toString(), toTokens('0.1'));
+        })
+    })
+})
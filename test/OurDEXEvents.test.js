@@ -0,0 +1,138 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurDEXContract = artifacts.require('OurDEX');
+const OurPairContract = artifacts.require('OurPair');
+const OurTokenContract = artifacts.require('OurToken');
+
+// DEX events test spec
+contract('OurDEXEvents', ([owner, lp, swaper, governance, treasury]) => {
+    let token;
+    let deadline;
+
+    // deploy the token for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        for (let account of [lp, swaper]) {
+            await token.mint(account, toTokens('100000'), { from: owner });
+        }
+        deadline = await getCurrentTime(100000);
+    })
+
+    // OurDEX events
+    describe('OurDEX', async () => {
+        let dex;
+
+        before(async () => {
+            dex = await OurDEXContract.new(token.address, 30, { from: owner });
+            await token.approve(dex.address, toTokens('100000'), { from: lp });
+            await token.approve(dex.address, toTokens('100000'), { from: swaper });
+        })
+
+        // Mint should report the depositor and the recipient of the OURX
+        it('Mint should report the depositor and the recipient of the OURX', async () => {
+            let tx = await dex.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), deadline, { from: lp, value: toTokens('10') });
+            let ev = expectEvent(tx, 'Mint', { sender: lp, to: lp, amountETH: toTokens('10'), amountOURT: toTokens('10000') });
+            assert.equal(ev.args.mintedOURX.toString(), (await dex.balanceOf(lp)).toString());
+        })
+
+        // Buying OURT should report ETH in and OURT out
+        it('Buying OURT should report ETH in and OURT out', async () => {
+            let quote = await dex.getQuoteForOURT(toTokens('1'));
+            let tx = await dex.buyOURT(quote, quote, deadline, { from: swaper, value: toTokens('1'), gas: 500000 });
+            expectEvent(tx, 'Swap', { sender: swaper, amountETHIn: toTokens('1'), amountOURTIn: 0, amountETHOut: 0, amountOURTOut: quote, to: swaper });
+        })
+
+        // Selling OURT should report OURT in and ETH out
+        it('Selling OURT should report OURT in and ETH out', async () => {
+            let quote = await dex.getQuoteForETH(toTokens('500'));
+            let tx = await dex.sellOURT(toTokens('500'), quote, quote, deadline, { from: swaper, gas: 500000 });
+            expectEvent(tx, 'Swap', { sender: swaper, amountETHIn: 0, amountOURTIn: toTokens('500'), amountETHOut: quote, amountOURTOut: 0, to: swaper });
+        })
+
+        // Burn should report the redeemer and the recipient of the tokens
+        it('Burn should report the redeemer and the recipient of the tokens', async () => {
+            let redeemed = (await dex.balanceOf(lp)).divn(2);
+            let value = await dex.calculateOnBurnValue(redeemed);
+            let tx = await dex.removeLiquidity(redeemed, deadline, { from: lp });
+            expectEvent(tx, 'Burn', { sender: lp, to: lp, redeemedETH: value.amountETH, redeemedOURT: value.amountOURT, burnedOURX: redeemed });
+        })
+
+        // Swap and liquidity events should index their accounts
+        it('Swap and liquidity events should index their accounts', async () => {
+            let { _reqOURT } = await dex.calcLiquidityRequirementETH(toTokens('1'));
+            let tx = await dex.addLiquidity(_reqOURT, _reqOURT, _reqOURT, deadline, { from: lp, value: toTokens('1') });
+            let fromBlock = tx.receipt.blockNumber;
+            assert.equal((await dex.getPastEvents('Mint', { filter: { to: lp }, fromBlock })).length, 1);
+            assert.equal((await dex.getPastEvents('Mint', { filter: { to: swaper }, fromBlock })).length, 0);
+            assert.equal((await dex.getPastEvents('Swap', { filter: { sender: swaper }, fromBlock: 0 })).length, 2);
+            assert.equal((await dex.getPastEvents('Swap', { filter: { to: lp }, fromBlock: 0 })).length, 0);
+        })
+
+        // Governance parameter changes should report the previous and new values
+        it('Governance parameter changes should report the previous and new values', async () => {
+            let maxLiquidity = await dex.MAXIMUM_LIQUIDITY();
+            expectEvent(await dex.changeMaxLiquidity(maxLiquidity.muln(2), { from: owner }), 'MaxLiquidityChanged', { previousMax: maxLiquidity, newMax: maxLiquidity.muln(2) });
+            expectEvent(await dex.changeSwapFee(50, { from: owner }), 'FeeChanged', { previousFee: 30, newFee: 50 });
+            let [previousTreasury, share] = [await dex.treasury(), await dex.protocolFeeShare()];
+            expectEvent(await dex.changeTreasury(treasury, { from: owner }), 'TreasuryChanged', { previousTreasury, newTreasury: treasury });
+            expectEvent(await dex.changeProtocolFeeShare(4, { from: owner }), 'ProtocolFeeShareChanged', { previousShare: share, newShare: 4 });
+            expectEvent(await dex.changeGovernance(governance, { from: owner }), 'GovernanceChanged', { previousGovernance: owner, newGovernance: governance });
+            assert.equal(await dex.owner(), governance);
+        })
+    })
+
+    // OurPair events
+    describe('OurPair', async () => {
+        let other;
+        let pair;
+        let token0;
+
+        before(async () => {
+            other = await OurTokenContract.new({ from: owner });
+            for (let account of [lp, swaper]) {
+                await other.mint(account, toTokens('100000'), { from: owner });
+            }
+            [token0] = token.address.toLowerCase() < other.address.toLowerCase() ? [token, other] : [other, token];
+            pair = await OurPairContract.new(token0.address, token0 === token ? other.address : token.address, 30, owner, { from: owner });
+            for (let t of [token, other]) {
+                await t.approve(pair.address, toTokens('100000'), { from: lp });
+                await t.approve(pair.address, toTokens('100000'), { from: swaper });
+            }
+        })
+
+        // Mint, Swap and Burn should report flat amounts per token
+        it('Mint, Swap and Burn should report flat amounts per token', async () => {
+            let tx = await pair.addLiquidity(toTokens('1000'), toTokens('4000'), toTokens('4000'), toTokens('4000'), deadline, { from: lp });
+            expectEvent(tx, 'Mint', { sender: lp, to: lp, amount0: toTokens('1000'), amount1: toTokens('4000') });
+
+            let quote = await pair.getQuote(token0.address, toTokens('10'));
+            tx = await pair.swap(token0.address, toTokens('10'), quote, quote, deadline, { from: swaper, gas: 500000 });
+            expectEvent(tx, 'Swap', { sender: swaper, amount0In: toTokens('10'), amount1In: 0, amount0Out: 0, amount1Out: quote, to: swaper });
+
+            let redeemed = (await pair.balanceOf(lp)).divn(4);
+            tx = await pair.removeLiquidity(redeemed, deadline, { from: lp });
+            expectEvent(tx, 'Burn', { sender: lp, to: lp, burnedOURX: redeemed });
+        })
+
+        // Governance parameter changes should report the previous and new values
+        it('Governance parameter changes should report the previous and new values', async () => {
+            let maxLiquidity = await pair.MAXIMUM_LIQUIDITY();
+            expectEvent(await pair.changeMaxLiquidity(maxLiquidity.muln(2), { from: owner }), 'MaxLiquidityChanged', { previousMax: maxLiquidity, newMax: maxLiquidity.muln(2) });
+            expectEvent(await pair.changeTreasury(treasury, { from: owner }), 'TreasuryChanged', { newTreasury: treasury });
+            expectEvent(await pair.changeProtocolFeeShare(4, { from: owner }), 'ProtocolFeeShareChanged', { newShare: 4 });
+            expectEvent(await pair.changeGovernance(governance, { from: owner }), 'GovernanceChanged', { previousGovernance: owner, newGovernance: governance });
+        })
+    })
+})
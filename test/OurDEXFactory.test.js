@@ -0,0 +1,219 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const { toTokens, fromTokens, getCurrentTime, expectEvent, ZERO_ADDRESS } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurDEXFactoryContract = artifacts.require('OurDEXFactory');
+const OurPairContract = artifacts.require('OurPair');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurTokenContract = artifacts.require('OurToken');
+const OurTimelockContract = artifacts.require('OurTimelock');
+
+const ETH = '0x0000000000000000000000000000000000000000';
+
+// OurDEXFactory & OurPair contract test spec
+contract('OurDEXFactory', ([owner, lp, swaper, governance]) => {
+    let factory;
+    let tokenA;
+    let tokenB;
+    let now;
+
+    // deploy a factory and two tokens for the test session
+    before(async () => {
+        factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+        await factory.transferOwnership(governance, { from: owner });
+        tokenA = await OurTokenContract.new({ from: owner });
+        tokenB = await OurTokenContract.new({ from: owner });
+        now = await getCurrentTime(500);
+
+        for (let token of [tokenA, tokenB]) {
+            await token.mint(lp, toTokens('1000000'), { from: owner });
+            await token.mint(swaper, toTokens('100000'), { from: owner });
+        }
+    })
+
+    // Migration wiring
+    describe('OurDEXFactory Deployment', async () => {
+
+        // Migrated factory should register the ETH/OURT pool and be owned by the timelock
+        it('Migrated factory should register the ETH/OURT pool and be owned by the timelock', async () => {
+            let deployedFactory = await OurDEXFactoryContract.deployed();
+            let dex = await OurDEXContract.deployed();
+            let ourToken = await OurTokenContract.deployed();
+            let timelock = await OurTimelockContract.deployed();
+
+            assert.equal(await deployedFactory.getPair(ETH, ourToken.address), dex.address);
+            assert.equal(await deployedFactory.getPair(ourToken.address, ETH), dex.address);
+            assert.equal(await deployedFactory.owner(), timelock.address);
+        })
+
+        // Pool registered on deployment should not be created by anyone first
+        it('Pool registered on deployment should not be created by anyone first', async () => {
+            let ourToken = await OurTokenContract.deployed();
+            let dex = await OurDEXContract.deployed();
+            await assert.isRejected((await OurDEXFactoryContract.deployed()).createPair(ourToken.address, ETH, { from: lp }), /PAIR_EXISTS/);
+
+            let registered = await OurDEXFactoryContract.new(30, ourToken.address, dex.address, { from: owner });
+            assert.equal(await registered.getPair(ourToken.address, ETH), dex.address);
+            assert.equal((await registered.allPairsLength()).toNumber(), 1);
+            await assert.isRejected(registered.createPair(ETH, ourToken.address, { from: lp }), /PAIR_EXISTS/);
+        })
+    })
+
+    // Pair creation & registry
+    describe('OurDEXFactory Pair Creation', async () => {
+        let pair;
+
+        // Anyone should be able to create a token/token pair
+        it('Anyone should be able to create a token/token pair', async () => {
+            let tx = await factory.createPair(tokenB.address, tokenA.address, { from: lp });
+            let ev = expectEvent(tx, 'PairCreated');
+            let [token0, token1] = tokenA.address.toLowerCase() < tokenB.address.toLowerCase()
+                ? [tokenA.address, tokenB.address] : [tokenB.address, tokenA.address];
+
+            assert.equal(ev.args.token0, token0);
+            assert.equal(ev.args.token1, token1);
+            assert.equal(ev.args.index.toNumber(), 0);
+            assert.equal(await factory.getPair(tokenA.address, tokenB.address), ev.args.pair);
+            assert.equal(await factory.getPair(tokenB.address, tokenA.address), ev.args.pair);
+            assert.equal((await factory.allPairsLength()).toNumber(), 1);
+
+            pair = await OurPairContract.at(ev.args.pair);
+            assert.equal(await pair.token0(), token0);
+            assert.equal(await pair.token1(), token1);
+            assert.equal(await pair.factory(), factory.address);
+        })
+
+        // Created pair should be owned by the factory owner
+        it('Created pair should be owned by the factory owner', async () => {
+            assert.equal(await pair.owner(), governance);
+            await assert.isRejected(pair.changeSwapFee(10, { from: lp }), /caller is not the owner/);
+        })
+
+        // Pairs should not be created twice or for identical tokens
+        it('Pairs should not be created twice or for identical tokens', async () => {
+            await assert.isRejected(factory.createPair(tokenA.address, tokenB.address), /PAIR_EXISTS/);
+            await assert.isRejected(factory.createPair(tokenA.address, tokenA.address), /IDENTICAL_ADDRESSES/);
+        })
+
+        // ETH/token pair should be an OurDEX pool owned by the factory owner
+        it('ETH/token pair should be an OurDEX pool owned by the factory owner', async () => {
+            let tx = await factory.createPair(tokenA.address, ETH, { from: lp });
+            let ev = expectEvent(tx, 'PairCreated');
+            assert.equal(ev.args.token0, ETH);
+
+            let pool = await OurDEXContract.at(ev.args.pair);
+            assert.equal(await pool.owner(), governance);
+
+            await tokenA.approve(pool.address, toTokens('10000'), { from: lp });
+            await pool.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), now, { from: lp, value: toTokens('1') });
+            let reserves = await pool.getReserves();
+            assert.equal(fromTokens(reserves['0']), 1);
+            assert.equal(fromTokens(reserves['1']), 10000);
+        })
+
+        // Only the owner should be able to register external pools
+        it('Only the owner should be able to register external pools', async () => {
+            await assert.isRejected(factory.registerPair(ETH, tokenB.address, lp, { from: lp }), /caller is not the owner/);
+            await factory.registerPair(ETH, tokenB.address, lp, { from: governance });
+            assert.equal(await factory.getPair(tokenB.address, ETH), lp);
+        })
+    })
+
+    // Token/token pair liquidity and swaps
+    describe('OurPair Liquidity & Swaps', async () => {
+        let pair;
+        let token0;
+        let token1;
+
+        before(async () => {
+            pair = await OurPairContract.at(await factory.getPair(tokenA.address, tokenB.address));
+            token0 = await OurTokenContract.at(await pair.token0());
+            token1 = await OurTokenContract.at(await pair.token1());
+            await token0.approve(pair.address, toTokens('1000000'), { from: lp });
+            await token1.approve(pair.address, toTokens('1000000'), { from: lp });
+        })
+
+        // LP should be able to supply initial liquidity
+        it('LP should be able to supply initial liquidity', async () => {
+            await pair.addLiquidity(toTokens('1000'), toTokens('4000'), toTokens('4000'), toTokens('4000'), now, { from: lp });
+
+            let reserves = await pair.getReserves();
+            assert.equal(fromTokens(reserves['0']), 1000);
+            assert.equal(fromTokens(reserves['1']), 4000);
+            assert.equal(fromTokens(await pair.balanceOf(lp)), 2000);
+        })
+
+        // LP should be able to supply subsequent liquidity at the pool ratio
+        it('LP should be able to supply subsequent liquidity at the pool ratio', async () => {
+            let resp = await pair.calcLiquidityRequirement0(toTokens('500'));
+            assert.equal(fromTokens(resp._req1), 2000);
+            assert.equal(fromTokens(resp._mintedOURX), 1000);
+
+            // token1 bounds are enforced
+            await assert.isRejected(
+                pair.addLiquidity(toTokens('500'), 0, toTokens('1900'), toTokens('1800'), now, { from: lp }),
+                /INVALID_LIQUIDITY_TOKEN1/
+            );
+
+            await pair.addLiquidity(toTokens('500'), 0, toTokens('2100'), toTokens('1900'), now, { from: lp });
+            let reserves = await pair.getReserves();
+            assert.equal(fromTokens(reserves['0']), 1500);
+            assert.equal(fromTokens(reserves['1']), 6000);
+        })
+
+        // Swapper should be able to swap token0 for token1 at the quoted amount
+        it('Swapper should be able to swap token0 for token1 at the quoted amount', async () => {
+            let quote = await pair.getQuote(token0.address, toTokens('100'));
+            let balanceBefore = await token1.balanceOf(swaper);
+
+            await token0.approve(pair.address, toTokens('100'), { from: swaper });
+            let tx = await pair.swap(token0.address, toTokens('100'), quote, quote, now, { from: swaper });
+            expectEvent(tx, 'Swap', { sender: swaper, amount0In: toTokens('100'), amount1In: 0, amount0Out: 0, amount1Out: quote, to: swaper });
+
+            let balanceAfter = await token1.balanceOf(swaper);
+            assert.equal(balanceAfter.sub(balanceBefore).toString(), quote.toString());
+        })
+
+        // Swap outside of slippage bounds should revert
+        it('Swap outside of slippage bounds should revert', async () => {
+            let quote = await pair.getQuote(token1.address, toTokens('100'));
+            await token1.approve(pair.address, toTokens('100'), { from: swaper });
+            await assert.isRejected(
+                pair.swap(token1.address, toTokens('100'), quote.subn(2), quote.subn(1), now, { from: swaper }),
+                /SLIPPAGE_RATE_EXCEEDED/
+            );
+        })
+
+        // Unknown tokens should be rejected
+        it('Unknown tokens should be rejected', async () => {
+            await assert.isRejected(pair.getQuote(swaper, toTokens('1')), /INVALID_TOKEN/);
+        })
+
+        // LP should be able to withdraw liquidity and see it in the history
+        it('LP should be able to withdraw liquidity and see it in the history', async () => {
+            let value = await pair.calculateOnBurnValue(toTokens('1000'));
+            let balance0Before = await token0.balanceOf(lp);
+
+            await pair.removeLiquidity(toTokens('1000'), now, { from: lp });
+
+            let balance0After = await token0.balanceOf(lp);
+            assert.equal(balance0After.sub(balance0Before).toString(), value.amount0.toString());
+            assert.equal(fromTokens(await pair.balanceOf(lp)), 2000);
+
+            let { record, total } = await pair.getAccountLiquidityHistory(lp, 2, { from: lp });
+            assert.equal(total.toNumber(), 3);
+            assert.ok(!record.isdeposit);
+            assert.equal(record.amount0, value.amount0.toString());
+        })
+    })
+})
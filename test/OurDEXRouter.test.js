@@ -0,0 +1,314 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent, ZERO_ADDRESS } = require('./utils/test-utils');
+
+// importing SDK
+const { OurDEXRouter, pathFinder, DeadlineExpiredError } = require('../index');
+
+// load contract artifacts
+const OurDEXRouterContract = artifacts.require('OurDEXRouter');
+const OurDEXFactoryContract = artifacts.require('OurDEXFactory');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurPairContract = artifacts.require('OurPair');
+const OurTokenContract = artifacts.require('OurToken');
+
+const ETH = '0x0000000000000000000000000000000000000000';
+
+// ETH spent on gas by a transaction
+const gasCost = (tx) => web3.utils.toBN(tx.receipt.gasUsed).mul(web3.utils.toBN(tx.receipt.effectiveGasPrice));
+
+// OurDEXRouter contract test spec
+contract('OurDEXRouter', ([owner, lp, swaper, recipient]) => {
+    let factory;
+    let router;
+    let tokenA;
+    let tokenB;
+    let tokenC;
+    let now;
+
+    // deploys a factory with ETH/A, A/B, B/C and a shallow ETH/C pool
+    before(async () => {
+        factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+        router = await OurDEXRouterContract.new(factory.address, { from: owner });
+        tokenA = await OurTokenContract.new({ from: owner });
+        tokenB = await OurTokenContract.new({ from: owner });
+        tokenC = await OurTokenContract.new({ from: owner });
+        now = await getCurrentTime(5000);
+
+        for (let token of [tokenA, tokenB, tokenC]) {
+            await token.mint(lp, toTokens('1000000'), { from: owner });
+            await token.mint(swaper, toTokens('100000'), { from: owner });
+        }
+
+        // ETH pools
+        for (let [token, amountETH, amountToken] of [[tokenA, '10', '10000'], [tokenC, '1', '100']]) {
+            await factory.createPair(ETH, token.address, { from: lp });
+            let pool = await OurDEXContract.at(await factory.getPair(ETH, token.address));
+            await token.approve(pool.address, toTokens(amountToken), { from: lp });
+            await pool.addLiquidity(toTokens(amountToken), toTokens(amountToken), toTokens(amountToken), now, { from: lp, value: toTokens(amountETH) });
+        }
+
+        // token/token pools
+        for (let [token0, token1] of [[tokenA, tokenB], [tokenB, tokenC]]) {
+            await factory.createPair(token0.address, token1.address, { from: lp });
+            let pair = await OurPairContract.at(await factory.getPair(token0.address, token1.address));
+            await token0.approve(pair.address, toTokens('10000'), { from: lp });
+            await token1.approve(pair.address, toTokens('10000'), { from: lp });
+            await pair.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), toTokens('10000'), now, { from: lp });
+        }
+    })
+
+    // Migration wiring
+    describe('OurDEXRouter Deployment', async () => {
+
+        // Migrated router should route through the migrated factory
+        it('Migrated router should route through the migrated factory', async () => {
+            let deployedRouter = await OurDEXRouterContract.deployed();
+            let deployedFactory = await OurDEXFactoryContract.deployed();
+            assert.equal(await deployedRouter.factory(), deployedFactory.address);
+        })
+    })
+
+    // Quotes
+    describe('OurDEXRouter Quotes', async () => {
+
+        // Amounts out should chain the pool quotes along the path
+        it('Amounts out should chain the pool quotes along the path', async () => {
+            let amounts = await router.getAmountsOut(toTokens('1'), [ETH, tokenA.address, tokenB.address]);
+            let poolA = await OurDEXContract.at(await factory.getPair(ETH, tokenA.address));
+            let pairAB = await OurPairContract.at(await factory.getPair(tokenA.address, tokenB.address));
+
+            assert.equal(amounts.length, 3);
+            assert.equal(amounts[1].toString(), (await poolA.getQuoteForOURT(toTokens('1'))).toString());
+            assert.equal(amounts[2].toString(), (await pairAB.getQuote(tokenA.address, amounts[1])).toString());
+        })
+
+        // Amounts in should cover the requested output
+        it('Amounts in should cover the requested output', async () => {
+            let path = [tokenA.address, tokenB.address, tokenC.address];
+            let amountsIn = await router.getAmountsIn(toTokens('50'), path);
+            let amountsOut = await router.getAmountsOut(amountsIn[0], path);
+
+            assert.equal(amountsIn[2].toString(), toTokens('50'));
+            assert.ok(amountsOut[2].gte(amountsIn[2]));
+        })
+
+        // Invalid paths and unknown pairs should be rejected
+        it('Invalid paths and unknown pairs should be rejected', async () => {
+            await assert.isRejected(router.getAmountsOut(toTokens('1'), [ETH]), /INVALID_PATH/);
+            await assert.isRejected(router.getAmountsOut(toTokens('1'), [ETH, tokenB.address]), /PAIR_NOT_FOUND/);
+        })
+    })
+
+    // Exact input swaps
+    describe('OurDEXRouter Exact Input', async () => {
+
+        // Swapper should be able to swap ETH for a token through two pools
+        it('Swapper should be able to swap ETH for a token through two pools', async () => {
+            let path = [ETH, tokenA.address, tokenB.address];
+            let amounts = await router.getAmountsOut(toTokens('1'), path);
+            let balanceBefore = await tokenB.balanceOf(recipient);
+
+            let tx = await router.swapExactIn(toTokens('1'), amounts[2], path, recipient, now, { from: swaper, value: toTokens('1') });
+            let ev = expectEvent(tx, 'RoutedSwap');
+
+            let balanceAfter = await tokenB.balanceOf(recipient);
+            assert.equal(balanceAfter.sub(balanceBefore).toString(), amounts[2].toString());
+            assert.equal(ev.args.amountOut.toString(), amounts[2].toString());
+            assert.equal(ev.args.to, recipient);
+
+            // nothing is left in the router
+            assert.equal(await web3.eth.getBalance(router.address), '0');
+            assert.equal((await tokenA.balanceOf(router.address)).toString(), '0');
+            assert.equal((await tokenB.balanceOf(router.address)).toString(), '0');
+        })
+
+        // Swapper should be able to swap a token for ETH through two pools
+        it('Swapper should be able to swap a token for ETH through two pools', async () => {
+            let path = [tokenB.address, tokenA.address, ETH];
+            let amounts = await router.getAmountsOut(toTokens('100'), path);
+            let balanceBefore = web3.utils.toBN(await web3.eth.getBalance(recipient));
+
+            await tokenB.approve(router.address, toTokens('100'), { from: swaper });
+            await router.swapExactIn(toTokens('100'), amounts[2], path, recipient, now, { from: swaper });
+
+            let balanceAfter = web3.utils.toBN(await web3.eth.getBalance(recipient));
+            assert.equal(balanceAfter.sub(balanceBefore).toString(), amounts[2].toString());
+        })
+
+        // Exact input swap below the minimum output should revert
+        it('Exact input swap below the minimum output should revert', async () => {
+            let path = [tokenA.address, tokenB.address];
+            let amounts = await router.getAmountsOut(toTokens('100'), path);
+            await tokenA.approve(router.address, toTokens('100'), { from: swaper });
+            await assert.isRejected(
+                router.swapExactIn(toTokens('100'), amounts[1].addn(1), path, swaper, now, { from: swaper }),
+                /SLIPPAGE_RATE_EXCEEDED/
+            );
+        })
+
+        // ETH should only be accepted for ETH inputs
+        it('ETH should only be accepted for ETH inputs', async () => {
+            await tokenA.approve(router.address, toTokens('100'), { from: swaper });
+            await assert.isRejected(
+                router.swapExactIn(toTokens('100'), 0, [tokenA.address, tokenB.address], swaper, now, { from: swaper, value: 1 }),
+                /UNEXPECTED_ETH_SENT/
+            );
+            await assert.isRejected(
+                router.swapExactIn(toTokens('1'), 0, [ETH, tokenA.address], swaper, now, { from: swaper, value: toTokens('0.5') }),
+                /INSUFFICIENT_ETH_SENT/
+            );
+        })
+
+        // ETH above an exact input should be rejected
+        it('ETH above an exact input should be rejected', async () => {
+            await assert.isRejected(
+                router.swapExactIn(toTokens('1'), 0, [ETH, tokenA.address], swaper, now, { from: swaper, value: toTokens('1.5') }),
+                /UNEXPECTED_ETH_SENT/
+            );
+            assert.equal(await web3.eth.getBalance(router.address), '0');
+        })
+
+        // ETH sent outside of a swap should be rejected
+        it('ETH sent outside of a swap should be rejected', async () => {
+            await assert.isRejected(router.sendTransaction({ from: swaper, value: 1 }), /UNEXPECTED_ETH_SENT/);
+            assert.equal(await web3.eth.getBalance(router.address), '0');
+        })
+
+        // Expired swaps should revert
+        it('Expired swaps should revert', async () => {
+            let past = await getCurrentTime(-10);
+            await assert.isRejected(
+                router.swapExactIn(toTokens('1'), 0, [ETH, tokenA.address], swaper, past, { from: swaper, value: toTokens('1') }),
+                /EXPIRED/
+            );
+        })
+    })
+
+    // Exact output swaps
+    describe('OurDEXRouter Exact Output', async () => {
+
+        // Swapper should receive the exact output through three pools
+        it('Swapper should receive the exact output through three pools', async () => {
+            let path = [ETH, tokenA.address, tokenB.address, tokenC.address];
+            let amounts = await router.getAmountsIn(toTokens('25'), path);
+            let balanceBefore = await tokenC.balanceOf(recipient);
+
+            let tx = await router.swapExactOut(toTokens('25'), amounts[0], path, recipient, now, { from: swaper, value: amounts[0] });
+            let ev = expectEvent(tx, 'RoutedSwap');
+
+            let received = (await tokenC.balanceOf(recipient)).sub(balanceBefore);
+            assert.ok(received.gte(web3.utils.toBN(toTokens('25'))));
+            assert.equal(ev.args.amountIn.toString(), amounts[0].toString());
+        })
+
+        // Excess ETH should be refunded to the sender
+        it('Excess ETH should be refunded to the sender', async () => {
+            let path = [ETH, tokenA.address];
+            let amountIn = (await router.getAmountsIn(toTokens('10'), path))[0];
+            let balanceBefore = web3.utils.toBN(await web3.eth.getBalance(swaper));
+
+            let tx = await router.swapExactOut(toTokens('10'), toTokens('1'), path, swaper, now, { from: swaper, value: toTokens('1') });
+
+            let balanceAfter = web3.utils.toBN(await web3.eth.getBalance(swaper));
+            assert.equal(balanceBefore.sub(balanceAfter).sub(gasCost(tx)).toString(), amountIn.toString());
+            assert.equal(await web3.eth.getBalance(router.address), '0');
+        })
+
+        // Swapper should pay the exact input for a token output
+        it('Swapper should pay the exact input for a token output', async () => {
+            let path = [tokenC.address, tokenB.address, tokenA.address];
+            let amountIn = (await router.getAmountsIn(toTokens('40'), path))[0];
+            let balanceBefore = await tokenC.balanceOf(swaper);
+
+            await tokenC.approve(router.address, amountIn, { from: swaper });
+            await router.swapExactOut(toTokens('40'), amountIn, path, swaper, now, { from: swaper });
+
+            let balanceAfter = await tokenC.balanceOf(swaper);
+            assert.equal(balanceBefore.sub(balanceAfter).toString(), amountIn.toString());
+        })
+
+        // Exact output swap above the maximum input should revert
+        it('Exact output swap above the maximum input should revert', async () => {
+            let path = [tokenA.address, tokenB.address];
+            let amountIn = (await router.getAmountsIn(toTokens('40'), path))[0];
+            await tokenA.approve(router.address, amountIn, { from: swaper });
+            await assert.isRejected(
+                router.swapExactOut(toTokens('40'), amountIn.subn(1), path, swaper, now, { from: swaper }),
+                /SLIPPAGE_RATE_EXCEEDED/
+            );
+        })
+    })
+
+    // JS path finder
+    describe('OurDEXRouter SDK Path Finder', async () => {
+        let sdkRouter;
+
+        before(async () => {
+            sdkRouter = new OurDEXRouter(web3, router.address, {
+                abi: OurDEXRouterContract.abi,
+                factoryAbi: OurDEXFactoryContract.abi,
+                tokenAbi: OurTokenContract.abi
+            });
+        })
+
+        // Path finder should list every route up to the hop limit
+        it('Path finder should list every route up to the hop limit', async () => {
+            let graph = pathFinder.buildGraph(await sdkRouter.getPairs());
+            let paths = pathFinder.findPaths(graph, ETH, tokenC.address);
+
+            assert.equal(paths.length, 2);
+            assert.deepEqual(paths[0], [ETH, tokenC.address.toLowerCase()]);
+            assert.equal(paths[1].length, 4);
+            assert.equal(pathFinder.findPaths(graph, ETH, tokenC.address, 1).length, 1);
+        })
+
+        // Best route should go around the shallow direct pool
+        it('Best route should go around the shallow direct pool', async () => {
+            let route = await sdkRouter.findBestRoute(ETH, tokenC.address, toTokens('0.1'));
+            let direct = await router.getAmountsOut(toTokens('0.1'), [ETH, tokenC.address]);
+
+            assert.equal(route.path.length, 4);
+            assert.ok(route.amounts[3].gt(direct[1]));
+
+            // exact output routes should minimise the input
+            route = await sdkRouter.findBestRoute(ETH, tokenC.address, toTokens('5'), { exactOut: true });
+            direct = await router.getAmountsIn(toTokens('5'), [ETH, tokenC.address]);
+            assert.equal(route.path.length, 4);
+            assert.ok(route.amounts[0].lt(direct[0]));
+        })
+
+        // SDK swaps should use the best route with slippage bounds
+        it('SDK swaps should use the best route with slippage bounds', async () => {
+            let balanceBefore = await tokenC.balanceOf(swaper);
+            let route = await sdkRouter.findBestRoute(ETH, tokenC.address, toTokens('0.1'));
+
+            await sdkRouter.swapExactIn(toTokens('0.1'), { tokenIn: ETH, tokenOut: tokenC.address, from: swaper });
+            let received = (await tokenC.balanceOf(swaper)).sub(balanceBefore);
+            assert.equal(received.toString(), route.amounts[3].toString());
+
+            balanceBefore = await tokenB.balanceOf(swaper);
+            await sdkRouter.swapExactOut(toTokens('5'), { tokenIn: tokenC.address, tokenOut: tokenB.address, from: swaper });
+            received = (await tokenB.balanceOf(swaper)).sub(balanceBefore);
+            assert.ok(received.gte(web3.utils.toBN(toTokens('5'))));
+        })
+
+        // SDK reverts should be decoded
+        it('SDK reverts should be decoded', async () => {
+            let past = await getCurrentTime(-10);
+            await assert.isRejected(
+                sdkRouter.swapExactIn(toTokens('0.1'), { path: [ETH, tokenA.address], from: swaper, deadline: past }),
+                DeadlineExpiredError
+            );
+        })
+    })
+})
@@ -0,0 +1,159 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFlashArbitrageContract = artifacts.require('OurFlashArbitrage');
+const OurTokenContract = artifacts.require('OurToken');
+
+// product of the reserves of a pool
+const poolK = async (pool) => {
+    let reserves = await pool.getReserves();
+    return reserves['0'].mul(reserves['1']);
+}
+
+// Flash swap test spec
+contract('OurFlashSwap', ([owner, lp, stranger]) => {
+    let token;
+    let arb;
+    let deadline;
+
+    // deploy the token and the arbitrage receiver for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        await token.mint(lp, toTokens('1000000'), { from: owner });
+        arb = await OurFlashArbitrageContract.new(token.address, { from: owner });
+        deadline = await getCurrentTime(100000);
+    })
+
+    // deploys and seeds a pool with `eth` ETH / `ourt` OURT
+    const deployPool = async (eth, ourt) => {
+        let dex = await OurDEXContract.new(token.address, 30, { from: owner });
+        await token.approve(dex.address, toTokens(ourt), { from: lp });
+        await dex.addLiquidity(toTokens(ourt), toTokens(ourt), toTokens(ourt), deadline, { from: lp, value: toTokens(eth) });
+        return dex;
+    }
+
+    // Entry point guards
+    describe('Flash Swap Guards', async () => {
+        let dex;
+
+        before(async () => {
+            dex = await deployPool('10', '10000');
+        })
+
+        // Pool should only accept ETH from within a flash swap
+        it('Pool should only accept ETH from within a flash swap', async () => {
+            await assert.isRejected(dex.sendTransaction({ from: stranger, value: toTokens('1') }), /UNEXPECTED_ETH_SENT/);
+        })
+
+        // Flash swaps should require callback data
+        it('Flash swaps should require callback data', async () => {
+            await assert.isRejected(dex.flashSwap(0, toTokens('10'), arb.address, '0x', { from: stranger }), /INVALID_DATA/);
+        })
+
+        // Receiver should only accept callbacks of the flash swaps it started
+        it('Receiver should only accept callbacks of the flash swaps it started', async () => {
+            let data = web3.eth.abi.encodeParameters(['address', 'uint32'], [dex.address, deadline]);
+            await assert.isRejected(dex.flashSwap(0, toTokens('10'), arb.address, data, { from: stranger }), /UNAUTHORIZED/);
+            await assert.isRejected(arb.ourDEXCall(arb.address, 0, toTokens('10'), data, { from: stranger }), /UNAUTHORIZED/);
+        })
+
+        // Arbitrage should only be started by the owner
+        it('Arbitrage should only be started by the owner', async () => {
+            await assert.isRejected(arb.arbitrage(dex.address, stranger, 0, toTokens('10'), 0, deadline, { from: stranger }), /caller is not the owner/);
+            await assert.isRejected(arb.arbitrage(dex.address, stranger, toTokens('1'), toTokens('10'), 0, deadline, { from: owner }), /INVALID_AMOUNTS/);
+            await assert.isRejected(arb.arbitrage(dex.address, dex.address, 0, toTokens('10'), 0, deadline, { from: owner }), /SAME_POOL/);
+        })
+
+        // Flash swaps that are not paid back should revert
+        it('Flash swaps that are not paid back should revert', async () => {
+            let other = await deployPool('10', '10000');
+            let reserves = await dex.getReserves();
+
+            // both pools quote the same price: selling the loan does not cover the fee
+            await assert.isRejected(arb.arbitrage(dex.address, other.address, 0, toTokens('10'), 0, deadline, { from: owner }), /UNPROFITABLE/);
+            let after = await dex.getReserves();
+            assert.equal(after['0'].toString(), reserves['0'].toString());
+            assert.equal(after['1'].toString(), reserves['1'].toString());
+        })
+    })
+
+    // Arbitrage without pre-funding
+    describe('Flash Arbitrage', async () => {
+
+        // Borrowed OURT should be sold for an ETH profit
+        it('Borrowed OURT should be sold for an ETH profit', async () => {
+            // OURT is cheaper in the first pool
+            let cheap = await deployPool('10', '10000');
+            let dear = await deployPool('10', '8000');
+            let kBefore = await poolK(cheap);
+
+            let amountOURT = toTokens('300');
+            let sold = await dear.getQuoteForETH(amountOURT);
+            let owed = await cheap.getReverseQuoteForOURT(amountOURT);
+            let tx = await arb.arbitrage(cheap.address, dear.address, 0, amountOURT, 1, deadline, { from: owner });
+
+            let ev = expectEvent(tx, 'Arbitrage');
+            assert.equal(ev.args.profit.toString(), sold.sub(owed).toString());
+            assert.equal(await web3.eth.getBalance(arb.address), '0');
+
+            // the borrowing pool was paid back in ETH and kept the LP fee
+            let reserves = await cheap.getReserves();
+            assert.equal(reserves['0'].toString(), new BN(toTokens('10')).add(owed).toString());
+            assert.ok((await poolK(cheap)).gt(kBefore));
+
+            // the flash swap is reported like a swap of ETH for OURT
+            let swaps = await cheap.getPastEvents('Swap', { fromBlock: tx.receipt.blockNumber, toBlock: tx.receipt.blockNumber });
+            assert.equal(swaps[0].args.amountETHIn, owed.toString());
+            assert.equal(swaps[0].args.amountOURTIn, '0');
+            assert.equal(swaps[0].args.amountETHOut, '0');
+            assert.equal(swaps[0].args.amountOURTOut, amountOURT.toString());
+            assert.equal(swaps[0].args.sender, arb.address);
+        })
+
+        // Borrowed ETH should be sold for an OURT profit
+        it('Borrowed ETH should be sold for an OURT profit', async () => {
+            // ETH is cheaper in the first pool
+            let cheap = await deployPool('10', '8000');
+            let dear = await deployPool('10', '10000');
+            let kBefore = await poolK(cheap);
+
+            let amountETH = toTokens('0.5');
+            let bought = await dear.getQuoteForOURT(amountETH);
+            let owed = await cheap.getReverseQuoteForETH(amountETH);
+            let balanceBefore = await token.balanceOf(owner);
+            let tx = await arb.arbitrage(cheap.address, dear.address, amountETH, 0, 1, deadline, { from: owner });
+
+            let ev = expectEvent(tx, 'Arbitrage');
+            assert.equal(ev.args.profit.toString(), bought.sub(owed).toString());
+            assert.equal((await token.balanceOf(owner)).sub(balanceBefore).toString(), ev.args.profit.toString());
+            assert.equal((await token.balanceOf(arb.address)).toString(), '0');
+            assert.ok((await poolK(cheap)).gt(kBefore));
+        })
+
+        // Arbitrage should revert below the minimum profit
+        it('Arbitrage should revert below the minimum profit', async () => {
+            let cheap = await deployPool('10', '10000');
+            let dear = await deployPool('10', '9900');
+            let amountOURT = toTokens('10');
+            let profit = (await dear.getQuoteForETH(amountOURT)).sub(await cheap.getReverseQuoteForOURT(amountOURT));
+
+            await assert.isRejected(arb.arbitrage(cheap.address, dear.address, 0, amountOURT, profit.addn(1), deadline, { from: owner }), /INSUFFICIENT_PROFIT/);
+            await arb.arbitrage(cheap.address, dear.address, 0, amountOURT, profit, deadline, { from: owner });
+        })
+    })
+})
@@ -2,155 +2,156 @@ const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 
 // load utils
-const { toTokens, fromTokens, getCurrentTime, checkEventEmitted } = require('../utils/test-utils');
+const { toTokens, fromTokens, getCurrentTime, expectEvent } = require('./utils/test-utils');
 
 chai.use(chaiAsPromised);
 
-const AlefTokenContract = artifacts.require('AlefToken');
-const AdonisArbitrageContract = artifacts.require('AdonisArbitrageFund');
+const OurTokenContract = artifacts.require('OurToken');
+const OurFundContract = artifacts.require('OurFund');
+const OurTimelockContract = artifacts.require('OurTimelock');
 const { assert } = chai;
 
-// AdonisArbitrageFund contract test spec
-contract('AdonisArbitrageFund', ([owner, bot, staker1, staker2, nonholder, receiver, spender]) => {
-    let adonisArb;
+// OurFund contract test spec
+contract('OurFund', ([owner, bot, staker1, staker2, nonholder, receiver, spender]) => {
+    let ourFund;
     let now;
-    let alefToken;
+    let ourToken;
 
     // init contract instance for test session
     before(async() => {
-        adonisArb = await AdonisArbitrageContract.deployed();
-        alefToken = await AlefTokenContract.deployed();
+        ourFund = await OurFundContract.deployed();
+        ourToken = await OurTokenContract.deployed();
         now = await getCurrentTime(500); // getting block timestamp and adding 10 seconds
 
-        //transfer some aleftokens to stakers' accounts
-        await alefToken.transfer(staker1, toTokens('1000000'), { from: owner });
-        let staker1Bal = await alefToken.balanceOf(staker1);
+        // mint some OURT for stakers' accounts
+        await ourToken.mint(staker1, toTokens('1000000'), { from: owner });
+        let staker1Bal = await ourToken.balanceOf(staker1);
         assert.ok(fromTokens(staker1Bal) > 0);
 
-        await alefToken.transfer(staker2, toTokens('1000000'), { from: owner });
-        let staker2Bal = await alefToken.balanceOf(staker2);
+        await ourToken.mint(staker2, toTokens('1000000'), { from: owner });
+        let staker2Bal = await ourToken.balanceOf(staker2);
         assert.ok(fromTokens(staker2Bal) > 0);
 
-        // padding bot with ALEF tokens
-        await alefToken.transfer(bot, toTokens('1000000'), { from: owner });
-        let botBal = await alefToken.balanceOf(bot);
+        // padding bot with OURT tokens
+        await ourToken.mint(bot, toTokens('1000000'), { from: owner });
+        let botBal = await ourToken.balanceOf(bot);
         assert.ok(fromTokens(botBal) > 0);
     })
 
-    // AdonisArbitrageFund has to have specific properties (totalSupply, name, decimal) that should be verified on deployment
-    describe('AdonisArbitrageFund Deployment', async () => {
+    // OurFund has to have specific properties (totalSupply, name, decimal) that should be verified on deployment
+    describe('OurFund Deployment', async () => {
 
         // Check name and symbol
-        it('Name is AdonisArbitrageFund and symbol is ADNS', async () => {
-            let name = await adonisArb.name();
-            let symbol = await adonisArb.symbol();
-            assert.equal(name, 'AdonisArbitrageFund');
-            assert.equal(symbol, 'ADNS');
+        it('Name is OurFund and symbol is OURF', async () => {
+            let name = await ourFund.name();
+            let symbol = await ourFund.symbol();
+            assert.equal(name, 'OurFund');
+            assert.equal(symbol, 'OURF');
         })
 
         // Check Initial supply, should be 0
         it('Has inital supply of 0', async () => {
-            totalSupply = await adonisArb.totalSupply();
+            totalSupply = await ourFund.totalSupply();
             assert.equal(totalSupply.toString(), toTokens('0'));
         })
 
         // Check decimals is accessible
         it('Decimals set to 18', async () => {
-            decimals = await adonisArb.decimals();
+            decimals = await ourFund.decimals();
             assert.equal(decimals.toString(), 18);
         })
 
-        // Should have ownership renounced
-        it('Should have ownership renounced - owner is address(0)', async () => {
-            _owner = await adonisArb.owner();
-            assert.equal(_owner, 0);
+        // Should be governed by the timelock
+        it('Should be governed by the timelock - owner is the timelock', async () => {
+            _owner = await ourFund.owner();
+            assert.equal(_owner, (await OurTimelockContract.deployed()).address);
         })
     })
 
-    /** Adonis Arbitrage Fund TESTING */
+    /** Our Fund TESTING */
 
     // Funds Provision
-    describe('Adonis Arbitrage ALEF Deposit', async () => {
+    describe('OurFund OURT Deposit', async () => {
 
-        // Account should be able to supply initial ALEF fund
-        it('Account should be able to supply initial ALEF fund', async () => {
+        // Account should be able to supply initial OURT fund
+        it('Account should be able to supply initial OURT fund', async () => {
             // assert no initial funds
-            let adonisBalance = await adonisArb.getReserves();       
-            assert.ok(fromTokens(adonisBalance['1']) == 0);
-            assert.ok(fromTokens(adonisBalance['0']) == 0);
+            let ourBalance = await ourFund.getReserves();       
+            assert.ok(fromTokens(ourBalance['1']) == 0);
+            assert.ok(fromTokens(ourBalance['0']) == 0);
 
             // get approval and add liquidity
-            await alefToken.approve(adonisArb.address, toTokens('500000'), { from: staker1 });
-            await adonisArb.addToFund(toTokens('500000'), now, { from: staker1 });
+            await ourToken.approve(ourFund.address, toTokens('500000'), { from: staker1 });
+            await ourFund.addToFund(toTokens('500000'), now, { from: staker1 });
 
             // check reserves for new liquidity
-            adonisBalance = await adonisArb.getReserves();
-            let adns = await adonisArb.balanceOf(staker1);
+            ourBalance = await ourFund.getReserves();
+            let ourf = await ourFund.balanceOf(staker1);
 
             // assert liquidity value
-            assert.ok(fromTokens(adonisBalance['1']) == 500000);
-            assert.ok(fromTokens(adonisBalance['0']) == 0);
-            assert.ok(fromTokens(adns) == 500000);
+            assert.ok(fromTokens(ourBalance['1']) == 500000);
+            assert.ok(fromTokens(ourBalance['0']) == 0);
+            assert.ok(fromTokens(ourf) == 500000);
         })
 
-        // Account should be able to supply subsequent ALEF fund
-        it('Account should be able to supply subsequent ALEF fund', async () => {
+        // Account should be able to supply subsequent OURT fund
+        it('Account should be able to supply subsequent OURT fund', async () => {
             // assert existing funds 
-            let adonisBalance = await adonisArb.getReserves();            
-            assert.ok(fromTokens(adonisBalance['1']) > 0);
+            let ourBalance = await ourFund.getReserves();            
+            assert.ok(fromTokens(ourBalance['1']) > 0);
 
             // get approval and add liquidity
-            await alefToken.approve(adonisArb.address, toTokens('300000'), { from: staker2 });
-            await adonisArb.addToFund(toTokens('300000'), now, { from: staker2 });
+            await ourToken.approve(ourFund.address, toTokens('300000'), { from: staker2 });
+            await ourFund.addToFund(toTokens('300000'), now, { from: staker2 });
 
             // check reserves for new liquidity
-            adonisBalance = await adonisArb.getReserves();
-            let adns = await adonisArb.balanceOf(staker2);
+            ourBalance = await ourFund.getReserves();
+            let ourf = await ourFund.balanceOf(staker2);
 
             // assert liquidity value
-            assert.ok(fromTokens(adonisBalance['1']) == 800000);
-            assert.ok(fromTokens(adonisBalance['0']) == 0);
-            assert.ok(fromTokens(adns) == 300000);
+            assert.ok(fromTokens(ourBalance['1']) == 800000);
+            assert.ok(fromTokens(ourBalance['0']) == 0);
+            assert.ok(fromTokens(ourf) == 300000);
         })
 
-        // Account that put in intial fund should be able to supply more funds & receive ADNS tokens per rata
-        it('Account that put in intial fund should be able to supply more funds & receive ADNS tokens per rata', async () => {
+        // Account that put in intial fund should be able to supply more funds & receive OURF tokens per rata
+        it('Account that put in intial fund should be able to supply more funds & receive OURF tokens per rata', async () => {
             // assert initial funds
-            let adonisBalance = await adonisArb.getReserves();            
-            assert.ok(fromTokens(adonisBalance['1']) > 0);
+            let ourBalance = await ourFund.getReserves();            
+            assert.ok(fromTokens(ourBalance['1']) > 0);
 
             // get approval and add liquidity
-            await alefToken.approve(adonisArb.address, toTokens('200000'), { from: staker1 });
-            await adonisArb.addToFund(toTokens('200000'), now, { from: staker1 });
+            await ourToken.approve(ourFund.address, toTokens('200000'), { from: staker1 });
+            await ourFund.addToFund(toTokens('200000'), now, { from: staker1 });
 
             // check reserves for new liquidity
-            adonisBalance = await adonisArb.getReserves();
-            let adns = await adonisArb.balanceOf(staker1);
+            ourBalance = await ourFund.getReserves();
+            let ourf = await ourFund.balanceOf(staker1);
 
             // assert liquidity value
-            assert.ok(fromTokens(adonisBalance['1']) == 1000000);
-            assert.ok(fromTokens(adonisBalance['0']) == 0);
-            assert.ok(fromTokens(adns) == 700000);
+            assert.ok(fromTokens(ourBalance['1']) == 1000000);
+            assert.ok(fromTokens(ourBalance['0']) == 0);
+            assert.ok(fromTokens(ourf) == 700000);
         })
 
         // Account should not be able to supply funds if account has no tokens
         it('Account should not be able to supply funds if account has no tokens', async () => {
             // assert initial funds
-            let adonisBalance = await adonisArb.getReserves();            
-            assert.ok(fromTokens(adonisBalance['1']) > 0);
+            let ourBalance = await ourFund.getReserves();            
+            assert.ok(fromTokens(ourBalance['1']) > 0);
 
             // get approval and add liquidity
             let errMsg = "Account was able to supply funds when account had no tokens";
-            await alefToken.approve(adonisArb.address, toTokens('200000'), { from: nonholder });
-            await adonisArb.addToFund(toTokens('200000'), now, { from: nonholder })
+            await ourToken.approve(ourFund.address, toTokens('200000'), { from: nonholder });
+            await ourFund.addToFund(toTokens('200000'), now, { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // Stakers addresses should be added to array 
         it('Stakers addresses should be added to array', async () => {
-            let hist1 = await adonisArb.isStakeholder(staker1);
-            let hist2 = await adonisArb.isStakeholder(staker2);
+            let hist1 = await ourFund.isStakeholder(staker1);
+            let hist2 = await ourFund.isStakeholder(staker2);
             // assert stakeholders registered
             assert.ok(hist1['0']);
             assert.ok(hist2['0']);
@@ -158,182 +159,181 @@ contract('AdonisArbitrageFund', ([owner, bot, staker1, staker2, nonholder, recei
     })
 
     // BOT Interaction
-    describe('Adonis Arbitrage Bot Interaction', async () => { 
+    describe('OurFund Bot Interaction', async () => { 
 
         // Bot should be able to register trade and flag elligble tokens
         it('Bot should be able to register trade and flag elligble tokens', async () => { 
             // check fund > 0
-            let totSup = await adonisArb.totalSupply();
+            let totSup = await ourFund.totalSupply();
             assert.ok(totSup > 0);
 
             // send ETH to contract
-            await adonisArb.pay({from: bot, value: toTokens('50')});
+            await web3.eth.sendTransaction({ from: bot, to: ourFund.address, value: toTokens('50') });
 
-            // pull ALEF from contract
-            await adonisArb.approveBotFunds(toTokens('1000000'), { from: bot });
-            await alefToken.transferFrom(adonisArb.address, bot, toTokens('500000'), { from: bot });
+            // pull OURT from contract
+            await ourFund.approveBotFunds(toTokens('1000000'), { from: bot });
+            await ourToken.transferFrom(ourFund.address, bot, toTokens('500000'), { from: bot });
 
             // call register trade on contract
-            let regRet = await adonisArb.registerTrade(toTokens('500000'), toTokens('50'), { from: bot });
-            let ev = checkEventEmitted(regRet, 'RegisteredTrade');
+            let regRet = await ourFund.registerTrade(toTokens('500000'), toTokens('50'), { from: bot });
+            let ev = expectEvent(regRet, 'RegisteredTrade');
 
             // assert registered trade
             assert.ok(fromTokens(ev.args.spentToken.toString()) == 500000);
             assert.ok(fromTokens(ev.args.boughtETH.toString()) == 50);
 
-            // check total elligible ADNS
-            let totElig = await adonisArb.totalElligebleSupply();
+            // check total elligible OURF
+            let totElig = await ourFund.totalElligebleSupply();
             assert.ok(fromTokens(totElig) == 500000);
         })
 
         // Staker 1 should have elligble tokens
         it('Staker 1 should have elligble tokens', async () => { 
-            // check staker 1 elligible ADNS 350000
-            let staker1elig = await adonisArb.accountElligebleToken(staker1)
-            console.log(fromTokens(staker1elig));
+            // check staker 1 elligible OURF 350000
+            let staker1elig = await ourFund.accountElligebleToken(staker1)
             assert.ok(fromTokens(staker1elig) == 350000);
         })
 
         // Staker 2 should have elligble tokens
         it('Staker 2 should have elligble tokens', async () => { 
-            // check staker 2 elligible ADNS 150000
-            let staker2elig = await adonisArb.accountElligebleToken(staker2)
+            // check staker 2 elligible OURF 150000
+            let staker2elig = await ourFund.accountElligebleToken(staker2)
             assert.ok(fromTokens(staker2elig) == 150000);
         })
     })
 
     // Funds withdrawal
-    describe('Adonis Arbitrage ALEF withdrawal', async () => {
+    describe('OurFund OURT withdrawal', async () => {
 
-        // Account should be able to withdraw from ALEF fund
-        it('Account should be able to withdraw from ALEF fund', async () => { 
-            // Check ADNS balance > 0
-            let totSup = await adonisArb.totalSupply();
+        // Account should be able to withdraw from OURT fund
+        it('Account should be able to withdraw from OURT fund', async () => { 
+            // Check OURF balance > 0
+            let totSup = await ourFund.totalSupply();
             assert.ok(totSup > 0);
 
-            // withdraw ALEF from fund
-            let tx = await adonisArb.withdrawFromFund(toTokens('100000'), now, { from: staker2 });
-            let ev = checkEventEmitted(tx, 'Burn');
+            // withdraw OURT from fund
+            let tx = await ourFund.withdrawFromFund(toTokens('100000'), now, { from: staker2 });
+            let ev = expectEvent(tx, 'Burn');
 
-            // assert ALEF withdrawal
-            assert.ok(from == staker2);
-            assert.ok(fromTokens(ev.args.amount.toString()) == 100000);
-            assert.ok(fromTokens(ev.args.amountETHOut.toString()) == 0);
-            assert.ok(fromTokens(ev.args.amountTokenOut.toString()) == 100000);
+            // assert OURT withdrawal
+            assert.ok(ev.args.sender == staker2);
+            assert.ok(fromTokens(ev.args.burnedADNS.toString()) == 100000);
+            assert.ok(fromTokens(ev.args.redeemedETH.toString()) == 0);
+            assert.ok(fromTokens(ev.args.redeemedToken.toString()) == 100000);
         })
 
-        // Account should not be able to burn elligble tokens for ALEF
-        it('Account should not be able to burn elligble tokens for ALEF', async () => { 
-            // Check ADNS balance > 0
-            let totSup = await adonisArb.totalSupply();
+        // Account should not be able to burn elligble tokens for OURT
+        it('Account should not be able to burn elligble tokens for OURT', async () => { 
+            // Check OURF balance > 0
+            let totSup = await ourFund.totalSupply();
             assert.ok(totSup > 0);
 
-            // withdraw ALEF from fund with all ADNS (or >)
-            let errMsg = "Account was able to withdraw ALEF with elligble ADNS";
-            await adonisArb.withdrawFromFund(toTokens('100000'), now, { from: staker2 })
+            // withdraw OURT from fund with all OURF (or >)
+            let errMsg = "Account was able to withdraw OURT with elligble OURF";
+            await ourFund.withdrawFromFund(toTokens('100000'), now, { from: staker2 })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
     })
 
     // ETH claimes
-    describe('Adonis Arbitrage ETH Claims', async () => {
+    describe('OurFund ETH Claims', async () => {
 
         // Account should be able to claim ETH
         it('Account should be able to claim ETH', async () => { 
-            // Check ADNS elligble balance > 0
-            let staker1elig = await adonisArb.accountElligebleToken(staker1)
+            // Check OURF elligble balance > 0
+            let staker1elig = await ourFund.accountElligebleToken(staker1)
             assert.ok(fromTokens(staker1elig) == 350000);
 
             // claim ETH from fund
-            let tx = await adonisArb.withdrawETH(toTokens('350000'), now, { from: staker1 });
-            let ev = checkEventEmitted(tx, 'Burn');
-
-            // assert ALEF withdrawal
-            assert.ok(from == staker1);
-            assert.ok(fromTokens(ev.args.amount.toString()) == 350000);
-            assert.ok(fromTokens(ev.args.amountETHOut.toString()) == 35);
-            assert.ok(fromTokens(ev.args.amountTokenOut.toString()) == 0);
+            let tx = await ourFund.withdrawETH(toTokens('350000'), { from: staker1 });
+            let ev = expectEvent(tx, 'Burn');
+
+            // assert ETH withdrawal
+            assert.ok(ev.args.sender == staker1);
+            assert.ok(fromTokens(ev.args.burnedADNS.toString()) == 350000);
+            assert.ok(fromTokens(ev.args.redeemedETH.toString()) == 35);
+            assert.ok(fromTokens(ev.args.redeemedToken.toString()) == 0);
         })
 
         // Account should not be able to redeem non-elligble tokens for ETH
         it('Account should not be able to redeem non-elligble tokens for ETH', async () => { 
-            // Check ADNS elligble balance == 0
-            let staker1elig = await adonisArb.accountElligebleToken(staker1)
+            // Check OURF elligble balance == 0
+            let staker1elig = await ourFund.accountElligebleToken(staker1)
             assert.ok(fromTokens(staker1elig) == 0);
 
             // claim ETH from fund
-            let errMsg = "Account was able to withdraw ETH with non-elligble ADNS";
-            await adonisArb.withdrawETH(toTokens('100000'), now, { from: staker1 })
+            let errMsg = "Account was able to withdraw ETH with non-elligble OURF";
+            await ourFund.withdrawETH(toTokens('100000'), { from: staker1 })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
     })
 
-    /** ADNS TOKEN TESTING */
+    /** OURF TOKEN TESTING */
 
-    // ADNS has to be transferable between accounts
-    describe('ADNS Transfers', async () => { 
+    // OURF has to be transferable between accounts
+    describe('OURF Transfers', async () => { 
 
         // NON-HOLDER should not be able to transfer any tokens
         it('NON-HOLDER can`t transfer tokens', async () => {
             errMsg = 'Account with no tokens was able to transfer tokens';
-            await adonisArb.transfer(staker1, toTokens('100'), { from: nonholder })
+            await ourFund.transfer(staker1, toTokens('100'), { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // HOLDER should successfully transfer their tokens
         it('HOLDER should successfully transfer their tokens', async () => {
-            await adonisArb.transfer(receiver, toTokens('100'), { from: staker2 });
-            let balance = await adonisArb.balanceOf(receiver);
+            await ourFund.transfer(receiver, toTokens('100'), { from: staker2 });
+            let balance = await ourFund.balanceOf(receiver);
             assert.equal(balance, toTokens('100'));
         })
     })
 
-    // ADNS Allowance & Approvals
-    describe('ADNS Allowance & Approvals', async () => {
+    // OURF Allowance & Approvals
+    describe('OURF Allowance & Approvals', async () => {
 
         // Account should be able to set SPENDER and ALLOWANCE
         it('Account should be able to set SPENDER and ALLOWANCE', async () => {
-            await adonisArb.approve(spender, toTokens('200'), { from: staker1 });
-            allowance = await adonisArb.allowance(staker1, spender);
+            await ourFund.approve(spender, toTokens('200'), { from: staker1 });
+            allowance = await ourFund.allowance(staker1, spender);
             assert.equal(allowance.toString(), toTokens('200'));
         })
 
         // Account should be able to increase/decrease allowance for spender
         it('Account should be able to set increase/decrease allowance for spender', async () => {
-            await adonisArb.increaseAllowance(spender, toTokens('50'), { from: staker1 });
-            allowance = await adonisArb.allowance(staker1, spender);
+            await ourFund.increaseAllowance(spender, toTokens('50'), { from: staker1 });
+            allowance = await ourFund.allowance(staker1, spender);
             assert.equal(allowance.toString(), toTokens('250'));
 
-            await adonisArb.decreaseAllowance(spender, toTokens('50'), { from: staker1 });
-            allowance = await adonisArb.allowance(staker1, spender);
+            await ourFund.decreaseAllowance(spender, toTokens('50'), { from: staker1 });
+            allowance = await ourFund.allowance(staker1, spender);
             assert.equal(allowance.toString(), toTokens('200'));
         })
 
         // Account should be able to increase/decrease allowance for spender outside holder balance 
         it('Account should be able to increase/decrease allowance for spender outside holder balance', async () => {
-            await adonisArb.increaseAllowance(spender, toTokens('50000000000000000'), { from: staker1 })
+            await ourFund.increaseAllowance(spender, toTokens('50000000000000000'), { from: staker1 })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
 
-            await adonisArb.decreaseAllowance(spender, toTokens('50000000000000000'), { from: staker1 })
+            await ourFund.decreaseAllowance(spender, toTokens('50000000000000000'), { from: staker1 })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
 
         // SPENDER should be able to spend allowance
         it('SPENDER should be able to spend allowance', async () => {
-            await adonisArb.transferFrom(staker1, receiver, toTokens('100'), { from: spender });
-            allowance = await adonisArb.allowance(staker1, spender);
+            await ourFund.transferFrom(staker1, receiver, toTokens('100'), { from: spender });
+            allowance = await ourFund.allowance(staker1, spender);
             assert.equal(allowance.toString(), toTokens('100'));
         })
 
         // SPENDER should not be able to spend more than allowance
         it('SPENDER should not be able to spend more than allowance', async () => {
             errMsg = 'SPENDER should not be able to spend more than allowance';
-            await adonisArb.transferFrom(staker1, receiver, toTokens('100000'), { from: spender })
+            await ourFund.transferFrom(staker1, receiver, toTokens('100000'), { from: spender })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
@@ -0,0 +1,213 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, increaseTime } = require('./utils/test-utils');
+
+// importing SDK & bot
+const { OurDEX, OurFund } = require('../index');
+const { OurFundBot, parseBotParams } = require('../bot/OurFundBot');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+
+// Fund arbitrage bot test spec
+contract('OurFundBot', ([owner, bot, lp, staker, whale]) => {
+    let ourToken;
+    let ourDEX;
+    let ourFund;
+    let deadline;
+    let logs;
+
+    // bot wired to the test contracts, logging into `logs`
+    const newBot = (dryRun = false) => {
+        const dex = new OurDEX(web3, ourDEX.address, { abi: OurDEXContract.abi });
+        const fund = new OurFund(web3, ourFund.address, { abi: OurFundContract.abi });
+        const log = (message) => logs.push(message);
+        return new OurFundBot({ web3, fund, dex, account: bot, dryRun, logger: { info: log, warn: log, error: log } });
+    }
+
+    // deploys a 10 ETH / 10000 OURT pool and a fund holding 5000 OURT, configured with `params`
+    const deploy = async (params) => {
+        ourDEX = await OurDEXContract.new(ourToken.address, 30, { from: owner });
+        await ourToken.approve(ourDEX.address, toTokens('10000'), { from: lp });
+        await ourDEX.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), deadline, { from: lp, value: toTokens('10') });
+
+        ourFund = await OurFundContract.new(ourDEX.address, ourToken.address, bot, owner, { from: owner });
+        await ourToken.approve(ourFund.address, toTokens('5000'), { from: staker });
+        await ourFund.addToFund(toTokens('5000'), deadline, { from: staker });
+        await ourFund.assignBotParameters(JSON.stringify(params), { from: owner });
+        logs = [];
+    }
+
+    // whale buys OURT with `amountETH`, pushing the OURT price up
+    const pump = async (amountETH) => {
+        let quote = await ourDEX.getQuoteForOURT(toTokens(amountETH));
+        await ourDEX.buyOURT(quote, quote, deadline, { from: whale, value: toTokens(amountETH), gas: 500000 });
+    }
+
+    // deploy the token for the test session
+    before(async () => {
+        ourToken = await OurTokenContract.new({ from: owner });
+        await ourToken.mint(lp, toTokens('1000000'), { from: owner });
+        await ourToken.mint(staker, toTokens('1000000'), { from: owner });
+        deadline = await getCurrentTime(1000000);
+    })
+
+    // Configuration
+    describe('Bot Parameters', async () => {
+
+        // Parameters should be parsed from JSON with defaults
+        it('Parameters should be parsed from JSON with defaults', async () => {
+            let params = parseBotParams('{"minPriceETH": "1000", "twapWindow": 0, "minTradeOURT": "5"}');
+            assert.equal(params.minPriceETH.toString(), '1000');
+            assert.equal(params.minTradeOURT.toString(), '5');
+            assert.equal(params.maxTradeOURT.toString(), toTokens('1000'));
+            assert.equal(params.minPremium, 50);
+            assert.equal(parseBotParams('').twapWindow, 600);
+        })
+
+        // Invalid parameters should be rejected
+        it('Invalid parameters should be rejected', async () => {
+            assert.throws(() => parseBotParams('{minPremium: 5}'), /not valid JSON/);
+            assert.throws(() => parseBotParams('[1]'), /must be a JSON object/);
+            assert.throws(() => parseBotParams('{"minPremum": 5}'), /unknown BOT_PARAMS minPremum/);
+            assert.throws(() => parseBotParams('{"slippage": -1}'), /slippage must be a non-negative integer/);
+            assert.throws(() => parseBotParams('{"twapWindow": 0}'), /needs a twapWindow or a minPriceETH/);
+            assert.throws(() => parseBotParams('{"minTradeOURT": "10", "maxTradeOURT": "5"}'), /trade sizes/);
+        })
+    })
+
+    // Trading on a price floor
+    describe('Price Floor Arbitrage', async () => {
+
+        before(async () => {
+            // sell when 1 OURT gets at least 0.0015 ETH
+            await deploy({ twapWindow: 0, minPriceETH: toTokens('0.0015'), minPremium: 0, maxTradeOURT: toTokens('1000'), minTradeOURT: toTokens('10') });
+        })
+
+        // Bot should only react to pool events
+        it('Bot should only react to pool events', async () => {
+            let fundBot = newBot();
+            assert.isNull(await fundBot.poll());
+            assert.isNull(await fundBot.poll());
+
+            // 1 OURT is worth 0.001 ETH: nothing to sell
+            await pump('0.01');
+            let decision = await fundBot.poll();
+            assert.isFalse(decision.profitable);
+            assert.equal(decision.reason, 'quote below reference');
+        })
+
+        // Dry runs should only log the trade
+        it('Dry runs should only log the trade', async () => {
+            let fundBot = newBot(true);
+            await fundBot.poll();
+            await pump('5');
+
+            let decision = await fundBot.poll();
+            assert.isTrue(decision.profitable);
+            assert.isTrue(decision.dryRun);
+            assert.equal(decision.amountOURT.toString(), toTokens('1000'));
+            assert.equal(decision.quoteETH.toString(), (await ourDEX.getQuoteForETH(toTokens('1000'))).toString());
+            assert.match(logs[logs.length - 1], /\[dry-run\] would sell/);
+
+            let reserves = await ourFund.getReserves();
+            assert.equal(reserves['1'].toString(), toTokens('5000'));
+            assert.equal((await ourFund.totalElligebleSupply()).toString(), '0');
+        })
+
+        // Bot should sell fund OURT and register the trade
+        it('Bot should sell fund OURT and register the trade', async () => {
+            let fundBot = newBot();
+            await fundBot.poll();
+            await pump('0.01');
+
+            let quote = await ourDEX.getQuoteForETH(toTokens('1000'));
+            let result = await fundBot.poll();
+            assert.isTrue(result.profitable);
+            assert.equal(result.spentOURT.toString(), toTokens('1000'));
+            assert.equal(result.boughtETH.toString(), quote.toString());
+
+            // the fund holds the ETH and the stakers got elligible tokens
+            let reserves = await ourFund.getReserves();
+            assert.equal(reserves['0'].toString(), quote.toString());
+            assert.equal(reserves['1'].toString(), toTokens('4000'));
+            assert.equal((await ourFund.totalElligebleSupply()).toString(), toTokens('1000'));
+            assert.equal((await ourFund.accountElligebleToken(staker)).toString(), toTokens('1000'));
+            assert.equal((await ourToken.balanceOf(bot)).toString(), '0');
+
+            // its own sale is not an opportunity
+            assert.isNull(await fundBot.poll());
+        })
+
+        // Trade size should be halved until the sale is profitable
+        it('Trade size should be halved until the sale is profitable', async () => {
+            let fundBot = newBot(true);
+            await fundBot.poll();
+            await pump('0.01');
+
+            // floor in between the spot price and the average price of a full size sale
+            let spot = await ourDEX.getQuoteForETH(toTokens('1'));
+            let full = (await ourDEX.getQuoteForETH(toTokens('1000'))).divn(1000);
+            let floor = spot.add(full).divn(2);
+            await ourFund.assignBotParameters(JSON.stringify({ twapWindow: 0, minPriceETH: floor.toString(), minPremium: 0, maxTradeOURT: toTokens('1000'), minTradeOURT: toTokens('10') }), { from: owner });
+
+            let decision = await fundBot.poll();
+            assert.isTrue(decision.profitable);
+            assert.ok(decision.amountOURT.lt(new BN(toTokens('1000'))));
+            assert.ok(decision.quoteETH.mul(new BN(toTokens('1'))).gte(decision.amountOURT.mul(floor)));
+        })
+    })
+
+    // Trading against the pool TWAP
+    describe('TWAP Arbitrage', async () => {
+
+        before(async () => {
+            await deploy({ twapWindow: 300, minPremium: 1000, maxTradeOURT: toTokens('200'), minTradeOURT: toTokens('200') });
+            await ourDEX.increaseObservationCardinality(16, { from: owner });
+        })
+
+        // Bot should wait for enough price history
+        it('Bot should wait for enough price history', async () => {
+            let fundBot = newBot();
+            await fundBot.poll();
+            await pump('0.01');
+            let decision = await fundBot.poll();
+            assert.isFalse(decision.profitable);
+            assert.equal(decision.reason, 'no reference price');
+        })
+
+        // Bot should sell into price spikes above the TWAP
+        it('Bot should sell into price spikes above the TWAP', async () => {
+            await increaseTime(600);
+            let fundBot = newBot();
+            await fundBot.poll();
+
+            // a small move stays within the premium
+            await pump('0.01');
+            let decision = await fundBot.poll();
+            assert.isFalse(decision.profitable);
+
+            // OURT is bought up, its spot price is now well above the 5 minutes average
+            await pump('3');
+            let result = await fundBot.poll();
+            assert.isTrue(result.profitable);
+            assert.equal(result.spentOURT.toString(), toTokens('200'));
+            assert.ok(result.boughtETH.muln(10000).gte(result.referenceETH.muln(11000)));
+            assert.equal((await ourFund.totalElligebleSupply()).toString(), toTokens('200'));
+        })
+    })
+})
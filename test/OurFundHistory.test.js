@@ -0,0 +1,209 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent, rpc } = require('./utils/test-utils');
+
+// importing SDK
+const { OurDEX, OurFund, fundReport } = require('../index');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+
+const DAY = 24 * 60 * 60;
+
+// the first pool swap of a new timestamp also writes an oracle observation, which estimates miss
+const TRADE_GAS = 500000;
+
+// Fund trade history test spec
+contract('OurFundHistory', ([owner, bot, lp, staker]) => {
+    let token;
+    let dex;
+    let fund;
+    let deadline;
+
+    // deploy a 100 ETH / 100000 OURT pool and a fund holding 10000 OURT for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        await token.mint(lp, toTokens('1000000'), { from: owner });
+        await token.mint(staker, toTokens('1000000'), { from: owner });
+        deadline = await getCurrentTime(1000000);
+
+        dex = await OurDEXContract.new(token.address, 30, { from: owner });
+        await token.approve(dex.address, toTokens('100000'), { from: lp });
+        await dex.addLiquidity(toTokens('100000'), toTokens('100000'), toTokens('100000'), deadline, { from: lp, value: toTokens('100') });
+
+        fund = await OurFundContract.new(dex.address, token.address, bot, owner, { from: owner });
+        await token.approve(fund.address, toTokens('10000'), { from: staker });
+        await fund.addToFund(toTokens('10000'), deadline, { from: staker });
+    })
+
+    // sells `amount` fund OURT and returns the ETH bought
+    const executeTrade = async (amount) => {
+        let tx = await fund.executeTrade(toTokens(amount), 0, deadline, { from: bot, gas: TRADE_GAS });
+        return expectEvent(tx, 'RegisteredTrade').args.boughtETH;
+    }
+
+    // On-chain trade log
+    describe('Trade Log', async () => {
+
+        // Trades of the same block should all be logged
+        it('Trades of the same block should all be logged', async () => {
+            await rpc('miner_stop');
+            let pending = ['100', '200'].map(amount => fund.contract.methods.executeTrade(toTokens(amount), 0, deadline).send({ from: bot, gas: TRADE_GAS }));
+            // both trades must be in the pool before mining resumes
+            await Promise.all(pending.map(tx => new Promise(resolve => tx.once('transactionHash', resolve))));
+            await rpc('miner_start');
+            let receipts = await Promise.all(pending);
+            assert.equal(receipts[0].blockNumber, receipts[1].blockNumber);
+
+            assert.equal((await fund.tradesCount()).toString(), '2');
+            let [first, second] = await fund.getTrades(0, 2);
+            assert.equal(first.spentToken.toString(), toTokens('100'));
+            assert.equal(second.spentToken.toString(), toTokens('200'));
+            assert.equal(first.timestamp, second.timestamp);
+            assert.equal(first.blockNumber, receipts[0].blockNumber.toString());
+            assert.equal(second.boughtETH.toString(), receipts[1].events.RegisteredTrade.returnValues.boughtETH);
+            assert.equal(receipts[1].events.RegisteredTrade.returnValues.tradeId, '1');
+        })
+
+        // Trade log should be paginated
+        it('Trade log should be paginated', async () => {
+            for (let amount of ['10', '20', '30']) await executeTrade(amount);
+
+            let page = await fund.getTrades(1, 2);
+            assert.deepEqual(page.map(trade => trade.spentToken.toString()), [toTokens('200'), toTokens('10')]);
+            // pages are cut at the end of the log
+            page = await fund.getTrades(3, 10);
+            assert.deepEqual(page.map(trade => trade.spentToken.toString()), [toTokens('20'), toTokens('30')]);
+            assert.equal((await fund.getTrades(5, 10)).length, 0);
+
+            assert.equal((await fund.getTrade(4)).spentToken.toString(), toTokens('30'));
+            await assert.isRejected(fund.getTrade(5), /TRADE_NOT_FOUND/);
+        })
+
+        // Aggregates should follow the trade log
+        it('Aggregates should follow the trade log', async () => {
+            let trades = await fund.getTrades(0, 10);
+            let spent = trades.reduce((total, trade) => total.add(new BN(trade.spentToken)), new BN(0));
+            let bought = trades.reduce((total, trade) => total.add(new BN(trade.boughtETH)), new BN(0));
+
+            let stats = await fund.getTradeStats();
+            assert.equal(stats._tradesCount.toString(), '5');
+            assert.equal(stats._totalSpentToken.toString(), toTokens('360'));
+            assert.equal(stats._totalBoughtETH.toString(), bought.toString());
+            assert.equal(stats._averagePrice.toString(), bought.mul(new BN(toTokens('1'))).div(spent).toString());
+            assert.equal((await fund.getReserves())['0'].toString(), bought.toString());
+        })
+
+        // SDK should read the whole trade log page by page
+        it('SDK should read the whole trade log page by page', async () => {
+            let ourFund = new OurFund(web3, fund.address, { abi: OurFundContract.abi });
+            let trades = await ourFund.getAllTrades(2);
+            assert.deepEqual(trades.map(trade => trade.id), [0, 1, 2, 3, 4]);
+            assert.deepEqual(trades.map(trade => trade.spentToken.toString()), ['100', '200', '10', '20', '30'].map(amount => toTokens(amount)));
+
+            let stats = await ourFund.getTradeStats();
+            assert.equal(stats.tradesCount, 5);
+            assert.equal(stats.totalBoughtETH.toString(), trades.reduce((total, trade) => total.add(trade.boughtETH), new BN(0)).toString());
+        })
+    })
+
+    // Performance reporting
+    describe('Performance Report', async () => {
+        // 2026-01-01 01:00 UTC
+        const start = Date.UTC(2026, 0, 1, 1) / 1000;
+        const trades = [
+            { spentToken: new BN(toTokens('100')), boughtETH: new BN(toTokens('0.1')), timestamp: start + 600 },
+            { spentToken: new BN(toTokens('100')), boughtETH: new BN(toTokens('0.2')), timestamp: start },
+            { spentToken: new BN(toTokens('50')), boughtETH: new BN(toTokens('0.1')), timestamp: start + 2 * DAY }
+        ];
+        // 0.001 ETH per OURT and 10000 OURT staked: a 10 ETH capital
+        const options = { referencePrice: toTokens('0.001'), capitalOURT: toTokens('10000') };
+
+        // Report should compute the P&L and APY of every period
+        it('Report should compute the P&L and APY of every period', async () => {
+            let report = fundReport.buildReport(trades, options);
+            assert.equal(report.periods.length, 3);
+            let [first, empty, last] = report.periods;
+
+            // 200 OURT worth 0.2 ETH sold for 0.3 ETH
+            assert.equal(first.periodStart, start - 3600);
+            assert.equal(first.trades, 2);
+            assert.equal(first.averagePrice.toString(), toTokens('0.0015'));
+            assert.equal(first.pnlETH.toString(), toTokens('0.1'));
+            assert.closeTo(first.return, 0.01, 1e-12);
+            assert.closeTo(first.apy, Math.pow(1.01, 365) - 1, 1e-6);
+
+            // days without trades are reported flat
+            assert.equal(empty.trades, 0);
+            assert.isNull(empty.averagePrice);
+            assert.equal(empty.return, 0);
+            assert.equal(empty.apy, 0);
+
+            assert.equal(last.pnlETH.toString(), toTokens('0.05'));
+            assert.closeTo(last.return, 0.005, 1e-12);
+
+            assert.equal(report.total.trades, 3);
+            assert.equal(report.total.pnlETH.toString(), toTokens('0.15'));
+            assert.closeTo(report.total.apy, Math.pow(1.015, 365 / 3) - 1, 1e-6);
+
+            // selling below the reference price is a loss, the capital is valued at that price too
+            let loss = fundReport.buildReport(trades, { ...options, referencePrice: toTokens('0.002') });
+            assert.equal(loss.total.pnlETH.toString(), toTokens('-0.1'));
+            assert.closeTo(loss.total.return, -0.005, 1e-12);
+        })
+
+        // Report should group trades by calendar month
+        it('Report should group trades by calendar month', async () => {
+            let report = fundReport.buildReport(trades, { ...options, period: 'month' });
+            assert.equal(report.periods.length, 1);
+            assert.equal(report.periods[0].periodEnd - report.periods[0].periodStart, 31 * DAY);
+            assert.closeTo(report.periods[0].apy, Math.pow(1.015, 365 / 31) - 1, 1e-6);
+
+            assert.throws(() => fundReport.buildReport(trades, { ...options, period: 'year' }), /unknown period year/);
+            assert.isNull(fundReport.buildReport([], options).total);
+        })
+
+        // Report should export to CSV and JSON
+        it('Report should export to CSV and JSON', async () => {
+            let report = fundReport.buildReport(trades, options);
+            let lines = fundReport.toCSV(report).trim().split('\n');
+            assert.equal(lines[0], 'periodStart,periodEnd,trades,spentOURT,boughtETH,averagePrice,pnlETH,return,apy');
+            assert.equal(lines.length, 4);
+            assert.equal(lines[2], '2026-01-02T00:00:00.000Z,2026-01-03T00:00:00.000Z,0,0,0,,0,0,0');
+
+            let json = JSON.parse(fundReport.toJSON(report));
+            assert.equal(json.capitalOURT, toTokens('10000'));
+            assert.equal(json.periods[0].spentOURT, toTokens('200'));
+            assert.equal(json.total.pnlETH, toTokens('0.15'));
+        })
+
+        // Report should be generated from the fund trade log
+        it('Report should be generated from the fund trade log', async () => {
+            let ourFund = new OurFund(web3, fund.address, { abi: OurFundContract.abi });
+            let ourDEX = new OurDEX(web3, dex.address, { abi: OurDEXContract.abi });
+            let report = await fundReport.generateReport(ourFund, { dex: ourDEX, period: 'week' });
+
+            let stats = await ourFund.getTradeStats();
+            assert.equal(report.total.trades, 5);
+            assert.equal(report.total.boughtETH.toString(), stats.totalBoughtETH.toString());
+            assert.equal(report.referencePrice.toString(), (await dex.getQuoteForETH(toTokens('1'))).toString());
+            assert.equal(report.capitalOURT.toString(), toTokens('10000'));
+
+            await assert.isRejected(fundReport.generateReport(ourFund), /referencePrice or a dex/);
+        })
+    })
+})
@@ -0,0 +1,159 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent } = require('./utils/test-utils');
+
+// importing SDK
+const { OurFund } = require('../index');
+
+// load contract artifacts
+const OurFundContract = artifacts.require('OurFund');
+const OurTokenContract = artifacts.require('OurToken');
+
+// Fund ETH redemption test spec
+contract('OurFundRedemption', ([owner, bot, alice, bob, carol, stranger]) => {
+    let token;
+    let deadline;
+
+    // deploy the token for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        for (let account of [alice, bob, carol]) {
+            await token.mint(account, toTokens('1000000'), { from: owner });
+        }
+        deadline = await getCurrentTime(1000000);
+    })
+
+    // deploys a fund with stakes of 300, 100 and 600 OURT for alice, bob and carol
+    const deployFund = async () => {
+        let fund = await OurFundContract.new(owner, token.address, bot, owner, { from: owner });
+        for (let [account, amount] of [[alice, '300'], [bob, '100'], [carol, '600']]) {
+            await token.approve(fund.address, toTokens(amount), { from: account });
+            await fund.addToFund(toTokens(amount), deadline, { from: account });
+        }
+        return fund;
+    }
+
+    // bot sells `spent` OURT of the fund for `bought` wei and registers the trade,
+    // reserves are stamped with the block time so a new block can cost more than estimated
+    const registerTrade = async (fund, spent, bought) => {
+        await fund.approveBotFunds(spent, { from: bot });
+        await token.transferFrom(fund.address, bot, spent, { from: bot });
+        await web3.eth.sendTransaction({ from: bot, to: fund.address, value: bought });
+        return fund.registerTrade(spent, bought, { from: bot, gas: 500000 });
+    }
+
+    // ETH received by `account` from a redemption, net of gas
+    const withdrawETH = async (fund, amount, account) => {
+        let balanceBefore = new BN(await web3.eth.getBalance(account));
+        let tx = await fund.withdrawETH(amount, { from: account });
+        let gas = new BN(tx.receipt.gasUsed).mul(new BN(tx.receipt.effectiveGasPrice.toString()));
+        return { tx, received: new BN(await web3.eth.getBalance(account)).sub(balanceBefore).add(gas) };
+    }
+
+    // Payouts
+    describe('ETH Redemption', async () => {
+
+        // Redemptions should pay the exact share of the ETH reserve
+        it('Redemptions should pay the exact share of the ETH reserve', async () => {
+            let fund = await deployFund();
+            await registerTrade(fund, toTokens('100'), 1000003);
+            let reserveETH = new BN(1000003);
+            let totalElligble = new BN(toTokens('100'));
+
+            // bob burns 3 of his 10 elligible OURF: 3% of the reserve, rounded down
+            let amount = new BN(toTokens('3'));
+            let expected = reserveETH.mul(amount).div(totalElligble);
+            assert.equal((await fund.previewWithdrawETH(amount)).toString(), expected.toString());
+            let { tx, received } = await withdrawETH(fund, amount, bob);
+            assert.equal(received.toString(), expected.toString());
+
+            let ev = expectEvent(tx, 'Burn');
+            assert.equal(ev.args.redeemedETH.toString(), expected.toString());
+            assert.equal(ev.args.burnedADNS.toString(), amount.toString());
+
+            // reserves and elligible tokens follow
+            assert.equal((await fund.getReserves())['0'].toString(), reserveETH.sub(expected).toString());
+            assert.equal((await fund.totalElligebleSupply()).toString(), totalElligble.sub(amount).toString());
+            assert.equal((await fund.accountElligebleToken(bob)).toString(), toTokens('7'));
+            assert.equal((await fund.balanceOf(bob)).toString(), toTokens('97'));
+        })
+
+        // Redemptions should not depend on the order of the stakers
+        it('Redemptions should not depend on the order of the stakers', async () => {
+            let fund = await deployFund();
+            await registerTrade(fund, toTokens('250'), toTokens('1'));
+
+            // every elligible token is redeemed, the last staker takes what rounding left
+            let total = new BN(0);
+            for (let account of [carol, alice, bob]) {
+                let elligble = await fund.accountElligebleToken(account);
+                let { received } = await withdrawETH(fund, elligble, account);
+                // 1 ETH for 250 elligible OURF
+                assert.equal(received.toString(), elligble.mul(new BN(toTokens('1'))).div(new BN(toTokens('250'))).toString());
+                total = total.add(received);
+            }
+            assert.equal(total.toString(), toTokens('1'));
+            assert.equal(await web3.eth.getBalance(fund.address), '0');
+            assert.equal((await fund.totalElligebleSupply()).toString(), '0');
+        })
+
+        // Redemptions should pay from the tracked reserve only
+        it('Redemptions should pay from the tracked reserve only', async () => {
+            let fund = await deployFund();
+            await registerTrade(fund, toTokens('100'), toTokens('1'));
+
+            // ETH sent outside of a trade does not inflate the payouts
+            await web3.eth.sendTransaction({ from: stranger, to: fund.address, value: toTokens('5') });
+            let { received } = await withdrawETH(fund, toTokens('30'), alice);
+            assert.equal(received.toString(), toTokens('0.3'));
+        })
+
+        // Redemptions should be bounded by the elligible tokens
+        it('Redemptions should be bounded by the elligible tokens', async () => {
+            let fund = await deployFund();
+            await assert.isRejected(fund.withdrawETH(toTokens('1'), { from: alice }), /NON_ELLIGBLE_TOKENS/);
+            await registerTrade(fund, toTokens('100'), toTokens('1'));
+
+            await assert.isRejected(fund.withdrawETH(0, { from: alice }), /INSUFFICIENT_AMOUNT_BURNED/);
+            await assert.isRejected(fund.withdrawETH(new BN(toTokens('30')).addn(1), { from: alice }), /NON_ELLIGBLE_TOKENS/);
+            // too little to be worth a wei
+            await assert.isRejected(fund.withdrawETH(1, { from: alice }), /INSUFFICIENT_ETH_OUT/);
+        })
+    })
+
+    // SDK helpers
+    describe('Claimable ETH', async () => {
+
+        // SDK should list the claimable ETH of every stakeholder
+        it('SDK should list the claimable ETH of every stakeholder', async () => {
+            let ourFund = await deployFund();
+            let fund = new OurFund(web3, ourFund.address, { abi: OurFundContract.abi });
+            await registerTrade(ourFund, toTokens('500'), toTokens('2'));
+
+            let claims = await fund.getClaims();
+            assert.deepEqual(claims.map(claim => claim.account), [alice, bob, carol]);
+            for (let { account, elligble, claimableETH } of claims) {
+                // half of every stake is elligible, 1 ETH for 250 OURF
+                assert.equal(elligble.toString(), (await ourFund.balanceOf(account)).divn(2).toString());
+                assert.equal(claimableETH.toString(), elligble.divn(250).toString());
+                assert.equal((await fund.claimableETH(account)).toString(), claimableETH.toString());
+            }
+            assert.equal((await fund.claimableETH(stranger)).toString(), '0');
+
+            let { received } = await withdrawETH(ourFund, claims[1].elligble, bob);
+            assert.equal(received.toString(), claims[1].claimableETH.toString());
+        })
+    })
+})
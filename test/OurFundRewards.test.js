@@ -0,0 +1,287 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, increaseTime, seededRandom, randomAmount } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurFundContract = artifacts.require('OurFund');
+const OurTokenContract = artifacts.require('OurToken');
+
+// number of passive OURF holders in the precision spec
+const HOLDERS = 300;
+
+// seeded so that failures can be replayed
+const random = seededRandom(0xf00d);
+
+/**
+ * Exact model of the non-elligible OURF of every account: every trade spending `s` of the `N`
+ * non-elligible tokens leaves each account with (N - s) / N of its own, kept with 40 extra decimals
+*/
+const MODEL_PRECISION = new BN(10).pow(new BN(40));
+class FundModel {
+    constructor() {
+        this.nonElligble = {};
+        this.total = new BN(0);
+    }
+    get(account) {
+        return (this.nonElligble[account] || new BN(0)).div(MODEL_PRECISION);
+    }
+    deposit(account, amount) {
+        this.nonElligble[account] = (this.nonElligble[account] || new BN(0)).add(amount.mul(MODEL_PRECISION));
+        this.total = this.total.add(amount);
+    }
+    withdraw(account, amount) {
+        this.nonElligble[account] = this.nonElligble[account].sub(amount.mul(MODEL_PRECISION));
+        this.total = this.total.sub(amount);
+    }
+    // transfers carry non-elligible tokens first
+    transfer(from, to, amount) {
+        let moved = BN.min(amount.mul(MODEL_PRECISION), this.nonElligble[from] || new BN(0));
+        this.nonElligble[from] = this.nonElligble[from].sub(moved);
+        this.nonElligble[to] = (this.nonElligble[to] || new BN(0)).add(moved);
+    }
+    trade(spent) {
+        let left = this.total.sub(spent);
+        for (let account in this.nonElligble) {
+            this.nonElligble[account] = this.nonElligble[account].mul(left).div(this.total);
+        }
+        this.total = left;
+    }
+}
+
+// Fund reward accounting test spec
+contract('OurFundRewards', ([owner, bot, whale, alice, bob]) => {
+    let token;
+    let deadline;
+
+    // deploy the token for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        for (let account of [whale, alice, bob]) {
+            await token.mint(account, toTokens('10000000000000'), { from: owner });
+        }
+        deadline = await getCurrentTime(1000000);
+    })
+
+    // deploys a fund with `bot` as its trading bot
+    const deployFund = async () => {
+        let fund = await OurFundContract.new(owner, token.address, bot, owner, { from: owner });
+        for (let account of [whale, alice, bob]) {
+            await token.approve(fund.address, toTokens('10000000000000'), { from: account });
+        }
+        return fund;
+    }
+
+    // bot sells `spent` OURT of the fund for `bought` wei and registers the trade,
+    // trades are recorded by timestamp so a new block can cost more than estimated
+    const registerTrade = async (fund, spent, bought = 1000) => {
+        await fund.approveBotFunds(spent, { from: bot });
+        await token.transferFrom(fund.address, bot, spent, { from: bot });
+        await web3.eth.sendTransaction({ from: bot, to: fund.address, value: bought });
+        return fund.registerTrade(spent, bought, { from: bot, gas: 500000 });
+    }
+
+    // non-elligible OURF of every account within `tolerance` wei of the model, the rest elligible
+    const assertModel = async (fund, model, accounts, tolerance = 2) => {
+        for (let account of accounts) {
+            let nonElligble = await fund.accountNonElligebleToken(account);
+            let elligble = await fund.accountElligebleToken(account);
+            let expected = model.get(account);
+            assert.ok(nonElligble.sub(expected).abs().lten(tolerance), `${account}: ${nonElligble} instead of ${expected}`);
+            assert.equal(nonElligble.add(elligble).toString(), (await fund.balanceOf(account)).toString());
+        }
+    }
+
+    // Pro-rata conversion of the stakes
+    describe('Pro Rata Accounting', async () => {
+
+        // Trades should convert every stake pro rata
+        it('Trades should convert every stake pro rata', async () => {
+            let fund = await deployFund();
+            await fund.addToFund(toTokens('300'), deadline, { from: alice });
+            await fund.addToFund(toTokens('100'), deadline, { from: bob });
+
+            // 10% of the stakes are spent: small stakes are not rounded down to nothing
+            await registerTrade(fund, toTokens('40'));
+            assert.equal((await fund.accountElligebleToken(alice)).toString(), toTokens('30'));
+            assert.equal((await fund.accountElligebleToken(bob)).toString(), toTokens('10'));
+            assert.equal((await fund.totalElligebleSupply()).toString(), toTokens('40'));
+
+            // the next trade is measured from the synced reserves, on what is left non-elligible
+            await registerTrade(fund, toTokens('180'));
+            assert.equal((await fund.accountNonElligebleToken(alice)).toString(), toTokens('135'));
+            assert.equal((await fund.accountNonElligebleToken(bob)).toString(), toTokens('45'));
+            let reserves = await fund.getReserves();
+            assert.equal(reserves['1'].toString(), toTokens('180'));
+
+            // non-elligible OURF is withdrawn as OURT, elligible OURF is not
+            await assert.isRejected(fund.withdrawFromFund(toTokens('46'), deadline, { from: bob }), /ELLIGBLE_TOKEN_BURN_ON_NONELIG/);
+            let balanceBefore = await token.balanceOf(bob);
+            await fund.withdrawFromFund(toTokens('45'), deadline, { from: bob });
+            assert.equal((await token.balanceOf(bob)).sub(balanceBefore).toString(), toTokens('45'));
+            assert.equal((await fund.balanceOf(bob)).toString(), toTokens('55'));
+            assert.equal((await fund.accountElligebleToken(bob)).toString(), toTokens('55'));
+        })
+
+        // Transfers should carry non-elligible tokens first
+        it('Transfers should carry non-elligible tokens first', async () => {
+            let fund = await deployFund();
+            await fund.addToFund(toTokens('100'), deadline, { from: alice });
+            await registerTrade(fund, toTokens('25'));
+
+            await fund.transfer(bob, toTokens('50'), { from: alice });
+            assert.equal((await fund.accountNonElligebleToken(bob)).toString(), toTokens('50'));
+            assert.equal((await fund.accountNonElligebleToken(alice)).toString(), toTokens('25'));
+            assert.ok((await fund.isStakeholder(bob))['0']);
+
+            await fund.transfer(bob, toTokens('40'), { from: alice });
+            assert.equal((await fund.accountNonElligebleToken(bob)).toString(), toTokens('75'));
+            assert.equal((await fund.accountElligebleToken(bob)).toString(), toTokens('15'));
+            assert.equal((await fund.accountElligebleToken(alice)).toString(), toTokens('10'));
+            assert.equal((await fund.accountNonElligebleToken(alice)).toString(), '0');
+        })
+
+        // Spending every stake should start over
+        it('Spending every stake should start over', async () => {
+            let fund = await deployFund();
+            await fund.addToFund(toTokens('70'), deadline, { from: alice });
+            await fund.addToFund(toTokens('30'), deadline, { from: bob });
+            await registerTrade(fund, toTokens('100'));
+
+            // stakes settled before the last trade are fully elligible
+            assert.equal((await fund.accountElligebleToken(bob)).toString(), toTokens('30'));
+            assert.equal((await fund.accountNonElligebleToken(bob)).toString(), '0');
+
+            // new stakes start from scratch
+            await fund.addToFund(toTokens('50'), deadline, { from: alice });
+            assert.equal((await fund.accountNonElligebleToken(alice)).toString(), toTokens('50'));
+            await registerTrade(fund, toTokens('20'));
+            assert.equal((await fund.accountNonElligebleToken(alice)).toString(), toTokens('30'));
+            assert.equal((await fund.accountElligebleToken(alice)).toString(), toTokens('90'));
+            assert.equal((await fund.accountElligebleToken(bob)).toString(), toTokens('30'));
+        })
+
+        // Precision should hold when the stakes shrink by more than the fixed-point scale
+        it('Precision should hold when the stakes shrink by more than the fixed-point scale', async () => {
+            let fund = await deployFund();
+            let model = new FundModel();
+            let deposit = async (account, amount) => {
+                await fund.addToFund(amount, deadline, { from: account });
+                model.deposit(account, amount);
+            }
+            await deposit(alice, new BN(toTokens('1000000000000')));
+            await deposit(bob, new BN('333333333333333333333333'));
+
+            // every trade leaves a billionth of the stakes, pushing the running product below its scale
+            for (let i = 0; i < 3; i++) {
+                let spent = model.total.sub(model.total.div(new BN(1e9)));
+                await registerTrade(fund, spent);
+                model.trade(spent);
+                // alice settles in between trades
+                if (i == 0) await deposit(alice, new BN(1));
+                await assertModel(fund, model, [alice, bob]);
+            }
+        })
+    })
+
+    // Hundreds of stakers
+    describe('Accounting At Scale', async () => {
+        let fund;
+        let model;
+        let holders;
+
+        before(async () => {
+            fund = await deployFund();
+            model = new FundModel();
+            holders = Array.from({ length: HOLDERS }, () => web3.utils.toChecksumAddress(web3.utils.randomHex(20)));
+        })
+
+        // Trade cost should not depend on the number of stakers
+        it('Trade cost should not depend on the number of stakers', async () => {
+            let amount = new BN(toTokens('1000000'));
+            await fund.addToFund(amount, deadline, { from: whale });
+            model.deposit(whale, amount);
+            let spent = randomAmount(random, 1000, true);
+            await registerTrade(fund, spent);
+            model.trade(spent);
+            // trades are recorded by timestamp, both measured trades write a fresh record
+            spent = randomAmount(random, 1000, true);
+            await increaseTime(10);
+            let { receipt: before } = await registerTrade(fund, spent);
+            model.trade(spent);
+
+            // the whale hands OURF to hundreds of holders
+            for (let holder of holders) {
+                let amount = randomAmount(random, 2000, true);
+                await fund.transfer(holder, amount, { from: whale });
+                model.transfer(whale, holder, amount);
+            }
+            assert.equal((await fund.isStakeholder(holders[HOLDERS - 1]))['1'].toNumber(), HOLDERS);
+
+            spent = randomAmount(random, 1000, true);
+            await increaseTime(10);
+            let { receipt: after } = await registerTrade(fund, spent);
+            model.trade(spent);
+            assert.ok(Math.abs(after.gasUsed - before.gasUsed) < 5000, `${before.gasUsed} -> ${after.gasUsed}`);
+        })
+
+        // Every staker should get its exact share of every trade
+        it('Every staker should get its exact share of every trade', async () => {
+            for (let i = 0; i < 12; i++) {
+                // stakes keep moving in between trades
+                let amount = randomAmount(random, 5000, true);
+                await fund.addToFund(amount, deadline, { from: alice });
+                model.deposit(alice, amount);
+                let holder = holders[Math.floor(random() * HOLDERS)];
+                amount = randomAmount(random, 500, true);
+                await fund.transfer(holder, amount, { from: whale });
+                model.transfer(whale, holder, amount);
+                if (i % 3 == 2) {
+                    amount = (await fund.accountNonElligebleToken(alice)).divn(3);
+                    await fund.withdrawFromFund(amount, deadline, { from: alice });
+                    model.withdraw(alice, amount);
+                }
+
+                // between 1% and 50% of the stakes are spent
+                let spent = model.total.muln(Math.floor(random() * 4900) + 100).divn(10000);
+                await registerTrade(fund, spent);
+                model.trade(spent);
+            }
+
+            await assertModel(fund, model, [whale, alice].concat(holders));
+
+            // every holder got its share, the rounding dust favours elligible tokens
+            let sumElligble = new BN(0);
+            let sumNonElligble = new BN(0);
+            for (let account of [whale, alice].concat(holders)) {
+                let elligble = await fund.accountElligebleToken(account);
+                assert.ok(elligble.gtn(0));
+                sumElligble = sumElligble.add(elligble);
+                sumNonElligble = sumNonElligble.add(await fund.accountNonElligebleToken(account));
+            }
+            let totalElligble = await fund.totalElligebleSupply();
+            assert.ok(sumElligble.gte(totalElligble));
+            assert.ok(sumElligble.sub(totalElligble).lten(HOLDERS + 2));
+
+            // the fund holds enough OURT for every non-elligible token
+            let reserveToken = (await fund.getReserves())['1'];
+            assert.equal(sumElligble.add(sumNonElligble).toString(), (await fund.totalSupply()).toString());
+            assert.ok(sumNonElligble.lte(reserveToken));
+            for (let account of [whale, alice]) {
+                await fund.withdrawFromFund(await fund.accountNonElligebleToken(account), deadline, { from: account });
+                assert.equal((await fund.accountNonElligebleToken(account)).toString(), '0');
+            }
+        })
+    })
+})
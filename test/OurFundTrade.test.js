@@ -0,0 +1,149 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, increaseTime, expectEvent } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+
+const DAY = 24 * 60 * 60;
+
+// the first pool swap of a new timestamp also writes an oracle observation, which estimates miss
+const TRADE_GAS = 500000;
+
+// Atomic fund trades test spec
+contract('OurFundTrade', ([owner, bot, lp, staker, stranger]) => {
+    let token;
+    let dex;
+    let fund;
+    let deadline;
+
+    // deploy a 100 ETH / 100000 OURT pool and a fund holding 10000 OURT for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        await token.mint(lp, toTokens('1000000'), { from: owner });
+        await token.mint(staker, toTokens('1000000'), { from: owner });
+        deadline = await getCurrentTime(1000000);
+
+        dex = await OurDEXContract.new(token.address, 30, { from: owner });
+        await token.approve(dex.address, toTokens('100000'), { from: lp });
+        await dex.addLiquidity(toTokens('100000'), toTokens('100000'), toTokens('100000'), deadline, { from: lp, value: toTokens('100') });
+
+        fund = await OurFundContract.new(dex.address, token.address, bot, owner, { from: owner });
+        await token.approve(fund.address, toTokens('10000'), { from: staker });
+        await fund.addToFund(toTokens('10000'), deadline, { from: staker });
+    })
+
+    // Trade execution
+    describe('Execute Trade', async () => {
+
+        // Only bots should execute trades
+        it('Only bots should execute trades', async () => {
+            await assert.isRejected(fund.executeTrade(toTokens('10'), 0, deadline, { from: stranger }), /is missing role/);
+            await assert.isRejected(fund.executeTrade(0, 0, deadline, { from: bot, gas: TRADE_GAS }), /SPENT_TOKENS_ZERO/);
+            let expired = await getCurrentTime(-1);
+            await assert.isRejected(fund.executeTrade(toTokens('10'), 0, expired, { from: bot, gas: TRADE_GAS }), /EXPIRED/);
+        })
+
+        // Trades should sell fund OURT and record the trade atomically
+        it('Trades should sell fund OURT and record the trade atomically', async () => {
+            let quote = await dex.getQuoteForETH(toTokens('1000'));
+            let tx = await fund.executeTrade(toTokens('1000'), quote, deadline, { from: bot, gas: TRADE_GAS });
+
+            let ev = expectEvent(tx, 'RegisteredTrade');
+            assert.equal(ev.args.spentToken.toString(), toTokens('1000'));
+            assert.equal(ev.args.boughtETH.toString(), quote.toString());
+
+            // the fund holds the ETH, the bot never held anything
+            let reserves = await fund.getReserves();
+            assert.equal(reserves['0'].toString(), quote.toString());
+            assert.equal(reserves['1'].toString(), toTokens('9000'));
+            assert.equal(await web3.eth.getBalance(fund.address), quote.toString());
+            assert.equal((await token.balanceOf(bot)).toString(), '0');
+            assert.equal((await token.allowance(fund.address, dex.address)).toString(), '0');
+
+            assert.equal((await fund.accountElligebleToken(staker)).toString(), toTokens('1000'));
+            let trade = await fund.getTrade(ev.args.tradeId);
+            assert.equal(trade.spentToken.toString(), toTokens('1000'));
+        })
+
+        // Trades should revert below the minimum ETH
+        it('Trades should revert below the minimum ETH', async () => {
+            let quote = await dex.getQuoteForETH(toTokens('100'));
+            await assert.isRejected(fund.executeTrade(toTokens('100'), quote.addn(1), deadline, { from: bot, gas: TRADE_GAS }), /SLIPPAGE_RATE_EXCEEDED/);
+        })
+
+        // Donations should not be counted as traded
+        it('Donations should not be counted as traded', async () => {
+            await token.transfer(fund.address, toTokens('5'), { from: staker });
+            await fund.sendTransaction({ from: stranger, value: toTokens('1') });
+            let reserves = await fund.getReserves();
+
+            let quote = await dex.getQuoteForETH(toTokens('100'));
+            await fund.executeTrade(toTokens('100'), quote, deadline, { from: bot, gas: TRADE_GAS });
+            let after = await fund.getReserves();
+            assert.equal(after['0'].toString(), reserves['0'].add(quote).toString());
+            assert.equal(after['1'].toString(), reserves['1'].sub(new BN(toTokens('100'))).toString());
+            assert.equal(after['1'].toString(), (await fund.totalSupply()).sub(await fund.totalElligebleSupply()).toString());
+        })
+    })
+
+    // Spend limits
+    describe('Trade Limits', async () => {
+
+        // Trade limits should only be changed by governance
+        it('Trade limits should only be changed by governance', async () => {
+            await assert.isRejected(fund.changeTradeLimits(toTokens('500'), toTokens('800'), { from: bot }), /caller is not the owner/);
+            let tx = await fund.changeTradeLimits(toTokens('500'), toTokens('800'), { from: owner });
+            let ev = expectEvent(tx, 'TradeLimitsChanged');
+            assert.equal(ev.args.maxTradeToken.toString(), toTokens('500'));
+            assert.equal(ev.args.dailyTradeLimit.toString(), toTokens('800'));
+        })
+
+        // Trade limits should not allow a trade above the daily limit
+        it('Trade limits should not allow a trade above the daily limit', async () => {
+            await assert.isRejected(fund.changeTradeLimits(toTokens('900'), toTokens('800'), { from: owner }), /INVALID_TRADE_LIMITS/);
+            let limits = await fund.getTradeLimits();
+            assert.equal(limits._maxTradeToken.toString(), toTokens('500'));
+            assert.equal(limits._dailyTradeLimit.toString(), toTokens('800'));
+        })
+
+        // Trades should be bounded per trade and per day
+        it('Trades should be bounded per trade and per day', async () => {
+            // start from a fresh day
+            await increaseTime(DAY);
+            await assert.isRejected(fund.executeTrade(new BN(toTokens('500')).addn(1), 0, deadline, { from: bot, gas: TRADE_GAS }), /TRADE_LIMIT_EXCEEDED/);
+
+            await fund.executeTrade(toTokens('500'), 0, deadline, { from: bot, gas: TRADE_GAS });
+            let limits = await fund.getTradeLimits();
+            assert.equal(limits._spentToday.toString(), toTokens('500'));
+
+            // approvals for custodial trades count against the same limit
+            await fund.approveBotFunds(toTokens('200'), { from: bot });
+            await assert.isRejected(fund.executeTrade(new BN(toTokens('100')).addn(1), 0, deadline, { from: bot, gas: TRADE_GAS }), /DAILY_LIMIT_EXCEEDED/);
+            await fund.executeTrade(toTokens('100'), 0, deadline, { from: bot, gas: TRADE_GAS });
+            await fund.approveBotFunds(0, { from: bot });
+        })
+
+        // Daily limits should reset the next day
+        it('Daily limits should reset the next day', async () => {
+            await increaseTime(DAY);
+            assert.equal((await fund.getTradeLimits())._spentToday.toString(), '0');
+            await fund.executeTrade(toTokens('500'), 0, deadline, { from: bot, gas: TRADE_GAS });
+            assert.equal((await fund.getTradeLimits())._spentToday.toString(), toTokens('500'));
+        })
+    })
+})
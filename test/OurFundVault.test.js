@@ -0,0 +1,176 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, expectEvent } = require('./utils/test-utils');
+
+// importing SDK
+const { OurFund, OurToken } = require('../index');
+
+// load contract artifacts
+const OurFundContract = artifacts.require('OurFund');
+const OurTokenContract = artifacts.require('OurToken');
+
+const MAX_UINT = new BN(2).pow(new BN(256)).subn(1);
+
+// Fund ERC-4626 test spec
+contract('OurFundVault', ([owner, bot, alice, bob, spender]) => {
+    let token;
+    let fund;
+
+    // deploy the token and the fund for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        for (let account of [alice, bob]) {
+            await token.mint(account, toTokens('1000000'), { from: owner });
+        }
+        fund = await OurFundContract.new(owner, token.address, bot, owner, { from: owner });
+    })
+
+    // bot sells `spent` OURT of the fund for `bought` wei and registers the trade,
+    // trades are recorded by timestamp so a new block can cost more than estimated
+    const registerTrade = async (spent, bought) => {
+        await fund.approveBotFunds(spent, { from: bot });
+        await token.transferFrom(fund.address, bot, spent, { from: bot });
+        await web3.eth.sendTransaction({ from: bot, to: fund.address, value: bought });
+        return fund.registerTrade(spent, bought, { from: bot, gas: 500000 });
+    }
+
+    // Deposits
+    describe('Deposit And Mint', async () => {
+
+        // Vault should expose OURT as its asset at a one to one rate
+        it('Vault should expose OURT as its asset at a one to one rate', async () => {
+            assert.equal(await fund.asset(), token.address);
+            assert.equal((await fund.totalAssets()).toString(), '0');
+            assert.equal((await fund.convertToShares(toTokens('7'))).toString(), toTokens('7'));
+            assert.equal((await fund.convertToAssets(toTokens('7'))).toString(), toTokens('7'));
+            assert.equal((await fund.previewDeposit(toTokens('7'))).toString(), toTokens('7'));
+            assert.equal((await fund.previewMint(toTokens('7'))).toString(), toTokens('7'));
+            assert.equal((await fund.maxDeposit(alice)).toString(), MAX_UINT.toString());
+            assert.equal((await fund.maxMint(alice)).toString(), MAX_UINT.toString());
+        })
+
+        // Deposits should mint shares to the receiver
+        it('Deposits should mint shares to the receiver', async () => {
+            await token.approve(fund.address, toTokens('1000'), { from: alice });
+            let shares = await fund.deposit.call(toTokens('600'), bob, { from: alice });
+            assert.equal(shares.toString(), toTokens('600'));
+
+            let tx = await fund.deposit(toTokens('600'), bob, { from: alice });
+            let ev = expectEvent(tx, 'Deposit');
+            assert.equal(ev.args.sender, alice);
+            assert.equal(ev.args.owner, bob);
+            assert.equal(ev.args.assets.toString(), toTokens('600'));
+            assert.equal(ev.args.shares.toString(), toTokens('600'));
+
+            assert.equal((await fund.balanceOf(bob)).toString(), toTokens('600'));
+            assert.equal((await fund.balanceOf(alice)).toString(), '0');
+            assert.ok((await fund.isStakeholder(bob))['0']);
+            assert.equal((await fund.totalAssets()).toString(), toTokens('600'));
+        })
+
+        // Mints should pull the assets of the shares
+        it('Mints should pull the assets of the shares', async () => {
+            let balanceBefore = await token.balanceOf(alice);
+            let tx = await fund.mint(toTokens('400'), alice, { from: alice });
+            expectEvent(tx, 'Deposit');
+            assert.equal(balanceBefore.sub(await token.balanceOf(alice)).toString(), toTokens('400'));
+            assert.equal((await fund.balanceOf(alice)).toString(), toTokens('400'));
+            assert.equal((await fund.totalAssets()).toString(), toTokens('1000'));
+        })
+    })
+
+    // Withdrawals
+    describe('Withdraw And Redeem', async () => {
+
+        // Only non-elligible shares should be redeemable for assets
+        it('Only non-elligible shares should be redeemable for assets', async () => {
+            await registerTrade(toTokens('400'), toTokens('1'));
+
+            // the assets back the non-elligible shares, elligible ones are claims on ETH
+            let totalAssets = await fund.totalAssets();
+            assert.equal(totalAssets.toString(), toTokens('600'));
+            assert.equal(totalAssets.toString(), (await fund.totalSupply()).sub(await fund.totalElligebleSupply()).toString());
+            assert.equal((await fund.totalNonElligebleSupply()).toString(), totalAssets.toString());
+            assert.equal((await fund.maxWithdraw(bob)).toString(), toTokens('360'));
+            assert.equal((await fund.maxRedeem(alice)).toString(), toTokens('240'));
+
+            await assert.isRejected(fund.withdraw(new BN(toTokens('360')).addn(1), bob, bob, { from: bob }), /ELLIGBLE_TOKEN_BURN_ON_NONELIG/);
+        })
+
+        // Share price should be read from the non-elligible supply
+        it('Share price should be read from the non-elligible supply', async () => {
+            let totalAssets = await fund.totalAssets();
+            let shares = await fund.totalNonElligebleSupply();
+            assert.equal((await fund.convertToAssets(shares)).toString(), totalAssets.toString());
+            assert.equal((await new OurFund(web3, fund.address, { abi: OurFundContract.abi }).totalNonElligebleSupply()).toString(), shares.toString());
+
+            // the ERC-4626 deviation: totalSupply also counts the elligible OURF, claims on the ETH reserve
+            let totalSupply = await fund.totalSupply();
+            assert.equal((await fund.convertToAssets(totalSupply)).sub(totalAssets).toString(), (await fund.totalElligebleSupply()).toString());
+        })
+
+        // Withdrawals should send the assets to the receiver
+        it('Withdrawals should send the assets to the receiver', async () => {
+            let balanceBefore = await token.balanceOf(alice);
+            let tx = await fund.withdraw(toTokens('60'), alice, bob, { from: bob });
+            let ev = expectEvent(tx, 'Withdraw');
+            assert.equal(ev.args.sender, bob);
+            assert.equal(ev.args.receiver, alice);
+            assert.equal(ev.args.owner, bob);
+            assert.equal(ev.args.assets.toString(), toTokens('60'));
+            assert.equal(ev.args.shares.toString(), toTokens('60'));
+
+            assert.equal((await token.balanceOf(alice)).sub(balanceBefore).toString(), toTokens('60'));
+            assert.equal((await fund.maxWithdraw(bob)).toString(), toTokens('300'));
+            assert.equal((await fund.accountElligebleToken(bob)).toString(), toTokens('240'));
+        })
+
+        // Redeeming on behalf of the owner should spend the allowance
+        it('Redeeming on behalf of the owner should spend the allowance', async () => {
+            await assert.isRejected(fund.redeem(toTokens('100'), spender, alice, { from: spender }), /INSUFFICIENT_ALLOWANCE/);
+
+            await fund.approve(spender, toTokens('150'), { from: alice });
+            let assets = await fund.redeem.call(toTokens('100'), spender, alice, { from: spender });
+            assert.equal(assets.toString(), toTokens('100'));
+            await fund.redeem(toTokens('100'), spender, alice, { from: spender });
+
+            assert.equal((await token.balanceOf(spender)).toString(), toTokens('100'));
+            assert.equal((await fund.allowance(alice, spender)).toString(), toTokens('50'));
+            assert.equal((await fund.maxRedeem(alice)).toString(), toTokens('140'));
+        })
+
+        // Paused vault should not take deposits nor withdrawals
+        it('Paused vault should not take deposits nor withdrawals', async () => {
+            await token.approve(fund.address, toTokens('1'), { from: alice });
+            await fund.pause({ from: owner });
+            for (let max of [fund.maxDeposit, fund.maxMint, fund.maxWithdraw, fund.maxRedeem]) {
+                assert.equal((await max(alice)).toString(), '0');
+            }
+            await assert.isRejected(fund.deposit(toTokens('1'), alice, { from: alice }), /paused/);
+            await assert.isRejected(fund.redeem(toTokens('1'), alice, alice, { from: alice }), /paused/);
+            await fund.unpause({ from: owner });
+        })
+
+        // SDK should deposit and redeem through the standard entry points
+        it('SDK should deposit and redeem through the standard entry points', async () => {
+            let wrapper = new OurFund(web3, fund.address, { abi: OurFundContract.abi, token: new OurToken(web3, token.address, { abi: OurTokenContract.abi }) });
+            let assetsBefore = await wrapper.totalAssets();
+            await wrapper.deposit(toTokens('25'), bob, { from: alice });
+            assert.equal((await wrapper.totalAssets()).sub(assetsBefore).toString(), toTokens('25'));
+            await wrapper.redeem(toTokens('25'), alice, bob, { from: bob });
+            assert.equal((await wrapper.totalAssets()).toString(), assetsBefore.toString());
+        })
+    })
+})
@@ -0,0 +1,334 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const {
+    toTokens,
+    fromTokens,
+    getCurrentTime,
+    increaseTime,
+    mineBlocks,
+    getBlockNumber,
+    expectEvent,
+    encodeBallotAbiData,
+    encodeDelegationAbiData,
+    signDigest,
+    getAccPrivate
+} = require('./utils/test-utils');
+
+// load contract artifacts
+const OurGovernanceTokenContract = artifacts.require('OurGovernanceToken');
+const OurGovernanceContract = artifacts.require('OurGovernance');
+const OurTimelockContract = artifacts.require('OurTimelock');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurTokenContract = artifacts.require('OurToken');
+
+// proposal states as ordered in OurGovernance.ProposalState
+const ProposalState = {
+    Pending: 0,
+    Active: 1,
+    Canceled: 2,
+    Defeated: 3,
+    Succeeded: 4,
+    Queued: 5,
+    Expired: 6,
+    Executed: 7
+};
+
+// OurGovernance & OurGovernanceToken contract test spec
+contract('OurGovernance', ([admin, proposer, voterA, voterB, delegatee, lp]) => {
+    let chainId;
+    let ourGov;
+    let govToken;
+    let timelock;
+    let ourDEX;
+    let ourToken;
+    let delay;
+    let gracePeriod;
+
+    // builds a single-action proposal changing the DEX swap fee
+    const swapFeeProposal = (fee) => ([
+        [ourDEX.address],
+        [0],
+        ['changeSwapFee(uint256)'],
+        [web3.eth.abi.encodeParameter('uint256', fee)]
+    ]);
+
+    // asserts the state of a proposal
+    const assertState = async (proposalId, expected) => {
+        let state = await ourGov.state(proposalId);
+        assert.equal(state.toNumber(), expected);
+    };
+
+    // moves a freshly created proposal past its voting delay so votes can be cast
+    const openVoting = async () => mineBlocks(2);
+
+    // moves an active proposal past its end block
+    const closeVoting = async (proposalId) => {
+        let { endBlock } = await ourGov.proposals(proposalId);
+        let current = await getBlockNumber();
+        await mineBlocks(endBlock.toNumber() - current + 1);
+    };
+
+    // init contract instances for test session
+    before(async () => {
+        chainId = await web3.eth.getChainId();
+        ourGov = await OurGovernanceContract.deployed();
+        govToken = await OurGovernanceTokenContract.deployed();
+        timelock = await OurTimelockContract.deployed();
+        ourDEX = await OurDEXContract.deployed();
+        ourToken = await OurTokenContract.deployed();
+
+        delay = (await timelock.delay()).toNumber();
+        gracePeriod = (await timelock.GRACE_PERIOD()).toNumber();
+
+        // distribute OURG: voters above quorum, proposer above threshold
+        await govToken.transfer(voterA, toTokens('500000'), { from: admin });
+        await govToken.transfer(voterB, toTokens('400000'), { from: admin });
+        await govToken.transfer(proposer, toTokens('150000'), { from: admin });
+    })
+
+    // OurGovernanceToken has to track voting power through delegation checkpoints
+    describe('OurGovernanceToken Delegation', async () => {
+        let checkpointBlock;
+
+        // Undelegated balances carry no votes
+        it('Undelegated balances carry no votes', async () => {
+            let votes = await govToken.getCurrentVotes(voterA);
+            assert.equal(votes.toString(), '0');
+        })
+
+        // Holder should be able to delegate to themselves
+        it('Holder should be able to delegate to themselves', async () => {
+            let tx = await govToken.delegate(voterA, { from: voterA });
+            let ev = expectEvent(tx, 'DelegateVotesChanged');
+            checkpointBlock = tx.receipt.blockNumber;
+
+            assert.equal(ev.args.delegate, voterA);
+            assert.equal(fromTokens(ev.args.newBalance), 500000);
+            assert.equal(fromTokens(await govToken.getCurrentVotes(voterA)), 500000);
+            assert.equal((await govToken.numCheckpoints(voterA)).toNumber(), 1);
+        })
+
+        // Transfers should move votes and write a new checkpoint
+        it('Transfers should move votes and write a new checkpoint', async () => {
+            await govToken.transfer(lp, toTokens('100000'), { from: voterA });
+
+            assert.equal(fromTokens(await govToken.getCurrentVotes(voterA)), 400000);
+            assert.equal((await govToken.numCheckpoints(voterA)).toNumber(), 2);
+        })
+
+        // Prior votes should be read from checkpoints
+        it('Prior votes should be read from checkpoints', async () => {
+            await mineBlocks(1);
+            let current = await getBlockNumber();
+
+            assert.equal(fromTokens(await govToken.getPriorVotes(voterA, checkpointBlock - 1)), 0);
+            assert.equal(fromTokens(await govToken.getPriorVotes(voterA, checkpointBlock)), 500000);
+            assert.equal(fromTokens(await govToken.getPriorVotes(voterA, current - 1)), 400000);
+            await assert.isRejected(govToken.getPriorVotes(voterA, current + 1), /not yet determined/);
+        })
+
+        // Holder should be able to delegate by signature
+        it('Holder should be able to delegate by signature', async () => {
+            let nonce = await govToken.nonces(voterB);
+            let expiry = await getCurrentTime(3600);
+            let digest = encodeDelegationAbiData(delegatee, nonce, expiry, await govToken.name(), chainId, govToken.address);
+            let { v, r, s } = signDigest(digest, getAccPrivate(voterB));
+
+            // anyone can relay the signed delegation
+            await govToken.delegateBySig(delegatee, nonce, expiry, v, r, s, { from: admin });
+
+            assert.equal(await govToken.delegates(voterB), delegatee);
+            assert.equal(fromTokens(await govToken.getCurrentVotes(delegatee)), 400000);
+
+            // the same signature can't be replayed
+            await assert.isRejected(govToken.delegateBySig(delegatee, nonce, expiry, v, r, s, { from: admin }), /invalid nonce/);
+        })
+
+        // Expired delegation signature should be rejected
+        it('Expired delegation signature should be rejected', async () => {
+            let nonce = await govToken.nonces(voterB);
+            let expiry = await getCurrentTime(-10);
+            let digest = encodeDelegationAbiData(voterB, nonce, expiry, await govToken.name(), chainId, govToken.address);
+            let { v, r, s } = signDigest(digest, getAccPrivate(voterB));
+
+            await assert.isRejected(govToken.delegateBySig(voterB, nonce, expiry, v, r, s, { from: admin }), /signature expired/);
+        })
+    })
+
+    // OurGovernance proposals have to follow their lifecycle
+    describe('OurGovernance Proposal Lifecycle', async () => {
+        let defeatedId;
+        let expiredId;
+
+        // Account below threshold should not be able to propose
+        it('Account below threshold should not be able to propose', async () => {
+            await assert.isRejected(
+                ourGov.propose(...swapFeeProposal(5), 'below threshold', { from: proposer }),
+                /proposer votes below proposal threshold/
+            );
+        })
+
+        // Proposal arity should be checked
+        it('Proposal arity should be checked', async () => {
+            await govToken.delegate(proposer, { from: proposer });
+            await mineBlocks(1);
+            let [targets, values, signatures] = swapFeeProposal(5);
+            await assert.isRejected(
+                ourGov.propose(targets, values, signatures, [], 'arity mismatch', { from: proposer }),
+                /arity mismatch/
+            );
+        })
+
+        // Proposal should go Pending -> Active -> Defeated
+        it('Proposal should go Pending -> Active -> Defeated', async () => {
+            let tx = await ourGov.propose(...swapFeeProposal(5), 'defeated proposal', { from: proposer });
+            defeatedId = expectEvent(tx, 'ProposalCreated').args.id;
+            await assertState(defeatedId, ProposalState.Pending);
+
+            // votes can't be cast before the voting delay
+            await assert.isRejected(ourGov.castVote(defeatedId, true, { from: voterA }), /voting is closed/);
+
+            await openVoting();
+            await assertState(defeatedId, ProposalState.Active);
+
+            // proposer can't have two live proposals
+            await assert.isRejected(
+                ourGov.propose(...swapFeeProposal(6), 'second live proposal', { from: proposer }),
+                /one live proposal per proposer/
+            );
+
+            await ourGov.castVote(defeatedId, false, { from: voterA });
+            await ourGov.castVote(defeatedId, true, { from: proposer });
+            await assert.isRejected(ourGov.castVote(defeatedId, true, { from: voterA }), /voter already voted/);
+
+            let receipt = await ourGov.getReceipt(defeatedId, voterA);
+            assert.ok(receipt.hasVoted);
+            assert.ok(!receipt.support);
+            assert.equal(fromTokens(receipt.votes), 400000);
+
+            await closeVoting(defeatedId);
+            await assertState(defeatedId, ProposalState.Defeated);
+        })
+
+        // Defeated proposal should not be queued
+        it('Defeated proposal should not be queued', async () => {
+            await assert.isRejected(ourGov.queue(defeatedId), /can only be queued if it is succeeded/);
+        })
+
+        // Votes cast by signature should be counted for the signatory
+        it('Votes cast by signature should be counted for the signatory', async () => {
+            let tx = await ourGov.propose(...swapFeeProposal(5), 'expired proposal', { from: proposer });
+            expiredId = expectEvent(tx, 'ProposalCreated').args.id;
+            await openVoting();
+
+            let digest = encodeBallotAbiData(expiredId, true, await ourGov.name(), chainId, ourGov.address);
+            let { v, r, s } = signDigest(digest, getAccPrivate(delegatee));
+
+            // relayed by an account holding no votes
+            tx = await ourGov.castVoteBySig(expiredId, true, v, r, s, { from: lp });
+            let ev = expectEvent(tx, 'VoteCast');
+            assert.equal(ev.args.voter, delegatee);
+            assert.equal(fromTokens(ev.args.votes), 400000);
+
+            await ourGov.castVote(expiredId, true, { from: voterA });
+            let proposal = await ourGov.proposals(expiredId);
+            assert.equal(fromTokens(proposal.forVotes), 800000);
+        })
+
+        // Proposal should go Succeeded -> Queued -> Expired
+        it('Proposal should go Succeeded -> Queued -> Expired', async () => {
+            await closeVoting(expiredId);
+            await assertState(expiredId, ProposalState.Succeeded);
+
+            let tx = await ourGov.queue(expiredId);
+            let ev = expectEvent(tx, 'ProposalQueued');
+            assert.ok(ev.args.eta.toNumber() >= (await getCurrentTime(delay)) - 5);
+            await assertState(expiredId, ProposalState.Queued);
+
+            await increaseTime(delay + gracePeriod + 1);
+            await assertState(expiredId, ProposalState.Expired);
+            await assert.isRejected(ourGov.execute(expiredId), /can only be executed if it is queued/);
+        })
+    })
+
+    // OurGovernance guardian powers
+    describe('OurGovernance Guardian', async () => {
+
+        // Proposer above threshold can only be canceled by the guardian
+        it('Proposer above threshold can only be canceled by the guardian', async () => {
+            let tx = await ourGov.propose(...swapFeeProposal(5), 'canceled proposal', { from: proposer });
+            let proposalId = expectEvent(tx, 'ProposalCreated').args.id;
+
+            await assert.isRejected(ourGov.cancel(proposalId, { from: voterA }), /proposer above threshold/);
+
+            tx = await ourGov.cancel(proposalId, { from: admin });
+            assert.ok(expectEvent(tx, 'ProposalCanceled'));
+            await assertState(proposalId, ProposalState.Canceled);
+        })
+
+        // Non-guardian should not be able to abdicate
+        it('Non-guardian should not be able to abdicate', async () => {
+            await assert.isRejected(ourGov.__abdicate({ from: voterA }), /sender must be gov guardian/);
+        })
+    })
+
+    // Governance has to be the only path to change the protocol parameters
+    describe('OurGovernance Timelock Execution', async () => {
+        let proposalId;
+        let quoteBefore;
+
+        // Swap fee should not be changeable outside of governance
+        it('Swap fee should not be changeable outside of governance', async () => {
+            await assert.isRejected(ourDEX.changeSwapFee(10, { from: admin }), /caller is not the owner/);
+        })
+
+        // Proposal to change the swap fee should be executed through the timelock
+        it('Proposal to change the swap fee should be executed through the timelock', async () => {
+            // seed the pool to read quotes before and after the change
+            await ourToken.mint(admin, toTokens('100000'), { from: admin });
+            await ourToken.approve(ourDEX.address, toTokens('100000'), { from: admin });
+            await ourDEX.addLiquidity(toTokens('100000'), toTokens('100000'), toTokens('100000'), await getCurrentTime(500), { from: admin, value: toTokens('10') });
+            quoteBefore = await ourDEX.getQuoteForOURT(toTokens('1'));
+
+            let tx = await ourGov.propose(...swapFeeProposal(10), 'set swap fee', { from: proposer });
+            proposalId = expectEvent(tx, 'ProposalCreated').args.id;
+            await openVoting();
+            await ourGov.castVote(proposalId, true, { from: voterA });
+            await ourGov.castVote(proposalId, true, { from: delegatee });
+            await closeVoting(proposalId);
+            await ourGov.queue(proposalId);
+
+            // the timelock delay must pass before execution
+            await assert.isRejected(ourGov.execute(proposalId), /hasn't surpassed time lock/);
+            await increaseTime(delay + 1);
+
+            tx = await ourGov.execute(proposalId);
+            assert.ok(expectEvent(tx, 'ProposalExecuted'));
+            await assertState(proposalId, ProposalState.Executed);
+
+            let quoteAfter = await ourDEX.getQuoteForOURT(toTokens('1'));
+            assert.ok(quoteAfter.gt(quoteBefore));
+        })
+
+        // Executed proposal should not be canceled
+        it('Executed proposal should not be canceled', async () => {
+            await assert.isRejected(ourGov.cancel(proposalId, { from: admin }), /cannot cancel executed proposal/);
+        })
+
+        // Guardian should be able to abdicate and lose its powers
+        it('Guardian should be able to abdicate and lose its powers', async () => {
+            await ourGov.__abdicate({ from: admin });
+            assert.equal(await ourGov.guardian(), '0x0000000000000000000000000000000000000000');
+            await assert.isRejected(ourGov.__acceptAdmin({ from: admin }), /sender must be gov guardian/);
+        })
+    })
+})
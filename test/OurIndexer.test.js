@@ -0,0 +1,276 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, mineBlocks, getBlockNumber, rpc } = require('./utils/test-utils');
+
+// importing indexer
+const IndexerStore = require('../indexer/IndexerStore');
+const { OurIndexer } = require('../indexer/OurIndexer');
+const { createApi } = require('../indexer/api');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+const OurGovernanceTokenContract = artifacts.require('OurGovernanceToken');
+const OurGovernanceContract = artifacts.require('OurGovernance');
+const OurTimelockContract = artifacts.require('OurTimelock');
+
+const LOCKED_LIQUIDITY_HOLDER = '0x000000000000000000000000000000000000dEaD';
+
+// Protocol event indexer test spec
+contract('OurIndexer', ([admin, bot, lp1, lp2, trader, staker, stranger]) => {
+    let token;
+    let dex;
+    let fund;
+    let governance;
+    let deadline;
+    let store;
+    let indexer;
+    let api;
+    let baseUrl;
+    let logs;
+
+    // reads `path` from the API
+    const get = async (path) => {
+        let res = await fetch(baseUrl + path);
+        return { status: res.status, body: await res.json() };
+    }
+
+    // trader buys OURT with `amountETH`
+    const buyOURT = async (amountETH) => {
+        let quote = await dex.getQuoteForOURT(amountETH);
+        await dex.buyOURT(quote, quote, deadline, { from: trader, value: amountETH, gas: 500000 });
+        return quote;
+    }
+
+    // deploys the pool, the fund and the governance chain, then indexes them from the next block
+    before(async () => {
+        token = await OurTokenContract.new({ from: admin });
+        for (let account of [lp1, trader, staker]) {
+            await token.mint(account, toTokens('1000000'), { from: admin });
+        }
+        deadline = await getCurrentTime(1000000);
+
+        dex = await OurDEXContract.new(token.address, 30, { from: admin });
+        fund = await OurFundContract.new(dex.address, token.address, bot, admin, { from: admin });
+
+        let govToken = await OurGovernanceTokenContract.new(admin, { from: admin });
+        let timelock = await OurTimelockContract.new(admin, 2 * 24 * 60 * 60, { from: admin });
+        governance = await OurGovernanceContract.new(timelock.address, govToken.address, admin, { from: admin });
+        await timelock.setPendingAdmin(governance.address, { from: admin });
+        await governance.__acceptAdmin({ from: admin });
+        await govToken.delegate(admin, { from: admin });
+
+        logs = [];
+        const log = (message) => logs.push(message);
+        store = new IndexerStore();
+        indexer = new OurIndexer({
+            web3,
+            store,
+            contracts: { dex: dex.contract, fund: fund.contract, governance: governance.contract },
+            startBlock: await getBlockNumber() + 1,
+            batchSize: 5000,
+            logger: { info: log, warn: log, error: log }
+        });
+
+        api = createApi(store, {
+            quorumVotes: (await governance.quorumVotes()).toString(),
+            gracePeriod: (await timelock.GRACE_PERIOD()).toNumber()
+        });
+        await new Promise(resolve => api.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${api.address().port}`;
+    })
+
+    after(async () => {
+        api.close();
+        store.close();
+    })
+
+    // Pool events
+    describe('Pool Events', async () => {
+
+        // Indexer should store the pool events
+        it('Indexer should store the pool events', async () => {
+            await token.approve(dex.address, toTokens('10000'), { from: lp1 });
+            await dex.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), deadline, { from: lp1, value: toTokens('10') });
+            await buyOURT(toTokens('1'));
+            await buyOURT(toTokens('0.5'));
+
+            let head = await indexer.sync();
+            let latest = await web3.eth.getBlock('latest');
+            assert.equal(head.number, latest.number);
+            assert.equal(head.hash, latest.hash);
+            assert.equal(store.getEvents('dex', 'Mint').length, 1);
+            assert.equal(store.getEvents('dex', 'Swap').length, 2);
+            assert.equal(store.getEvents('dex', 'Sync').length, 3);
+
+            let swap = store.getEvents('dex', 'Swap')[0];
+            assert.equal(swap.args.sender, trader);
+            assert.equal(swap.args.amountETHIn, toTokens('1'));
+            assert.equal(swap.args.amountOURTIn, '0');
+
+            // syncing again finds nothing new
+            let { body } = await get('/status');
+            assert.equal(body.head.number, head.number);
+            await indexer.sync();
+            assert.equal((await get('/status')).body.events, body.events);
+        })
+
+        // API should serve the pool volume and candles
+        it('API should serve the pool volume and candles', async () => {
+            let quote = await buyOURT(toTokens('2'));
+            await indexer.sync();
+
+            let { body: volume } = await get('/pool/volume');
+            assert.equal(volume.swaps, 3);
+            assert.equal(volume.volumeETH, toTokens('3.5'));
+            assert.ok(new BN(volume.volumeOURT).gt(quote));
+
+            // nothing before the pool existed
+            let { body: empty } = await get('/pool/volume?to=1');
+            assert.equal(empty.swaps, 0);
+
+            let { body: candles } = await get('/pool/candles?interval=86400');
+            let reserves = await dex.getReserves();
+            let last = candles[candles.length - 1];
+            assert.equal(last.close, reserves['0'].mul(new BN(toTokens('1'))).div(reserves['1']).toString());
+            assert.equal(candles[0].open, new BN(toTokens('10')).mul(new BN(toTokens('1'))).div(new BN(toTokens('10000'))).toString());
+            assert.ok(new BN(last.high).gte(new BN(last.low)));
+            assert.equal(candles.reduce((total, candle) => total.add(new BN(candle.volumeETH)), new BN(0)).toString(), toTokens('3.5'));
+        })
+
+        // API should serve the LP positions
+        it('API should serve the LP positions', async () => {
+            let balance = await dex.balanceOf(lp1);
+            await dex.transfer(lp2, balance.divn(4), { from: lp1 });
+            await indexer.sync();
+
+            let { body: positions } = await get('/lp/positions');
+            assert.deepEqual(positions.map(lp => lp.account), [lp1, lp2, LOCKED_LIQUIDITY_HOLDER]);
+            assert.equal(positions[0].balanceOURX, (await dex.balanceOf(lp1)).toString());
+            assert.equal(positions[0].depositedETH, toTokens('10'));
+
+            let { status, body: position } = await get(`/lp/positions/${lp2.toLowerCase()}`);
+            assert.equal(status, 200);
+            assert.equal(position.balanceOURX, balance.divn(4).toString());
+            let value = await dex.calculateOnBurnValue(balance.divn(4));
+            assert.equal(position.valueETH, value.amountETH.toString());
+            assert.equal(position.depositedETH, '0');
+
+            assert.equal((await get(`/lp/positions/${stranger}`)).status, 404);
+        })
+
+        // Indexer should roll back reorganized blocks
+        it('Indexer should roll back reorganized blocks', async () => {
+            let snapshot = await rpc('evm_snapshot');
+            await buyOURT(toTokens('1'));
+            await indexer.sync();
+            assert.equal(store.getEvents('dex', 'Swap').length, 4);
+
+            // the swap is dropped from the chain and another one takes its block
+            await rpc('evm_revert', [snapshot]);
+            await buyOURT(toTokens('0.25'));
+            await indexer.sync();
+
+            let swaps = store.getEvents('dex', 'Swap');
+            assert.equal(swaps.length, 4);
+            assert.equal(swaps[3].args.amountETHIn, toTokens('0.25'));
+            assert.equal(store.getHead().hash, (await web3.eth.getBlock('latest')).hash);
+            assert.match(logs[logs.length - 1], /rolled back to block/);
+        })
+    })
+
+    // Fund events
+    describe('Fund Events', async () => {
+
+        // Indexer should store the fund events
+        it('Indexer should store the fund events', async () => {
+            await token.approve(fund.address, toTokens('1000'), { from: staker });
+            await fund.addToFund(toTokens('1000'), deadline, { from: staker });
+            let quote = await dex.getQuoteForETH(toTokens('100'));
+            await fund.executeTrade(toTokens('100'), quote, deadline, { from: bot, gas: 500000 });
+            await indexer.sync();
+
+            let [mint] = store.getEvents('fund', 'Mint');
+            assert.equal(mint.args.sender, staker);
+            assert.equal(mint.args.mintedADNS, toTokens('1000'));
+            let [trade] = store.getEvents('fund', 'RegisteredTrade');
+            assert.equal(trade.args.spentToken, toTokens('100'));
+            assert.equal(trade.args.boughtETH, quote.toString());
+
+            // the fund sale is a pool swap too
+            assert.equal((await get('/pool/volume')).body.swaps, 5);
+        })
+    })
+
+    // Governance events
+    describe('Proposal Events', async () => {
+        const proposal = (fee) => ([
+            [dex.address],
+            [0],
+            ['changeSwapFee(uint256)'],
+            [web3.eth.abi.encodeParameter('uint256', fee)]
+        ]);
+
+        // proposal state served by the API
+        const proposalState = async (id) => (await get(`/governance/proposals/${id}`)).body.state;
+
+        // API should follow the proposal states
+        it('API should follow the proposal states', async () => {
+            await governance.propose(...proposal(50), 'raise the swap fee', { from: admin });
+            await indexer.sync();
+            assert.equal(await proposalState(1), 'Pending');
+
+            await mineBlocks(2);
+            await governance.castVote(1, true, { from: admin });
+            await indexer.sync();
+            let { body } = await get('/governance/proposals/1');
+            assert.equal(body.state, 'Active');
+            assert.equal(body.voters, 1);
+            assert.equal(body.forVotes, (await governance.proposals(1)).forVotes.toString());
+            assert.equal(body.description, 'raise the swap fee');
+
+            let { endBlock } = await governance.proposals(1);
+            await mineBlocks(endBlock.toNumber() - await getBlockNumber() + 1);
+            await indexer.sync();
+            assert.equal(await proposalState(1), 'Succeeded');
+
+            await governance.queue(1, { from: admin });
+            await indexer.sync();
+            assert.equal(await proposalState(1), 'Queued');
+            assert.equal((await governance.state(1)).toNumber(), 5);
+
+            await governance.propose(...proposal(40), 'lower the swap fee', { from: admin });
+            await governance.cancel(2, { from: admin });
+            await indexer.sync();
+            let { body: proposals } = await get('/governance/proposals');
+            assert.deepEqual(proposals.map(p => p.state), ['Queued', 'Canceled']);
+        })
+    })
+
+    // API errors
+    describe('API Errors', async () => {
+
+        // API should reject unknown routes and bad parameters
+        it('API should reject unknown routes and bad parameters', async () => {
+            let { status, body } = await get('/pool/candles?interval=7');
+            assert.equal(status, 400);
+            assert.match(body.error, /interval must be one of/);
+            assert.equal((await get('/pool/volume?from=-1')).status, 400);
+            assert.equal((await get('/governance/proposals/99')).status, 404);
+            assert.equal((await get('/pools')).status, 404);
+        })
+    })
+})
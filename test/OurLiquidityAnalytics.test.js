@@ -0,0 +1,236 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime } = require('./utils/test-utils');
+
+// importing SDK
+const { OurDEX, liquidityAnalytics } = require('../index');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurPairContract = artifacts.require('OurPair');
+const OurDEXFactoryContract = artifacts.require('OurDEXFactory');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// keyless address holding the locked shares
+const DEAD = '0x000000000000000000000000000000000000dEaD';
+
+// LP position analytics test spec
+contract('OurLiquidityAnalytics', ([owner, lp1, lp2, trader]) => {
+    let token;
+    let deadline;
+
+    // deploy the token for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        for (let account of [lp1, lp2, trader]) {
+            await token.mint(account, toTokens('1000000'), { from: owner });
+        }
+        deadline = await getCurrentTime(1000000);
+    })
+
+    // deploys a 10 ETH / 10000 OURT pool provided by lp1
+    const deployPool = async (fee) => {
+        let dex = await OurDEXContract.new(token.address, fee, { from: owner });
+        await token.approve(dex.address, toTokens('10000'), { from: lp1 });
+        await dex.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), deadline, { from: lp1, value: toTokens('10') });
+        return dex;
+    }
+
+    // trader buys OURT with `amountETH`
+    const buyOURT = async (dex, amountETH) => {
+        let quote = await dex.getQuoteForOURT(toTokens(amountETH));
+        await dex.buyOURT(quote, quote, deadline, { from: trader, value: toTokens(amountETH), gas: 500000 });
+        return quote;
+    }
+
+    // trader sells `amountOURT` for ETH
+    const sellOURT = async (dex, amountOURT) => {
+        let quote = await dex.getQuoteForETH(amountOURT);
+        await token.approve(dex.address, amountOURT, { from: trader });
+        await dex.sellOURT(amountOURT, quote, quote, deadline, { from: trader, gas: 500000 });
+    }
+
+    const sdk = (dex) => new OurDEX(web3, dex.address, { abi: OurDEXContract.abi });
+
+    // On-chain records
+    describe('Liquidity Records', async () => {
+
+        // OURX transfers should be recorded for both accounts
+        it('OURX transfers should be recorded for both accounts', async () => {
+            let dex = await deployPool(30);
+            let minted = await dex.balanceOf(lp1);
+            let half = minted.divn(2);
+            let value = await dex.calculateOnBurnValue(half);
+            await dex.transfer(lp2, half, { from: lp1 });
+
+            let sent = await sdk(dex).getLiquidityRecords(lp1);
+            assert.equal(sent.length, 2);
+            assert.isNull(sent[0].counterparty);
+            assert.equal(sent[0].amountOURX.toString(), minted.toString());
+            assert.equal(sent[1].counterparty, lp2);
+            assert.isFalse(sent[1].isDeposit);
+            assert.equal(sent[1].amountOURX.toString(), half.toString());
+            assert.equal(sent[1].amountETH.toString(), value.amountETH.toString());
+
+            let received = await sdk(dex).getLiquidityRecords(lp2);
+            assert.equal(received.length, 1);
+            assert.isTrue(received[0].isDeposit);
+            assert.equal(received[0].counterparty, lp1);
+            assert.equal(received[0].amountOURT.toString(), value.amountOURT.toString());
+
+            // a burn records the OURX it took
+            await dex.removeLiquidity(half, deadline, { from: lp2 });
+            let { record, total } = await dex.getAccountLiquidityHistory(lp2, 1, { from: lp2 });
+            assert.equal(total.toNumber(), 2);
+            assert.equal(record.counterparty, ZERO_ADDRESS);
+            assert.equal(record.amountOURX, half.toString());
+            await assert.isRejected(dex.getAccountLiquidityHistory(lp2, 0, { from: lp1 }), /ACCESS_REJECTED_INVALID_ADDRESS/);
+        })
+
+        // Empty and locked share transfers should not be recorded
+        it('Empty and locked share transfers should not be recorded', async () => {
+            let dex = await deployPool(30);
+            await dex.transfer(lp2, 0, { from: trader });
+            await dex.transfer(lp2, 0, { from: lp1 });
+            await dex.transfer(DEAD, 1, { from: lp1 });
+            assert.equal((await sdk(dex).getLiquidityRecords(lp1)).length, 1);
+            assert.equal((await sdk(dex).getLiquidityRecords(lp2)).length, 0);
+        })
+
+        // Records should be read page by page
+        it('Records should be read page by page', async () => {
+            let dex = await deployPool(30);
+            let part = (await dex.balanceOf(lp1)).divn(10);
+            for (let i = 0; i < 4; i++) {
+                await dex.transfer(lp2, part, { from: lp1 });
+            }
+            let records = await sdk(dex).getLiquidityRecords(lp1, { pageSize: 2 });
+            assert.equal(records.length, 5);
+            assert.deepEqual(records.map(r => r.isDeposit), [true, false, false, false, false]);
+            assert.ok(records.slice(1).every(r => r.counterparty === lp2 && r.amountOURX.eq(part)));
+        })
+
+        // Pair transfers should be recorded for both accounts
+        it('Pair transfers should be recorded for both accounts', async () => {
+            let factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+            let tokenB = await OurTokenContract.new({ from: owner });
+            await tokenB.mint(lp1, toTokens('1000'), { from: owner });
+            await factory.createPair(token.address, tokenB.address, { from: lp1 });
+            let pair = await OurPairContract.at(await factory.getPair(token.address, tokenB.address));
+            await token.approve(pair.address, toTokens('1000'), { from: lp1 });
+            await tokenB.approve(pair.address, toTokens('1000'), { from: lp1 });
+            await pair.addLiquidity(toTokens('1000'), toTokens('1000'), toTokens('1000'), toTokens('1000'), deadline, { from: lp1 });
+
+            let half = (await pair.balanceOf(lp1)).divn(2);
+            let value = await pair.calculateOnBurnValue(half);
+            await pair.transfer(lp2, half, { from: lp1 });
+            await pair.transfer(lp2, 0, { from: lp1 });
+
+            let sent = await pair.getAccountLiquidityHistory(lp1, 1, { from: lp1 });
+            assert.equal(sent.total.toNumber(), 2);
+            assert.isFalse(sent.record.isdeposit);
+            assert.equal(sent.record.counterparty, lp2);
+            assert.equal(sent.record.amountOURX, half.toString());
+            let received = await pair.getAccountLiquidityHistory(lp2, 0, { from: lp2 });
+            assert.equal(received.total.toNumber(), 1);
+            assert.isTrue(received.record.isdeposit);
+            assert.equal(received.record.amount0, value.amount0.toString());
+        })
+    })
+
+    // Position analytics
+    describe('Position Analytics', async () => {
+
+        // Price moves should show as impermanent loss
+        it('Price moves should show as impermanent loss', async () => {
+            let dex = await deployPool(0);
+            // 10 ETH in: 20 ETH / 5000 OURT, OURT is worth 4 times as much
+            await buyOURT(dex, '10');
+
+            let analytics = await liquidityAnalytics.getPositionAnalytics(sdk(dex), lp1);
+            assert.equal(analytics.costETH.toString(), toTokens('10'));
+            assert.equal(analytics.costOURT.toString(), toTokens('10000'));
+            assert.equal(analytics.amountOURX.toString(), analytics.balanceOURX.toString());
+            assert.equal(analytics.untrackedOURX.toString(), '0');
+
+            // holding is worth 10 + 10000 * 0.004 = 50 ETH, the position 2 * 20 = 40 ETH
+            assert.closeTo(Number(web3.utils.fromWei(analytics.holdValueETH)), 50, 1e-9);
+            assert.closeTo(Number(web3.utils.fromWei(analytics.valueETH)), 40, 1e-9);
+            // 2 * sqrt(4) / (1 + 4) - 1
+            assert.closeTo(analytics.impermanentLoss, -0.2, 1e-9);
+            assert.ok(analytics.feesETH.lt(new BN(1000)));
+            assert.equal(analytics.pnlETH.toString(), analytics.feesETH.add(analytics.impermanentLossETH).toString());
+        })
+
+        // Swap fees should be earned on top of the impermanent loss
+        it('Swap fees should be earned on top of the impermanent loss', async () => {
+            let dex = await deployPool(100);
+            // a round trip brings the price back, the 1% fees stay in the pool
+            let bought = await buyOURT(dex, '1');
+            await sellOURT(dex, bought);
+
+            let analytics = await liquidityAnalytics.getPositionAnalytics(sdk(dex), lp1);
+            // about 1% of the 1 ETH in and of the ~0.99 ETH worth of OURT in
+            let fees = Number(web3.utils.fromWei(analytics.feesETH));
+            assert.ok(fees > 0.018 && fees < 0.022, `fees ${fees}`);
+            assert.ok(analytics.impermanentLoss > -0.001);
+            assert.ok(analytics.pnlETH.gt(new BN(0)));
+        })
+
+        // Transfers should move the cost basis between accounts
+        it('Transfers should move the cost basis between accounts', async () => {
+            let dex = await deployPool(0);
+            await buyOURT(dex, '10');
+
+            let quarter = (await dex.balanceOf(lp1)).divn(4);
+            await dex.transfer(lp2, quarter, { from: lp1 });
+            let sender = await liquidityAnalytics.getPositionAnalytics(sdk(dex), lp1);
+            let receiver = await liquidityAnalytics.getPositionAnalytics(sdk(dex), lp2);
+
+            // the sender keeps 3/4 of its basis and its loss
+            assert.closeTo(Number(web3.utils.fromWei(sender.costETH)), 7.5, 1e-9);
+            assert.closeTo(sender.impermanentLoss, -0.2, 1e-9);
+            assert.equal(sender.sentOURX.toString(), quarter.toString());
+
+            // the receiver bought in at today's price: nothing lost yet
+            assert.equal(receiver.receivedOURX.toString(), quarter.toString());
+            assert.equal(receiver.depositedETH.toString(), '0');
+            assert.closeTo(Number(web3.utils.fromWei(receiver.costETH)), 5, 1e-9);
+            assert.closeTo(receiver.impermanentLoss, 0, 1e-9);
+
+            // withdrawals close the position at average cost
+            await dex.removeLiquidity(quarter, deadline, { from: lp1 });
+            sender = await liquidityAnalytics.getPositionAnalytics(sdk(dex), lp1);
+            assert.closeTo(Number(web3.utils.fromWei(sender.costETH)), 5, 1e-9);
+            assert.closeTo(Number(web3.utils.fromWei(sender.withdrawnETH)), 5, 1e-9);
+            assert.closeTo(sender.impermanentLoss, -0.2, 1e-9);
+        })
+
+        // Replays should clamp removals to the open position
+        it('Replays should clamp removals to the open position', async () => {
+            let record = (isDeposit, eth, ourt, ourx) => ({ isDeposit, counterparty: null, amountETH: new BN(eth), amountOURT: new BN(ourt), amountOURX: new BN(ourx) });
+            let position = liquidityAnalytics.replayPosition([record(true, 100, 400, 200), record(false, 150, 600, 300)]);
+            assert.equal(position.amountOURX.toString(), '0');
+            assert.equal(position.costETH.toString(), '0');
+            assert.equal(position.liquidity.toString(), '0');
+            assert.equal(position.withdrawnOURT.toString(), '600');
+
+            assert.equal(liquidityAnalytics.sqrt(new BN(40000)).toString(), '200');
+            assert.equal(liquidityAnalytics.sqrt(new BN(39999)).toString(), '199');
+        })
+    })
+})
@@ -0,0 +1,197 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, ZERO_ADDRESS } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurDEXContract = artifacts.require('OurDEX');
+const OurPairContract = artifacts.require('OurPair');
+const OurDEXFactoryContract = artifacts.require('OurDEXFactory');
+const OurTokenContract = artifacts.require('OurToken');
+
+// keyless address holding the locked shares
+const DEAD = '0x000000000000000000000000000000000000dEaD';
+const MINIMUM_LIQUIDITY = 1000;
+
+// Minimum liquidity test spec
+contract('OurMinimumLiquidity', ([owner, lp, attacker, victim]) => {
+    let token;
+    let deadline;
+
+    // deploy the token for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        for (let account of [lp, attacker, victim]) {
+            await token.mint(account, toTokens('1000000'), { from: owner });
+        }
+        deadline = await getCurrentTime(100000);
+    })
+
+    // deposits `amountETH` wei and the OURT the pool asks for, returns the minted OURX
+    const deposit = async (dex, amountETH, from) => {
+        let req = await dex.calcLiquidityRequirementETH(amountETH);
+        await token.approve(dex.address, req._reqOURT, { from });
+        await dex.addLiquidity(req._reqOURT, req._reqOURT, req._reqOURT, deadline, { from, value: amountETH });
+        return req;
+    }
+
+    // Lock of the first shares
+    describe('Minimum Liquidity Lock', async () => {
+        let dex;
+
+        before(async () => {
+            dex = await OurDEXContract.new(token.address, 30, { from: owner });
+        })
+
+        // First deposit should not mint less than the locked liquidity
+        it('First deposit should not mint less than the locked liquidity', async () => {
+            await token.approve(dex.address, toTokens('1'), { from: lp });
+            await assert.isRejected(dex.addLiquidity(1000, 1000, 1000, deadline, { from: lp, value: 1000 }), /MINIMUM_POOL_LIQUIDITY/);
+        })
+
+        // Requirement views should reflect the lock on an empty pool
+        it('Requirement views should reflect the lock on an empty pool', async () => {
+            // the first deposit sets the price, a single amount can't be matched
+            let req = await dex.calcLiquidityRequirementETH(toTokens('10'));
+            assert.deepEqual([req._reqETH.toString(), req._reqOURT.toString(), req._mintedOURX.toString()], [toTokens('10'), '0', '0']);
+            req = await dex.calcLiquidityRequirementOURT(toTokens('1000'));
+            assert.deepEqual([req._reqETH.toString(), req._reqOURT.toString(), req._mintedOURX.toString()], ['0', toTokens('1000'), '0']);
+
+            assert.equal((await dex.calcMintedOURX(toTokens('10'), toTokens('1000'))).toString(), new BN(toTokens('100')).subn(MINIMUM_LIQUIDITY).toString());
+            assert.equal((await dex.calcMintedOURX(1000, 1000)).toString(), '0');
+        })
+
+        // Lock should not be adjustable
+        it('Lock should not be adjustable', async () => {
+            assert.equal((await dex.MINIMUM_LIQUIDITY()).toNumber(), MINIMUM_LIQUIDITY);
+            assert.isUndefined(dex.changeMinLiquidity);
+            let bounds = await dex.getLiquidityBounds();
+            assert.equal(bounds[0].toNumber(), MINIMUM_LIQUIDITY);
+            assert.equal(bounds[1].toString(), (await dex.MAXIMUM_LIQUIDITY()).toString());
+        })
+
+        // First deposit should permanently lock the minimum liquidity
+        it('First deposit should permanently lock the minimum liquidity', async () => {
+            await token.approve(dex.address, toTokens('1000'), { from: lp });
+            await dex.addLiquidity(toTokens('1000'), toTokens('1000'), toTokens('1000'), deadline, { from: lp, value: toTokens('10') });
+
+            // sqrt(10 ETH * 1000 OURT) == 100 OURX, minus the lock
+            assert.equal((await dex.balanceOf(DEAD)).toNumber(), MINIMUM_LIQUIDITY);
+            assert.equal((await dex.balanceOf(lp)).toString(), new BN(toTokens('100')).subn(MINIMUM_LIQUIDITY).toString());
+            assert.equal((await dex.totalSupply()).toString(), toTokens('100'));
+        })
+
+        // Requirement views should account for the locked shares
+        it('Requirement views should account for the locked shares', async () => {
+            let req = await deposit(dex, toTokens('5'), victim);
+            assert.equal((await dex.balanceOf(victim)).toString(), req._mintedOURX.toString());
+            assert.equal(req._mintedOURX.toString(), toTokens('50'));
+
+            let byOURT = await dex.calcLiquidityRequirementOURT(toTokens('500'));
+            assert.equal(byOURT._reqETH.toString(), toTokens('5'));
+            assert.equal(byOURT._mintedOURX.toString(), toTokens('50'));
+        })
+
+        // LPs should not be able to empty the pool
+        it('LPs should not be able to empty the pool', async () => {
+            for (let account of [lp, victim]) {
+                let shares = await dex.balanceOf(account);
+                let value = await dex.calculateOnBurnValue(shares);
+                let balanceBefore = await token.balanceOf(account);
+                await dex.removeLiquidity(shares, deadline, { from: account });
+                assert.equal((await token.balanceOf(account)).sub(balanceBefore).toString(), value.amountOURT.toString());
+            }
+
+            // only the locked shares are left, and the reserves they hold
+            assert.equal((await dex.totalSupply()).toNumber(), MINIMUM_LIQUIDITY);
+            let reserves = await dex.getReserves();
+            assert.ok(reserves['0'].gtn(0) && reserves['1'].gtn(0));
+            let locked = await dex.calculateOnBurnValue(MINIMUM_LIQUIDITY);
+            assert.equal(locked.amountETH.toString(), reserves['0'].toString());
+            assert.equal(locked.amountOURT.toString(), reserves['1'].toString());
+        })
+
+        // Pairs should lock the minimum liquidity too
+        it('Pairs should lock the minimum liquidity too', async () => {
+            let factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+            let other = await OurTokenContract.new({ from: owner });
+            await other.mint(lp, toTokens('1000'), { from: owner });
+            await factory.createPair(token.address, other.address, { from: lp });
+            let pair = await OurPairContract.at(await factory.getPair(token.address, other.address));
+
+            await token.approve(pair.address, toTokens('1000'), { from: lp });
+            await other.approve(pair.address, toTokens('1000'), { from: lp });
+            let expected = await pair.calcMintedOURX(toTokens('1000'), toTokens('1000'));
+            assert.equal((await pair.calcLiquidityRequirement0(toTokens('1000')))._mintedOURX.toString(), '0');
+            await pair.addLiquidity(toTokens('1000'), toTokens('1000'), toTokens('1000'), toTokens('1000'), deadline, { from: lp });
+            assert.equal((await pair.balanceOf(lp)).toString(), expected.toString());
+            assert.equal((await pair.balanceOf(DEAD)).toNumber(), MINIMUM_LIQUIDITY);
+            assert.equal((await pair.balanceOf(lp)).toString(), new BN(toTokens('1000')).subn(MINIMUM_LIQUIDITY).toString());
+        })
+    })
+
+    // Share-price inflation through donations
+    describe('Donation Attack', async () => {
+
+        /**
+         * The attacker seeds the pool with dust, donates OURT straight to the pool and has it
+         * absorbed in the reserves by a dust swap, then buys the OURT back with 10 ETH so that
+         * the few shares it owns are worth 1 ETH each. A victim depositing 1.9 ETH gets a single share.
+         * Returns the victim's loss and the attacker's profit, in ETH.
+        */
+        const attack = async () => {
+            let dex = await OurDEXContract.new(token.address, 30, { from: owner });
+            await token.approve(dex.address, toTokens('1000000'), { from: attacker });
+
+            // dust deposit, the attacker owns (almost) every share
+            let dust = MINIMUM_LIQUIDITY + 10;
+            await dex.addLiquidity(dust, dust, dust, deadline, { from: attacker, value: dust });
+            let shares = await dex.balanceOf(attacker);
+
+            // donation absorbed by a dust swap, then bought back so the reserves hold ETH
+            await token.transfer(dex.address, toTokens('1000'), { from: attacker });
+            let quote = await dex.getQuoteForETH(10);
+            await dex.sellOURT(10, quote, quote, deadline, { from: attacker });
+            let [resETH] = Object.values(await dex.getReserves());
+            let pumpETH = new BN(toTokens('10')).sub(resETH);
+            quote = await dex.getQuoteForOURT(pumpETH);
+            await dex.buyOURT(quote, quote, deadline, { from: attacker, value: pumpETH });
+            let invested = (await dex.calculateOnBurnValue(shares)).amountETH;
+
+            // the victim deposits right after
+            let victimETH = new BN(toTokens('1.9'));
+            await deposit(dex, victimETH, victim);
+            let victimValue = (await dex.calculateOnBurnValue(await dex.balanceOf(victim))).amountETH;
+            let attackerValue = (await dex.calculateOnBurnValue(shares)).amountETH;
+
+            return {
+                victimLoss: victimETH.sub(victimValue),
+                attackerProfit: attackerValue.sub(invested),
+                lockedValue: (await dex.calculateOnBurnValue(await dex.balanceOf(DEAD))).amountETH
+            };
+        }
+
+        // Locked minimum liquidity should make the attack a loss for the attacker
+        it('Locked minimum liquidity should make the attack a loss for the attacker', async () => {
+            let { victimLoss, attackerProfit, lockedValue } = await attack();
+
+            // a share is now worth 10 / 1010 ETH: the victim loses less than a share to rounding
+            assert.ok(victimLoss.lt(new BN(toTokens('0.01'))), `victim lost ${victimLoss}`);
+            assert.ok(attackerProfit.lt(new BN(toTokens('0.001'))), `attacker made ${attackerProfit}`);
+
+            // the ETH pumped by the attacker is stuck with the locked shares
+            assert.ok(lockedValue.gt(new BN(toTokens('9.8'))));
+        })
+    })
+})
@@ -0,0 +1,206 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, increaseTime, ZERO_ADDRESS } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurDEXContract = artifacts.require('OurDEX');
+const OurPairContract = artifacts.require('OurPair');
+const OurDEXFactoryContract = artifacts.require('OurDEXFactory');
+const OurTokenContract = artifacts.require('OurToken');
+
+// UQ112x112 fixed-point helpers mirroring OurOracleLibrary
+const Q112 = new BN(2).pow(new BN(112));
+const encode = (numerator, denominator) => new BN(numerator).mul(Q112).div(new BN(denominator));
+
+// ring buffer size of the test pool
+const CARDINALITY = 32;
+
+// timestamp of the block holding a transaction
+const txTime = async (tx) => Number((await web3.eth.getBlock(tx.receipt.blockNumber)).timestamp);
+const latestTime = async () => Number((await web3.eth.getBlock('latest')).timestamp);
+
+// TWAP oracle test spec, view calls run against the latest block timestamp
+contract('OurOracle', ([owner, lp, swaper]) => {
+    let token;
+    let dex;
+    let deadline;
+
+    // deploy a fresh pool for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        dex = await OurDEXContract.new(token.address, 30, { from: owner });
+        await token.mint(lp, toTokens('1000000'), { from: owner });
+        await token.mint(swaper, toTokens('100000'), { from: owner });
+        deadline = await getCurrentTime(100000);
+        await dex.increaseObservationCardinality(CARDINALITY, { from: swaper });
+    })
+
+    // OurDEX oracle
+    describe('OurDEX Oracle', async () => {
+        let tAdd;
+        let tSwap;
+
+        // An empty pool should not be consulted
+        it('An empty pool should not be consulted', async () => {
+            await assert.isRejected(dex.consult(10), /NO_OBSERVATIONS/);
+        })
+
+        // Price history should keep fixed-point prices when OURT outnumbers ETH
+        it('Price history should keep fixed-point prices when OURT outnumbers ETH', async () => {
+            await token.approve(dex.address, toTokens('20000'), { from: lp });
+            let tx = await dex.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), deadline, { from: lp, value: toTokens('10') });
+            tAdd = await txTime(tx);
+            await increaseTime(100);
+
+            tx = await dex.addLiquidity(toTokens('1000'), toTokens('1000'), toTokens('1000'), deadline, { from: lp, value: toTokens('1') });
+            let price = await dex.priceHistory(await txTime(tx));
+            assert.equal(price.toString(), encode(toTokens('10'), toTokens('10000')).toString());
+            assert.ok(!price.isZero());
+        })
+
+        // Constant prices should average to the spot price
+        it('Constant prices should average to the spot price', async () => {
+            await increaseTime(50);
+            let { priceETHAverage, priceOURTAverage } = await dex.consult(120);
+
+            assert.equal(priceETHAverage.toString(), new BN(1000).mul(Q112).toString());
+            assert.equal(priceOURTAverage.toString(), encode(1, 1000).toString());
+            assert.equal((await dex.consultOURT(toTokens('1'), 120)).toString(), toTokens('1000'));
+            assert.equal(
+                (await dex.consultETH(toTokens('1000'), 120)).toString(),
+                new BN(toTokens('1000')).mul(encode(1, 1000)).div(Q112).toString()
+            );
+        })
+
+        // Averages should weigh prices by the time they were held
+        it('Averages should weigh prices by the time they were held', async () => {
+            let [resETH, resOURT] = Object.values(await dex.getReserves());
+            let priceBefore = encode(resOURT, resETH);
+
+            let quote = await dex.getQuoteForOURT(toTokens('2'));
+            let tx = await dex.buyOURT(quote, quote, deadline, { from: swaper, value: toTokens('2') });
+            tSwap = await txTime(tx);
+            let reserves = await dex.getReserves();
+            let priceAfter = encode(reserves['1'], reserves['0']);
+
+            await increaseTime(200);
+            let now = await latestTime();
+            let window = now - tSwap + 100;
+
+            // the swap block still accrues the previous price, the new one counts from then on
+            let expected = priceBefore.muln(100).add(priceAfter.muln(now - tSwap)).divn(window);
+            let { priceETHAverage } = await dex.consult(window);
+            assert.equal(priceETHAverage.toString(), expected.toString());
+            assert.ok(priceETHAverage.lt(priceBefore) && priceETHAverage.gt(priceAfter));
+        })
+
+        // Cumulative prices should be interpolated in between observations
+        it('Cumulative prices should be interpolated in between observations', async () => {
+            let now = await latestTime();
+            let atSwap = await dex.observe(now - tSwap);
+            let beforeSwap = await dex.observe(now - tSwap + 30);
+
+            // the 30 seconds before the swap accrued the 1 ETH == 1000 OURT price
+            assert.equal(atSwap['0'].sub(beforeSwap['0']).toString(), new BN(1000).mul(Q112).muln(30).toString());
+
+            // the last accumulated values are the ones of the swap block
+            let cumulative = await dex.getCumulativePrices();
+            assert.equal(cumulative.priceETHCumulative.toString(), atSwap['0'].toString());
+            assert.equal(cumulative.priceOURTCumulative.toString(), atSwap['1'].toString());
+        })
+
+        // Windows older than the first observation should revert
+        it('Windows older than the first observation should revert', async () => {
+            let now = await latestTime();
+            await assert.isRejected(dex.observe(now - tAdd + 1), /OLD_OBSERVATION/);
+            await assert.isRejected(dex.consult(0), /INVALID_WINDOW/);
+            await dex.observe(now - tAdd);
+        })
+
+        // Ring buffer should keep the latest observations only
+        it('Ring buffer should keep the latest observations only', async () => {
+            let first;
+            await token.approve(dex.address, toTokens('1000'), { from: swaper });
+            for (let i = 0; i < CARDINALITY; i++) {
+                let quote = await dex.getQuoteForETH(toTokens('1'));
+                let tx = await dex.sellOURT(toTokens('1'), quote, quote, deadline, { from: swaper });
+                if (i === 0) first = await txTime(tx);
+                await increaseTime(1);
+            }
+            let now = await latestTime();
+            let state = await dex.getOracleState();
+            assert.equal(state.count.toNumber(), CARDINALITY);
+            assert.equal(state.cardinality.toNumber(), CARDINALITY);
+
+            // the observation of the first sell is now the oldest one
+            await dex.observe(now - first);
+            await assert.isRejected(dex.observe(now - first + 1), /OLD_OBSERVATION/);
+            await assert.isRejected(dex.observe(now - tSwap), /OLD_OBSERVATION/);
+        })
+
+        // Ring buffer should only grow and keep its history
+        it('Ring buffer should only grow and keep its history', async () => {
+            let before = await dex.getOracleState();
+            let tx = await dex.increaseObservationCardinality(CARDINALITY + 2, { from: lp });
+            assert.equal(tx.logs[0].event, 'ObservationCardinalityIncreased');
+            assert.equal(tx.logs[0].args.next.toNumber(), CARDINALITY + 2);
+
+            // smaller sizes are ignored
+            tx = await dex.increaseObservationCardinality(2, { from: lp });
+            assert.equal(tx.logs.length, 0);
+
+            // the buffer grows once its latest observation reaches the end
+            let start = await latestTime();
+            for (let i = before.index.toNumber(); i < CARDINALITY + 2; i++) {
+                let quote = await dex.getQuoteForETH(toTokens('1'));
+                await dex.sellOURT(toTokens('1'), quote, quote, deadline, { from: swaper });
+                await increaseTime(1);
+            }
+            let state = await dex.getOracleState();
+            assert.equal(state.cardinality.toNumber(), CARDINALITY + 2);
+            assert.equal(state.count.toNumber(), CARDINALITY + 2);
+
+            // observations written before growing are still ordered and readable
+            let now = await latestTime();
+            await dex.observe(now - start);
+        })
+    })
+
+    // OurPair oracle
+    describe('OurPair Oracle', async () => {
+
+        // Pair averages should be consulted in both directions
+        it('Pair averages should be consulted in both directions', async () => {
+            let factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+            let other = await OurTokenContract.new({ from: owner });
+            await other.mint(lp, toTokens('1000000'), { from: owner });
+            await factory.createPair(token.address, other.address, { from: lp });
+            let pair = await OurPairContract.at(await factory.getPair(token.address, other.address));
+            let token0 = await pair.token0();
+            let [t0, t1] = token0 === token.address ? [token, other] : [other, token];
+
+            await t0.approve(pair.address, toTokens('1000'), { from: lp });
+            await t1.approve(pair.address, toTokens('4000'), { from: lp });
+            await pair.addLiquidity(toTokens('1000'), toTokens('4000'), toTokens('4000'), toTokens('4000'), deadline, { from: lp });
+            await increaseTime(60);
+
+            let { price0Average, price1Average } = await pair.consult(30);
+            assert.equal(price0Average.toString(), new BN(4).mul(Q112).toString());
+            assert.equal(price1Average.toString(), encode(1, 4).toString());
+            assert.equal((await pair.consultAmount(t0.address, toTokens('10'), 30)).toString(), toTokens('40'));
+            await assert.isRejected(pair.consultAmount(swaper, toTokens('10'), 30), /INVALID_TOKEN/);
+        })
+    })
+})
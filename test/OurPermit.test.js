@@ -0,0 +1,179 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, fromTokens, getCurrentTime, expectEvent, encodePermitAbiData, signDigest, getAccPrivate } = require('./utils/test-utils');
+
+// importing SDK
+const { OurDEX, OurFund, OurToken } = require('../index');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+
+// Permit entry points test spec
+contract('OurPermit', ([owner, lp, swaper, staker, relayer, bot]) => {
+    let token;
+    let dex;
+    let fund;
+    let chainId;
+    let deadline;
+
+    // signs a permit of `value` tokens (not wei) from `account` to `spender` on the `contract` token
+    const permit = async (contract, name, account, spender, value) => {
+        let nonce = await contract.nonces(account);
+        let digest = encodePermitAbiData(account, spender, value, nonce, deadline, name, '1', chainId, contract.address);
+        return signDigest(digest, getAccPrivate(account));
+    }
+
+    // deploy fresh contracts for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        dex = await OurDEXContract.new(token.address, 30, { from: owner });
+        fund = await OurFundContract.new(dex.address, token.address, bot, owner, { from: owner });
+        for (let account of [lp, swaper, staker]) {
+            await token.mint(account, toTokens('100000'), { from: owner });
+        }
+        chainId = await web3.eth.getChainId();
+        deadline = await getCurrentTime(100000);
+    })
+
+    // OurDEX entry points
+    describe('OurDEX', async () => {
+
+        // LP should add liquidity with an OURT permit in a single transaction
+        it('LP should add liquidity with an OURT permit in a single transaction', async () => {
+            let { v, r, s } = await permit(token, 'OurToken', lp, dex.address, '10000');
+            let tx = await dex.addLiquidityWithPermit(toTokens('10000'), toTokens('10000'), toTokens('10000'), deadline, v, r, s, { from: lp, value: toTokens('10') });
+
+            expectEvent(tx, 'Mint', { sender: lp, to: lp, amountETH: toTokens('10'), amountOURT: toTokens('10000') });
+            assert.equal((await token.allowance(lp, dex.address)).toString(), '0');
+            assert.equal((await token.nonces(lp)).toString(), '1');
+        })
+
+        // Deposit should revert with a permit of another account
+        it('Deposit should revert with a permit of another account', async () => {
+            let { _reqOURT } = await dex.calcLiquidityRequirementETH(toTokens('1'));
+            let { v, r, s } = await permit(token, 'OurToken', swaper, dex.address, fromTokens(_reqOURT));
+            await assert.isRejected(
+                dex.addLiquidityWithPermit(_reqOURT, _reqOURT, _reqOURT, deadline, v, r, s, { from: lp, value: toTokens('1') }),
+                /ERC20Permit: invalid signature/
+            );
+        })
+
+        // Swapper should sell OURT with a permit in a single transaction
+        it('Swapper should sell OURT with a permit in a single transaction', async () => {
+            let quote = await dex.getQuoteForETH(toTokens('500'));
+            let { v, r, s } = await permit(token, 'OurToken', swaper, dex.address, '500');
+            let tx = await dex.sellOURTWithPermit(toTokens('500'), quote, quote, deadline, v, r, s, { from: swaper, gas: 500000 });
+
+            expectEvent(tx, 'Swap', { sender: swaper, amountOURTIn: toTokens('500'), amountETHOut: quote, to: swaper });
+            assert.equal((await token.allowance(swaper, dex.address)).toString(), '0');
+
+            // the permit nonce is used up
+            await assert.isRejected(
+                dex.sellOURTWithPermit(toTokens('500'), quote, 0, deadline, v, r, s, { from: swaper, gas: 500000 }),
+                /ERC20Permit: invalid signature/
+            );
+        })
+
+        // Relayer should remove liquidity on behalf of the LP with an OURX permit
+        it('Relayer should remove liquidity on behalf of the LP with an OURX permit', async () => {
+            let redeemed = toTokens('100');
+            let value = await dex.calculateOnBurnValue(redeemed);
+            let ethBefore = new BN(await web3.eth.getBalance(lp));
+            let ourtBefore = await token.balanceOf(lp);
+            let ourxBefore = await dex.balanceOf(lp);
+
+            let { v, r, s } = await permit(dex, 'OurDEX', lp, dex.address, '100');
+            let tx = await dex.removeLiquidityWithPermit(lp, redeemed, deadline, v, r, s, { from: relayer });
+
+            expectEvent(tx, 'Burn', { sender: relayer, to: lp, redeemedETH: value.amountETH, redeemedOURT: value.amountOURT, burnedOURX: redeemed });
+            assert.equal(ourxBefore.sub(await dex.balanceOf(lp)).toString(), redeemed);
+            assert.equal(new BN(await web3.eth.getBalance(lp)).sub(ethBefore).toString(), value.amountETH.toString());
+            assert.equal((await token.balanceOf(lp)).sub(ourtBefore).toString(), value.amountOURT.toString());
+            assert.equal((await dex.allowance(lp, dex.address)).toString(), '0');
+
+            // the signature can't be replayed
+            await assert.isRejected(dex.removeLiquidityWithPermit(lp, redeemed, deadline, v, r, s, { from: relayer }), /ERC20Permit: invalid signature/);
+        })
+
+        // Removal should revert when the permit doesn't match the amount
+        it('Removal should revert when the permit does not match the amount', async () => {
+            let { v, r, s } = await permit(dex, 'OurDEX', lp, dex.address, '100');
+            await assert.isRejected(
+                dex.removeLiquidityWithPermit(lp, toTokens('200'), deadline, v, r, s, { from: relayer }),
+                /ERC20Permit: invalid signature/
+            );
+        })
+    })
+
+    // OurFund entry point
+    describe('OurFund', async () => {
+
+        // Staker should add to the fund with an OURT permit in a single transaction
+        it('Staker should add to the fund with an OURT permit in a single transaction', async () => {
+            let { v, r, s } = await permit(token, 'OurToken', staker, fund.address, '1000');
+            await fund.addToFundWithPermit(toTokens('1000'), deadline, v, r, s, { from: staker });
+
+            assert.equal((await fund.balanceOf(staker)).toString(), toTokens('1000'));
+            assert.equal((await token.allowance(staker, fund.address)).toString(), '0');
+        })
+    })
+
+    // SDK permit option
+    describe('SDK', async () => {
+        let sdkToken;
+        let sdkDEX;
+        let sdkFund;
+
+        before(async () => {
+            sdkToken = new OurToken(web3, token.address, { abi: OurTokenContract.abi });
+            sdkDEX = new OurDEX(web3, dex.address, { abi: OurDEXContract.abi, token: sdkToken });
+            sdkFund = new OurFund(web3, fund.address, { abi: OurFundContract.abi, token: sdkToken });
+        })
+
+        // Wrappers should sign the permits instead of approving
+        it('Wrappers should sign the permits instead of approving', async () => {
+            let opts = { permit: true, privateKey: getAccPrivate(staker), from: staker };
+            let { reserveETH } = await sdkDEX.getReserves();
+
+            let receipt = await sdkDEX.addLiquidity(toTokens('1'), opts);
+            assert.ok(receipt.events.Mint);
+            assert.equal((await sdkDEX.getReserves()).reserveETH.sub(reserveETH).toString(), toTokens('1'));
+
+            receipt = await sdkDEX.sellOURT(toTokens('100'), opts);
+            assert.equal(receipt.events.Swap.returnValues.amountOURTIn, toTokens('100'));
+
+            let balance = await dex.balanceOf(staker);
+            receipt = await sdkDEX.removeLiquidity(balance, opts);
+            assert.equal(receipt.events.Burn.returnValues.burnedOURX, balance.toString());
+            assert.equal((await dex.balanceOf(staker)).toString(), '0');
+
+            await sdkFund.addToFund(toTokens('50'), opts);
+            assert.equal((await fund.balanceOf(staker)).toString(), toTokens('1050'));
+
+            // no approve transaction was sent
+            assert.equal((await token.allowance(staker, dex.address)).toString(), '0');
+            assert.equal((await token.allowance(staker, fund.address)).toString(), '0');
+        })
+
+        // Permits should be signed through the provider without a private key
+        it('Permits should be signed through the provider without a private key', async () => {
+            let signed = await sdkDEX.signPermit({ owner: lp, spender: dex.address, value: toTokens('10'), deadline });
+            let receipt = await sdkDEX.removeLiquidityWithPermit(lp, toTokens('10'), signed, { from: relayer });
+            assert.equal(receipt.events.Burn.returnValues.to, lp);
+        })
+    })
+})
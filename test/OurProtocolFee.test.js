@@ -0,0 +1,207 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent, ZERO_ADDRESS } = require('./utils/test-utils');
+
+// importing SDK
+const { liquidityAnalytics: { sqrt } } = require('../index');
+
+// load contract artifacts
+const OurDEXContract = artifacts.require('OurDEX');
+const OurPairContract = artifacts.require('OurPair');
+const OurDEXFactoryContract = artifacts.require('OurDEXFactory');
+const OurTokenContract = artifacts.require('OurToken');
+
+// sqrt(K) of a pool
+const rootK = async (pool) => {
+    let reserves = await pool.getReserves();
+    return sqrt(reserves['0'].mul(reserves['1']));
+}
+
+// Protocol fee test spec
+contract('OurProtocolFee', ([owner, lp, swaper, treasury, governance]) => {
+    let token;
+    let deadline;
+
+    // deploy the token for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        await token.mint(lp, toTokens('1000000'), { from: owner });
+        await token.mint(swaper, toTokens('1000000'), { from: owner });
+        deadline = await getCurrentTime(100000);
+    })
+
+    // deploys and seeds a pool with 100 ETH / 100000 OURT, fee switched on at `share` per thousand
+    const deployPool = async (share) => {
+        let dex = await OurDEXContract.new(token.address, 30, { from: owner });
+        await dex.changeGovernance(governance, { from: owner });
+        if (share > 0) {
+            await dex.changeTreasury(treasury, { from: governance });
+            await dex.changeProtocolFeeShare(share, { from: governance });
+        }
+        await token.approve(dex.address, toTokens('100000'), { from: lp });
+        await dex.addLiquidity(toTokens('100000'), toTokens('100000'), toTokens('100000'), deadline, { from: lp, value: toTokens('100') });
+        return dex;
+    }
+
+    // trades back and forth so that the pool earns swap fees
+    const trade = async (dex, rounds = 5) => {
+        await token.approve(dex.address, toTokens('1000000'), { from: swaper });
+        for (let i = 0; i < rounds; i++) {
+            let quote = await dex.getQuoteForOURT(toTokens('10'));
+            await dex.buyOURT(quote, quote, deadline, { from: swaper, value: toTokens('10') });
+            quote = await dex.getQuoteForETH(toTokens('10000'));
+            await dex.sellOURT(toTokens('10000'), quote, quote, deadline, { from: swaper });
+        }
+    }
+
+    // Fee switch governance
+    describe('Protocol Fee Switch', async () => {
+        let dex;
+
+        before(async () => {
+            dex = await deployPool(0);
+        })
+
+        // Fee settings should only be changed by governance within bounds
+        it('Fee settings should only be changed by governance within bounds', async () => {
+            await assert.isRejected(dex.changeTreasury(treasury, { from: lp }), /caller is not the owner/);
+            await assert.isRejected(dex.changeProtocolFeeShare(100, { from: lp }), /caller is not the owner/);
+            await assert.isRejected(dex.changeProtocolFeeShare(501, { from: governance }), /INVALID_PROTOCOL_FEE/);
+        })
+
+        // Pool should not accrue protocol fees while the switch is off
+        it('Pool should not accrue protocol fees while the switch is off', async () => {
+            await trade(dex, 2);
+            assert.equal((await dex.getAccruedProtocolFee()).toString(), '0');
+            assert.equal((await dex.kLast()).toString(), '0');
+        })
+
+        // Growth earned before the switch is turned on should stay with the LPs
+        it('Growth earned before the switch is turned on should stay with the LPs', async () => {
+            await dex.changeTreasury(treasury, { from: governance });
+            await dex.changeProtocolFeeShare(166, { from: governance });
+
+            let reserves = await dex.getReserves();
+            assert.equal((await dex.kLast()).toString(), reserves['0'].mul(reserves['1']).toString());
+            assert.equal((await dex.getAccruedProtocolFee()).toString(), '0');
+        })
+
+        // Accrued fee should be minted to the treasury on the next burn
+        it('Accrued fee should be minted to the treasury on the next burn', async () => {
+            await trade(dex, 2);
+            let accrued = await dex.getAccruedProtocolFee();
+            let value = await dex.calculateOnBurnValue(toTokens('100'));
+            assert.ok(accrued.gtn(0));
+
+            let tx = await dex.removeLiquidity(toTokens('100'), deadline, { from: lp });
+            let ev = expectEvent(tx, 'ProtocolFeeMinted');
+            assert.equal(ev.args.treasury, treasury);
+            assert.equal(ev.args.mintedOURX.toString(), accrued.toString());
+            assert.equal((await dex.balanceOf(treasury)).toString(), accrued.toString());
+
+            // the burn value preview already accounted for the dilution
+            let burn = expectEvent(tx, 'Burn');
+            assert.equal(burn.args.redeemedETH.toString(), value.amountETH.toString());
+            assert.equal((await dex.getAccruedProtocolFee()).toString(), '0');
+        })
+
+        // Turning the switch off should settle the fee and stop accruing
+        it('Turning the switch off should settle the fee and stop accruing', async () => {
+            await trade(dex, 1);
+            let accrued = await dex.getAccruedProtocolFee();
+            let balanceBefore = await dex.balanceOf(treasury);
+
+            await dex.changeTreasury('0x0000000000000000000000000000000000000000', { from: governance });
+            assert.equal((await dex.balanceOf(treasury)).sub(balanceBefore).toString(), accrued.toString());
+            assert.equal((await dex.kLast()).toString(), '0');
+
+            await trade(dex, 1);
+            assert.equal((await dex.getAccruedProtocolFee()).toString(), '0');
+        })
+    })
+
+    // LP versus protocol split
+    describe('Protocol Fee Split', async () => {
+
+        for (let share of [0, 100, 166, 250, 500]) {
+
+            // Protocol should earn its share of the LP growth
+            it(`Protocol should earn ${share} per thousand of the LP growth`, async () => {
+                let dex = await deployPool(share);
+                let rootKBefore = await rootK(dex);
+
+                await trade(dex);
+                let rootKAfter = await rootK(dex);
+                let accrued = await dex.getAccruedProtocolFee();
+
+                // minting triggers the fee, deposits at the pool ratio
+                let req = await dex.calcLiquidityRequirementETH(toTokens('1'));
+                await token.approve(dex.address, req._reqOURT, { from: lp });
+                await dex.addLiquidity(req._reqOURT, req._reqOURT, req._reqOURT, deadline, { from: lp, value: toTokens('1') });
+                let minted = await dex.balanceOf(treasury);
+                assert.equal(minted.toString(), accrued.toString());
+
+                if (share === 0) {
+                    assert.equal(minted.toString(), '0');
+                    return;
+                }
+
+                // the treasury owns `share` per thousand of the growth, measured in sqrt(K) before the deposit
+                let supply = (await dex.totalSupply()).sub(req._mintedOURX);
+                let owned = minted.mul(rootKAfter).div(supply);
+                let expected = rootKAfter.sub(rootKBefore).muln(share).divn(1000);
+                assert.ok(owned.sub(expected).abs().lte(new BN(1000)), `${owned} != ${expected}`);
+
+                // LPs keep the rest of the growth, next to the locked minimum liquidity
+                let lpOwned = (await dex.balanceOf(lp)).sub(req._mintedOURX).mul(rootKAfter).div(supply);
+                let lockedOwned = (await dex.MINIMUM_LIQUIDITY()).mul(rootKAfter).div(supply);
+                assert.ok(lpOwned.add(owned).add(lockedOwned).sub(rootKAfter).abs().lte(new BN(1000)));
+            })
+        }
+    })
+
+    // Token/token pools
+    describe('OurPair Protocol Fee', async () => {
+
+        // Pair should mint the protocol fee on burns
+        it('Pair should mint the protocol fee on burns', async () => {
+            let factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+            await factory.transferOwnership(governance, { from: owner });
+            let other = await OurTokenContract.new({ from: owner });
+            await other.mint(lp, toTokens('1000000'), { from: owner });
+            await other.mint(swaper, toTokens('1000000'), { from: owner });
+            await factory.createPair(token.address, other.address, { from: lp });
+            let pair = await OurPairContract.at(await factory.getPair(token.address, other.address));
+            await pair.changeTreasury(treasury, { from: governance });
+            await pair.changeProtocolFeeShare(250, { from: governance });
+
+            for (let t of [token, other]) {
+                await t.approve(pair.address, toTokens('1000000'), { from: lp });
+                await t.approve(pair.address, toTokens('1000000'), { from: swaper });
+            }
+            await pair.addLiquidity(toTokens('10000'), toTokens('10000'), toTokens('10000'), toTokens('10000'), deadline, { from: lp });
+            for (let i = 0; i < 4; i++) {
+                let t = i % 2 ? token : other;
+                let quote = await pair.getQuote(t.address, toTokens('1000'));
+                await pair.swap(t.address, toTokens('1000'), quote, quote, deadline, { from: swaper });
+            }
+
+            let accrued = await pair.getAccruedProtocolFee();
+            assert.ok(accrued.gtn(0));
+            await pair.removeLiquidity(toTokens('10'), deadline, { from: lp });
+            assert.equal((await pair.balanceOf(treasury)).toString(), accrued.toString());
+        })
+    })
+})
@@ -0,0 +1,221 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent, getAccPrivate } = require('./utils/test-utils');
+
+// importing SDK & relayer
+const { OurToken, OurForwarder } = require('../index');
+const { ChecqueRelayer, STATUS } = require('../relayer/ChecqueRelayer');
+const { createApi } = require('../relayer/api');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurForwarderContract = artifacts.require('OurForwarder');
+
+// Relayed checques test spec
+contract('OurRelayer', ([owner, issuer, beneficiary, relayer, other, stranger, issuer2, issuer3]) => {
+    let token;
+    let forwarder;
+    let sdkToken;
+    let sdkForwarder;
+    let deadline;
+
+    // `from` (issuer by default) signs a checque of `value` OURT wei to `to`, with its next permit nonce unless `nonce` is given
+    const checque = (to, value, from = issuer, nonce) => sdkToken.signChecque({ issuer: from, beneficiary: to, value, deadline, nonce, privateKey: getAccPrivate(from) });
+
+    // `from` signs a forward request cashing its `checques`
+    const relayed = (from, checques, params = {}) => sdkToken.signRelayedChecques(sdkForwarder, { beneficiary: from, checques, privateKey: getAccPrivate(from), ...params });
+
+    // deploy fresh contracts for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        forwarder = await OurForwarderContract.new({ from: owner });
+        for (let account of [issuer, issuer2, issuer3]) {
+            await token.mint(account, toTokens('100000'), { from: owner });
+        }
+        sdkToken = new OurToken(web3, token.address, { abi: OurTokenContract.abi });
+        sdkForwarder = new OurForwarder(web3, forwarder.address, { abi: OurForwarderContract.abi });
+        deadline = await getCurrentTime(100000);
+    })
+
+    // Trusted forwarder
+    describe('Forwarder', async () => {
+
+        // Only the owner should change the trusted forwarder
+        it('Only the owner should change the trusted forwarder', async () => {
+            await assert.isRejected(token.changeTrustedForwarder(forwarder.address, { from: stranger }), /Ownable: caller is not the owner/);
+            let tx = await token.changeTrustedForwarder(forwarder.address, { from: owner });
+            expectEvent(tx, 'TrustedForwarderChanged', { previousForwarder: '0x0000000000000000000000000000000000000000', newForwarder: forwarder.address });
+            assert.isTrue(await token.isTrustedForwarder(forwarder.address));
+            assert.isFalse(await token.isTrustedForwarder(stranger));
+        })
+
+        // Relayer should cash the checques of the beneficiary and take its fee
+        it('Relayer should cash the checques of the beneficiary and take its fee', async () => {
+            let nonce = await token.nonces(issuer);
+            let checques = [await checque(beneficiary, toTokens('100')), await checque(beneficiary, toTokens('50'), issuer, nonce.addn(1))];
+            let { net } = await sdkToken.previewChecque(toTokens('150'));
+            let signed = await relayed(beneficiary, checques, { relayer, relayerFee: toTokens('2') });
+            let ethBefore = await web3.eth.getBalance(beneficiary);
+
+            await sdkForwarder.execute(signed.request, signed.signature, { from: relayer });
+
+            assert.equal((await token.balanceOf(beneficiary)).toString(), net.sub(new BN(toTokens('2'))).toString());
+            assert.equal((await token.balanceOf(relayer)).toString(), toTokens('2'));
+            assert.equal(await web3.eth.getBalance(beneficiary), ethBefore);
+            assert.equal((await sdkForwarder.getNonce(beneficiary)).toString(), '1');
+        })
+
+        // Direct calls should not be able to spoof the beneficiary
+        it('Direct calls should not be able to spoof the beneficiary', async () => {
+            let signed = await checque(beneficiary, toTokens('10'));
+            let data = sdkToken.encodeCashChecques(beneficiary, [signed]) + beneficiary.slice(2);
+            await assert.isRejected(web3.eth.call({ from: stranger, to: token.address, data }), /INVALID_SPENDER_ADDRESS/);
+        })
+
+        // Relayer fee should only be paid by the beneficiary cashing checques
+        it('Relayer fee should only be paid by the beneficiary cashing checques', async () => {
+            let balance = await token.balanceOf(issuer);
+            await assert.isRejected(token.cashChecquesWithRelayerFee(issuer, [], [], [], [], [], [], stranger, balance, { from: stranger }), /INVALID_SPENDER_ADDRESS/);
+            await assert.isRejected(token.cashChecquesWithRelayerFee(issuer, [], [], [], [], [], [], stranger, balance, { from: issuer }), /NO_CHECQUES/);
+
+            let signed = await checque(beneficiary, toTokens('10'));
+            await assert.isRejected(token.cashChecquesWithRelayerFee(beneficiary, [signed.owner], [signed.value], [signed.deadline], [signed.v], [signed.r], [signed.s], stranger, toTokens('1'), { from: stranger }), /INVALID_SPENDER_ADDRESS/);
+            assert.equal((await token.balanceOf(issuer)).toString(), balance.toString());
+            assert.equal((await token.balanceOf(stranger)).toString(), '0');
+        })
+
+        // Batch should skip the requests that don't match their signature
+        it('Batch should skip the requests that do not match their signature', async () => {
+            let valid = await relayed(other, [await checque(other, toTokens('10'))], { relayer, relayerFee: 0 });
+            let forged = await relayed(beneficiary, [await checque(beneficiary, toTokens('10'))], { gas: 500000 });
+            forged.request = { ...forged.request, gas: '1' };
+
+            let tx = await forwarder.executeBatch([valid.request, forged.request], [valid.signature, forged.signature], { from: relayer });
+            expectEvent(tx, 'Executed', { from: other, nonce: 0, success: true });
+            expectEvent(tx, 'Skipped', { from: beneficiary, nonce: 1 });
+            assert.ok((await token.balanceOf(other)).gtn(0));
+        })
+    })
+
+    // Relayer service
+    describe('Relayer Service', async () => {
+        let service;
+        let api;
+        let baseUrl;
+
+        // posts a signed request to the API
+        const post = async (signed) => {
+            let res = await fetch(`${baseUrl}/checques`, { method: 'POST', body: JSON.stringify(signed) });
+            return { status: res.status, body: await res.json() };
+        }
+
+        before(async () => {
+            const log = () => {};
+            service = new ChecqueRelayer({
+                web3,
+                token: sdkToken,
+                forwarder: sdkForwarder,
+                account: relayer,
+                minRelayerFee: toTokens('1'),
+                batchSize: 3,
+                logger: { info: log, warn: log, error: log }
+            });
+            api = createApi(service);
+            await new Promise(resolve => api.listen(0, resolve));
+            baseUrl = `http://127.0.0.1:${api.address().port}`;
+        })
+
+        after(async () => {
+            api.close();
+        })
+
+        // Relayer should reject the requests that don't pay it or can't be cashed
+        it('Relayer should reject the requests that do not pay it or can not be cashed', async () => {
+            let { status, body } = await post(await relayed(beneficiary, [await checque(beneficiary, toTokens('10'))], { relayer, relayerFee: toTokens('0.5') }));
+            assert.equal(status, 400);
+            assert.match(body.error, /relayer fee must be at least/);
+
+            ({ body } = await post(await relayed(beneficiary, [await checque(beneficiary, toTokens('10'))], { relayer: stranger, relayerFee: toTokens('1') })));
+            assert.match(body.error, /relayer fee must be paid to/);
+
+            ({ body } = await post(await relayed(beneficiary, [await checque(beneficiary, toTokens('10'))], { relayer, relayerFee: toTokens('1'), nonce: 5, gas: 500000 })));
+            assert.match(body.error, /request nonce must be 1/);
+
+            // the request was altered after being signed
+            let checques = [await checque(beneficiary, toTokens('10'))];
+            let signed = await relayed(beneficiary, checques, { relayer, relayerFee: toTokens('1') });
+            signed.request = { ...signed.request, data: sdkToken.encodeCashChecques(beneficiary, checques, { relayer, relayerFee: toTokens('2') }) };
+            ({ body } = await post(signed));
+            assert.match(body.error, /signature does not match/);
+
+            let info = await (await fetch(`${baseUrl}/info`)).json();
+            assert.equal(info.queued, 0);
+            assert.equal(info.minRelayerFee, toTokens('1'));
+        })
+
+        // Relayer should refuse a body too large and close the connection
+        it('Relayer should refuse a body too large and close the connection', async () => {
+            let res = await fetch(`${baseUrl}/checques`, { method: 'POST', body: JSON.stringify({ padding: 'x'.repeat(70 * 1024) }) });
+            assert.equal(res.status, 413);
+            assert.equal(res.headers.get('connection'), 'close');
+            assert.match((await res.json()).error, /request body too large/);
+        })
+
+        // Relayer should batch the queued requests and submit them
+        it('Relayer should batch the queued requests and submit them', async () => {
+            let relayerBefore = await token.balanceOf(relayer);
+            // queued checques come from different issuers as each is simulated on the current permit nonces
+            let first = await post(await relayed(beneficiary, [await checque(beneficiary, toTokens('20'))], { relayer, relayerFee: toTokens('1') }));
+            let second = await post(await relayed(other, [await checque(other, toTokens('30'), issuer2)], { relayer, relayerFee: toTokens('1') }));
+            assert.equal(first.status, 200);
+            assert.equal(second.body.status, STATUS.QUEUED);
+            assert.equal(service.queue.length, 2);
+
+            // the third request fills the batch
+            let { body } = await post(await relayed(beneficiary, [await checque(beneficiary, toTokens('40'), issuer3)], { relayer, relayerFee: toTokens('1'), nonce: 2 }));
+            assert.equal(service.queue.length, 0);
+            let third = await (await fetch(`${baseUrl}/checques/${body.id}`)).json();
+            assert.equal(third.status, STATUS.EXECUTED);
+            assert.equal((await (await fetch(`${baseUrl}/checques/${first.body.id}`)).json()).transactionHash, third.transactionHash);
+            assert.equal((await token.balanceOf(relayer)).sub(relayerBefore).toString(), toTokens('3'));
+            assert.equal((await fetch(`${baseUrl}/checques/99`)).status, 404);
+        })
+
+        // Relayer should submit a partial batch on flush
+        it('Relayer should submit a partial batch on flush', async () => {
+            let { body } = await post(await relayed(other, [await checque(other, toTokens('5'))], { relayer, relayerFee: toTokens('1') }));
+            assert.equal(body.status, STATUS.QUEUED);
+            await service.flush();
+            assert.equal(service.get(body.id).status, STATUS.EXECUTED);
+            assert.isNull(await service.flush());
+        })
+
+        // Relayer should bound the request gas and drop the requests reverting their batch
+        it('Relayer should bound the request gas and drop the requests reverting their batch', async () => {
+            let { body } = await post(await relayed(other, [await checque(other, toTokens('5'))], { relayer, relayerFee: toTokens('1'), gas: 10000000000 }));
+            assert.match(body.error, /must forward 1 to 2000000 gas/);
+
+            // a validly signed request asking for more gas than any batch has, as accepted before the bound
+            let greedy = await relayed(beneficiary, [await checque(beneficiary, toTokens('5'))], { relayer, relayerFee: toTokens('1'), gas: 10000000000 });
+            service.queue.push({ id: 0, status: STATUS.QUEUED, request: greedy.request, signature: greedy.signature, relayerFee: new BN(toTokens('1')), queuedAt: Date.now() });
+            ({ body } = await post(await relayed(other, [await checque(other, toTokens('5'), issuer2)], { relayer, relayerFee: toTokens('1') })));
+
+            await assert.isRejected(service.flush());
+            assert.deepEqual(service.queue.map(entry => entry.id), [body.id]);
+            await service.flush();
+            assert.equal(service.get(body.id).status, STATUS.EXECUTED);
+        })
+    })
+})
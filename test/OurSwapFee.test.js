@@ -0,0 +1,181 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, expectEvent, ZERO_ADDRESS, seededRandom, randomAmount } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurDEXContract = artifacts.require('OurDEX');
+const OurPairContract = artifacts.require('OurPair');
+const OurDEXFactoryContract = artifacts.require('OurDEXFactory');
+const OurTokenContract = artifacts.require('OurToken');
+
+// fee model of OurDEXLibrary, fees are in basis points
+const FEE_DENOMINATOR = new BN(10000);
+const MAX_SWAP_FEE = 100;
+
+const getAmountOut = (amountIn, reserveIn, reserveOut, fee) => {
+    let amountInWithoutFee = amountIn.mul(FEE_DENOMINATOR.subn(fee));
+    return amountInWithoutFee.mul(reserveOut).div(reserveIn.mul(FEE_DENOMINATOR).add(amountInWithoutFee));
+}
+
+const getAmountIn = (amountOut, reserveIn, reserveOut, fee) => {
+    return reserveIn.mul(amountOut).mul(FEE_DENOMINATOR).div(reserveOut.sub(amountOut).mul(FEE_DENOMINATOR.subn(fee))).addn(1);
+}
+
+// seeded so that failures can be replayed
+const random = seededRandom(0x5eed);
+
+// fee values under test: the bounds and random ones in between
+const FEES = [0, 1, MAX_SWAP_FEE].concat(Array.from({ length: 20 }, () => Math.floor(random() * (MAX_SWAP_FEE + 1))));
+
+// Swap fee test spec
+contract('OurSwapFee', ([owner, lp, swaper, governance]) => {
+    let token;
+    let other;
+    let deadline;
+
+    // deploy the tokens for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        other = await OurTokenContract.new({ from: owner });
+        for (let t of [token, other]) {
+            await t.mint(lp, toTokens('1000000'), { from: owner });
+            await t.mint(swaper, toTokens('1000000'), { from: owner });
+        }
+        deadline = await getCurrentTime(100000);
+    })
+
+    // Fee bounds and governance
+    describe('Swap Fee Governance', async () => {
+
+        // Pools and factory should not be deployed with a fee above the bound
+        it('Pools and factory should not be deployed with a fee above the bound', async () => {
+            await assert.isRejected(OurDEXContract.new(token.address, MAX_SWAP_FEE + 1, { from: owner }), /INVALID_FEE/);
+            await assert.isRejected(OurDEXFactoryContract.new(MAX_SWAP_FEE + 1, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner }), /INVALID_FEE/);
+            let dex = await OurDEXContract.new(token.address, MAX_SWAP_FEE, { from: owner });
+            assert.equal((await dex.MAX_SWAP_FEE()).toNumber(), MAX_SWAP_FEE);
+        })
+
+        // Swap fee should only be changed by governance within bounds
+        it('Swap fee should only be changed by governance within bounds', async () => {
+            let dex = await OurDEXContract.new(token.address, 30, { from: owner });
+            await dex.changeGovernance(governance, { from: owner });
+            await assert.isRejected(dex.changeSwapFee(10, { from: lp }), /caller is not the owner/);
+            await assert.isRejected(dex.changeSwapFee(MAX_SWAP_FEE + 1, { from: governance }), /INVALID_FEE/);
+
+            let tx = await dex.changeSwapFee(10, { from: governance });
+            let ev = expectEvent(tx, 'FeeChanged');
+            assert.equal(ev.args.previousFee.toNumber(), 30);
+            assert.equal(ev.args.newFee.toNumber(), 10);
+            assert.equal((await dex.swapFee()).toNumber(), 10);
+        })
+
+        // Factory default fee should be bounded and given to new pairs only
+        it('Factory default fee should be bounded and given to new pairs only', async () => {
+            let factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+            await factory.createPair(token.address, other.address, { from: lp });
+            let pair = await OurPairContract.at(await factory.getPair(token.address, other.address));
+
+            await assert.isRejected(factory.changeDefaultFee(MAX_SWAP_FEE + 1, { from: owner }), /INVALID_FEE/);
+            let tx = await factory.changeDefaultFee(5, { from: owner });
+            let ev = expectEvent(tx, 'FeeChanged');
+            assert.equal(ev.args.previousFee.toNumber(), 30);
+            assert.equal(ev.args.newFee.toNumber(), 5);
+
+            assert.equal((await pair.swapFee()).toNumber(), 30);
+            let third = await OurTokenContract.new({ from: owner });
+            await factory.createPair(token.address, third.address, { from: lp });
+            let newPair = await OurPairContract.at(await factory.getPair(token.address, third.address));
+            assert.equal((await newPair.swapFee()).toNumber(), 5);
+
+            await assert.isRejected(pair.changeSwapFee(MAX_SWAP_FEE + 1, { from: owner }), /INVALID_FEE/);
+        })
+    })
+
+    // Quotes and the K check must agree for every fee
+    describe('Swap Fee Properties', async () => {
+        let dex;
+        let pair;
+        let token0;
+
+        before(async () => {
+            dex = await OurDEXContract.new(token.address, 30, { from: owner });
+            await token.approve(dex.address, toTokens('100000'), { from: lp });
+            await dex.addLiquidity(toTokens('100000'), toTokens('100000'), toTokens('100000'), deadline, { from: lp, value: toTokens('100') });
+            await token.approve(dex.address, toTokens('1000000'), { from: swaper });
+
+            let factory = await OurDEXFactoryContract.new(30, ZERO_ADDRESS, ZERO_ADDRESS, { from: owner });
+            await factory.createPair(token.address, other.address, { from: lp });
+            pair = await OurPairContract.at(await factory.getPair(token.address, other.address));
+            token0 = await pair.token0();
+            for (let t of [token, other]) {
+                await t.approve(pair.address, toTokens('100000'), { from: lp });
+                await t.approve(pair.address, toTokens('1000000'), { from: swaper });
+            }
+            await pair.addLiquidity(toTokens('100000'), toTokens('100000'), toTokens('100000'), toTokens('100000'), deadline, { from: lp });
+        })
+
+        for (let fee of FEES) {
+
+            // Swaps at the exact quote should pass the K check
+            it(`Swaps at the exact quote should pass the K check with a ${fee} bps fee`, async () => {
+                await dex.changeSwapFee(fee, { from: owner });
+
+                // ETH -> OURT
+                let [resETH, resOURT] = Object.values(await dex.getReserves());
+                let amountETH = randomAmount(random, 5);
+                let quote = await dex.getQuoteForOURT(amountETH);
+                assert.equal(quote.toString(), getAmountOut(amountETH, resETH, resOURT, fee).toString());
+                await dex.buyOURT(quote, quote, deadline, { from: swaper, value: amountETH });
+
+                // the pool keeps the fee: K only grows, and strictly so with a fee
+                let [afterETH, afterOURT] = Object.values(await dex.getReserves());
+                assert.equal(afterETH.toString(), resETH.add(amountETH).toString());
+                assert.equal(afterOURT.toString(), resOURT.sub(quote).toString());
+                let kBefore = resETH.mul(resOURT);
+                let kAfter = afterETH.mul(afterOURT);
+                assert.ok(fee > 0 ? kAfter.gt(kBefore) : kAfter.gte(kBefore));
+
+                // OURT -> ETH
+                let amountOURT = randomAmount(random, 5000);
+                quote = await dex.getQuoteForETH(amountOURT);
+                assert.equal(quote.toString(), getAmountOut(amountOURT, afterOURT, afterETH, fee).toString());
+                await dex.sellOURT(amountOURT, quote, quote, deadline, { from: swaper });
+
+                // token -> token
+                await pair.changeSwapFee(fee, { from: owner });
+                let [res0, res1] = Object.values(await pair.getReserves());
+                let [tokenIn, resIn, resOut] = random() < 0.5 ? [token0, res0, res1] : [await pair.token1(), res1, res0];
+                let amountIn = randomAmount(random, 5000);
+                quote = await pair.getQuote(tokenIn, amountIn);
+                assert.equal(quote.toString(), getAmountOut(amountIn, resIn, resOut, fee).toString());
+                await pair.swap(tokenIn, amountIn, quote, quote, deadline, { from: swaper });
+            })
+
+            // Reverse quotes should be the minimal input for the requested output
+            it(`Reverse quotes should be the minimal input for the requested output with a ${fee} bps fee`, async () => {
+                let [resETH, resOURT] = Object.values(await dex.getReserves());
+                let amountOURT = randomAmount(random, 5000);
+                let amountETH = await dex.getReverseQuoteForOURT(amountOURT);
+                assert.equal(amountETH.toString(), getAmountIn(amountOURT, resETH, resOURT, fee).toString());
+
+                // one wei less falls short, the quote itself is enough
+                assert.ok((await dex.getQuoteForOURT(amountETH.subn(1))).lt(amountOURT));
+                let quote = await dex.getQuoteForOURT(amountETH);
+                assert.ok(quote.gte(amountOURT));
+                await dex.buyOURT(quote, amountOURT, deadline, { from: swaper, value: amountETH });
+            })
+        }
+    })
+})
@@ -0,0 +1,146 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const { getCurrentTime, increaseTime } = require('./utils/test-utils');
+
+// load contract artifacts
+const OurTimelockContract = artifacts.require('OurTimelock');
+const OurGovernanceContract = artifacts.require('OurGovernance');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+
+const DAY = 24 * 60 * 60;
+
+// OurTimelock contract test spec
+contract('OurTimelock', ([admin, newAdmin, nonadmin]) => {
+    let timelock;
+
+    // deploy a timelock owned by admin for the test session
+    before(async () => {
+        timelock = await OurTimelockContract.new(admin, 2 * DAY, { from: admin });
+    })
+
+    // Deployment wiring done by the migration
+    describe('OurTimelock Deployment', async () => {
+
+        // Delay should be bounded on deployment
+        it('Delay should be bounded on deployment', async () => {
+            await assert.isRejected(OurTimelockContract.new(admin, DAY), /Delay must exceed minimum delay/);
+            await assert.isRejected(OurTimelockContract.new(admin, 31 * DAY), /Delay must not exceed maximum delay/);
+        })
+
+        // Migrated timelock should be administered by governance
+        it('Migrated timelock should be administered by governance', async () => {
+            let deployedTimelock = await OurTimelockContract.deployed();
+            let governance = await OurGovernanceContract.deployed();
+            assert.equal(await deployedTimelock.admin(), governance.address);
+            assert.equal(await governance.timelock(), deployedTimelock.address);
+        })
+
+        // Migrated DEX and fund should be owned by the timelock
+        it('Migrated DEX and fund should be owned by the timelock', async () => {
+            let deployedTimelock = await OurTimelockContract.deployed();
+            let dex = await OurDEXContract.deployed();
+            let fund = await OurFundContract.deployed();
+            assert.equal(await dex.owner(), deployedTimelock.address);
+            assert.equal(await fund.owner(), deployedTimelock.address);
+            await assert.isRejected(dex.changeSwapFee(5, { from: admin }), /caller is not the owner/);
+            await assert.isRejected(fund.grantBotRole(nonadmin, { from: admin }), /caller is not the owner/);
+        })
+    })
+
+    // Queuing, executing and canceling transactions
+    describe('OurTimelock Transactions', async () => {
+        let eta;
+        const signature = 'setPendingAdmin(address)';
+        let data;
+
+        // NON-ADMIN should not be able to queue transactions
+        it('NON-ADMIN should not be able to queue transactions', async () => {
+            data = web3.eth.abi.encodeParameter('address', newAdmin);
+            eta = await getCurrentTime(3 * DAY);
+            await assert.isRejected(
+                timelock.queueTransaction(timelock.address, 0, signature, data, eta, { from: nonadmin }),
+                /Call must come from admin/
+            );
+        })
+
+        // ADMIN should not be able to queue before the delay
+        it('ADMIN should not be able to queue before the delay', async () => {
+            let early = await getCurrentTime(DAY);
+            await assert.isRejected(
+                timelock.queueTransaction(timelock.address, 0, signature, data, early, { from: admin }),
+                /must satisfy delay/
+            );
+        })
+
+        // Queued transaction should not execute before its eta
+        it('Queued transaction should not execute before its eta', async () => {
+            await timelock.queueTransaction(timelock.address, 0, signature, data, eta, { from: admin });
+            await assert.isRejected(
+                timelock.executeTransaction(timelock.address, 0, signature, data, eta, { from: admin }),
+                /hasn't surpassed time lock/
+            );
+        })
+
+        // Queued transaction should execute once its eta is reached
+        it('Queued transaction should execute once its eta is reached', async () => {
+            await timelock.setPendingAdmin(admin, { from: admin }); // consumes the deployer's first direct call
+            await increaseTime(3 * DAY);
+            await timelock.executeTransaction(timelock.address, 0, signature, data, eta, { from: admin });
+            assert.equal(await timelock.pendingAdmin(), newAdmin);
+        })
+
+        // Transaction should not execute past the grace period
+        it('Transaction should not execute past the grace period', async () => {
+            let staleEta = await getCurrentTime(3 * DAY);
+            await timelock.queueTransaction(timelock.address, 0, signature, data, staleEta, { from: admin });
+            await increaseTime(18 * DAY);
+            await assert.isRejected(
+                timelock.executeTransaction(timelock.address, 0, signature, data, staleEta, { from: admin }),
+                /Transaction is stale/
+            );
+        })
+
+        // Canceled transaction should not execute
+        it('Canceled transaction should not execute', async () => {
+            let cancelEta = await getCurrentTime(3 * DAY);
+            await timelock.queueTransaction(timelock.address, 0, signature, data, cancelEta, { from: admin });
+            await timelock.cancelTransaction(timelock.address, 0, signature, data, cancelEta, { from: admin });
+            await increaseTime(3 * DAY);
+            await assert.isRejected(
+                timelock.executeTransaction(timelock.address, 0, signature, data, cancelEta, { from: admin }),
+                /hasn't been queued/
+            );
+        })
+    })
+
+    // Admin handover
+    describe('OurTimelock Admin', async () => {
+
+        // Only the pending admin should be able to accept the role
+        it('Only the pending admin should be able to accept the role', async () => {
+            await assert.isRejected(timelock.acceptAdmin({ from: nonadmin }), /Call must come from pendingAdmin/);
+            await timelock.acceptAdmin({ from: newAdmin });
+            assert.equal(await timelock.admin(), newAdmin);
+        })
+
+        // Subsequent pending admin changes must go through the timelock
+        it('Subsequent pending admin changes must go through the timelock', async () => {
+            await assert.isRejected(timelock.setPendingAdmin(nonadmin, { from: newAdmin }), /Call must come from OurTimelock/);
+        })
+
+        // Delay can only be changed by the timelock itself
+        it('Delay can only be changed by the timelock itself', async () => {
+            await assert.isRejected(timelock.setDelay(3 * DAY, { from: newAdmin }), /Call must come from OurTimelock/);
+        })
+    })
+})
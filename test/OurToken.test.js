@@ -14,6 +14,7 @@ const {
     fromTokens, 
     encodePermitAbiData, 
     getCurrentTime,
+    signDigest,
     getAccPrivate,
     toBn
 } = require('./utils/test-utils');
@@ -54,98 +55,100 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
         checques = _init_checques();
     })
 
-    // AlefToken has to have specific properties (totalSupply, setup roles) that should be verified on deployment
-    describe('AlefToken Deployment', async () => {
+    // OurToken has to have specific properties (totalSupply, setup roles) that should be verified on deployment
+    describe('OurToken Deployment', async () => {
 
         // Check name and symbol
         
-        it('Name is AlefToken and symbol is ALEF', async () => {
-            let name = await alefToken.name();
-            let symbol = await alefToken.symbol();
-            assert.equal(name, 'AlefToken');
-            assert.equal(symbol, 'ALEF');
+        it('Name is OurToken and symbol is OURT', async () => {
+            let name = await ourToken.name();
+            let symbol = await ourToken.symbol();
+            assert.equal(name, 'OurToken');
+            assert.equal(symbol, 'OURT');
         })
 
-        // Check Initial supply, should be 1,500,000,000
-        it('Has inital supply of 2,100,000,000', async () => {
-            totalSupply = await alefToken.totalSupply();
-            assert.equal(totalSupply.toString(), toTokens('2100000000'));
+        // Check Initial supply, 1,000 premined to the deployer on top of the checques issuer mint
+        it('Has inital supply of 1,000', async () => {
+            let balance = await ourToken.balanceOf(admin);
+            totalSupply = await ourToken.totalSupply();
+            assert.equal(balance.toString(), toTokens('1000'));
+            assert.equal(totalSupply.toString(), toTokens('600001000'));
         })
 
         // Check decimals is accessible
         it('Decimals set to 18', async () => {
-            decimals = await alefToken.decimals();
+            decimals = await ourToken.decimals();
             assert.equal(decimals.toString(), 18)
         })
     })
 
-    // AlefToken has to be mintable only when the minting address has role permission
-    describe('AlefToken Minting', async () => {
+    // OurToken has to be mintable only when the minting address has role permission
+    describe('OurToken Minting', async () => {
 
         // ADMIN role should be able to assign MINTER address
         it('ADMIN can assign MINTER role', async () => {
-            await alefToken.grantMinter(minter, { from: admin })
-            isMinter = await alefToken.isMinter(minter);
+            await ourToken.grantMinter(minter, { from: admin })
+            isMinter = await ourToken.isMinter(minter);
             assert.ok(isMinter);
         })
 
         // ADMIN role should be able to MINT 
         it('ADMIN should be able to mint', async () => {
-            await alefToken.mint(holder, toTokens('500000000'), { from: admin });
-            let supply = await alefToken.totalSupply();
-            assert.equal(supply.toString(), toTokens('2600000000'));
+            await ourToken.mint(holder, toTokens('500000000'), { from: admin });
+            let supply = await ourToken.totalSupply();
+            assert.equal(supply.toString(), toTokens('1100001000'));
         })
 
         // NO ROLE should not be able to MINT 
         it('NO ROLE should not be able to mint', async () => {
             errMsg = 'Account with no role was able to mint';
-            await alefToken.mint(holder, toTokens('500000000'), { from: nonholder })
+            await ourToken.mint(holder, toTokens('500000000'), { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error))
         })
 
         // MINTER role should be able to mint new tokens
         it('MINTER should be able to mint', async () => {
-            await alefToken.mint(holder, toTokens('500000000'), { from: minter });
-            let supply = await alefToken.totalSupply();
-            assert.equal(supply.toString(), toTokens('3100000000'));
+            await ourToken.mint(holder, toTokens('500000000'), { from: minter });
+            let supply = await ourToken.totalSupply();
+            assert.equal(supply.toString(), toTokens('1600001000'));
         })
     })
 
-    // AlefToken has to be transferable between accounts
-    describe('AlefToken Transfers', async () => { 
+    // OurToken has to be transferable between accounts
+    describe('OurToken Transfers', async () => { 
 
         // NON-HOLDER should not be able to transfer any tokens
         it('NON-HOLDER can`t transfer tokens', async () => {
             errMsg = 'Account with no tokens was able to transfer tokens';
-            await alefToken.transfer(holder, toTokens('500000'), { from: nonholder })
+            await ourToken.transfer(holder, toTokens('500000'), { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // HOLDER should successfully transfer their tokens
         it('HOLDER should successfully transfer their tokens', async () => {
-            await alefToken.transfer(smallholder, toTokens('100'), { from: holder });
-            let balance = await alefToken.balanceOf(smallholder);
+            await ourToken.transfer(smallholder, toTokens('100'), { from: holder });
+            let balance = await ourToken.balanceOf(smallholder);
             assert.equal(balance, toTokens('100'));
         })
 
         // holder should not be able to transfer more tokens than they have
         it('HOLDER should`t transfer more than they have', async () => {
             errMsg = 'Account with no tokens was able to transfer tokens';
-            await alefToken.transfer(nonholder, toTokens('200'), { from: smallholder })
+            await ourToken.transfer(nonholder, toTokens('200'), { from: smallholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
     })
 
-    // AlefToken has to be burnable by token holder
-    describe('AlefToken Burning', async () => {
+    // OurToken has to be burnable by token holder
+    describe('OurToken Burning', async () => {
 
         // NON-HOLDER can`t burn tokens
         it('NON-HOLDER can`t burn tokens', async () => {
             errMsg = 'Account without any tokens was able to burn tokens';
-            await alefToken.burn(toTokens('200'), { from: nonholder })
+            await ourToken.burn(toTokens('200'), { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
@@ -153,57 +156,57 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
         // holder should not be able to burn more tokens than they hold
         it('HOLDER should`t burn more than they have', async () => {
             errMsg = 'Account was able to burn more tokens than they have';
-            await alefToken.burn(toTokens('200'), { from: smallholder })
+            await ourToken.burn(toTokens('200'), { from: smallholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // HOLDER should successfully burn their tokens
         it('HOLDER should successfully burn their tokens', async () => {
-            await alefToken.burn(toTokens('50'), { from: smallholder })
+            await ourToken.burn(toTokens('50'), { from: smallholder })
                 .then(async () => {
-                    let balance = await alefToken.balanceOf(smallholder);
+                    let balance = await ourToken.balanceOf(smallholder);
                     assert.equal(balance.toString(), toTokens('50'));
                 })
                 .catch((error) => assert.fail(error));
         })
     })
 
-    // AlefToken has to be PAUSABLE only by address that has role permissions
-    describe('AlefToken Pausing', async () => {
+    // OurToken has to be PAUSABLE only by address that has role permissions
+    describe('OurToken Pausing', async () => {
 
         // ADMIN should be able to assign role
         it('ADMIN should be able to assign role', async () => {
-            await alefToken.grantPauser(pauser, { from: admin })
-            isPauser = await alefToken.isPauser(pauser);
+            await ourToken.grantPauser(pauser, { from: admin })
+            isPauser = await ourToken.isPauser(pauser);
             assert.ok(isPauser);
         })
 
         // NO ROLE should not be able to pause the contract
         it('NO ROLE should not be able to pause the contract', async () => {
             errMsg = 'Account without PAUSER role was able to pause contract';
-            await alefToken.pause({ from: nonholder })
+            await ourToken.pause({ from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // ADMIN should be able to pause the contract
         it('ADMIN should be able to pause the contract', async () => {
-            await alefToken.pause({ from: admin })
+            await ourToken.pause({ from: admin })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
 
         // ADMIN should be able to unpause the contract
         it('ADMIN should be able to unpause the contract', async () => {
-            await alefToken.unpause({ from: admin })
+            await ourToken.unpause({ from: admin })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
 
         // PAUSABLE role should be able to pause the contract
         it('PAUSABLE role should be able to pause the contract', async () => {
-            await alefToken.pause({ from: pauser })
+            await ourToken.pause({ from: pauser })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
@@ -211,32 +214,32 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
         // NO ROLE should not be able to unpause the contract
         it('NO ROLE should not be able to unpause the contract', async () => {
             errMsg = 'Account without PAUSER role was able to unpause contract';
-            await alefToken.unpause({ from: nonholder })
+            await ourToken.unpause({ from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // PAUSABLE role should be able to unpause the contract
         it('PAUSABLE role should be able to unpause the contract', async () => {
-            await alefToken.unpause({ from: pauser })
+            await ourToken.unpause({ from: pauser })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
     })
 
-    // AlefToken has to be snapshotable if caller has role permission
-    describe('AlefToken Snapshots', async () => {
+    // OurToken has to be snapshotable if caller has role permission
+    describe('OurToken Snapshots', async () => {
 
         // ADMIN should be able to assign role
         it('ADMIN should be able to assign role', async () => {
-            await alefToken.grantSnapshot(snapshoter, { from: admin });
-            isSnap = await alefToken.isSnapshoter(snapshoter);
+            await ourToken.grantSnapshot(snapshoter, { from: admin });
+            isSnap = await ourToken.isSnapshoter(snapshoter);
             assert.ok(isSnap);
         })
 
         // ADMIN should be able to snapshot the contract
         it('ADMIN should be able to snapshot the contract', async () => {
-            await alefToken.snapshot({ from: admin })
+            await ourToken.snapshot({ from: admin })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
@@ -244,113 +247,113 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
         // NO ROLE should not be able to snapshot the contract
         it('NO ROLE should not be able to snapshot the contract', async () => {
             errMsg = 'Account without SNAPSHOT role was able to snapshot contract';
-            await alefToken.snapshot({ from: nonholder })
+            await ourToken.snapshot({ from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // SNAPSHOT role should be able to snapshot the contract
         it('SNAPSHOT role should be able to snapshot the contract', async () => {
-            await alefToken.snapshot({ from: snapshoter })
+            await ourToken.snapshot({ from: snapshoter })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
     })
 
-    // AlefToken Access Control extra checks
-    describe('AlefToken Access Control', async () => {
+    // OurToken Access Control extra checks
+    describe('OurToken Access Control', async () => {
 
         // NO ADMIN should not be able to unassign roles
         it('NO ADMIN should not be able to unassign roles', async () => {
             errMsg = 'Account without ADMIN role was able to unassign roles';
-            await alefToken.revokeMinter(minter, { from: nonholder })
+            await ourToken.revokeMinter(minter, { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
 
-            await alefToken.revokePauser(pauser, { from: nonholder })
+            await ourToken.revokePauser(pauser, { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
 
-            await alefToken.revokeSnapshot(snapshoter, { from: nonholder })
+            await ourToken.revokeSnapshot(snapshoter, { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
 
         // ADMIN should be able to un-assign roles
         it('ADMIN should be able to un-assign roles', async () => {
-            await alefToken.revokeMinter(minter, { from: admin });
-            await alefToken.revokePauser(pauser, { from: admin });
-            await alefToken.revokeSnapshot(snapshoter, { from: admin });
-            isMinter = await alefToken.isMinter(minter);
-            isPauser = await alefToken.isPauser(snapshoter);
-            isSnap = await alefToken.isSnapshoter(snapshoter);
+            await ourToken.revokeMinter(minter, { from: admin });
+            await ourToken.revokePauser(pauser, { from: admin });
+            await ourToken.revokeSnapshot(snapshoter, { from: admin });
+            isMinter = await ourToken.isMinter(minter);
+            isPauser = await ourToken.isPauser(snapshoter);
+            isSnap = await ourToken.isSnapshoter(snapshoter);
             assert.ok(!isMinter && !isSnap && !isPauser);
         })
 
         // NO ADMIN should not be able to assign roles
         it('NO ADMIN should not be able to assign roles', async () => {
             errMsg = 'Account without ADMIN role was able to assign roles';
-            await alefToken.grantMinter(minter, { from: nonholder })
+            await ourToken.grantMinter(minter, { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
 
-            await alefToken.grantPauser(pauser, { from: nonholder })
+            await ourToken.grantPauser(pauser, { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
 
-            await alefToken.grantSnapshot(snapshoter, { from: nonholder })
+            await ourToken.grantSnapshot(snapshoter, { from: nonholder })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
     })
 
-    // AlefToken Allowance & Approvals
-    describe('AlefToken Allowances & Spending', async () => {
+    // OurToken Allowance & Approvals
+    describe('OurToken Allowances & Spending', async () => {
 
         // Account should be able to set SPENDER and ALLOWANCE
         it('Account should be able to set SPENDER and ALLOWANCE', async () => {
-            await alefToken.approve(spender, toTokens('200'), { from: holder });
-            allowance = await alefToken.allowance(holder, spender);
+            await ourToken.approve(spender, toTokens('200'), { from: holder });
+            allowance = await ourToken.allowance(holder, spender);
             assert.equal(allowance.toString(), toTokens('200'));
 
-            await alefToken.approve(spender, toTokens('200'), { from: smallholder });
-            allowance = await alefToken.allowance(smallholder, spender);
+            await ourToken.approve(spender, toTokens('200'), { from: smallholder });
+            allowance = await ourToken.allowance(smallholder, spender);
             assert.equal(allowance.toString(), toTokens('200'));
         })
 
         // Account should be able to increase/decrease allowance for spender
         it('Account should be able to set increase allowance for spender', async () => {
-            await alefToken.increaseAllowance(spender, toTokens('50'), { from: holder });
-            allowance = await alefToken.allowance(holder, spender);
+            await ourToken.increaseAllowance(spender, toTokens('50'), { from: holder });
+            allowance = await ourToken.allowance(holder, spender);
             assert.equal(allowance.toString(), toTokens('250'));
 
-            await alefToken.decreaseAllowance(spender, toTokens('50'), { from: holder });
-            allowance = await alefToken.allowance(holder, spender);
+            await ourToken.decreaseAllowance(spender, toTokens('50'), { from: holder });
+            allowance = await ourToken.allowance(holder, spender);
             assert.equal(allowance.toString(), toTokens('200'));
         })
 
         // Account should be able to increase/decrease allowance for spender outside holder balance 
         it('Account should be able to increase/decrease allowance for spender outside holder balance', async () => {
-            await alefToken.increaseAllowance(spender, toTokens('50000000000000000'), { from: holder })
+            await ourToken.increaseAllowance(spender, toTokens('50000000000000000'), { from: holder })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
 
-            await alefToken.decreaseAllowance(spender, toTokens('50000000000000000'), { from: holder })
+            await ourToken.decreaseAllowance(spender, toTokens('50000000000000000'), { from: holder })
                 .then(() => assert.ok(1))
                 .catch((error) => assert.fail(error));
         })
 
         // SPENDER should be able to spend allowance
         it('SPENDER should be able to spend allowance', async () => {
-            await alefToken.transferFrom(holder, smallholder, toTokens('100'), { from: spender });
-            allowance = await alefToken.allowance(holder, spender);
+            await ourToken.transferFrom(holder, smallholder, toTokens('100'), { from: spender });
+            allowance = await ourToken.allowance(holder, spender);
             assert.equal(allowance.toString(), toTokens('100'));
         })
 
         // SPENDER should not be able to spend more than allowance
         it('SPENDER should not be able to spend more than allowance', async () => {
             errMsg = 'SPENDER should not be able to spend more than allowance';
-            await alefToken.transferFrom(holder, smallholder, toTokens('100000'), { from: spender })
+            await ourToken.transferFrom(holder, smallholder, toTokens('100000'), { from: spender })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
@@ -358,14 +361,14 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
         // SPENDER should not be able to spend more than holder balance
         it('SPENDER should not be able to spend more than holder balance', async () => {
             errMsg = 'SPENDER should not be able to spend more than holder balance';
-            await alefToken.transferFrom(smallholder, holder, toTokens('100000000'), { from: spender })
+            await ourToken.transferFrom(smallholder, holder, toTokens('100000000'), { from: spender })
                 .then(() => assert.fail(errMsg))
                 .catch((error) => error.message === errMsg ? assert.fail(errMsg) : assert.isNotNull(error));
         })
     })    
 
-    // AlefToken Checques 
-    describe('AlefToken Checques', async () => { 
+    // OurToken Checques 
+    describe('OurToken Checques', async () => { 
 
         // Issuer account should be able to sign a EIP-712 permit as checque
         it('Issuer account should be able to sign a EIP-712 permit as checque', async () => {
@@ -377,17 +380,17 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
                 issuer, 
                 beneficiary, 
                 value, 
-                await alefToken.nonces(issuer, beneficiary), 
+                await ourToken.nonces(issuer), 
                 deadline, 
-                await alefToken.name(), 
-                await alefToken.version(), 
-                1, 
-                alefToken.address
+                await ourToken.name(), 
+                await ourToken.version(), 
+                chainId, 
+                ourToken.address
             );
 
             // sign checque data
-            const msg = web3.eth.accounts.sign(checque, getAccPrivate(issuer));
-            const adr = web3.eth.accounts.recover(msg, msg.signature);
+            const msg = signDigest(checque, getAccPrivate(issuer));
+            const adr = web3.eth.accounts.recover(checque, web3.utils.toHex(msg.v), msg.r, msg.s, true);
 
             // storing checques for later usage
             checques.owners.push(issuer);
@@ -402,7 +405,7 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
 
         // Beneficiary account should be able to cash in the checque
         it('Beneficiary account should be able to cash in the checque', async () => {
-            await alefToken.cashChecques(
+            await ourToken.cashChecques(
                 beneficiary, 
                 checques.owners, 
                 checques.values, 
@@ -412,14 +415,14 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
                 checques.ss, 
                 { from: beneficiary }
             );
-            let benBal = await alefToken.balanceOf(beneficiary);
+            let benBal = await ourToken.balanceOf(beneficiary);
             assert.equal(fromTokens(benBal), 248750000);
         })
 
         // Issuer account should be able to sign multiple EIP-712 permits as checques
         it('Issuer account should be able to sign multiple EIP-712 permits as checques', async () => {
             let deadline = now+3000;
-            let nonce = await alefToken.nonces(issuer, beneficiary);
+            let nonce = await ourToken.nonces(issuer);
             let value = '50000000';
 
             // encode data for first checque
@@ -429,15 +432,15 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
                 value, 
                 nonce, 
                 deadline, 
-                await alefToken.name(), 
-                await alefToken.version(), 
-                1, 
-                alefToken.address
+                await ourToken.name(), 
+                await ourToken.version(), 
+                chainId, 
+                ourToken.address
             );
 
             // sign first checque data
-            const msg1 = web3.eth.accounts.sign(checque1, getAccPrivate(issuer));
-            const adr1 = web3.eth.accounts.recover(msg1, msg1.signature);
+            const msg1 = signDigest(checque1, getAccPrivate(issuer));
+            const adr1 = web3.eth.accounts.recover(checque1, web3.utils.toHex(msg1.v), msg1.r, msg1.s, true);
 
             // increase nonce by 1
             let newNonce = nonce.add(toBn(1));
@@ -449,15 +452,15 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
                 value, 
                 newNonce, 
                 deadline, 
-                await alefToken.name(), 
-                await alefToken.version(), 
-                1, 
-                alefToken.address
+                await ourToken.name(), 
+                await ourToken.version(), 
+                chainId, 
+                ourToken.address
             );
 
             // sign first checque data
-            const msg2 = web3.eth.accounts.sign(checque2, getAccPrivate(issuer));
-            const adr2 = web3.eth.accounts.recover(msg2, msg2.signature);
+            const msg2 = signDigest(checque2, getAccPrivate(issuer));
+            const adr2 = web3.eth.accounts.recover(checque2, web3.utils.toHex(msg2.v), msg2.r, msg2.s, true);
 
             // storing checques for later usage
             checques = _init_checques();
@@ -479,7 +482,7 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
 
         // Beneficiary account should be able to batch cash in multiple checques
         it('Beneficiary account should be able to batch cash in multiple checques', async () => {
-            await alefToken.cashChecques(
+            await ourToken.cashChecques(
                 beneficiary, 
                 checques.owners, 
                 checques.values, 
@@ -489,7 +492,7 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
                 checques.ss, 
                 { from: beneficiary }
             );
-            let benBal = await alefToken.balanceOf(beneficiary);
+            let benBal = await ourToken.balanceOf(beneficiary);
             assert.equal(fromTokens(benBal), 348250000);
         })
 
@@ -503,16 +506,16 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
                 issuer, 
                 beneficiary, 
                 value, 
-                await alefToken.nonces(issuer, beneficiary), 
+                await ourToken.nonces(issuer), 
                 deadline, 
-                await alefToken.name(), 
-                await alefToken.version(), 
-                1, 
-                alefToken.address
+                await ourToken.name(), 
+                await ourToken.version(), 
+                chainId, 
+                ourToken.address
             );
 
             // sign checque data
-            const msg = web3.eth.accounts.sign(checque, getAccPrivate(issuer));
+            const msg = signDigest(checque, getAccPrivate(issuer));
 
             // storing checques for later usage
             checques = _init_checques();
@@ -524,7 +527,7 @@ contract('OurToken', ([admin, minter, pauser, snapshoter, holder, nonholder, sma
             checques.ss.push(msg.s);
 
             errMsg = 'Account not marked as beneficiary was able to withdraw funds';
-            await alefToken.cashChecques(
+            await ourToken.cashChecques(
                 beneficiary, 
                 checques.owners, 
                 checques.values, 
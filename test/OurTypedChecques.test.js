@@ -0,0 +1,129 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// BN js lib
+const BN = require('bn.js');
+
+// importing utils
+const { toTokens, getCurrentTime, increaseTime, expectEvent, getAccPrivate } = require('./utils/test-utils');
+
+// importing SDK
+const { OurToken, AccessError, SignatureError, InvalidAmountError } = require('../index');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+
+// Typed checques test spec
+contract('OurTypedChecques', ([owner, issuer, beneficiary, other]) => {
+    let token;
+    let sdkToken;
+    let deadline;
+
+    // issuer signs a typed checque of `amount` tokens to `to`
+    const checque = (to, amount, params = {}) => sdkToken.signTypedChecque({ issuer, beneficiary: to, amount: toTokens(amount), deadline, privateKey: getAccPrivate(issuer), ...params });
+
+    // net amount received for cashing `value` tokens once the fee is burnt
+    const net = async (value) => (await sdkToken.previewChecque(toTokens(value))).net.toString();
+
+    // deploy fresh contracts for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        await token.mint(issuer, toTokens('100000'), { from: owner });
+        sdkToken = new OurToken(web3, token.address, { abi: OurTokenContract.abi });
+        deadline = await getCurrentTime(100000);
+    })
+
+    // Cashing
+    describe('Cashing', async () => {
+
+        // Beneficiary should cash checques in any order and in parts
+        it('Beneficiary should cash checques in any order and in parts', async () => {
+            let first = await checque(beneficiary, '100');
+            let second = await checque(beneficiary, '50');
+            assert.equal((await sdkToken.checqueStatus(first)).status, 'Open');
+
+            await sdkToken.cashTypedChecque(second);
+            await sdkToken.cashTypedChecque(first, toTokens('40'));
+            assert.equal((await token.balanceOf(beneficiary)).toString(), new BN(await net('50')).add(new BN(await net('40'))).toString());
+
+            let { status, cashed, remaining } = await sdkToken.checqueStatus(first);
+            assert.equal(status, 'PartiallyCashed');
+            assert.equal(cashed.toString(), toTokens('40'));
+            assert.equal(remaining.toString(), toTokens('60'));
+
+            await sdkToken.cashTypedChecque(first, toTokens('60'));
+            assert.equal((await sdkToken.checqueStatus(first)).status, 'Cashed');
+            assert.equal((await sdkToken.checqueStatus(second)).status, 'Cashed');
+
+            // typed checques leave the permit nonces untouched
+            assert.equal((await token.nonces(issuer)).toString(), '0');
+        })
+
+        // Cashing should be limited to the checque amount and beneficiary
+        it('Cashing should be limited to the checque amount and beneficiary', async () => {
+            let signed = await checque(beneficiary, '10');
+            await sdkToken.cashTypedChecque(signed, toTokens('6'));
+            await assert.isRejected(sdkToken.cashTypedChecque(signed, toTokens('5')), InvalidAmountError);
+            await assert.isRejected(sdkToken.cashTypedChecque(signed, toTokens('1'), { from: other }), /INVALID_SPENDER_ADDRESS/);
+
+            // the amount is part of the signed checque
+            await assert.isRejected(sdkToken.cashTypedChecque({ ...signed, amount: toTokens('20') }, toTokens('5')), SignatureError);
+        })
+
+        // Salt should only be cashed for a single checque
+        it('Salt should only be cashed for a single checque', async () => {
+            let signed = await checque(beneficiary, '10');
+            await sdkToken.cashTypedChecque(signed, toTokens('1'));
+
+            let reused = await checque(other, '10', { salt: signed.salt });
+            assert.equal((await sdkToken.checqueStatus(reused)).status, 'SaltUsed');
+            await assert.isRejected(sdkToken.cashTypedChecque(reused), /SALT_ALREADY_USED/);
+        })
+
+        // Expired checques should not be cashed
+        it('Expired checques should not be cashed', async () => {
+            let signed = await checque(beneficiary, '10', { deadline: await getCurrentTime(60) });
+            await increaseTime(120);
+            assert.equal((await sdkToken.checqueStatus(signed)).status, 'Expired');
+            await assert.isRejected(sdkToken.cashTypedChecque(signed), /EXPIRED/);
+        })
+    })
+
+    // Revocation
+    describe('Revocation', async () => {
+
+        // Issuer should revoke what was not cashed yet
+        it('Issuer should revoke what was not cashed yet', async () => {
+            let signed = await checque(beneficiary, '10');
+            await sdkToken.cashTypedChecque(signed, toTokens('4'));
+
+            let receipt = await sdkToken.revokeChecque(signed.salt, { from: issuer });
+            assert.equal(receipt.events.ChecqueRevoked.returnValues.issuer, issuer);
+            let { status, cashed, remaining } = await sdkToken.checqueStatus(signed);
+            assert.equal(status, 'Revoked');
+            assert.equal(cashed.toString(), toTokens('4'));
+            assert.equal(remaining.toString(), '0');
+
+            await assert.isRejected(sdkToken.cashTypedChecque(signed, toTokens('1')), AccessError);
+            await assert.isRejected(sdkToken.revokeChecque(signed.salt, { from: issuer }), /CHECQUE_REVOKED/);
+        })
+
+        // Issuer should revoke a checque before it is ever cashed
+        it('Issuer should revoke a checque before it is ever cashed', async () => {
+            let signed = await checque(beneficiary, '10');
+            expectEvent(await token.revokeChecque(signed.salt, { from: issuer }), 'ChecqueRevoked', { issuer, salt: signed.salt });
+
+            // revocations are per salt
+            assert.equal((await sdkToken.checqueStatus(signed)).status, 'Revoked');
+            assert.equal((await sdkToken.checqueStatus(await checque(beneficiary, '10'))).status, 'Open');
+            await assert.isRejected(sdkToken.cashTypedChecque(signed), /CHECQUE_REVOKED/);
+        })
+    })
+})
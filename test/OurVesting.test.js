@@ -0,0 +1,209 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const { toTokens, fromTokens, getCurrentTime, increaseTime, expectEvent } = require('./utils/test-utils');
+
+// importing SDK
+const { OurVesting } = require('../index');
+
+// importing the admin commands
+const { runCommand, parseDuration, parseAmount } = require('../vesting/commands');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurVestingContract = artifacts.require('OurVesting');
+
+const DAY = 24 * 60 * 60;
+
+// Vesting test spec
+contract('OurVesting', ([owner, team, investor, stranger]) => {
+    let token;
+    let vesting;
+    let sdkVesting;
+
+    // creates a schedule of `amount` tokens starting now, returns its id
+    const create = async (beneficiary, amount, cliff, duration, revocable = true) => {
+        let tx = await vesting.createSchedule(beneficiary, toTokens(amount), await getCurrentTime(0), cliff, duration, revocable, { from: owner });
+        return tx.logs.find(log => log.event === 'ScheduleCreated').args.id.toNumber();
+    }
+
+    // deploy fresh contracts for the test session
+    before(async () => {
+        token = await OurTokenContract.new({ from: owner });
+        vesting = await OurVestingContract.new(token.address, { from: owner });
+        await token.grantMinter(vesting.address, { from: owner });
+        sdkVesting = new OurVesting(web3, vesting.address, { abi: OurVestingContract.abi, from: owner });
+    })
+
+    // Supply cap
+    describe('Supply cap', async () => {
+
+        // Mints should stay within a cap that can only be lowered
+        it('Mints should stay within a cap that can only be lowered', async () => {
+            let capped = await OurTokenContract.new({ from: owner });
+            assert.equal((await capped.cap()).toString(), (await capped.MAX_SUPPLY_CAP()).toString());
+
+            let newCap = (await capped.totalSupply()).add(web3.utils.toBN(toTokens('100')));
+            await assert.isRejected(capped.lowerSupplyCap(newCap, { from: stranger }), /Ownable: caller is not the owner/);
+            expectEvent(await capped.lowerSupplyCap(newCap, { from: owner }), 'SupplyCapLowered', { newCap });
+
+            await assert.isRejected(capped.mint(owner, toTokens('101'), { from: owner }), /SUPPLY_CAP_EXCEEDED/);
+            await capped.mint(owner, toTokens('100'), { from: owner });
+            assert.equal((await capped.totalSupply()).toString(), newCap.toString());
+
+            // the cap can neither be raised nor go below the supply
+            await assert.isRejected(capped.lowerSupplyCap(newCap.addn(1), { from: owner }), /INVALID_SUPPLY_CAP/);
+            await assert.isRejected(capped.lowerSupplyCap(newCap.subn(1), { from: owner }), /INVALID_SUPPLY_CAP/);
+
+            // burning frees room under the cap
+            await capped.burn(toTokens('10'), { from: owner });
+            await capped.mint(team, toTokens('10'), { from: owner });
+        })
+    })
+
+    // Schedules
+    describe('Schedules', async () => {
+
+        // Schedules should be validated and mint their allocation
+        it('Schedules should be validated and mint their allocation', async () => {
+            let start = await getCurrentTime(0);
+            await assert.isRejected(vesting.createSchedule(team, toTokens('100'), start, 0, 100, true, { from: stranger }), /Ownable: caller is not the owner/);
+            await assert.isRejected(vesting.createSchedule(team, 0, start, 0, 100, true, { from: owner }), /ZERO_AMOUNT/);
+            await assert.isRejected(vesting.createSchedule(team, toTokens('100'), start, 0, 0, true, { from: owner }), /INVALID_DURATION/);
+            await assert.isRejected(vesting.createSchedule(team, toTokens('100'), start, 200, 100, true, { from: owner }), /INVALID_DURATION/);
+
+            let supply = await token.totalSupply();
+            let id = await create(team, '1000', 10 * DAY, 100 * DAY);
+            assert.equal((await token.totalSupply()).sub(supply).toString(), toTokens('1000'));
+            assert.equal((await token.balanceOf(vesting.address)).toString(), toTokens('1000'));
+            assert.equal((await vesting.totalLocked()).toString(), toTokens('1000'));
+            assert.deepEqual(await sdkVesting.schedulesOf(team), [id]);
+
+            let schedule = await sdkVesting.getSchedule(id);
+            assert.equal(schedule.cliffEnd - schedule.start, 10 * DAY);
+            assert.equal(schedule.end - schedule.start, 100 * DAY);
+            assert.isTrue(schedule.revocable);
+            await assert.isRejected(sdkVesting.getSchedule(id + 1), /SCHEDULE_NOT_FOUND/);
+        })
+
+        // Nothing should vest before the cliff then vesting should be linear
+        it('Nothing should vest before the cliff then vesting should be linear', async () => {
+            let id = await create(investor, '1000', 10 * DAY, 100 * DAY);
+            await increaseTime(9 * DAY);
+            assert.equal((await vesting.vestedAmount(id)).toString(), '0');
+            await assert.isRejected(vesting.release(id, { from: stranger }), /NOTHING_TO_RELEASE/);
+
+            // anyone can release to the beneficiary
+            await increaseTime(41 * DAY);
+            let tx = await vesting.release(id, { from: stranger });
+            let released = tx.logs.find(log => log.event === 'Released').args.amount;
+            assert.equal((await token.balanceOf(investor)).toString(), released.toString());
+            assert.closeTo(Number(fromTokens(released)), 500, 0.1);
+
+            // the rest is released once the schedule ends
+            await increaseTime(60 * DAY);
+            await vesting.release(id, { from: investor });
+            assert.equal((await token.balanceOf(investor)).toString(), toTokens('1000'));
+            assert.equal((await vesting.releasableAmount(id)).toString(), '0');
+        })
+
+        // Schedules should not mint beyond the supply cap
+        it('Schedules should not mint beyond the supply cap', async () => {
+            let room = (await token.cap()).sub(await token.totalSupply());
+            await assert.isRejected(vesting.createSchedule(team, room.addn(1), await getCurrentTime(0), 0, DAY, true, { from: owner }), /SUPPLY_CAP_EXCEEDED/);
+        })
+    })
+
+    // Revocation
+    describe('Revocation', async () => {
+
+        // Revocation should keep the vested tokens and burn the rest
+        it('Revocation should keep the vested tokens and burn the rest', async () => {
+            let id = await create(team, '1000', 0, 100 * DAY);
+            await increaseTime(25 * DAY);
+            await assert.isRejected(vesting.revoke(id, { from: stranger }), /Ownable: caller is not the owner/);
+
+            let supply = await token.totalSupply();
+            let locked = await vesting.totalLocked();
+            let tx = await vesting.revoke(id, { from: owner });
+            let { vested, burnt } = tx.logs.find(log => log.event === 'ScheduleRevoked').args;
+            assert.equal(vested.add(burnt).toString(), toTokens('1000'));
+            assert.closeTo(Number(fromTokens(vested)), 250, 0.1);
+            assert.equal(supply.sub(await token.totalSupply()).toString(), burnt.toString());
+            assert.equal(locked.sub(await vesting.totalLocked()).toString(), burnt.toString());
+
+            // the vested part stays releasable, nothing more vests
+            await increaseTime(100 * DAY);
+            let balance = await token.balanceOf(team);
+            await vesting.release(id, { from: team });
+            assert.equal((await token.balanceOf(team)).sub(balance).toString(), vested.toString());
+            await assert.isRejected(vesting.revoke(id, { from: owner }), /ALREADY_REVOKED/);
+        })
+
+        // Irrevocable schedules should not be revoked
+        it('Irrevocable schedules should not be revoked', async () => {
+            let id = await create(investor, '100', 0, 100 * DAY, false);
+            await assert.isRejected(vesting.revoke(id, { from: owner }), /NOT_REVOCABLE/);
+        })
+    })
+
+    // Admin script
+    describe('Admin script', async () => {
+        let lines;
+        const run = (...argv) => runCommand(argv, { vesting: sdkVesting, out: line => lines.push(line) });
+
+        beforeEach(() => {
+            lines = [];
+        })
+
+        // Durations and amounts should be parsed
+        it('Durations and amounts should be parsed', async () => {
+            assert.equal(parseDuration('90'), 90);
+            assert.equal(parseDuration('30d'), 30 * DAY);
+            assert.equal(parseDuration('2y'), 2 * 365 * DAY);
+            assert.equal(parseDuration('6mo'), 6 * 30 * DAY);
+            assert.equal(parseDuration('15min'), 15 * 60);
+            assert.throws(() => parseDuration('6m'), /ambiguous duration 6m/);
+            assert.throws(() => parseDuration('1month'), /invalid duration/);
+            assert.throws(() => parseDuration('1constructor'), /invalid duration/);
+            assert.equal(parseAmount('1.5').toString(), toTokens('1.5'));
+            assert.throws(() => parseAmount('-1'), /invalid amount/);
+        })
+
+        // Schedules should be created, listed, released and revoked
+        it('Schedules should be created, listed, released and revoked', async () => {
+            let created = await run('create', '--beneficiary', stranger, '--amount', '400', '--cliff', '10d', '--duration', '40d', '--network', 'development');
+            assert.equal(created.amount.toString(), toTokens('400'));
+            assert.equal(created.cliffEnd - created.start, 10 * DAY);
+            assert.match(lines[0], new RegExp(`^created #${created.id} ${stranger} 400 OURT \\(revocable\\)`));
+
+            await assert.isRejected(run('release', String(created.id)), /NOTHING_TO_RELEASE/);
+            await increaseTime(20 * DAY);
+            await run('release', String(created.id));
+            assert.match(lines[1], new RegExp(`^released [\\d.]+ OURT of #${created.id} to ${stranger}`));
+
+            await run('revoke', String(created.id));
+            assert.match(lines[2], new RegExp(`^revoked #${created.id}: [\\d.]+ OURT kept for the beneficiary, [\\d.]+ OURT burnt`));
+
+            let listed = await run('list', '--beneficiary', stranger);
+            assert.deepEqual(listed.map(s => s.id), [created.id]);
+            assert.match(lines[3], /\(revoked\)/);
+        })
+
+        // Invalid commands should be rejected
+        it('Invalid commands should be rejected', async () => {
+            await assert.isRejected(run('mint'), /unknown command mint/);
+            await assert.isRejected(run('release'), /release expects schedule ids/);
+            await assert.isRejected(run('create', '--beneficiary', team, '--amount', '10'), /--duration is required/);
+            await assert.isRejected(run('create', '--beneficiary', team, '--amount', '10', '--duration', '10d', '--from', stranger), /Ownable: caller is not the owner/);
+        })
+    })
+})
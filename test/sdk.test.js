@@ -0,0 +1,148 @@
+// Chai lib for assertion and promise-based tests
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+// chai assert
+const { assert } = chai;
+
+// chai promises
+chai.use(chaiAsPromised);
+
+// importing utils
+const { toTokens, fromTokens } = require('./utils/test-utils');
+
+// importing SDK
+const { OurDEX, OurFund, OurToken, SlippageError, DeadlineExpiredError, AccessError, decodeError, utils } = require('../index');
+
+// load contract artifacts
+const OurTokenContract = artifacts.require('OurToken');
+const OurDEXContract = artifacts.require('OurDEX');
+const OurFundContract = artifacts.require('OurFund');
+
+// SDK test spec
+contract('SDK', ([owner, lp, swaper, staker, bot, beneficiary]) => {
+    let token;
+    let dex;
+    let fund;
+
+    // deploy fresh contracts and wrap them for the test session
+    before(async () => {
+        const ourToken = await OurTokenContract.new({ from: owner });
+        const ourDEX = await OurDEXContract.new(ourToken.address, 30, { from: owner });
+        const ourFund = await OurFundContract.new(ourDEX.address, ourToken.address, bot, owner, { from: owner });
+
+        token = new OurToken(web3, ourToken.address, { abi: OurTokenContract.abi });
+        dex = new OurDEX(web3, ourDEX.address, { abi: OurDEXContract.abi, token });
+        fund = new OurFund(web3, ourFund.address, { abi: OurFundContract.abi, token });
+
+        // pad accounts with OURT
+        await ourToken.mint(lp, toTokens('1000000'), { from: owner });
+        await ourToken.mint(swaper, toTokens('100000'), { from: owner });
+        await ourToken.mint(staker, toTokens('100000'), { from: owner });
+    })
+
+    // Error decoding
+    describe('Revert decoding', async () => {
+
+        // Protocol reasons should map to typed errors
+        it('Protocol reasons should map to typed errors', async () => {
+            let err = decodeError(new Error('VM Exception while processing transaction: revert OurDEX: SLIPPAGE_RATE_EXCEEDED'));
+            assert.instanceOf(err, SlippageError);
+            assert.equal(err.contract, 'OurDEX');
+            assert.equal(err.code, 'SLIPPAGE_RATE_EXCEEDED');
+
+            err = decodeError({ reason: 'OurToken:cashChecque:: INVALID_SPENDER_ADDRESS' });
+            assert.instanceOf(err, AccessError);
+            assert.equal(err.contract, 'OurToken');
+        })
+
+        // Non-revert errors should be returned untouched
+        it('Non-revert errors should be returned untouched', async () => {
+            let original = new Error('connection refused');
+            assert.equal(decodeError(original), original);
+        })
+    })
+
+    // ABI loading
+    describe('ABI loading', async () => {
+
+        // Missing build artifacts should ask to compile or pass an ABI
+        it('Missing build artifacts should ask to compile or pass an ABI', async () => {
+            assert.throws(() => utils.loadAbi('OurMissing'), /compile the contracts first .* or pass options\.abi/);
+        })
+    })
+
+    // OurDEX wrapper
+    describe('OurDEX wrapper', async () => {
+
+        // Initial deposit requires the OURT amount
+        it('Initial deposit requires the OURT amount', async () => {
+            await assert.isRejected(dex.addLiquidity(toTokens('10'), { from: lp }), /amountOURT is required/);
+        })
+
+        // LP should be able to add liquidity with automatic approval
+        it('LP should be able to add liquidity with automatic approval', async () => {
+            await dex.addLiquidity(toTokens('10'), { from: lp, amountOURT: toTokens('100000') });
+            await dex.addLiquidity(toTokens('5'), { from: lp });
+
+            let { reserveETH, reserveOURT } = await dex.getReserves();
+            assert.equal(fromTokens(reserveETH), 15);
+            assert.equal(fromTokens(reserveOURT), 150000);
+        })
+
+        // Swapper should be able to buy and sell OURT within slippage bounds
+        it('Swapper should be able to buy and sell OURT within slippage bounds', async () => {
+            let before = await token.balanceOf(swaper);
+            let quote = await dex.getQuoteForOURT(toTokens('1'));
+            await dex.buyOURT(toTokens('1'), { from: swaper });
+            let after = await token.balanceOf(swaper);
+            assert.equal(web3.utils.toBN(after).sub(web3.utils.toBN(before)).toString(), quote.toString());
+
+            await dex.sellOURT(toTokens('1000'), { from: swaper });
+        })
+
+        // Expired deadlines should surface as DeadlineExpiredError
+        it('Expired deadlines should surface as DeadlineExpiredError', async () => {
+            await assert.isRejected(dex.buyOURT(toTokens('1'), { from: swaper, deadline: 1 }), DeadlineExpiredError);
+        })
+
+        // LP should be able to remove liquidity
+        it('LP should be able to remove liquidity', async () => {
+            let ourx = await dex.balanceOf(lp);
+            let half = web3.utils.toBN(ourx).divn(2);
+            await dex.removeLiquidity(half, { from: lp });
+            assert.equal((await dex.balanceOf(lp)).toString(), web3.utils.toBN(ourx).sub(half).toString());
+        })
+    })
+
+    // OurFund wrapper
+    describe('OurFund wrapper', async () => {
+
+        // Staker should be able to add to the fund with automatic approval
+        it('Staker should be able to add to the fund with automatic approval', async () => {
+            await fund.addToFund(toTokens('1000'), { from: staker });
+            let { reserveToken } = await fund.getReserves();
+            assert.equal(fromTokens(await fund.balanceOf(staker)), 1000);
+            assert.equal(fromTokens(reserveToken), 1000);
+            assert.ok(await fund.isStakeholder(staker));
+        })
+    })
+
+    // OurToken wrapper
+    describe('OurToken wrapper', async () => {
+
+        // Beneficiary should be able to cash a signed checque
+        it('Beneficiary should be able to cash a signed checque', async () => {
+            let checque = await token.signChecque({ issuer: lp, beneficiary, value: toTokens('1000') });
+            let { net } = await token.previewChecque(toTokens('1000'));
+            await token.cashChecques(beneficiary, [checque]);
+            assert.equal((await token.balanceOf(beneficiary)).toString(), net.toString());
+        })
+
+        // Checque cashed by another account should surface as AccessError
+        it('Checque cashed by another account should surface as AccessError', async () => {
+            let checque = await token.signChecque({ issuer: lp, beneficiary, value: toTokens('10') });
+            await assert.isRejected(token.cashChecques(beneficiary, [checque], { from: swaper }), AccessError);
+        })
+    })
+})
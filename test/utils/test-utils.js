@@ -4,6 +4,9 @@
 const ethers = require("ethers");
 const BN = require("bn.js");
 
+/** chai assert */
+const { assert } = require("chai");
+
 /** ether js utils */
 const { keccak256, toUtf8Bytes, defaultAbiCoder, solidityPack } = ethers.utils;
 
@@ -14,6 +17,9 @@ const  { private_keys } = require('../../devnetAccs.json');
 const toTokens = n => web3.utils.toWei(n);
 const fromTokens = n => web3.utils.fromWei(n);
 
+/** the zero address, ETH in the pool registry */
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
 /** encoding numbers as uint256 for hashing and signing EIP712 */
 const uint256 = n => web3.eth.abi.encodeParameter('uint256', n);
 
@@ -32,14 +38,66 @@ const getCurrentTime = (offset) => {
     })
 }
 
+/** sends a raw JSON-RPC request to the test node */
+const rpc = (method, params = []) => {
+    return new Promise(function(resolve, reject) {
+        web3.currentProvider.send({ jsonrpc: '2.0', id: Date.now(), method, params }, function(err, res) {
+            err ? reject(err) : resolve(res.result);
+        });
+    })
+}
+
+/** moves the chain time forward by `seconds` and mines a block so the new timestamp is applied */
+const increaseTime = async (seconds) => {
+    await rpc('evm_increaseTime', [seconds]);
+    await rpc('evm_mine');
+}
+
+/** mines `blocks` empty blocks, used to move proposals through their voting windows */
+const mineBlocks = async (blocks) => {
+    await rpc('evm_mine', [{ blocks }]);
+}
+
+/** gets the latest block number */
+const getBlockNumber = () => web3.eth.getBlockNumber();
+
 /** converts JS number to BN */
 const toBn = (value) => new BN(value);
 
+/** seeded pseudo-random generator (mulberry32) returning numbers in [0, 1), so that failures can be replayed */
+const seededRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/** random amount of wei between 1 micro-token and `max` tokens drawn from `random`, with a random wei tail if `weiTail` is set */
+const randomAmount = (random, max, weiTail = false) => {
+    let amount = new BN(Math.floor(random() * max * 1e6) + 1).mul(new BN(10).pow(new BN(12)));
+    return weiTail ? amount.addn(Math.floor(random() * 1e6)) : amount;
+}
+
+/** normalizes an event value for comparison, numbers as decimal strings and addresses lowercased */
+const eventValue = (value) => {
+    let str = value.toString();
+    return web3.utils.isAddress(str) ? str.toLowerCase() : str;
+}
+
 /** 
- * this function checks the TX object logs to find the events 
- * that have been triggered by the contract
+ * asserts that the TX emitted `eventName` with the `expectedArgs` (a subset of its args),
+ * numbers can be given as BN, number or string and addresses in any case
+ * @returns the first matching event log
 **/
-const checkEventEmitted = (tx, eventName) => tx.logs.filter((l) => l.event === eventName)[0];
+const expectEvent = (tx, eventName, expectedArgs = {}) => {
+    let ev = tx.logs.find((l) => l.event === eventName);
+    assert.ok(ev, `expected event ${eventName} to be emitted, got [${tx.logs.map((l) => l.event).join(', ')}]`);
+    for (let [name, expected] of Object.entries(expectedArgs)) {
+        assert.ok(name in ev.args, `event ${eventName} has no arg ${name}`);
+        assert.equal(eventValue(ev.args[name]), eventValue(expected), `${eventName}.${name}`);
+    }
+    return ev;
+}
 
 /**
  * encodes to sign EIP-712 compliant messages 
@@ -82,16 +140,78 @@ const encodePermitAbiData = (owner, spender, value, nonce, deadline, name, versi
     ));
 }
 
+/**
+ * EIP-712 domain separator without version, as used by OurGovernance and OurGovernanceToken
+ */
+const encodeGovernanceDomainSeparator = (name, chainId, contractAddress) => {
+    return createAbiEncodedSeparator(
+        ['bytes32', 'bytes32', 'uint256', 'address'],
+        [
+            keccak256(toUtf8Bytes("EIP712Domain(string name,uint256 chainId,address verifyingContract)")),
+            keccak256(toUtf8Bytes(name)),
+            chainId,
+            contractAddress
+        ]
+    );
+}
+
+/**
+ * EIP-712 digest from a domain separator and a struct hash
+ */
+const encodeTypedDigest = (domainSeparator, structHash) => {
+    return keccak256(solidityPack(['bytes2', 'bytes32', 'bytes32'], ['0x1901', domainSeparator, structHash]));
+}
+
+/**
+ * EIP-712 ballot for OurGovernance.castVoteBySig
+ */
+const encodeBallotAbiData = (proposalId, support, name, chainId, contractAddress) => {
+    let ballot_typehash = keccak256(toUtf8Bytes("Ballot(uint256 proposalId,bool support)"));
+    return encodeTypedDigest(
+        encodeGovernanceDomainSeparator(name, chainId, contractAddress),
+        createAbiEncodedSeparator(['bytes32', 'uint256', 'bool'], [ballot_typehash, uint256(proposalId), support])
+    );
+}
+
+/**
+ * EIP-712 delegation for OurGovernanceToken.delegateBySig
+ */
+const encodeDelegationAbiData = (delegatee, nonce, expiry, name, chainId, contractAddress) => {
+    let delegation_typehash = keccak256(toUtf8Bytes("Delegation(address delegatee,uint256 nonce,uint256 expiry)"));
+    return encodeTypedDigest(
+        encodeGovernanceDomainSeparator(name, chainId, contractAddress),
+        createAbiEncodedSeparator(
+            ['bytes32', 'address', 'uint256', 'uint256'],
+            [delegation_typehash, delegatee, uint256(nonce), uint256(expiry)]
+        )
+    );
+}
+
+/** signs an EIP-712 digest as is (no eth_sign prefix) and returns the v, r, s components */
+const signDigest = (digest, privateKey) => {
+    return ethers.utils.splitSignature(new ethers.utils.SigningKey(privateKey).signDigest(digest));
+}
+
 /** gets the test account's private key to sign with */
 const getAccPrivate = (address) => private_keys[address.toString().toLowerCase()].toString().toLowerCase();
 
 module.exports = {
+    ZERO_ADDRESS,
     toTokens,
     fromTokens,
     getCurrentTime,
-    checkEventEmitted,
+    increaseTime,
+    expectEvent,
     encodePermitAbiData,
+    encodeBallotAbiData,
+    encodeDelegationAbiData,
+    signDigest,
+    mineBlocks,
+    rpc,
+    getBlockNumber,
     uint256,
     getAccPrivate,
-    toBn
+    toBn,
+    seededRandom,
+    randomAmount
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+/** ADMIN COMMANDS OF THE OURT VESTING: SCHEDULE CREATION, RELEASE, REVOCATION AND LISTING */
+
+const { parseArgs } = require('util');
+
+/** BN js lib */
+const BN = require("bn.js");
+
+const ONE_OURT = new BN(10).pow(new BN(18));
+
+/** seconds per duration unit, a month is 30 days, a bare m is rejected as it could be minutes or months */
+const UNITS = { s: 1, min: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60, mo: 30 * 24 * 60 * 60, y: 365 * 24 * 60 * 60 };
+
+const OPTIONS = {
+    beneficiary: { type: 'string' },
+    amount: { type: 'string' },
+    start: { type: 'string', default: 'now' },
+    cliff: { type: 'string', default: '0' },
+    duration: { type: 'string' },
+    irrevocable: { type: 'boolean', default: false },
+    from: { type: 'string' },
+    // consumed by truffle exec
+    network: { type: 'string' },
+    compile: { type: 'boolean' }
+};
+
+/** parses a duration in seconds, or with a s, min, h, d, w, mo or y unit (ie: 90d) */
+const parseDuration = (text) => {
+    const match = /^(\d+)([a-z]*)$/.exec(String(text).trim());
+    if (match && match[2] === 'm') throw new Error(`ambiguous duration ${text}, use min for minutes or mo for months`);
+    if (!match || (match[2] && !Object.hasOwn(UNITS, match[2]))) throw new Error(`invalid duration ${text}, expected seconds or a number with a s, min, h, d, w, mo or y unit`);
+    return Number(match[1]) * UNITS[match[2] || 's'];
+}
+
+/** parses a decimal amount of OURT into wei */
+const parseAmount = (text) => {
+    const match = /^(\d+)(?:\.(\d{1,18}))?$/.exec(String(text).trim());
+    if (!match) throw new Error(`invalid amount ${text}, expected OURT with up to 18 decimals`);
+    return new BN(match[1]).mul(ONE_OURT).add(new BN((match[2] || '').padEnd(18, '0')));
+}
+
+/** formats OURT wei as a decimal amount */
+const formatAmount = (wei) => {
+    const fraction = wei.mod(ONE_OURT).toString().padStart(18, '0').replace(/0+$/, '');
+    return wei.div(ONE_OURT).toString() + (fraction ? '.' + fraction : '');
+}
+
+/** one line describing a schedule */
+const describe = (s) => {
+    const state = s.revoked ? 'revoked' : s.revocable ? 'revocable' : 'irrevocable';
+    const date = (timestamp) => new Date(timestamp * 1000).toISOString();
+    return `#${s.id} ${s.beneficiary} ${formatAmount(s.amount)} OURT (${state}), cliff ${date(s.cliffEnd)}, end ${date(s.end)}: `
+        + `${formatAmount(s.vested)} vested, ${formatAmount(s.released)} released, ${formatAmount(s.releasable)} releasable`;
+}
+
+const COMMANDS = {
+
+    /** creates a schedule: --beneficiary --amount --duration [--cliff] [--start] [--irrevocable] */
+    async create({ vesting, values, out }) {
+        for (const name of ['beneficiary', 'amount', 'duration']) {
+            if (!values[name]) throw new Error(`--${name} is required`);
+        }
+        const start = values.start === 'now' ? Number((await vesting.web3.eth.getBlock('latest')).timestamp) : Number(values.start);
+        if (!Number.isInteger(start) || start < 0) throw new Error(`invalid start ${values.start}, expected now or a unix timestamp`);
+
+        const { id } = await vesting.createSchedule({
+            beneficiary: values.beneficiary,
+            amount: parseAmount(values.amount),
+            start,
+            cliff: parseDuration(values.cliff),
+            duration: parseDuration(values.duration),
+            revocable: !values.irrevocable
+        }, { from: values.from });
+        const schedule = await vesting.getSchedule(id);
+        out(`created ${describe(schedule)}`);
+        return schedule;
+    },
+
+    /** releases the vested tokens of the schedule ids given */
+    async release({ vesting, values, ids, out }) {
+        const released = [];
+        for (const id of ids) {
+            const receipt = await vesting.release(id, { from: values.from });
+            const { beneficiary, amount } = receipt.events.Released.returnValues;
+            out(`released ${formatAmount(new BN(amount))} OURT of #${id} to ${beneficiary}`);
+            released.push(receipt);
+        }
+        return released;
+    },
+
+    /** revokes the schedule ids given, their unvested tokens are burnt */
+    async revoke({ vesting, values, ids, out }) {
+        const revoked = [];
+        for (const id of ids) {
+            const receipt = await vesting.revoke(id, { from: values.from });
+            const { vested, burnt } = receipt.events.ScheduleRevoked.returnValues;
+            out(`revoked #${id}: ${formatAmount(new BN(vested))} OURT kept for the beneficiary, ${formatAmount(new BN(burnt))} OURT burnt`);
+            revoked.push(receipt);
+        }
+        return revoked;
+    },
+
+    /** lists every schedule, or those of --beneficiary */
+    async list({ vesting, values, out }) {
+        const schedules = await vesting.getSchedules(values.beneficiary);
+        schedules.forEach(s => out(describe(s)));
+        if (schedules.length === 0) out('no schedules');
+        return schedules;
+    }
+};
+
+/**
+ * Runs an admin command against the vesting contract
+ * @param {string[]} argv command, schedule ids and options
+ * @param {object} context
+ * @param {OurVesting} context.vesting vesting wrapper, its default account (or --from) must own the contract
+ * @param {function} [context.out] receives the output lines, console.log by default
+ * @returns {Promise<*>} the command result
+**/
+const runCommand = async (argv, { vesting, out = console.log }) => {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...ids] = positionals;
+    if (!COMMANDS[command]) throw new Error(`unknown command ${command || ''}, expected ${Object.keys(COMMANDS).join(', ')}`);
+    if (['release', 'revoke'].includes(command) && (ids.length === 0 || ids.some(id => !/^\d+$/.test(id)))) throw new Error(`${command} expects schedule ids`);
+    return COMMANDS[command]({ vesting, values: { ...values, from: values.from || vesting.from }, ids: ids.map(Number), out });
+}
+
+module.exports = {
+    runCommand,
+    parseDuration,
+    parseAmount,
+    formatAmount
+}
@@ -0,0 +1,28 @@
+/**
+ * Administers the OURT vesting schedules of the deployed protocol:
+ *   npm run vesting -- create --beneficiary <address> --amount <OURT> --duration 2y [--cliff 6mo] [--start <timestamp>] [--irrevocable] --network development
+ *   npm run vesting -- release <id>... --network development
+ *   npm run vesting -- revoke <id>... --network development
+ *   npm run vesting -- list [--beneficiary <address>] --network development
+ * Durations are seconds or numbers with a s, min, h, d, w, mo (30 days) or y unit. The admin account defaults to the
+ * vesting owner (accounts[0]), --from overrides it.
+**/
+
+const { OurVesting } = require('../index');
+const { runCommand } = require('./commands');
+
+const OurVestingContract = artifacts.require('OurVesting');
+
+module.exports = async function (callback) {
+    try {
+        const accounts = await web3.eth.getAccounts();
+        const vesting = new OurVesting(web3, (await OurVestingContract.deployed()).address, { abi: OurVestingContract.abi, from: accounts[0] });
+
+        // the arguments following this script, truffle exec passes its own before
+        const argv = process.argv.slice(process.argv.findIndex(arg => arg.endsWith('run.js')) + 1);
+        await runCommand(argv, { vesting });
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};